@@ -8,6 +8,7 @@
 
   let modal = null;
   let closeBtns = null;
+  let itemCatalog = null;
 
   /**
    * Initialize the modal
@@ -85,8 +86,10 @@
 
       // Build sections
       renderBasicInfo(char, detailsContainer);
+      renderProgression(char, detailsContainer);
       renderCombatStats(char, detailsContainer);
       renderAbilityScores(char, detailsContainer);
+      renderInventory(char, detailsContainer);
       renderOptionalSections(char, detailsContainer);
 
     } catch (error) {
@@ -121,6 +124,172 @@
     container.appendChild(section);
   }
 
+  /**
+   * Render experience, class features and the level-up button
+   */
+  function renderProgression(char, container) {
+    const section = createSection('Experience');
+
+    const summary = document.createElement('p');
+    summary.className = 'inventory-summary';
+    summary.textContent = char.nextLevelExperience != null
+      ? `XP: ${char.experience || 0} / ${char.nextLevelExperience}`
+      : `XP: ${char.experience || 0} (max level)`;
+    section.appendChild(summary);
+
+    if (char.features && char.features.length > 0) {
+      const list = document.createElement('div');
+      list.className = 'status-effects-list';
+      char.features.forEach(feature => {
+        const span = document.createElement('span');
+        span.className = 'status-effect';
+        span.textContent = feature;
+        list.appendChild(span);
+      });
+      section.appendChild(list);
+    }
+
+    if (char.canLevelUp) {
+      const button = createInventoryButton(`Level Up to ${char.level + 1}`, () => loadLevelUpPlan(char, section, button));
+      button.classList.add('level-up-btn');
+      section.appendChild(button);
+    }
+
+    container.appendChild(section);
+  }
+
+  /**
+   * Fetch what the next level brings and show the choices
+   */
+  async function loadLevelUpPlan(char, section, button) {
+    try {
+      const response = await fetch(`/api/characters/${char._id}/level-up`);
+      const data = await response.json();
+      if (!response.ok || !data.plan) {
+        alert(data.error?.message || 'Not ready to level up');
+        return;
+      }
+      button.remove();
+      section.appendChild(createLevelUpForm(char, data.plan));
+    } catch (err) {
+      console.error('Level up plan error', err);
+      alert('Error loading level up');
+    }
+  }
+
+  /**
+   * Level-up form: hit points (average or rolled), ability score improvement, confirm
+   */
+  function createLevelUpForm(char, plan) {
+    const form = document.createElement('form');
+    form.className = 'level-up-form';
+
+    const con = plan.constitutionModifier;
+    const conText = `${con >= 0 ? '+' : ''}${con} CON`;
+    const details = [
+      `Level ${plan.level} → ${plan.newLevel}`,
+      `Proficiency bonus: +${plan.proficiencyBonus.after}`,
+      plan.features.length ? `New features: ${plan.features.join(', ')}` : 'No new class features',
+    ];
+    const slots = Object.entries(plan.spellSlots.after);
+    if (slots.length) {
+      details.push(`Spell slots: ${slots.map(([level, count]) => `L${level} ×${count}`).join(', ')}`);
+    }
+    details.forEach(text => {
+      const p = document.createElement('p');
+      p.className = 'detail-text';
+      p.textContent = text;
+      form.appendChild(p);
+    });
+
+    const hitPoints = document.createElement('select');
+    hitPoints.name = 'hitPoints';
+    [
+      ['average', `Take average: ${plan.averageHitPoints} ${conText} HP`],
+      ['roll', `Roll 1d${plan.hitDie} ${conText} HP`]
+    ].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      hitPoints.appendChild(option);
+    });
+    form.appendChild(hitPoints);
+
+    // Two +1 picks; choosing the same ability twice gives +2
+    const increases = [];
+    if (plan.abilityScoreImprovement) {
+      const label = document.createElement('p');
+      label.className = 'detail-text';
+      label.textContent = 'Ability Score Improvement (+1 twice, or +2 to one ability):';
+      form.appendChild(label);
+
+      for (let i = 0; i < 2; i++) {
+        const select = document.createElement('select');
+        Object.entries(char.abilityScores || {}).forEach(([ability, score]) => {
+          const option = document.createElement('option');
+          option.value = ability;
+          option.textContent = `${ability.slice(0, 3).toUpperCase()} (${score})`;
+          select.appendChild(option);
+        });
+        increases.push(select);
+        form.appendChild(select);
+      }
+    }
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'btn btn-primary';
+    submit.textContent = 'Confirm Level Up';
+    form.appendChild(submit);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const abilityIncreases = {};
+      increases.forEach(select => {
+        abilityIncreases[select.value] = (abilityIncreases[select.value] || 0) + 1;
+      });
+      levelUp(char, {
+        hitPoints: hitPoints.value,
+        abilityIncreases: plan.abilityScoreImprovement ? abilityIncreases : undefined
+      });
+    });
+    return form;
+  }
+
+  /**
+   * Apply the level and re-render with the new stats
+   */
+  async function levelUp(char, choices) {
+    try {
+      const response = await fetch(`/api/characters/${char._id}/level-up`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(choices)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error?.message || 'Level up failed');
+        return;
+      }
+
+      char.level = data.level;
+      char.experience = data.experience;
+      char.nextLevelExperience = data.nextLevelExperience;
+      char.canLevelUp = data.canLevelUp;
+      char.features = data.features;
+      char.maxHp = data.maxHp;
+      char.currentHp = (char.currentHp || 0) + data.hitPointsGained;
+      char.abilityScores = data.abilityScores;
+      showCharacterDetails(char);
+
+      const rolled = data.hitPointRoll != null ? ` (rolled ${data.hitPointRoll})` : '';
+      alert(`${char.name} reached level ${data.level}: +${data.hitPointsGained} HP${rolled}`);
+    } catch (err) {
+      console.error('Level up error', err);
+      alert('Error leveling up');
+    }
+  }
+
   /**
    * Render combat stats section
    */
@@ -178,6 +347,170 @@
     container.appendChild(section);
   }
 
+  /**
+   * Render inventory with equip/unequip/remove buttons and an add-item form
+   */
+  function renderInventory(char, container) {
+    const section = createSection('Inventory');
+    const inventory = char.inventory || [];
+
+    const summary = document.createElement('p');
+    summary.className = 'inventory-summary';
+    const weight = inventory.reduce((sum, item) => sum + (item.weight || 0) * item.quantity, 0);
+    const capacity = (char.abilityScores?.strength || 10) * 15;
+    summary.textContent = `Gold: ${char.gold || 0} gp · Carried: ${Math.round(weight * 100) / 100}/${capacity} lb`;
+    section.appendChild(summary);
+
+    if (inventory.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'inventory-list';
+
+      inventory.forEach(item => {
+        const li = document.createElement('li');
+        li.className = item.equipped ? 'inventory-item equipped' : 'inventory-item';
+
+        const name = document.createElement('span');
+        name.className = 'inventory-name';
+        name.textContent = item.quantity > 1 ? `${item.name} ×${item.quantity}` : item.name;
+        li.appendChild(name);
+
+        const actions = document.createElement('span');
+        actions.className = 'inventory-actions';
+        if (item.itemId) {
+          actions.appendChild(createInventoryButton(
+            item.equipped ? 'Unequip' : 'Equip',
+            () => updateInventory(char, item.equipped ? 'unequip' : 'equip', item.name)
+          ));
+        }
+        actions.appendChild(createInventoryButton('Drop', () => updateInventory(char, 'remove', item.name)));
+        li.appendChild(actions);
+
+        list.appendChild(li);
+      });
+
+      section.appendChild(list);
+    } else {
+      const empty = document.createElement('p');
+      empty.className = 'detail-text';
+      empty.textContent = 'Nothing carried.';
+      section.appendChild(empty);
+    }
+
+    section.appendChild(createAddItemForm(char));
+    container.appendChild(section);
+  }
+
+  function createInventoryButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Add-item form; the name field suggests catalog items
+   */
+  function createAddItemForm(char) {
+    const form = document.createElement('form');
+    form.className = 'inventory-add';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.placeholder = 'Add item (e.g. Longsword)';
+    name.required = true;
+    name.maxLength = 100;
+    name.setAttribute('list', 'item-catalog');
+
+    const quantity = document.createElement('input');
+    quantity.type = 'number';
+    quantity.min = '1';
+    quantity.value = '1';
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'btn';
+    submit.textContent = 'Add';
+
+    form.append(name, quantity, submit, getCatalogList());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      updateInventory(char, 'add', name.value.trim(), Number(quantity.value) || 1);
+    });
+    return form;
+  }
+
+  /**
+   * Datalist of catalog item names, loaded once
+   */
+  function getCatalogList() {
+    const datalist = document.createElement('datalist');
+    datalist.id = 'item-catalog';
+
+    const fill = () => itemCatalog.forEach(item => {
+      const option = document.createElement('option');
+      option.value = item.name;
+      datalist.appendChild(option);
+    });
+
+    if (itemCatalog) {
+      fill();
+    } else {
+      fetch('/api/items')
+        .then(res => res.ok ? res.json() : { items: [] })
+        .then(data => {
+          itemCatalog = data.items || [];
+          fill();
+        })
+        .catch(err => console.error('Failed to load item catalog', err));
+    }
+    return datalist;
+  }
+
+  /**
+   * Call the inventory API and re-render with the updated inventory and AC
+   */
+  async function updateInventory(char, action, name, quantity) {
+    const base = `/api/characters/${char._id}`;
+    const requests = {
+      add: () => fetch(`${base}/inventory`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, quantity })
+      }),
+      remove: () => fetch(`${base}/inventory/${encodeURIComponent(name)}`, { method: 'DELETE' }),
+      equip: () => fetch(`${base}/equip`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      }),
+      unequip: () => fetch(`${base}/unequip`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      })
+    };
+
+    try {
+      const response = await requests[action]();
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error?.message || 'Inventory update failed');
+        return;
+      }
+
+      char.inventory = data.inventory;
+      char.equippedWeapon = data.equippedWeapon;
+      char.equippedArmor = data.equippedArmor;
+      char.armorClass = data.armorClass;
+      showCharacterDetails(char);
+    } catch (err) {
+      console.error('Inventory update error', err);
+      alert('Error updating inventory');
+    }
+  }
+
   /**
    * Render optional sections (background, appearance, etc.)
    */
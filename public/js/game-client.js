@@ -7,8 +7,9 @@ import { PlayerNotesManager } from './modules/notes.js';
 import { ChatManager } from './modules/chat.js';
 import { RoomMembersManager } from './modules/members.js';
 import { registerCombatHandlers } from './modules/combatEvents.js';
+import { RollPromptsManager } from './modules/rollPrompts.js';
 import { sseBus } from './modules/sseBus.js';
-import { fetchText } from './modules/api.js';
+import { fetchJson, fetchText } from './modules/api.js';
 import { store } from './modules/store.js';
 
 // Global references
@@ -16,6 +17,7 @@ let playerNotesManager = null;
 let roomChat = null;
 let roomMembers = null;
 let unregisterCombatHandlers = null;
+let unregisterRollPrompts = null;
 
 /**
  * Rehydrate status panel subtree after HTML replacement
@@ -113,6 +115,10 @@ document.addEventListener('DOMContentLoaded', () => {
     roomChat.loadInitialMessages();
     roomChat.setupFormHandler();
 
+    // Checks the narrator hands to players (player-rolls rooms)
+    const rollPrompts = new RollPromptsManager(roomId, (text) => roomChat.renderLocalNotice(text));
+    unregisterRollPrompts = rollPrompts.register(sseBus);
+
     // Initialize members manager
     roomMembers = new RoomMembersManager(roomId);
     roomMembers.loadInitialMembers();
@@ -133,6 +139,96 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
 
+    // Conditions wearing off change the status panel mid-turn
+    sseBus.onMessageType('condition-expired', (payload) => {
+      if (typeof window.loadStatusPanel === 'function') {
+        window.loadStatusPanel();
+      }
+      const names = Array.isArray(payload?.expired) ? payload.expired.map((e) => e.name) : [];
+      if (names.length) {
+        roomChat.renderLocalNotice(`Wore off: ${names.join(', ')}`);
+      }
+    });
+
+    // Keep the roll ledger current while its tab is open
+    const refreshLedger = () => {
+      const ledgerPanel = document.getElementById('ledger-panel');
+      if (ledgerPanel && !ledgerPanel.classList.contains('hidden')) {
+        loadRollLedger();
+      }
+    };
+    sseBus.onMessageType('dice-roll', refreshLedger);
+    sseBus.onMessageType('group-check', refreshLedger);
+
+    // Loot moved: refresh gold on the status panel and the treasury tab
+    sseBus.onMessageType('loot-update', (payload) => {
+      if (typeof window.loadStatusPanel === 'function') {
+        window.loadStatusPanel();
+      }
+      const treasuryPanel = document.getElementById('treasury-panel');
+      if (treasuryPanel && !treasuryPanel.classList.contains('hidden')) {
+        loadTreasury();
+      }
+      const moved = Array.isArray(payload?.entries)
+        ? payload.entries.map((e) => e.gold ? `${e.gold} gp` : `${e.item?.name} ×${e.item?.quantity}`)
+        : [];
+      if (moved.length) {
+        roomChat.renderLocalNotice(`Loot: ${moved.join(', ')}`);
+      }
+    });
+
+    // Quest log changes: keep the journal current and announce new and closed quests
+    sseBus.onMessageType('quest-update', (payload) => {
+      const questsPanel = document.getElementById('quests-panel');
+      if (questsPanel && !questsPanel.classList.contains('hidden')) {
+        loadQuestJournal();
+      }
+      const labels = { created: 'New quest', completed: 'Quest completed', failed: 'Quest failed' };
+      if (payload?.quest && labels[payload.change]) {
+        roomChat.renderLocalNotice(`${labels[payload.change]}: ${payload.quest.name}`);
+      }
+    });
+
+    // Travel: redraw the map and say where everyone went
+    sseBus.onMessageType('location-update', (payload) => {
+      const mapPanel = document.getElementById('map-panel');
+      if (mapPanel && !mapPanel.classList.contains('hidden')) {
+        loadMap();
+      }
+      if (typeof window.loadStatusPanel === 'function') {
+        window.loadStatusPanel();
+      }
+      if (payload?.to) {
+        const who = payload.characterIds?.length ? 'Some of the party' : 'The party';
+        const minutes = payload.travelMinutes || 0;
+        const time = minutes >= 60 ? `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}` : `${minutes}m`;
+        roomChat.renderLocalNotice(`${who} travelled to ${payload.to}${minutes ? ` (${time})` : ''}`);
+      }
+    });
+
+    // Game clock moved: the status bar shows the new date and time
+    sseBus.onMessageType('clock-update', (payload) => {
+      if (typeof window.loadStatusPanel === 'function') {
+        window.loadStatusPanel();
+      }
+      if (payload?.time && payload.advancedSeconds >= 3600) {
+        roomChat.renderLocalNotice(`${payload.reason}: now ${payload.time}`);
+      }
+    });
+
+    // XP awards: note who gained what and who can level up
+    sseBus.onMessageType('xp-award', (payload) => {
+      const awards = Array.isArray(payload?.awards) ? payload.awards : [];
+      if (!awards.length) return;
+      const gained = awards.map((a) => `${a.characterName} +${a.amount}`).join(', ');
+      const ready = awards.filter((a) => a.canLevelUp).map((a) => a.characterName);
+      roomChat.renderLocalNotice(
+        `XP (${payload.reason}): ${gained}` + (ready.length ? ` · Ready to level up: ${ready.join(', ')}` : '')
+      );
+    });
+
+    setupTreasuryForms(roomId);
+
     // Setup MutationObserver to catch new streaming-response elements
     setupMutationObserver(window.gameClient);
   }
@@ -146,6 +242,7 @@ document.addEventListener('DOMContentLoaded', () => {
   window.addEventListener('beforeunload', () => {
     if (roomMembers) roomMembers.destroy();
     if (unregisterCombatHandlers) unregisterCombatHandlers();
+    if (unregisterRollPrompts) unregisterRollPrompts();
   });
 });
 
@@ -218,6 +315,108 @@ function setupMutationObserver(client) {
   observer.observe(storyOutput, { childList: true, subtree: true });
 }
 
+/**
+ * Load the room's roll ledger into the ledger tab
+ */
+async function loadRollLedger() {
+  const container = document.getElementById('roll-ledger');
+  const roomId = document.querySelector('.game-container')?.getAttribute('data-room-id');
+  if (!container || !roomId) return;
+
+  try {
+    const { ok, text } = await fetchText(`/partials/room/${roomId}/ledger`);
+    if (!ok) throw new Error('Failed to load roll ledger');
+    container.innerHTML = text;
+  } catch (error) {
+    console.error('[Ledger] Load failed:', error);
+    container.innerHTML = '<div class="empty-state">Failed to load roll ledger</div>';
+  }
+}
+
+/**
+ * Load the party treasury into the treasury tab
+ */
+async function loadTreasury() {
+  const container = document.getElementById('party-treasury');
+  const roomId = document.querySelector('.game-container')?.getAttribute('data-room-id');
+  if (!container || !roomId) return;
+
+  try {
+    const { ok, text } = await fetchText(`/partials/room/${roomId}/treasury`);
+    if (!ok) throw new Error('Failed to load treasury');
+    container.innerHTML = text;
+  } catch (error) {
+    console.error('[Treasury] Load failed:', error);
+    container.innerHTML = '<div class="empty-state">Failed to load treasury</div>';
+  }
+}
+
+/**
+ * Load the quest log into the quests tab
+ */
+async function loadQuestJournal() {
+  const container = document.getElementById('quest-journal');
+  const roomId = document.querySelector('.game-container')?.getAttribute('data-room-id');
+  if (!container || !roomId) return;
+
+  try {
+    const { ok, text } = await fetchText(`/partials/room/${roomId}/quests`);
+    if (!ok) throw new Error('Failed to load quests');
+    container.innerHTML = text;
+  } catch (error) {
+    console.error('[Quests] Load failed:', error);
+    container.innerHTML = '<div class="empty-state">Failed to load quests</div>';
+  }
+}
+
+/**
+ * Load discovered places into the map tab
+ */
+async function loadMap() {
+  const container = document.getElementById('party-map');
+  const roomId = document.querySelector('.game-container')?.getAttribute('data-room-id');
+  if (!container || !roomId) return;
+
+  try {
+    const { ok, text } = await fetchText(`/partials/room/${roomId}/map`);
+    if (!ok) throw new Error('Failed to load map');
+    container.innerHTML = text;
+  } catch (error) {
+    console.error('[Map] Load failed:', error);
+    container.innerHTML = '<div class="empty-state">Failed to load map</div>';
+  }
+}
+
+/**
+ * Submit the treasury tab's give and split forms (delegated, the partial is re-rendered)
+ */
+function setupTreasuryForms(roomId) {
+  const container = document.getElementById('party-treasury');
+  if (!container) return;
+
+  container.addEventListener('submit', async (e) => {
+    const form = e.target;
+    if (form.id !== 'treasury-transfer-form' && form.id !== 'treasury-split-form') return;
+    e.preventDefault();
+
+    const body = {};
+    for (const [key, value] of new FormData(form)) {
+      if (value !== '') body[key] = value;
+    }
+    const action = form.id === 'treasury-transfer-form' ? 'transfer' : 'split';
+
+    const { ok, data } = await fetchJson(`/api/rooms/${roomId}/treasury/${action}`, {
+      method: 'POST',
+      body
+    });
+    if (!ok) {
+      roomChat?.renderLocalNotice(data?.error?.message || 'Treasury update failed');
+      return;
+    }
+    loadTreasury();
+  });
+}
+
 /**
  * Setup tab switching logic
  */
@@ -228,6 +427,10 @@ function setupTabs() {
   const notesPanel = document.getElementById('notes-panel');
   const chatPanel = document.getElementById('chat-panel');
   const savesPanel = document.getElementById('saves-panel');
+  const ledgerPanel = document.getElementById('ledger-panel');
+  const treasuryPanel = document.getElementById('treasury-panel');
+  const questsPanel = document.getElementById('quests-panel');
+  const mapPanel = document.getElementById('map-panel');
 
   // Setup scrollable tabs functionality
   setupScrollableTabs();
@@ -241,7 +444,7 @@ function setupTabs() {
       btn.classList.add('active');
 
       // Hide all panels
-      [statusPanel, combatPanel, notesPanel, chatPanel, savesPanel].forEach(p => {
+      [statusPanel, combatPanel, notesPanel, chatPanel, savesPanel, ledgerPanel, treasuryPanel, questsPanel, mapPanel].forEach(p => {
         if (p) {
           p.classList.add('hidden');
           p.style.display = 'none';
@@ -255,6 +458,10 @@ function setupTabs() {
       else if (tab === 'notes') selectedPanel = notesPanel;
       else if (tab === 'chat') selectedPanel = chatPanel;
       else if (tab === 'saves') selectedPanel = savesPanel;
+      else if (tab === 'ledger') selectedPanel = ledgerPanel;
+      else if (tab === 'treasury') selectedPanel = treasuryPanel;
+      else if (tab === 'quests') selectedPanel = questsPanel;
+      else if (tab === 'map') selectedPanel = mapPanel;
 
       if (selectedPanel) {
         selectedPanel.classList.remove('hidden');
@@ -263,6 +470,14 @@ function setupTabs() {
         // Load status panel content when tab is shown
         if (tab === 'status') {
           window.loadStatusPanel();
+        } else if (tab === 'ledger') {
+          loadRollLedger();
+        } else if (tab === 'treasury') {
+          loadTreasury();
+        } else if (tab === 'quests') {
+          loadQuestJournal();
+        } else if (tab === 'map') {
+          loadMap();
         }
       }
     });
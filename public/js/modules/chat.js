@@ -82,6 +82,38 @@ export class ChatManager {
     return div.innerHTML;
   }
 
+  /**
+   * Show a message only to the current user (command feedback, errors)
+   * @param {string} text - Message text
+   */
+  renderLocalNotice(text) {
+    this.renderMessage({
+      id: `local-${Date.now()}`,
+      type: 'system',
+      playerName: 'System',
+      message: text,
+      timestamp: Date.now()
+    });
+    this.scrollToBottom();
+  }
+
+  /**
+   * Send a /roll command to the room; the result arrives as a dice-roll SSE message
+   * @param {string} command - Raw command text, e.g. "/roll stealth adv"
+   * @returns {Promise<boolean>} Whether the roll succeeded
+   */
+  async sendRollCommand(command) {
+    const { ok, data } = await fetchJson(`/api/rooms/${this.roomId}/roll`, {
+      method: 'POST',
+      body: { command }
+    });
+
+    if (!ok) {
+      this.renderLocalNotice(data?.error?.message || 'Roll failed');
+    }
+    return ok;
+  }
+
   /**
    * Setup chat form handlers
    */
@@ -123,6 +155,11 @@ export class ChatManager {
       if (button) button.disabled = true;
 
       try {
+        if (/^\/(roll|r)(\s|$)/i.test(messageContent)) {
+          await this.sendRollCommand(messageContent);
+          return;
+        }
+
         const { ok, data } = await fetchJson(`/api/chat/rooms/${this.roomId}/send`, {
           method: 'POST',
           body: { message: messageContent }
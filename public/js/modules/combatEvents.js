@@ -1,6 +1,6 @@
 /**
  * Combat Events
- * Default renderers for dice rolls and action restrictions.
+ * Default renderers for dice rolls, action restrictions and combat turns.
  */
 
 import { store } from './store.js';
@@ -25,24 +25,235 @@ function renderDiceRollEntry(rollData) {
 
   const characterName = escapeHtml(rollData?.characterName || 'Unknown');
   const checkType = escapeHtml(rollData?.checkType || 'Check');
-  const ability = escapeHtml(rollData?.ability || '');
+  const ability = rollData?.skill
+    ? `${escapeHtml(rollData.skill)} (${escapeHtml(rollData?.ability || '')})`
+    : escapeHtml(rollData?.ability || '');
   const dc = rollData?.dc !== undefined ? `DC ${escapeHtml(rollData.dc)}` : '';
   const formula = escapeHtml(rollData?.roll?.formula || '');
   const total = rollData?.roll?.total !== undefined ? rollData.roll.total : '';
   const reason = escapeHtml(rollData?.reason || '');
+  const isInitiative = rollData?.checkType === 'initiative';
+  const isHealing = rollData?.checkType === 'healing';
+  const isFreeRoll = rollData?.checkType === 'roll';
+  const contest = rollData?.contest ? renderContest(rollData) : '';
+  // Players rolling on their own often don't know the DC; the DM judges the outcome
+  const isUnjudged = !!rollData?.rolledBy && rollData?.dc === undefined;
+  const rolledBy = rollData?.rolledBy
+    ? `<span class="rolled-by">rolled by ${escapeHtml(rollData.rolledBy)}</span>`
+    : '';
+  // Private rolls only reach the rolling character's player
+  const visibility = rollData?.visibility === 'player'
+    ? '<span class="roll-visibility" title="Only you can see this roll">🔒 only you</span>'
+    : '';
+  const breakdown = Array.isArray(rollData?.roll?.terms) ? renderTerms(rollData.roll) : '';
+  const rollType = rollData?.roll ? renderRollType(rollData.roll) : '';
+  const target = rollData?.targetName ? ` → ${escapeHtml(rollData.targetName)}` : '';
+  const damage = rollData?.damage ? renderDamage(rollData.damage, rollData.isCritical) : '';
+  const deathSaves = rollData?.deathSaves
+    ? `<div class="roll-death-saves">✓ ${escapeHtml(rollData.deathSaves.successes)} / ✗ ${escapeHtml(rollData.deathSaves.failures)} — ${escapeHtml(rollData.deathSaves.outcome)}</div>`
+    : '';
+  const spell = rollData?.spell ? renderSpell(rollData.spell) : '';
+  const healing = rollData?.healing
+    ? `<div class="roll-healing">+${escapeHtml(rollData.healing.healed)} HP → ${escapeHtml(rollData.healing.currentHp)}${rollData.healing.revived ? ' (revived)' : ''}</div>`
+    : '';
+  let result = '';
+  if (rollData?.contest) {
+    result = renderContestResult(rollData);
+  } else if (!isInitiative && !isHealing && !isFreeRoll && !isUnjudged) {
+    result = `<span class="result ${success ? 'success' : 'failure'}">${success ? '✓ Success' : '✗ Failure'}</span>`;
+  }
 
   // Match CSS class names: .roll-header, .character-name, .check-type, etc.
   entry.innerHTML = `
     <div class="roll-header">
-      <span class="character-name">${characterName}</span>
+      <span class="character-name">${characterName}${target}</span>
       <span class="check-type">${checkType.replace('_', ' ')}</span>
+      ${rolledBy}
+      ${visibility}
     </div>
     <div class="roll-detail">
       <span class="ability">${ability}</span>
       <span class="dc">${dc}</span>
     </div>
     <div class="roll-detail">
-      <span>${formula} = <strong>${escapeHtml(total)}</strong></span>
+      <span>${formula}${breakdown} = <strong>${escapeHtml(total)}</strong></span>
+      ${result}
+    </div>
+    ${rollType}
+    ${contest}
+    ${spell}
+    ${damage}
+    ${healing}
+    ${deathSaves}
+    ${reason ? `<div class="roll-reason">${reason}</div>` : ''}
+  `;
+
+  return entry;
+}
+
+/**
+ * Why the d20 was rolled with advantage/disadvantage, or failed automatically
+ */
+function renderRollType(roll) {
+  const notes = [];
+  const advantage = Array.isArray(roll.advantageSources) ? roll.advantageSources : [];
+  const disadvantage = Array.isArray(roll.disadvantageSources) ? roll.disadvantageSources : [];
+
+  if (advantage.length && disadvantage.length) {
+    notes.push(`advantage (${escapeHtml(advantage.join(', '))}) and disadvantage (${escapeHtml(disadvantage.join(', '))}) cancel out`);
+  } else if (advantage.length) {
+    notes.push(`advantage: ${escapeHtml(advantage.join(', '))}`);
+  } else if (disadvantage.length) {
+    notes.push(`disadvantage: ${escapeHtml(disadvantage.join(', '))}`);
+  }
+  if (roll.autoFail) {
+    notes.push(`automatic failure: ${escapeHtml(roll.autoFail)}`);
+  }
+
+  return notes.length ? `<div class="roll-advantage">${notes.join(' · ')}</div>` : '';
+}
+
+/**
+ * The opponent's side of a contested check
+ */
+function renderContest(rollData) {
+  const contest = rollData.contest;
+  const ability = contest.opponentSkill
+    ? `${escapeHtml(contest.opponentSkill)} (${escapeHtml(contest.opponentAbility)})`
+    : escapeHtml(contest.opponentAbility);
+
+  return `
+    <div class="roll-contest">
+      <div class="roll-detail">
+        <span class="contest-versus">vs ${escapeHtml(contest.opponentName)}</span>
+        <span class="ability">${ability}</span>
+      </div>
+      <div class="roll-detail">
+        <span>${escapeHtml(contest.opponentRoll.formula)} = <strong>${escapeHtml(contest.opponentRoll.total)}</strong></span>
+      </div>
+      ${renderRollType(contest.opponentRoll)}
+    </div>
+  `;
+}
+
+function renderContestResult(rollData) {
+  const { winner, tie, opponentName } = rollData.contest;
+  if (!winner) {
+    return '<span class="result tie">= Tie (status quo)</span>';
+  }
+  const name = winner === 'initiator' ? rollData.characterName : opponentName;
+  const tieNote = tie ? ' on a tie' : '';
+  return `<span class="result ${winner === 'initiator' ? 'success' : 'failure'}">${winner === 'initiator' ? '✓' : '✗'} ${escapeHtml(name || 'Unknown')} wins${tieNote}</span>`;
+}
+
+function renderDamage(damage, isCritical) {
+  let typing = '';
+  if (damage.immune) typing = 'immune';
+  else if (damage.resisted && damage.vulnerable) typing = 'resisted, vulnerable';
+  else if (damage.resisted) typing = 'resisted';
+  else if (damage.vulnerable) typing = 'vulnerable';
+
+  const applied = damage.applied !== undefined && damage.applied !== damage.total
+    ? ` → <strong>${escapeHtml(damage.applied)}</strong>`
+    : '';
+
+  return `
+    <div class="roll-damage">
+      ${escapeHtml(damage.formula)} = <strong>${escapeHtml(damage.total)}</strong>${applied} ${escapeHtml(damage.damageType)}
+      ${typing ? `<span class="damage-typing">(${typing})</span>` : ''}
+      ${isCritical ? '<span class="critical">CRIT</span>' : ''}
+      ${damage.concentration && !damage.concentration.maintained
+        ? `<span class="damage-typing">(concentration on ${escapeHtml(damage.concentration.spellName)} lost)</span>`
+        : ''}
+    </div>
+  `;
+}
+
+/**
+ * Term-by-term breakdown: "4d6kh3 [6, 5, 4, ~1~] + 2" (dropped dice struck through, exploded dice marked !)
+ */
+function renderTerms(roll) {
+  const parts = roll.terms.map((term, i) => {
+    const sign = term.sign < 0 ? '−' : i === 0 ? '' : '+';
+    if (!Array.isArray(term.dice)) {
+      return `${sign} ${escapeHtml(Math.abs(term.subtotal))}`;
+    }
+    const dice = term.dice
+      .map((d) => {
+        const value = `${escapeHtml(d.value)}${d.exploded ? '!' : ''}`;
+        return d.kept ? value : `<s class="die-dropped">${value}</s>`;
+      })
+      .join(', ');
+    return `${sign} ${escapeHtml(term.notation)} [${dice}]`;
+  });
+
+  // Modifiers applied outside the formula (ability, proficiency)
+  const termTotal = roll.terms.reduce((sum, t) => sum + t.subtotal, 0);
+  const extra = Number(roll.total) - termTotal;
+  if (extra) parts.push(`${extra > 0 ? '+' : '−'} ${escapeHtml(Math.abs(extra))}`);
+
+  return ` <span class="roll-terms">${parts.join(' ')}</span>`;
+}
+
+function renderSpell(spell) {
+  const slot = spell.slotLevel ? ` · slot ${escapeHtml(spell.slotLevel)}` : spell.level === 0 ? ' · cantrip' : '';
+  const targets = (spell.targets || []).map((t) => {
+    const parts = [];
+    if (t.hit !== undefined) parts.push(t.hit ? 'hit' : 'miss');
+    if (t.saved !== undefined) parts.push(t.saved ? 'saved' : 'failed save');
+    if (t.damage !== undefined) parts.push(`${escapeHtml(t.damage)} dmg`);
+    if (t.healed !== undefined) parts.push(`+${escapeHtml(t.healed)} HP`);
+    if (t.condition) parts.push(escapeHtml(t.condition));
+    return `<li>${escapeHtml(t.targetName)}: ${parts.join(', ')}</li>`;
+  }).join('');
+
+  return `
+    <div class="roll-spell">
+      ${escapeHtml(spell.name)}${slot}${spell.concentration ? ' · concentration' : ''}
+      ${targets ? `<ul class="roll-spell-targets">${targets}</ul>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * One entry for a group check, with a line per member
+ */
+function renderGroupCheckEntry(eventData) {
+  const entry = document.createElement('div');
+  const success = !!eventData?.success;
+  entry.className = `dice-roll-entry group-check ${success ? 'success' : 'failure'}`;
+
+  const results = Array.isArray(eventData?.results) ? eventData.results : [];
+  const ability = eventData?.skill
+    ? `${escapeHtml(eventData.skill)} (${escapeHtml(eventData?.ability || '')})`
+    : escapeHtml(eventData?.ability || '');
+  const members = results.map((r) => `
+    <li class="group-check-member ${r.success ? 'success' : 'failure'}">
+      <div class="roll-detail">
+        <span class="character-name">${escapeHtml(r.characterName || r.characterId)}</span>
+        <span>${escapeHtml(r.roll?.formula || '1d20')} = <strong>${escapeHtml(r.roll?.total ?? '')}</strong> ${r.success ? '✓' : '✗'}</span>
+      </div>
+      ${r.roll ? renderRollType(r.roll) : ''}
+    </li>
+  `).join('');
+  const reason = escapeHtml(eventData?.reason || '');
+  const visibility = eventData?.visibility === 'player'
+    ? '<span class="roll-visibility" title="Only you can see this check">🔒 only you</span>'
+    : '';
+
+  entry.innerHTML = `
+    <div class="roll-header">
+      <span class="character-name">Party</span>
+      <span class="check-type">group check</span>
+      ${visibility}
+    </div>
+    <div class="roll-detail">
+      <span class="ability">${ability}</span>
+      <span class="dc">DC ${escapeHtml(eventData?.dc ?? '')}</span>
+    </div>
+    <ul class="group-check-members">${members}</ul>
+    <div class="roll-detail">
+      <span>${escapeHtml(eventData?.successCount ?? 0)}/${escapeHtml(results.length)} succeeded (half needed)</span>
       <span class="result ${success ? 'success' : 'failure'}">${success ? '✓ Success' : '✗ Failure'}</span>
     </div>
     ${reason ? `<div class="roll-reason">${reason}</div>` : ''}
@@ -69,10 +280,53 @@ function renderActionRestriction(eventData) {
   `;
 }
 
+function renderCombatTurn(eventData) {
+  const { status } = getCombatTargets();
+  if (!status) return;
+
+  const current = eventData?.current;
+  const order = Array.isArray(eventData?.order) ? eventData.order : [];
+  const items = order
+    .map((p) => {
+      const active = current && p.id === current.id ? ' active' : '';
+      const side = p.isPlayer ? 'player' : 'enemy';
+      return `<li class="initiative-entry ${side}${active}">${escapeHtml(p.name)} <span class="initiative-value">${escapeHtml(p.initiative)}</span></li>`;
+    })
+    .join('');
+
+  status.innerHTML = `
+    <div class="combat-turn">
+      <div class="combat-turn-title">Round ${escapeHtml(eventData?.round ?? 1)}${current ? ` — ${escapeHtml(current.name)}'s turn` : ''}</div>
+      <ol class="initiative-order">${items}</ol>
+    </div>
+  `;
+}
+
+function renderStateTransition(eventData) {
+  const { status } = getCombatTargets();
+  if (!status || eventData?.to !== 'exploration') return;
+  status.innerHTML = '';
+}
+
 function generateDedupeKey(type, data) {
   return `${type}-${JSON.stringify(data)}`;
 }
 
+function renderGroupCheck(eventData) {
+  const key = generateDedupeKey('group-check', eventData);
+  const entry = renderGroupCheckEntry(eventData);
+
+  store.dispatch({
+    type: 'COMBAT_ADD_ENTRY',
+    payload: { key, entry: eventData },
+  });
+
+  const { fullLog } = getCombatTargets();
+  if (!fullLog) return;
+  fullLog.querySelector('.empty-state')?.remove();
+  fullLog.prepend(entry);
+}
+
 function renderDiceRoll(rollData) {
   console.log('[CombatEvents] renderDiceRoll called with:', rollData);
   const key = generateDedupeKey('dice-roll', rollData);
@@ -122,16 +376,31 @@ export function registerCombatHandlers(sseBus) {
     }
   });
 
+  const unsubGroupCheck = sseBus.onMessageType('group-check', (payload) => {
+    renderGroupCheck(payload);
+  });
+
   const unsubRestriction = sseBus.onMessageType('action-restriction', (payload) => {
     console.log('[CombatEvents] action-restriction event received:', payload);
     renderActionRestriction(payload);
   });
 
+  const unsubCombatTurn = sseBus.onMessageType('combat-turn', (payload) => {
+    renderCombatTurn(payload);
+  });
+
+  const unsubTransition = sseBus.onMessageType('state-transition', (payload) => {
+    renderStateTransition(payload);
+  });
+
   console.log('[CombatEvents] Combat handlers registered successfully');
 
   return () => {
     console.log('[CombatEvents] Unregistering combat handlers');
     unsubDice?.();
+    unsubGroupCheck?.();
     unsubRestriction?.();
+    unsubCombatTurn?.();
+    unsubTransition?.();
   };
 }
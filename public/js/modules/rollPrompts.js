@@ -0,0 +1,123 @@
+/**
+ * Roll Prompts Module
+ * Shows "Roll" prompts for checks the narrator hands to players, with a countdown.
+ */
+
+import { fetchJson } from './api.js';
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text ?? '');
+  return div.innerHTML;
+}
+
+function describeCheck(request) {
+  const base = request.kind === 'skill'
+    ? `${request.skill}${request.ability ? ` (${request.ability})` : ''} check`
+    : request.kind === 'save'
+      ? `${request.ability} saving throw`
+      : `${request.ability} check`;
+  const rollType = request.rollType && request.rollType !== 'normal' ? ` with ${request.rollType}` : '';
+  return `${base}${rollType}`;
+}
+
+export class RollPromptsManager {
+  constructor(roomId, onNotice) {
+    this.roomId = roomId;
+    this.onNotice = onNotice;
+    this.currentUserId = this.getCurrentUserId();
+    this.container = document.getElementById('roll-prompts');
+    this.timers = new Map();
+  }
+
+  getCurrentUserId() {
+    const metaTag = document.querySelector('meta[name="user-id"]');
+    return metaTag ? metaTag.getAttribute('content') : null;
+  }
+
+  /**
+   * Subscribe to prompt events and show prompts that were opened before the page loaded
+   */
+  register(sseBus) {
+    const unsubPrompt = sseBus.onMessageType('roll-prompt', (payload) => {
+      if (payload?.prompt) this.show(payload.prompt);
+    });
+    const unsubClosed = sseBus.onMessageType('roll-prompt-closed', (payload) => {
+      const mine = this.timers.get(payload?.promptId)?.userId === this.currentUserId;
+      this.remove(payload?.promptId);
+      if (payload?.timedOut && mine) {
+        this.onNotice?.('Time ran out — the DM rolled for you');
+      }
+    });
+
+    this.loadOpen();
+
+    return () => {
+      unsubPrompt?.();
+      unsubClosed?.();
+      for (const promptId of [...this.timers.keys()]) this.remove(promptId);
+    };
+  }
+
+  async loadOpen() {
+    const { ok, data } = await fetchJson(`/api/rooms/${this.roomId}/roll-prompts`);
+    if (ok && Array.isArray(data?.prompts)) {
+      data.prompts.forEach((prompt) => this.show(prompt));
+    }
+  }
+
+  show(prompt) {
+    const container = this.container;
+    if (!container || container.querySelector(`[data-prompt-id="${CSS.escape(prompt.id)}"]`)) return;
+
+    const mine = prompt.userId === this.currentUserId;
+    const dc = prompt.request?.dc !== undefined ? ` · DC ${escapeHtml(prompt.request.dc)}` : '';
+    const card = document.createElement('div');
+    card.className = `roll-prompt${mine ? ' mine' : ''}`;
+    card.dataset.promptId = prompt.id;
+    card.innerHTML = `
+      <div class="roll-prompt-title">${escapeHtml(prompt.characterName)}: ${escapeHtml(describeCheck(prompt.request || {}))}${dc}</div>
+      ${prompt.request?.reason ? `<div class="roll-prompt-reason">${escapeHtml(prompt.request.reason)}</div>` : ''}
+      <div class="roll-prompt-actions">
+        ${mine
+          ? '<button type="button" class="btn btn-primary roll-prompt-button">🎲 Roll</button>'
+          : `<span class="roll-prompt-waiting">Waiting for ${escapeHtml(prompt.username)}…</span>`}
+        <span class="roll-prompt-countdown"></span>
+      </div>
+    `;
+
+    const button = card.querySelector('.roll-prompt-button');
+    button?.addEventListener('click', () => this.answer(prompt, button));
+
+    container.appendChild(card);
+
+    const countdown = card.querySelector('.roll-prompt-countdown');
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((prompt.expiresAt - Date.now()) / 1000));
+      countdown.textContent = `${seconds}s`;
+    };
+    tick();
+    this.timers.set(prompt.id, { interval: setInterval(tick, 1000), userId: prompt.userId });
+  }
+
+  async answer(prompt, button) {
+    button.disabled = true;
+    const { ok, data } = await fetchJson(`/api/rooms/${this.roomId}/roll-prompts/${prompt.id}`, {
+      method: 'POST'
+    });
+
+    if (!ok) {
+      button.disabled = false;
+      this.onNotice?.(data?.error?.message || 'Roll failed');
+    }
+  }
+
+  remove(promptId) {
+    if (!promptId) return;
+    const timer = this.timers.get(promptId);
+    if (timer) clearInterval(timer.interval);
+    this.timers.delete(promptId);
+
+    this.container?.querySelector(`[data-prompt-id="${CSS.escape(promptId)}"]`)?.remove();
+  }
+}
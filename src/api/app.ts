@@ -18,6 +18,8 @@ import saveRoutes, { setRoomsMap as setRoomsMapForSaves } from './routes/saves.j
 import messageRoutes from './routes/messages.js';
 import adminRoutes from './routes/admin.js';
 import readyRoomRoutes from './routes/ready-room.js';
+import bestiaryRoutes from './routes/bestiary.js';
+import itemRoutes from './routes/items.js';
 
 import type { AuthModule } from './middleware/AuthModule.js';
 
@@ -161,6 +163,8 @@ export function createApp(config: Partial<AppConfig> = {}): Application {
   app.use('/api/messages', messageRoutes);
   app.use('/api/characters', characterRoutes);
   app.use('/api/ready-room', readyRoomRoutes);
+  app.use('/api/bestiary', bestiaryRoutes);
+  app.use('/api/items', itemRoutes);
 
   // 404 handler
   app.use((_req: Request, res: Response) => {
@@ -73,6 +73,7 @@ export function endStream(res: Response, finalChunk?: string): void {
  * Create an async generator from a stream response
  * This is the reverse - for client-side consumption
  */
+// eslint-disable-next-line require-yield -- server-side stub that only throws
 export async function* readStream(
   response: Response
 ): AsyncGenerator<string, void, unknown> {
@@ -153,7 +153,10 @@ router.get('/rooms/:id', asyncHandler(async (req: AuthenticatedRequest, res: Res
   // Get save slots
   const saveSlots = db.rooms.listSaveSlots(room.id);
 
-  res.render('admin/room-details', { room, members, turnCount, saveSlots });
+  // Get the latest entries of the roll ledger
+  const ledger = db.rollLedger.listByRoom(room.id, 200, 0);
+
+  res.render('admin/room-details', { room, members, turnCount, saveSlots, ledger });
 }));
 
 // ========== Character Management Routes ==========
@@ -0,0 +1,210 @@
+// API layer: Bestiary routes
+// CRUD operations for monster / NPC stat blocks
+
+import { Router, type Request, type Response } from 'express';
+import { z } from 'zod';
+import { asyncHandler, createError } from '@/api/middleware/errorHandler.js';
+import { requireAdmin } from '@/api/middleware/admin.js';
+import type { MonsterStatBlock } from '@/domain/game/bestiary.js';
+import { getChallengeRatingXp, getCreatureProficiencyBonus } from '@/domain/game/dnd5e/rules.js';
+import { DatabaseService } from '@/infrastructure/database/DatabaseService.js';
+import { isDiceExpression } from '@/utils/diceExpression.js';
+
+const router = Router();
+
+// Helper to get bestiary repository
+function getBestiaryRepo() {
+  return DatabaseService.getInstance().bestiary;
+}
+
+// ========== Schemas ==========
+
+const AbilityEnum = z.enum([
+  'strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma',
+] as const);
+
+const DamageTypeEnum = z.enum([
+  'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+  'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder',
+] as const);
+
+const SkillEnum = z.enum([
+  'acrobatics', 'animal-handling', 'arcana', 'athletics', 'deception', 'history',
+  'insight', 'intimidation', 'investigation', 'medicine', 'nature', 'perception',
+  'performance', 'persuasion', 'religion', 'sleight-of-hand', 'stealth', 'survival',
+] as const);
+
+const DiceFormulaSchema = z.string().refine(isDiceExpression, 'Expected a dice formula like 1d6+2 or 2d8+1d6');
+
+const AbilityScoresSchema = z.object({
+  strength: z.coerce.number().int().min(1).max(30).default(10),
+  dexterity: z.coerce.number().int().min(1).max(30).default(10),
+  constitution: z.coerce.number().int().min(1).max(30).default(10),
+  intelligence: z.coerce.number().int().min(1).max(30).default(10),
+  wisdom: z.coerce.number().int().min(1).max(30).default(10),
+  charisma: z.coerce.number().int().min(1).max(30).default(10),
+});
+
+const MonsterAttackSchema = z.object({
+  name: z.string().min(1).max(100),
+  attackBonus: z.coerce.number().int().min(-5).max(30),
+  damage: DiceFormulaSchema,
+  damageType: DamageTypeEnum,
+  ranged: z.boolean().optional(),
+  reach: z.coerce.number().int().min(0).optional(),
+  description: z.string().max(1000).optional(),
+});
+
+const CreateMonsterSchema = z.object({
+  name: z.string().min(1).max(100),
+  size: z.enum(['tiny', 'small', 'medium', 'large', 'huge', 'gargantuan'] as const).default('medium'),
+  creatureType: z.string().min(1).max(100).default('humanoid'),
+  alignment: z.string().max(50).default('unaligned'),
+  armorClass: z.coerce.number().int().min(1).max(30).default(10),
+  maxHp: z.coerce.number().int().min(1),
+  hitDice: DiceFormulaSchema.optional(),
+  speed: z.coerce.number().int().min(0).default(30),
+  abilityScores: AbilityScoresSchema.default({}),
+  proficiencyBonus: z.coerce.number().int().min(2).max(9).optional(),
+  savingThrowProficiencies: z.array(AbilityEnum).default([]),
+  skillProficiencies: z.array(SkillEnum).default([]),
+  attacks: z.array(MonsterAttackSchema).default([]),
+  resistances: z.array(DamageTypeEnum).default([]),
+  immunities: z.array(DamageTypeEnum).default([]),
+  vulnerabilities: z.array(DamageTypeEnum).default([]),
+  conditionImmunities: z.array(z.string().max(50)).default([]),
+  challengeRating: z.coerce.number().min(0).max(30).default(0),
+  xp: z.coerce.number().int().min(0).optional(),
+  senses: z.string().max(500).optional(),
+  languages: z.string().max(500).optional(),
+  traits: z.array(z.string().max(2000)).default([]),
+  description: z.string().max(5000).optional(),
+});
+
+const UpdateMonsterSchema = CreateMonsterSchema.partial();
+
+const ListQuerySchema = z.object({
+  name: z.string().optional(),
+  type: z.string().optional(),
+  minCr: z.coerce.number().optional(),
+  maxCr: z.coerce.number().optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+// ========== Routes ==========
+
+// List stat blocks
+router.get(
+  '/',
+  asyncHandler(async (req: Request, res: Response) => {
+    const query = ListQuerySchema.parse(req.query);
+    const result = getBestiaryRepo().list({
+      name: query.name,
+      creatureType: query.type,
+      minChallengeRating: query.minCr,
+      maxChallengeRating: query.maxCr,
+      limit: query.limit,
+      offset: query.offset,
+    });
+
+    res.json({
+      success: true,
+      count: result.total,
+      monsters: result.monsters,
+    });
+  })
+);
+
+// Get stat block by ID
+router.get(
+  '/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    const monster = getBestiaryRepo().findById(req.params.id);
+    if (!monster) {
+      throw createError('Monster not found', 404, 'MONSTER_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      monster,
+    });
+  })
+);
+
+// Create stat block (admin only)
+router.post(
+  '/',
+  requireAdmin,
+  asyncHandler(async (req: Request, res: Response) => {
+    const data = CreateMonsterSchema.parse(req.body);
+    const repo = getBestiaryRepo();
+
+    if (repo.findByName(data.name)) {
+      throw createError('A monster with this name already exists', 409, 'MONSTER_EXISTS');
+    }
+
+    // Derive CR-dependent values when not given explicitly
+    const monster = {
+      ...data,
+      proficiencyBonus: data.proficiencyBonus ?? getCreatureProficiencyBonus(data.challengeRating),
+      xp: data.xp ?? getChallengeRatingXp(data.challengeRating),
+    } as MonsterStatBlock;
+
+    const id = await repo.create(monster);
+
+    res.status(201).json({
+      success: true,
+      monster: repo.findById(id),
+    });
+  })
+);
+
+// Update stat block (admin only)
+router.patch(
+  '/:id',
+  requireAdmin,
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    const updates = UpdateMonsterSchema.parse(req.body);
+    const repo = getBestiaryRepo();
+
+    if (!repo.findById(id)) {
+      throw createError('Monster not found', 404, 'MONSTER_NOT_FOUND');
+    }
+
+    if (updates.name !== undefined) {
+      const sameName = repo.findByName(updates.name);
+      if (sameName && sameName.id !== id) {
+        throw createError('A monster with this name already exists', 409, 'MONSTER_EXISTS');
+      }
+    }
+
+    const success = await repo.update(id, updates as Partial<MonsterStatBlock>);
+
+    res.json({
+      success,
+      monster: repo.findById(id),
+    });
+  })
+);
+
+// Delete stat block (admin only)
+router.delete(
+  '/:id',
+  requireAdmin,
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    const repo = getBestiaryRepo();
+
+    if (!repo.findById(id)) {
+      throw createError('Monster not found', 404, 'MONSTER_NOT_FOUND');
+    }
+
+    await repo.delete(id);
+
+    res.status(204).send();
+  })
+);
+
+export default router;
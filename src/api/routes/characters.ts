@@ -6,7 +6,29 @@ import { z } from 'zod';
 import { asyncHandler, createError } from '@/api/middleware/errorHandler.js';
 import { Character } from '@/infrastructure/character/Character.js';
 import type { CharacterData } from '@/domain/character/types.js';
+import type { IRoom } from '@/domain/index.js';
 import { DatabaseService } from '@/infrastructure/database/DatabaseService.js';
+import {
+  addItem,
+  deriveArmorClass,
+  equipItem,
+  getCarriedWeight,
+  getCarryingCapacity,
+  removeItem,
+  unequipItem,
+  type InventoryChanges,
+} from '@/domain/game/dnd5e/inventory.js';
+import {
+  applyLevelUp,
+  canLevelUp,
+  getClassFeaturesUpTo,
+  getExperienceForLevel,
+  getNextLevelExperience,
+  getSpellSlots,
+  planLevelUp,
+} from '@/domain/game/dnd5e/progression.js';
+import { rollDie } from '@/utils/dice.js';
+import { getRoomsMapInstance } from '@/api/routes/rooms/store.js';
 
 const router = Router();
 
@@ -15,6 +37,14 @@ function getCharacterRepo() {
   return DatabaseService.getInstance().characters;
 }
 
+// The live room the character is playing in, if any
+function findLiveRoom(characterId: string): IRoom | undefined {
+  for (const room of getRoomsMapInstance()?.values() ?? []) {
+    if (room.getGameState().characterStates.has(characterId)) return room;
+  }
+  return undefined;
+}
+
 // ========== Schemas ==========
 
 // Default ability scores
@@ -36,6 +66,12 @@ const AbilityScoresSchema = z.object({
   charisma: z.coerce.number().int().min(1).max(30).default(10),
 }) as unknown as z.ZodType<NonNullable<CharacterData['abilityScores']>>;
 
+const SkillSchema = z.enum([
+  'acrobatics', 'animal-handling', 'arcana', 'athletics', 'deception', 'history',
+  'insight', 'intimidation', 'investigation', 'medicine', 'nature', 'perception',
+  'performance', 'persuasion', 'religion', 'sleight-of-hand', 'stealth', 'survival',
+] as const);
+
 const CreateCharacterSchema = z.object({
   name: z.string().min(1).max(100),
   race: z.string().min(1).max(50).default('human'),
@@ -48,6 +84,8 @@ const CreateCharacterSchema = z.object({
   background: z.string().max(100).default(''),
   alignment: z.string().max(50).default('neutral'),
   abilityScores: AbilityScoresSchema.default(DEFAULT_ABILITY_SCORES).optional(),
+  skillProficiencies: z.array(SkillSchema).default([]),
+  skillExpertise: z.array(SkillSchema).default([]),
   maxHp: z.coerce.number().int().min(1).optional(),
   appearance: z.string().max(2000).default(''),
   personalityTraits: z.string().max(1000).default(''),
@@ -56,6 +94,66 @@ const CreateCharacterSchema = z.object({
 
 const UpdateCharacterSchema = CreateCharacterSchema.partial();
 
+const AddItemSchema = z.object({
+  name: z.string().min(1).max(100),
+  quantity: z.coerce.number().int().min(1).max(9999).default(1),
+  weight: z.coerce.number().min(0).max(1000).optional(), // custom items only
+});
+
+const RemoveItemQuerySchema = z.object({
+  quantity: z.coerce.number().int().min(1).max(9999).optional(),
+});
+
+const EquipSchema = z.object({
+  name: z.string().min(1).max(100),
+});
+
+const AbilityIncreaseSchema = z.coerce.number().int().min(0).max(2).optional();
+
+const LevelUpSchema = z.object({
+  hitPoints: z.enum(['average', 'roll']).default('average'),
+  abilityIncreases: z.object({
+    strength: AbilityIncreaseSchema,
+    dexterity: AbilityIncreaseSchema,
+    constitution: AbilityIncreaseSchema,
+    intelligence: AbilityIncreaseSchema,
+    wisdom: AbilityIncreaseSchema,
+    charisma: AbilityIncreaseSchema,
+  }).optional(),
+});
+
+/**
+ * Run an inventory operation, mapping rule violations to 400
+ */
+function applyInventoryChange<T>(operation: () => T): T {
+  try {
+    return operation();
+  } catch (error) {
+    throw createError(error instanceof Error ? error.message : 'Inventory change failed', 400, 'INVALID_INVENTORY');
+  }
+}
+
+function progressionSummary(character: CharacterData) {
+  return {
+    level: character.level,
+    experience: character.experience,
+    nextLevelExperience: getNextLevelExperience(character.level),
+    canLevelUp: canLevelUp(character),
+    features: character.features ?? [],
+  };
+}
+
+function inventorySummary(character: CharacterData) {
+  return {
+    inventory: character.inventory,
+    equippedWeapon: character.equippedWeapon,
+    equippedArmor: character.equippedArmor,
+    armorClass: character.armorClass,
+    carriedWeight: getCarriedWeight(character.inventory),
+    carryingCapacity: getCarryingCapacity(character.abilityScores.strength),
+  };
+}
+
 // ========== Routes ==========
 
 // List current user's characters
@@ -130,6 +228,8 @@ router.post(
     const constitutionMod = Math.floor((abilityScores.constitution - 10) / 2);
     const maxHp = data.maxHp ?? (8 + constitutionMod);
 
+    const spellSlots = getSpellSlots(data.characterClass, data.level);
+
     // Build CharacterData with defaults
     const characterData: CharacterData = {
       userId,
@@ -137,20 +237,30 @@ router.post(
       race: data.race,
       characterClass: data.characterClass,
       level: data.level,
+      experience: getExperienceForLevel(data.level),
+      features: getClassFeaturesUpTo(data.characterClass, data.level),
       background: data.background,
       alignment: data.alignment,
       abilityScores,
       maxHp,
       currentHp: maxHp,
       tempHp: 0,
-      armorClass: 10 + Math.floor((abilityScores.dexterity - 10) / 2),
+      armorClass: deriveArmorClass({
+        inventory: [],
+        equippedWeapon: '',
+        equippedArmor: '',
+        abilityScores,
+        characterClass: data.characterClass,
+      }),
       initiative: 0,
       speed: 30,
       deathSaveSuccesses: 0,
       deathSaveFailures: 0,
       isDead: false,
       isStable: false,
-      skillProficiencies: [],
+      skillProficiencies: data.skillProficiencies,
+      // Expertise only applies to proficient skills
+      skillExpertise: data.skillExpertise.filter((s) => data.skillProficiencies.includes(s)),
       savingThrowProficiencies: [],
       toolProficiencies: [],
       languageProficiencies: [],
@@ -158,8 +268,8 @@ router.post(
       inventory: [],
       equippedWeapon: '',
       equippedArmor: '',
-      spellSlots: {},
-      currentSpellSlots: {},
+      spellSlots,
+      currentSpellSlots: { ...spellSlots },
       knownSpells: [],
       preparedSpells: [],
       statusEffects: [],
@@ -205,10 +315,18 @@ router.patch(
     if (updates.background !== undefined) partialUpdate.background = updates.background;
     if (updates.alignment !== undefined) partialUpdate.alignment = updates.alignment;
     if (updates.abilityScores !== undefined) partialUpdate.abilityScores = updates.abilityScores;
+    if (updates.skillProficiencies !== undefined) partialUpdate.skillProficiencies = updates.skillProficiencies;
     if (updates.appearance !== undefined) partialUpdate.appearance = updates.appearance;
     if (updates.personalityTraits !== undefined) partialUpdate.personalityTraits = updates.personalityTraits;
     if (updates.backstory !== undefined) partialUpdate.backstory = updates.backstory;
 
+    // Expertise only applies to proficient skills, as on create
+    if (updates.skillProficiencies !== undefined || updates.skillExpertise !== undefined) {
+      const proficiencies = updates.skillProficiencies ?? existing.skillProficiencies;
+      const expertise = updates.skillExpertise ?? existing.skillExpertise ?? [];
+      partialUpdate.skillExpertise = expertise.filter((s) => proficiencies.includes(s));
+    }
+
     const success = await repo.update(id, partialUpdate);
 
     res.json({
@@ -239,6 +357,163 @@ router.delete(
   })
 );
 
+// Get inventory, equipment and carried weight
+router.get(
+  '/:id/inventory',
+  asyncHandler(async (req: Request, res: Response) => {
+    const character = getCharacterRepo().findById(req.params.id);
+    if (!character) {
+      throw createError('Character not found', 404, 'CHARACTER_NOT_FOUND');
+    }
+
+    res.json({ success: true, ...inventorySummary(character) });
+  })
+);
+
+// Add items to the inventory
+router.post(
+  '/:id/inventory',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    const { name, quantity, weight } = AddItemSchema.parse(req.body);
+
+    const repo = getCharacterRepo();
+    const character = repo.findById(id);
+    if (!character) {
+      throw createError('Character not found', 404, 'CHARACTER_NOT_FOUND');
+    }
+
+    const inventory = applyInventoryChange(() => addItem(character.inventory, name, quantity, weight));
+    await repo.update(id, { inventory });
+
+    res.json({ success: true, ...inventorySummary(repo.findById(id)!) });
+  })
+);
+
+// Remove items (the whole stack unless ?quantity= is given)
+router.delete(
+  '/:id/inventory/:item',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id, item } = req.params;
+    const { quantity } = RemoveItemQuerySchema.parse(req.query);
+
+    const repo = getCharacterRepo();
+    const character = repo.findById(id);
+    if (!character) {
+      throw createError('Character not found', 404, 'CHARACTER_NOT_FOUND');
+    }
+
+    const changes: InventoryChanges = applyInventoryChange(() => removeItem(character, item, quantity));
+    await repo.update(id, changes);
+
+    res.json({ success: true, ...inventorySummary(repo.findById(id)!) });
+  })
+);
+
+// Equip a weapon, armor or shield; AC is recomputed
+router.post(
+  '/:id/equip',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    const { name } = EquipSchema.parse(req.body);
+
+    const repo = getCharacterRepo();
+    const character = repo.findById(id);
+    if (!character) {
+      throw createError('Character not found', 404, 'CHARACTER_NOT_FOUND');
+    }
+
+    const changes = applyInventoryChange(() => equipItem(character, name));
+    await repo.update(id, changes);
+
+    res.json({ success: true, ...inventorySummary(repo.findById(id)!) });
+  })
+);
+
+// Unequip an item; AC is recomputed
+router.post(
+  '/:id/unequip',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    const { name } = EquipSchema.parse(req.body);
+
+    const repo = getCharacterRepo();
+    const character = repo.findById(id);
+    if (!character) {
+      throw createError('Character not found', 404, 'CHARACTER_NOT_FOUND');
+    }
+
+    const changes = applyInventoryChange(() => unequipItem(character, name));
+    await repo.update(id, changes);
+
+    res.json({ success: true, ...inventorySummary(repo.findById(id)!) });
+  })
+);
+
+// Experience and what the next level brings, once the character qualifies
+router.get(
+  '/:id/level-up',
+  asyncHandler(async (req: Request, res: Response) => {
+    const character = getCharacterRepo().findById(req.params.id);
+    if (!character) {
+      throw createError('Character not found', 404, 'CHARACTER_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      ...progressionSummary(character),
+      plan: canLevelUp(character) ? planLevelUp(character) : null,
+    });
+  })
+);
+
+// Gain one level: hit points (rolled or average), features, spell slots and ASI
+router.post(
+  '/:id/level-up',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    const { hitPoints, abilityIncreases } = LevelUpSchema.parse(req.body);
+
+    const repo = getCharacterRepo();
+    const character = repo.findById(id);
+    if (!character) {
+      throw createError('Character not found', 404, 'CHARACTER_NOT_FOUND');
+    }
+
+    // In a room, the hit point roll uses the room's seeded dice and goes into its roll ledger
+    const room = findLiveRoom(id);
+    let hitPointRoll: number | undefined;
+    let result;
+    try {
+      // Check the choices before rolling, so a rejected request never spends a roll
+      result = applyLevelUp(character, { hitPoints: 'average', abilityIncreases });
+      if (hitPoints === 'roll') {
+        const { hitDie } = result.plan;
+        hitPointRoll = room ? room.rollLevelUpHitPoints(id, hitDie) : rollDie(hitDie);
+        result = applyLevelUp(character, { hitPoints, hitPointRoll, abilityIncreases });
+      }
+    } catch (error) {
+      throw createError(error instanceof Error ? error.message : 'Level up failed', 400, 'LEVEL_UP_FAILED');
+    }
+    await repo.update(id, result.changes);
+    room?.applyLevelUp(id, result.hitPointsGained);
+
+    console.log(`[Character Level Up] ID: ${id}, Name: ${character.name}, Level: ${result.plan.newLevel}, HP +${result.hitPointsGained}`);
+
+    const updated = repo.findById(id)!;
+    res.json({
+      success: true,
+      ...progressionSummary(updated),
+      hitPointRoll,
+      hitPointsGained: result.hitPointsGained,
+      newFeatures: result.plan.features,
+      maxHp: updated.maxHp,
+      abilityScores: updated.abilityScores,
+      spellSlots: updated.spellSlots,
+    });
+  })
+);
+
 // Get character prompt profile (for debugging/LLM)
 router.get(
   '/:id/prompt',
@@ -0,0 +1,57 @@
+// API layer: Item catalog routes
+// Read-only access to the built-in equipment catalog
+
+import { Router, type Request, type Response } from 'express';
+import { z } from 'zod';
+import { asyncHandler, createError } from '@/api/middleware/errorHandler.js';
+import { ITEMS, findItem } from '@/domain/game/dnd5e/items.js';
+
+const router = Router();
+
+// ========== Schemas ==========
+
+const ListQuerySchema = z.object({
+  kind: z.enum(['weapon', 'armor', 'shield', 'consumable', 'gear'] as const).optional(),
+  name: z.string().optional(),
+});
+
+// ========== Routes ==========
+
+// List catalog items
+router.get(
+  '/',
+  asyncHandler(async (req: Request, res: Response) => {
+    const query = ListQuerySchema.parse(req.query);
+    const name = query.name?.trim().toLowerCase();
+
+    const items = ITEMS.filter(
+      (item) =>
+        (!query.kind || item.kind === query.kind) &&
+        (!name || item.name.toLowerCase().includes(name) || item.aliases?.some((alias) => alias.includes(name)))
+    );
+
+    res.json({
+      success: true,
+      count: items.length,
+      items,
+    });
+  })
+);
+
+// Get item by id, name or alias
+router.get(
+  '/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    const item = findItem(req.params.id);
+    if (!item) {
+      throw createError('Item not found', 404, 'ITEM_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      item,
+    });
+  })
+);
+
+export default router;
@@ -5,7 +5,8 @@ import { z } from 'zod';
 import { asyncHandler, createError } from '@/api/middleware/errorHandler.js';
 import { setupStreaming, writeChunk, endStream } from '@/api/middleware/streaming.js';
 import { DatabaseService } from '@/infrastructure/database/DatabaseService.js';
-import { broadcastToRoom } from '../streaming.js';
+import type { SessionEvent } from '@/domain/game/session.js';
+import { broadcastGameEvent, broadcastToRoom } from '../streaming.js';
 import { getRoomsMapRef } from './store.js';
 
 const router = Router();
@@ -88,20 +89,7 @@ router.post(
 
         setImmediate(async () => {
           try {
-            const gameEventHandler = (event: any) => {
-              if (event.type === 'dice_roll') {
-                broadcastToRoom(roomId, 'message', {
-                  type: 'dice-roll',
-                  data: event.data,
-                });
-              } else if (event.type === 'action_restriction') {
-                broadcastToRoom(roomId, 'message', {
-                  type: 'action-restriction',
-                  allowedCharacterIds: event.allowedCharacterIds,
-                  reason: event.reason,
-                });
-              }
-            };
+            const gameEventHandler = (event: SessionEvent) => broadcastGameEvent(roomId, event);
 
             room.getEventEmitter().on('game-event', gameEventHandler);
 
@@ -6,6 +6,8 @@ import { v4 as uuidv4 } from 'uuid';
 import { asyncHandler, createError } from '@/api/middleware/errorHandler.js';
 import { Room } from '@/application/room/Room.js';
 import { RoomFactory } from '@/infrastructure/room/RoomFactory.js';
+import { DatabaseService } from '@/infrastructure/database/DatabaseService.js';
+import { parseLLMChain } from '@/utils/config.js';
 import { getRoomsMapInstance } from './store.js';
 
 const router = Router();
@@ -13,6 +15,14 @@ const router = Router();
 const CreateRoomSchema = z.object({
   requestId: z.string().optional(),
   moduleName: z.string().optional(),
+  diceSeed: z.coerce.number().int().min(0).max(0xffffffff).optional(), // deterministic dice for tests/replays
+  playerRolls: z.boolean().optional(), // players roll their own checks when prompted
+  rollPromptSeconds: z.coerce.number().int().min(10).max(600).optional(),
+  // Provider chain per agent role ("name" or "name:model", comma-separated fallbacks)
+  llm: z.object({
+    narrator: z.string().max(200).optional(),
+    world: z.string().max(200).optional(),
+  }).optional(),
 });
 
 // Health check
@@ -24,7 +34,7 @@ router.get('/health', (_req: Request, res: Response) => {
 router.post(
   '/create',
   asyncHandler(async (req: Request, res: Response) => {
-    const { requestId, moduleName } = CreateRoomSchema.parse(req.body);
+    const { requestId, moduleName, diceSeed, playerRolls, rollPromptSeconds, llm } = CreateRoomSchema.parse(req.body);
 
     const roomId = requestId || uuidv4();
     const rooms = getRoomsMapInstance();
@@ -33,13 +43,28 @@ router.post(
       throw createError('Room already exists', 409, 'ROOM_EXISTS');
     }
 
-    const deps = RoomFactory.createDependencies();
+    const llmRegistry = RoomFactory.getLLMRegistry();
+    const unknownProviders = Object.values(llm ?? {})
+      .flatMap((chain) => llmRegistry.findUnknownProviders(parseLLMChain(chain)));
+    if (unknownProviders.length > 0) {
+      throw createError(
+        `Unknown LLM provider: ${unknownProviders.join(', ')} (available: ${llmRegistry.getProviderNames().join(', ')})`,
+        400,
+        'INVALID_LLM_PROVIDER'
+      );
+    }
+
+    const deps = RoomFactory.createDependencies(roomId, { diceSeed, llm });
+    const roomDefaults = RoomFactory.getRoomDefaults();
     const room = new Room(
       roomId,
       {
         maxPlayers: 4,
         maxHistoryTurns: 10,
         moduleName,
+        playerRolls: playerRolls ?? roomDefaults.playerRolls,
+        rollPromptSeconds: rollPromptSeconds ?? roomDefaults.rollPromptSeconds,
+        llm,
       },
       deps
     );
@@ -47,6 +72,9 @@ router.post(
     await room.initialize();
     rooms.set(roomId, room);
 
+    // Keep the room settings so the room comes back the same after a restart
+    await DatabaseService.getInstance().rooms.saveRoom(room);
+
     res.status(201).json({
       success: true,
       roomId,
@@ -5,6 +5,8 @@ import { Router } from 'express';
 import { createRoutes } from './create.js';
 import { actionRoutes } from './actions.js';
 import { notesRoutes } from './notes.js';
+import { rollsRoutes } from './rolls.js';
+import { treasuryRoutes } from './treasury.js';
 import { stateRoutes } from './state.js';
 import { debugRoutes } from './debug.js';
 import { setRoomsMap } from './store.js';
@@ -14,6 +16,8 @@ const router = Router();
 router.use('/', createRoutes);
 router.use('/', actionRoutes);
 router.use('/', notesRoutes);
+router.use('/', rollsRoutes);
+router.use('/', treasuryRoutes);
 router.use('/', stateRoutes);
 router.use('/', debugRoutes);
 
@@ -0,0 +1,177 @@
+// API layer: Room player roll routes
+
+import { Router, type Request, type Response } from 'express';
+import { z } from 'zod';
+import type { PlayerRollRequest } from '@/domain/room/types.js';
+import { asyncHandler, createError } from '@/api/middleware/errorHandler.js';
+import { isAdmin } from '@/api/middleware/auth.js';
+import { normalizeSkill } from '@/domain/game/dnd5e/abilities.js';
+import { redactRoll } from '@/domain/game/rollLedger.js';
+import { parseRollCommand } from '@/application/room/rollCommand.js';
+import { isDiceExpression } from '@/utils/diceExpression.js';
+import { broadcastToRoom } from '../streaming.js';
+import { getRoomsMapRef } from './store.js';
+import { DatabaseService } from '@/infrastructure/database/DatabaseService.js';
+
+const router = Router();
+
+const AbilityEnum = z.enum([
+  'strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma',
+] as const);
+
+const RollCommandSchema = z.object({
+  command: z.string().min(1).max(200),
+});
+
+const RollRequestSchema = z.object({
+  kind: z.enum(['ability', 'skill', 'save', 'attack', 'initiative', 'formula'] as const),
+  ability: AbilityEnum.optional(),
+  skill: z.string().max(50).optional(),
+  formula: z.string().max(100).refine(isDiceExpression, 'Expected a dice formula like 1d20+3 or 4d6kh3').optional(),
+  weaponName: z.string().max(100).optional(),
+  finesse: z.boolean().optional(),
+  ranged: z.boolean().optional(),
+  rollType: z.enum(['normal', 'advantage', 'disadvantage'] as const).optional(),
+  dc: z.coerce.number().int().min(1).max(40).optional(),
+  reason: z.string().max(200).optional(),
+});
+
+/**
+ * Build a roll request from either a raw "/roll ..." command or structured fields
+ */
+function toRollRequest(body: Record<string, unknown>): PlayerRollRequest {
+  if (body?.command !== undefined) {
+    const parsed = RollCommandSchema.safeParse(body);
+    if (!parsed.success) {
+      throw createError('Invalid roll command', 400, 'INVALID_ROLL', parsed.error.issues);
+    }
+    try {
+      return parseRollCommand(parsed.data.command);
+    } catch (error) {
+      throw createError(error instanceof Error ? error.message : 'Invalid roll command', 400, 'INVALID_ROLL');
+    }
+  }
+
+  const parsed = RollRequestSchema.safeParse(body);
+  if (!parsed.success) {
+    throw createError('Invalid roll request', 400, 'INVALID_ROLL', parsed.error.issues);
+  }
+
+  const { skill, ...data } = parsed.data;
+  const request = data as PlayerRollRequest;
+  if (data.kind === 'skill') {
+    const normalized = skill ? normalizeSkill(skill) : null;
+    if (!normalized) {
+      throw createError(`Unknown skill: ${skill ?? '(none)'}`, 400, 'INVALID_ROLL');
+    }
+    request.skill = normalized;
+  }
+  if ((data.kind === 'ability' || data.kind === 'save') && !data.ability) {
+    throw createError('An ability is required for checks and saves', 400, 'INVALID_ROLL');
+  }
+  return request;
+}
+
+// Roll for the current player's character
+router.post(
+  '/:roomId/roll',
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.user) {
+      throw createError('Authentication required', 401, 'AUTH_REQUIRED');
+    }
+
+    const { roomId } = req.params;
+    const rooms = getRoomsMapRef()();
+    const room = rooms.get(roomId);
+    if (!room) {
+      throw createError('Room not found', 404, 'ROOM_NOT_FOUND');
+    }
+
+    const request = toRollRequest(req.body);
+
+    let roll;
+    try {
+      roll = await room.rollForPlayer(req.user.id, request);
+    } catch (error) {
+      throw createError(error instanceof Error ? error.message : 'Roll failed', 400, 'ROLL_FAILED');
+    }
+
+    broadcastToRoom(roomId, 'message', {
+      type: 'dice-roll',
+      data: roll.result,
+    });
+
+    res.json({ success: true, roll });
+  })
+);
+
+// Checks the narrator is waiting on (player-rolls rooms)
+router.get(
+  '/:roomId/roll-prompts',
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.user) {
+      throw createError('Authentication required', 401, 'AUTH_REQUIRED');
+    }
+
+    const room = getRoomsMapRef()().get(req.params.roomId);
+    if (!room) {
+      throw createError('Room not found', 404, 'ROOM_NOT_FOUND');
+    }
+
+    res.json({ success: true, prompts: room.getRollPrompts() });
+  })
+);
+
+// Answer a roll prompt; the narration resumes with the result
+router.post(
+  '/:roomId/roll-prompts/:promptId',
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.user) {
+      throw createError('Authentication required', 401, 'AUTH_REQUIRED');
+    }
+
+    const { roomId, promptId } = req.params;
+    const room = getRoomsMapRef()().get(roomId);
+    if (!room) {
+      throw createError('Room not found', 404, 'ROOM_NOT_FOUND');
+    }
+
+    let roll;
+    try {
+      roll = await room.answerRollPrompt(req.user.id, promptId);
+    } catch (error) {
+      throw createError(error instanceof Error ? error.message : 'Roll failed', 400, 'ROLL_FAILED');
+    }
+
+    res.json({ success: true, roll });
+  })
+);
+
+const LedgerQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+// Room roll ledger, newest first. Secret rolls are listed for the room owner and admins only.
+router.get(
+  '/:roomId/ledger',
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.user) {
+      throw createError('Authentication required', 401, 'AUTH_REQUIRED');
+    }
+
+    const { roomId } = req.params;
+    const { limit, offset } = LedgerQuerySchema.parse(req.query);
+    const dbService = DatabaseService.getInstance();
+    const membership = await dbService.roomMemberships.getMembership(roomId, req.user.id);
+    const viewer = {
+      seesAll: dbService.rooms.getOwnerId(roomId) === req.user.id || isAdmin(req.user),
+      characterIds: membership?.characterId ? [membership.characterId] : [],
+    };
+    const { entries, total } = dbService.rollLedger.listByRoom(roomId, limit, offset, viewer);
+
+    res.json({ success: true, total, entries: entries.map((entry) => redactRoll(entry, viewer)) });
+  })
+);
+
+export const rollsRoutes = router;
@@ -0,0 +1,129 @@
+// API layer: Room treasury routes
+// Party treasury, loot ledger and player-initiated transfers and splits
+
+import { Router, type Request, type Response } from 'express';
+import { z } from 'zod';
+import type { LootTransferRequest } from '@/domain/game/loot.js';
+import { asyncHandler, createError } from '@/api/middleware/errorHandler.js';
+import { isAdmin } from '@/api/middleware/auth.js';
+import { DatabaseService } from '@/infrastructure/database/DatabaseService.js';
+import { broadcastToRoom } from '../streaming.js';
+import { getRoomsMapRef } from './store.js';
+
+const router = Router();
+
+const TransferSchema = z.object({
+  from: z.string().min(1).max(100),
+  to: z.string().min(1).max(100),
+  gold: z.coerce.number().min(0).max(1_000_000).optional(),
+  item: z.string().min(1).max(100).optional(),
+  quantity: z.coerce.number().int().min(1).max(9999).optional(),
+  reason: z.string().max(200).optional(),
+});
+
+const SplitSchema = z.object({
+  from: z.string().min(1).max(100).optional(),
+  characterIds: z.array(z.string().min(1).max(100)).max(20).optional(),
+  gold: z.coerce.number().min(0.01).max(1_000_000).optional(),
+});
+
+const LedgerQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+});
+
+function getRoom(roomId: string) {
+  const room = getRoomsMapRef()().get(roomId);
+  if (!room) {
+    throw createError('Room not found', 404, 'ROOM_NOT_FOUND');
+  }
+  return room;
+}
+
+// Party treasury and recent loot movements, for room members, the owner and admins
+router.get(
+  '/:roomId/treasury',
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.user) {
+      throw createError('Authentication required', 401, 'AUTH_REQUIRED');
+    }
+
+    const { roomId } = req.params;
+    const room = getRoom(roomId);
+    const dbService = DatabaseService.getInstance();
+    const canView =
+      dbService.rooms.getOwnerId(roomId) === req.user.id ||
+      isAdmin(req.user) ||
+      (await dbService.roomMemberships.isUserInRoom(roomId, req.user.id));
+    if (!canView) {
+      throw createError('Not a member of this room', 403, 'NOT_IN_ROOM');
+    }
+
+    const { limit } = LedgerQuerySchema.parse(req.query);
+
+    res.json({
+      success: true,
+      treasury: room.getTreasury(),
+      ledger: room.getLootLedger(limit),
+    });
+  })
+);
+
+// Give gold or items to another character or the party treasury
+router.post(
+  '/:roomId/treasury/transfer',
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.user) {
+      throw createError('Authentication required', 401, 'AUTH_REQUIRED');
+    }
+
+    const { roomId } = req.params;
+    const room = getRoom(roomId);
+
+    const parsed = TransferSchema.safeParse(req.body);
+    if (!parsed.success) {
+      throw createError('Invalid transfer', 400, 'INVALID_TRANSFER', parsed.error.issues);
+    }
+
+    let entries;
+    try {
+      entries = await room.transferLoot(req.user.id, parsed.data as LootTransferRequest);
+    } catch (error) {
+      throw createError(error instanceof Error ? error.message : 'Transfer failed', 400, 'TRANSFER_FAILED');
+    }
+
+    broadcastToRoom(roomId, 'message', { type: 'loot-update', entries });
+
+    res.json({ success: true, entries, treasury: room.getTreasury() });
+  })
+);
+
+// Split gold evenly between the room's characters
+router.post(
+  '/:roomId/treasury/split',
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.user) {
+      throw createError('Authentication required', 401, 'AUTH_REQUIRED');
+    }
+
+    const { roomId } = req.params;
+    const room = getRoom(roomId);
+
+    const parsed = SplitSchema.safeParse(req.body ?? {});
+    if (!parsed.success) {
+      throw createError('Invalid split', 400, 'INVALID_SPLIT', parsed.error.issues);
+    }
+
+    let entries;
+    try {
+      entries = await room.splitGold(req.user.id, parsed.data);
+    } catch (error) {
+      throw createError(error instanceof Error ? error.message : 'Split failed', 400, 'SPLIT_FAILED');
+    }
+
+    broadcastToRoom(roomId, 'message', { type: 'loot-update', entries });
+
+    res.json({ success: true, entries, treasury: room.getTreasury() });
+  })
+);
+
+export const treasuryRoutes = router;
@@ -6,11 +6,18 @@ import { z } from 'zod';
 import { v4 as uuidv4 } from 'uuid';
 import { asyncHandler, createError } from '@/api/middleware/errorHandler.js';
 import type { IRoom } from '@/domain/index.js';
+import type { DiceRollEvent, GroupCheckEvent, RollVisibility, SessionEvent } from '@/domain/game/session.js';
+import { formatClock } from '@/domain/game/calendar.js';
 
 const router = Router();
 
-// Store active SSE connections
-const sseClients = new Map<string, Response[]>();
+// Store active SSE connections, with the user each one belongs to
+interface SseClient {
+  res: Response;
+  userId?: string;
+}
+
+const sseClients = new Map<string, SseClient[]>();
 
 // In-memory room store (shared with other routes)
 // Will be set via setRoomsMapFunction to enable dynamic lookup
@@ -51,7 +58,8 @@ router.get(
     if (!sseClients.has(roomId)) {
       sseClients.set(roomId, []);
     }
-    sseClients.get(roomId)!.push(res);
+    const client: SseClient = { res, userId: req.user?.id };
+    sseClients.get(roomId)!.push(client);
 
     // Send keepalive every 30 seconds
     const keepalive = setInterval(() => {
@@ -63,7 +71,7 @@ router.get(
       clearInterval(keepalive);
       const clients = sseClients.get(roomId);
       if (clients) {
-        const idx = clients.indexOf(res);
+        const idx = clients.indexOf(client);
         if (idx > -1) {
           clients.splice(idx, 1);
         }
@@ -88,12 +96,13 @@ router.get('/rooms/:roomId/ws', (req: Request, res: Response) => {
 // ========== Helper Functions ==========
 
 /**
- * Send a message to all SSE clients in a room
+ * Send a message to all SSE clients in a room, or only to the given users
  */
 export function broadcastToRoom(
   roomId: string,
   event: string,
-  data: Record<string, unknown>
+  data: Record<string, unknown>,
+  userIds?: string[]
 ): void {
   const clients = sseClients.get(roomId);
   if (!clients || clients.length === 0) {
@@ -101,14 +110,18 @@ export function broadcastToRoom(
     return;
   }
 
-  console.log(`[SSE] Broadcasting to ${clients.length} clients in room ${roomId}, event: ${event}`, data);
+  const recipients = userIds
+    ? clients.filter((client) => client.userId !== undefined && userIds.includes(client.userId))
+    : [...clients];
+
+  console.log(`[SSE] Broadcasting to ${recipients.length} clients in room ${roomId}, event: ${event}`, data);
 
   const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
-  console.log(`[SSE] Broadcasting ${event} to room ${roomId} (${clients.length} clients)`);
+  console.log(`[SSE] Broadcasting ${event} to room ${roomId} (${recipients.length} clients)`);
 
-  for (const client of [...clients]) {
+  for (const client of recipients) {
     try {
-      client.write(message);
+      client.res.write(message);
     } catch (error) {
       // Remove dead client
       const idx = clients.indexOf(client);
@@ -119,6 +132,130 @@ export function broadcastToRoom(
   }
 }
 
+/**
+ * Send a roll to whoever may see it: the whole room for public rolls,
+ * the rolling character's player for private ones, and nobody for hidden ones
+ */
+function broadcastVisibleRoll(
+  roomId: string,
+  data: Record<string, unknown>,
+  visibility?: RollVisibility,
+  playerId?: string
+): void {
+  if (visibility === 'hidden') {
+    return;
+  }
+  if (visibility === 'player') {
+    if (playerId) {
+      broadcastToRoom(roomId, 'message', data, [playerId]);
+    }
+    return;
+  }
+  broadcastToRoom(roomId, 'message', data);
+}
+
+export function broadcastDiceRoll(roomId: string, data: DiceRollEvent['data']): void {
+  broadcastVisibleRoll(roomId, { type: 'dice-roll', data }, data.visibility, data.playerId);
+}
+
+export function broadcastGroupCheck(roomId: string, event: GroupCheckEvent): void {
+  broadcastVisibleRoll(
+    roomId,
+    {
+      type: 'group-check',
+      ability: event.ability,
+      skill: event.skill,
+      dc: event.dc,
+      reason: event.reason,
+      results: event.results,
+      successCount: event.successCount,
+      success: event.success,
+      visibility: event.visibility,
+    },
+    event.visibility,
+    event.playerId
+  );
+}
+
+/**
+ * Send a game event from the session to the room's SSE clients
+ */
+export function broadcastGameEvent(roomId: string, event: SessionEvent): void {
+  if (event.type === 'dice_roll') {
+    broadcastDiceRoll(roomId, event.data);
+  } else if (event.type === 'group_check') {
+    broadcastGroupCheck(roomId, event);
+  } else if (event.type === 'roll_prompt') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'roll-prompt',
+      prompt: event.prompt,
+    });
+  } else if (event.type === 'roll_prompt_closed') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'roll-prompt-closed',
+      promptId: event.promptId,
+      characterId: event.characterId,
+      timedOut: event.timedOut,
+    });
+  } else if (event.type === 'action_restriction') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'action-restriction',
+      allowedCharacterIds: event.allowedCharacterIds,
+      reason: event.reason,
+    });
+  } else if (event.type === 'combat_turn') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'combat-turn',
+      round: event.round,
+      current: event.current,
+      order: event.order,
+    });
+  } else if (event.type === 'state_transition') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'state-transition',
+      to: event.to,
+      reason: event.reason,
+    });
+  } else if (event.type === 'condition_expired') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'condition-expired',
+      expired: event.expired,
+    });
+  } else if (event.type === 'loot') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'loot-update',
+      entries: event.entries,
+    });
+  } else if (event.type === 'experience') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'xp-award',
+      awards: event.awards,
+      reason: event.reason,
+    });
+  } else if (event.type === 'quest') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'quest-update',
+      change: event.change,
+      quest: event.quest,
+    });
+  } else if (event.type === 'travel') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'location-update',
+      characterIds: event.characterIds,
+      from: event.from,
+      to: event.to.name,
+      travelMinutes: event.travelMinutes,
+    });
+  } else if (event.type === 'time') {
+    broadcastToRoom(roomId, 'message', {
+      type: 'clock-update',
+      time: formatClock(event.clock.seconds),
+      advancedSeconds: event.advancedSeconds,
+      reason: event.reason,
+    });
+  }
+}
+
 /**
  * Stream LLM response to room for single player input
  */
@@ -156,20 +293,7 @@ export async function* streamCombinedLLMToRoom(
   }
 
   // Subscribe to game events
-  const gameEventHandler = (event: any) => {
-    if (event.type === 'dice_roll') {
-      broadcastToRoom(roomId, 'message', {
-        type: 'dice-roll',
-        data: event.data,
-      });
-    } else if (event.type === 'action_restriction') {
-      broadcastToRoom(roomId, 'message', {
-        type: 'action-restriction',
-        allowedCharacterIds: event.allowedCharacterIds,
-        reason: event.reason,
-      });
-    }
-  };
+  const gameEventHandler = (event: SessionEvent) => broadcastGameEvent(roomId, event);
 
   room.getEventEmitter().on('game-event', gameEventHandler);
 
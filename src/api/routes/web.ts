@@ -9,6 +9,14 @@ import { DatabaseService } from '@/infrastructure/database/DatabaseService.js';
 import type { AuthModule } from '@/api/middleware/AuthModule.js';
 import { parseMarkdown } from '@/utils/markdown.js';
 import { GameStateManager } from '@/application/game/GameStateManager.js';
+import { getClassHitDie } from '@/domain/game/dnd5e/rules.js';
+import { PARTY_TREASURY } from '@/domain/game/loot.js';
+import { canLevelUp, getNextLevelExperience } from '@/domain/game/dnd5e/progression.js';
+import { isQuestOpen } from '@/domain/game/quests.js';
+import { formatDuration, getExits } from '@/domain/game/locations.js';
+import { formatClock, getClock } from '@/domain/game/calendar.js';
+import { redactRoll } from '@/domain/game/rollLedger.js';
+import { parseLLMChain } from '@/utils/config.js';
 
 const router = Router();
 
@@ -85,6 +93,34 @@ async function getMemberName(room: IRoom, userId: string): Promise<string | unde
   return member?.characterName || member?.username;
 }
 
+// Helper function to build HP, hit dice, spell slot, exhaustion and speed rows for the status bar
+function buildPartyStatus(room: IRoom, nameByCharacterId: Map<string, string | undefined>) {
+  const characterRepo = DatabaseService.getInstance().characters;
+
+  return Array.from(room.getGameState().characterStates.values()).map((state) => {
+    const template = characterRepo.findById(state.characterId);
+    const level = template?.level || 1;
+    return {
+      characterId: state.characterId,
+      characterName: nameByCharacterId.get(state.characterId) || template?.name || state.characterId,
+      currentHp: state.currentHp,
+      maxHp: template?.maxHp ?? state.currentHp,
+      temporaryHp: state.temporaryHp,
+      hitDie: getClassHitDie(template?.characterClass),
+      hitDiceRemaining: state.hitDiceRemaining ?? level,
+      hitDiceTotal: level,
+      spellSlots: (state.knownSpells || []).map((slot) => ({
+        level: slot.level,
+        remaining: slot.slots - slot.used,
+        total: slot.slots,
+      })),
+      exhaustionLevel: state.exhaustionLevel ?? (template?.exhaustionLevel || 0),
+      speed: room.getSpeed(state.characterId),
+      baseSpeed: template?.speed,
+    };
+  });
+}
+
 // In-memory room reference (shared with rooms.ts)
 // In production, rooms are managed by Room class with persistent storage
 const rooms = new Map<string, IRoom>();
@@ -135,7 +171,17 @@ async function ensureRoom(roomId: string): Promise<IRoom> {
   const { RoomFactory } = await import('../../infrastructure/room/RoomFactory.js');
 
   const roomDefaults = RoomFactory.getRoomDefaults();
-  const deps = RoomFactory.createDependencies(roomId);
+  // Settings chosen when the room was created, if it was saved before a restart
+  const dbService = DatabaseService.getInstance();
+  const saved = dbService.rooms.getRoomById(roomId);
+
+  // A saved chain naming a provider that is no longer configured falls back to the default chain
+  const llmRegistry = RoomFactory.getLLMRegistry();
+  const llm = Object.fromEntries(
+    Object.entries(saved?.llm ?? {})
+      .filter(([, chain]) => llmRegistry.findUnknownProviders(parseLLMChain(chain)).length === 0)
+  );
+  const deps = RoomFactory.createDependencies(roomId, { llm });
 
   room = new Room(
     roomId,
@@ -143,6 +189,9 @@ async function ensureRoom(roomId: string): Promise<IRoom> {
       moduleName: 'default',
       maxPlayers: roomDefaults.maxPlayers,
       maxHistoryTurns: roomDefaults.maxHistoryTurns,
+      playerRolls: saved?.playerRolls ?? roomDefaults.playerRolls,
+      rollPromptSeconds: saved?.rollPromptSeconds ?? roomDefaults.rollPromptSeconds,
+      llm,
     },
     deps
   );
@@ -154,7 +203,6 @@ async function ensureRoom(roomId: string): Promise<IRoom> {
 
   rooms.set(roomId, room);
 
-  const dbService = DatabaseService.getInstance();
   await dbService.rooms.saveRoom(room);
 
   return room;
@@ -387,6 +435,7 @@ router.get(
       characterName: nameByCharacterId.get(overlay.characterId) || overlay.characterId,
       conditions: overlay.conditions,
     }));
+    const partyStatus = buildPartyStatus(room, nameByCharacterId);
 
     const ownerId = dbService.rooms.getOwnerId(roomId);
     const isOwner = ownerId !== null && req.user?.id === ownerId;
@@ -431,6 +480,7 @@ router.get(
       history: renderedHistory,
       worldContext,
       characterConditions,
+      partyStatus,
       playerNotes,
       currentUserId: req.user?.id,
       character,
@@ -454,6 +504,10 @@ router.get('/characters', requireAuth, (req: AuthenticatedRequest, res: Response
       race: char.race,
       characterClass: char.characterClass,
       level: char.level,
+      experience: char.experience,
+      nextLevelExperience: getNextLevelExperience(char.level),
+      canLevelUp: canLevelUp(char),
+      features: char.features ?? [],
       maxHp: char.maxHp,
       currentHp: char.currentHp,
       armorClass: char.armorClass,
@@ -464,6 +518,10 @@ router.get('/characters', requireAuth, (req: AuthenticatedRequest, res: Response
       personalityTraits: char.personalityTraits,
       backstory: char.backstory,
       statusEffects: char.statusEffects,
+      gold: char.gold,
+      inventory: char.inventory,
+      equippedWeapon: char.equippedWeapon,
+      equippedArmor: char.equippedArmor,
     })),
   });
 });
@@ -537,6 +595,128 @@ router.get(
   })
 );
 
+// Get roll ledger partial
+router.get(
+  '/partials/room/:roomId/ledger',
+  requireAuth,
+  asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+    const { roomId } = req.params;
+    const dbService = DatabaseService.getInstance();
+    if (!dbService.rooms.getRoomById(roomId)) {
+      throw createError('Room not found', 404, 'ROOM_NOT_FOUND');
+    }
+
+    // Secret rolls and the RNG seed are shown to the room owner and admins only
+    const membership = req.user ? await dbService.roomMemberships.getMembership(roomId, req.user.id) : null;
+    const viewer = {
+      seesAll: (!!req.user && dbService.rooms.getOwnerId(roomId) === req.user.id) || isAdminCheck(req.user),
+      characterIds: membership?.characterId ? [membership.characterId] : [],
+    };
+    const { entries, total } = dbService.rollLedger.listByRoom(roomId, 100, 0, viewer);
+
+    res.render('partials/roll-ledger', {
+      entries: entries.map((entry) => redactRoll(entry, viewer)),
+      total,
+      seesAll: viewer.seesAll,
+      layout: false,
+    });
+  })
+);
+
+// Get party treasury partial
+router.get(
+  '/partials/room/:roomId/treasury',
+  requireAuth,
+  asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+    const { roomId } = req.params;
+    const room = getRoomOr404(roomId);
+    const characterRepo = DatabaseService.getInstance().characters;
+
+    const members = await room.getMembers();
+    const characters = members
+      .filter((member) => member.characterId)
+      .map((member) => {
+        const character = characterRepo.findById(member.characterId as string);
+        return {
+          id: member.characterId as string,
+          name: member.characterName || member.username,
+          gold: character?.gold ?? 0,
+          inventory: character?.inventory ?? [],
+          isMine: member.userId === req.user?.id,
+        };
+      });
+    const nameById = new Map<string, string>(characters.map((c) => [c.id, c.name]));
+    nameById.set(PARTY_TREASURY, 'Party');
+
+    res.render('partials/treasury', {
+      treasury: room.getTreasury(),
+      ledger: room.getLootLedger(30),
+      characters,
+      nameById,
+      partyId: PARTY_TREASURY,
+      layout: false,
+    });
+  })
+);
+
+// Get quest journal partial
+router.get(
+  '/partials/room/:roomId/quests',
+  requireAuth,
+  asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+    const room = getRoomOr404(req.params.roomId);
+    const quests = room.getGameState().quests ?? [];
+
+    res.render('partials/quests', {
+      open: quests.filter(isQuestOpen),
+      closed: quests
+        .filter((quest) => !isQuestOpen(quest))
+        .sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0)),
+      layout: false,
+    });
+  })
+);
+
+// Get map partial: discovered places, the routes between them and who is where
+router.get(
+  '/partials/room/:roomId/map',
+  requireAuth,
+  asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+    const room = getRoomOr404(req.params.roomId);
+    const gameState = room.getGameState();
+    const graph = gameState.locationGraph ?? { locations: [], connections: [] };
+    const members = await room.getMembers();
+
+    const places = graph.locations
+      .filter((location) => location.discovered)
+      .map((location) => ({
+        ...location,
+        isPartyHere: location.id === gameState.location.id,
+        characters: members
+          .filter((member) => member.characterId && gameState.characterLocations?.[member.characterId] === location.id)
+          .map((member) => member.characterName || member.username),
+        routes: getExits(graph, location.id).map(({ connection, location: other }) => ({
+          name: other.discovered ? other.name : 'Unknown',
+          travelTime: formatDuration(connection.travelMinutes),
+          route: connection.route,
+        })),
+      }));
+
+    const regions = new Map<string, typeof places>();
+    for (const place of places) {
+      const region = place.region || 'Other';
+      regions.set(region, [...(regions.get(region) ?? []), place]);
+    }
+
+    res.render('partials/map', {
+      current: gameState.location,
+      regions: Array.from(regions.entries()),
+      time: formatClock(getClock(gameState).seconds),
+      layout: false,
+    });
+  })
+);
+
 // Get status bar partial
 router.get(
   '/partials/room/:roomId/status',
@@ -570,6 +750,8 @@ router.get(
       conditions: overlay.conditions,
     }));
 
+    const partyStatus = buildPartyStatus(room, nameByCharacterId);
+
     const playerNotes = [];
     const playerNotesRaw = room.getAllPlayerNotes();
     for (const [userId, notes] of playerNotesRaw.entries()) {
@@ -589,7 +771,9 @@ router.get(
 
     res.render('partials/status-bar', {
       worldContext,
+      time: formatClock(getClock(gameState).seconds),
       characterConditions,
+      partyStatus,
       playerNotes,
       roomId,
       currentUserId: req.user?.id,
@@ -2,8 +2,19 @@
 // Provides character information for LLM context
 
 import type { ContextBlock, ContextProvider } from '@/domain/llm/context.js';
-import type { GameState } from '@/domain/game/GameState.js';
+import type { ActiveCondition, GameState } from '@/domain/game/GameState.js';
 import type { CharacterState } from '@/domain/game/types.js';
+import { getPassiveScore, getProficiencyBonus, type SkillCheckSubject } from '@/domain/game/dnd5e/abilities.js';
+import { DEFAULT_SPEED, hasJackOfAllTrades } from '@/domain/game/dnd5e/rules.js';
+import {
+  applySpeedAdjustment,
+  getArmorClassModifier,
+  getSpeedAdjustment,
+} from '@/domain/game/dnd5e/conditionEffects.js';
+import { findItem, isWeapon } from '@/domain/game/dnd5e/items.js';
+import { getCarriedWeight, getCarryingCapacity } from '@/domain/game/dnd5e/inventory.js';
+import { canLevelUp, getNextLevelExperience } from '@/domain/game/dnd5e/progression.js';
+import type { InventoryItem } from '@/domain/character/types.js';
 import type { CharacterRepository } from '@/infrastructure/database/lowdb/CharacterRepository.js';
 
 export class CharacterProfileProvider implements ContextProvider {
@@ -23,7 +34,8 @@ export class CharacterProfileProvider implements ContextProvider {
       const template = this.characterRepo.findById(charState.characterId);
       if (!template) continue;
 
-      const profile = this.formatCharacter(template, charState);
+      const overlay = state.characterOverlays.get(charState.characterId);
+      const profile = this.formatCharacter(template, charState, overlay?.conditions ?? []);
       profiles.push(profile);
     }
 
@@ -41,7 +53,7 @@ export class CharacterProfileProvider implements ContextProvider {
     };
   }
 
-  private formatCharacter(template: any, state: CharacterState): string {
+  private formatCharacter(template: any, state: CharacterState, overlays: ActiveCondition[]): string {
     const parts: string[] = [];
 
     // Include character ID first so LLM knows what to use in tool calls
@@ -49,9 +61,39 @@ export class CharacterProfileProvider implements ContextProvider {
     parts.push(`**${template.name}**`);
     parts.push(`Race: ${template.race} | Class: ${template.characterClass} | Level: ${template.level}`);
 
+    const nextLevelXp = getNextLevelExperience(template.level);
+    parts.push(
+      `XP: ${template.experience ?? 0}${nextLevelXp !== null ? `/${nextLevelXp}` : ''}` +
+        (canLevelUp(template) ? ' (ready to level up)' : '')
+    );
+
     const maxHp = template.maxHp || 1;
     const hpPercent = Math.round((state.currentHp / maxHp) * 100);
-    parts.push(`HP: ${state.currentHp}/${maxHp} (${hpPercent}%) | AC: ${template.armorClass}`);
+    const acModifier = getArmorClassModifier(overlays);
+    const ac = acModifier
+      ? `${template.armorClass + acModifier} (${template.armorClass}${acModifier > 0 ? '+' : ''}${acModifier})`
+      : `${template.armorClass}`;
+    parts.push(`HP: ${state.currentHp}/${maxHp} (${hpPercent}%) | AC: ${ac}`);
+
+    const speed = getSpeedAdjustment(
+      [...state.conditions, ...overlays],
+      state.exhaustionLevel ?? (template.exhaustionLevel || 0)
+    );
+    if (speed.effect !== 'normal') {
+      const baseSpeed = template.speed ?? DEFAULT_SPEED;
+      parts.push(`Speed: ${applySpeedAdjustment(baseSpeed, speed)} ft (${speed.sources.join(', ')})`);
+    }
+
+    if (state.currentHp <= 0) {
+      const saves = state.deathSaves;
+      if (saves?.isDead) {
+        parts.push('Status: DEAD');
+      } else if (saves?.isStable) {
+        parts.push('Status: unconscious, stable');
+      } else {
+        parts.push(`Status: DYING (death saves ${saves?.successes ?? 0} success / ${saves?.failures ?? 0} failure)`);
+      }
+    }
 
     const abilities = template.abilityScores || {};
     if (Object.keys(abilities).length > 0) {
@@ -59,6 +101,53 @@ export class CharacterProfileProvider implements ContextProvider {
         .map(([key, value]) => `${key.slice(0, 3).toUpperCase()}:${value}`)
         .join(' ');
       parts.push(`Abilities: ${abilityStr}`);
+
+      const level = template.level || 1;
+      const subject: SkillCheckSubject = {
+        abilityScores: abilities,
+        proficiencyBonus: getProficiencyBonus(level),
+        skillProficiencies: template.skillProficiencies || [],
+        skillExpertise: template.skillExpertise || [],
+        jackOfAllTrades: hasJackOfAllTrades(template.characterClass, level),
+      };
+      parts.push(
+        `Passive: Perception ${getPassiveScore(subject, 'perception')} | ` +
+          `Insight ${getPassiveScore(subject, 'insight')} | ` +
+          `Investigation ${getPassiveScore(subject, 'investigation')}`
+      );
+    }
+
+    if (template.skillProficiencies?.length > 0) {
+      parts.push(`Skills: ${template.skillProficiencies.join(', ')}`);
+    }
+
+    const inventory: InventoryItem[] = template.inventory ?? [];
+    if (inventory.length > 0) {
+      const equipped = inventory.filter((item) => item.equipped).map((item) => this.formatEquipped(item));
+      if (equipped.length > 0) {
+        parts.push(`Equipped: ${equipped.join(', ')}`);
+      }
+
+      const carried = inventory
+        .filter((item) => !item.equipped)
+        .map((item) => (item.quantity > 1 ? `${item.name} x${item.quantity}` : item.name));
+      const capacity = getCarryingCapacity(template.abilityScores?.strength ?? 10);
+      parts.push(
+        `Inventory: ${carried.length > 0 ? carried.join(', ') : '(nothing else)'} ` +
+          `(${getCarriedWeight(inventory)}/${capacity} lb)`
+      );
+    }
+    parts.push(`Gold: ${template.gold ?? 0} gp`);
+
+    if (state.knownSpells && state.knownSpells.length > 0) {
+      const slotStr = state.knownSpells
+        .map((slot) => `L${slot.level} ${slot.slots - slot.used}/${slot.slots}`)
+        .join(' ');
+      parts.push(`Spell slots: ${slotStr}`);
+    }
+
+    if (state.concentration) {
+      parts.push(`Concentrating on: ${state.concentration.spellName}`);
     }
 
     if (state.conditions && state.conditions.length > 0) {
@@ -76,4 +165,19 @@ export class CharacterProfileProvider implements ContextProvider {
 
     return parts.join('\n');
   }
+
+  /**
+   * "Longsword (1d8 slashing, versatile 1d10)" for catalog weapons, the plain name otherwise
+   */
+  private formatEquipped(item: InventoryItem): string {
+    const definition = item.itemId ? findItem(item.itemId) : null;
+    if (!isWeapon(definition)) {
+      return item.name;
+    }
+
+    const stats = [`${definition.damage.dice} ${definition.damage.type}`];
+    if (definition.versatileDice) stats.push(`versatile ${definition.versatileDice}`);
+    stats.push(...definition.properties.filter((p) => p !== 'versatile'));
+    return `${item.name} (${stats.join(', ')})`;
+  }
 }
@@ -0,0 +1,44 @@
+// Application layer: Expired conditions provider
+// Tells the DM which conditions wore off since the last turn
+
+import type { ContextBlock, ContextProvider } from '@/domain/llm/context.js';
+import type { ExpiredCondition, GameState } from '@/domain/game/GameState.js';
+import type { CharacterRepository } from '@/infrastructure/database/lowdb/CharacterRepository.js';
+
+const REASON_LABELS: Record<ExpiredCondition['reason'], string> = {
+  turn: 'end of turn',
+  scene: 'scene changed',
+  session: 'session ended',
+  rounds: 'duration in rounds ran out',
+  time: 'duration ran out on the game clock',
+};
+
+export class ExpiredConditionsProvider implements ContextProvider {
+  name = 'expired-conditions';
+  priority = 320;
+
+  constructor(private characterRepo: CharacterRepository) {}
+
+  provide(state: GameState): ContextBlock | null {
+    const expired = state.expiredConditions;
+    if (!expired || expired.length === 0) {
+      return null;
+    }
+
+    const formatted = expired
+      .map((e) => {
+        const name = this.characterRepo.findById(e.characterId)?.name || e.characterId;
+        return `- ${name}: ${e.name} (${e.source}) — ${REASON_LABELS[e.reason]}`;
+      })
+      .join('\n');
+
+    return {
+      name: this.name,
+      content:
+        `[EXPIRED_CONDITIONS]\n` +
+        `These effects wore off since the last turn. Mention it in the narration where it matters; they no longer apply.\n` +
+        `${formatted}\n[/EXPIRED_CONDITIONS]`,
+      priority: this.priority,
+    };
+  }
+}
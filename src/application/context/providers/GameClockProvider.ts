@@ -0,0 +1,51 @@
+// Application layer: Game clock provider
+// Shows the DM the in-game date and time, and world events due or coming up
+
+import type { ContextBlock, ContextProvider } from '@/domain/llm/context.js';
+import type { GameState } from '@/domain/game/GameState.js';
+import { formatClock, getClock } from '@/domain/game/calendar.js';
+import { formatDuration } from '@/domain/game/locations.js';
+
+const UPCOMING_EVENTS = 5;
+
+export class GameClockProvider implements ContextProvider {
+  name = 'game-clock';
+  priority = 12;
+
+  provide(state: GameState): ContextBlock | null {
+    const clock = getClock(state);
+    const events = state.scheduledEvents ?? [];
+    const lines = [`Now: ${formatClock(clock.seconds)}`];
+
+    if (state.activeEncounters.some((encounter) => encounter.isActive)) {
+      lines.push(`Combat rounds fought: ${clock.rounds}`);
+    }
+
+    const due = events.filter((event) => event.status === 'due');
+    if (due.length > 0) {
+      lines.push('DUE NOW (work these into the narration):');
+      due.forEach((event) => lines.push(`- ${event.id}: ${event.description}`));
+    }
+
+    const upcoming = events
+      .filter((event) => event.status === 'scheduled')
+      .sort((a, b) => a.at - b.at)
+      .slice(0, UPCOMING_EVENTS);
+    if (upcoming.length > 0) {
+      lines.push('Scheduled:');
+      for (const event of upcoming) {
+        const wait = Math.ceil((event.at - clock.seconds) / 60);
+        lines.push(`- ${event.id} in ${formatDuration(wait)}: ${event.description}`);
+      }
+    }
+
+    return {
+      name: this.name,
+      content:
+        `[TIME]\n` +
+        `Use advance_time when time passes outside travel and rests; schedule_event for things that will happen later.\n` +
+        `${lines.join('\n')}\n[/TIME]`,
+      priority: this.priority,
+    };
+  }
+}
@@ -0,0 +1,56 @@
+// Application layer: Location map provider
+// Shows the DM where the party is, the routes out, and who split off
+
+import type { ContextBlock, ContextProvider } from '@/domain/llm/context.js';
+import type { GameState } from '@/domain/game/GameState.js';
+import { findLocation, formatDuration, getExits } from '@/domain/game/locations.js';
+import type { CharacterRepository } from '@/infrastructure/database/lowdb/CharacterRepository.js';
+
+export class LocationMapProvider implements ContextProvider {
+  name = 'location-map';
+  priority = 15;
+
+  constructor(private characterRepo: CharacterRepository) {}
+
+  provide(state: GameState): ContextBlock | null {
+    const graph = state.locationGraph;
+    if (!graph || graph.locations.length === 0) {
+      return null;
+    }
+
+    const here = state.location.id ? findLocation(graph, state.location.id) : undefined;
+    const lines: string[] = [];
+
+    if (here) {
+      lines.push(`Party at: ${here.id} ${here.name}${here.region ? ` (${here.region})` : ''}`);
+      if (here.description) lines.push(`  ${here.description}`);
+
+      const exits = getExits(graph, here.id, false).map(({ connection, location }) =>
+        `${location.name} ${formatDuration(connection.travelMinutes)}` +
+        (connection.route ? `, ${connection.route}` : '') +
+        (connection.discovered ? '' : ', undiscovered')
+      );
+      lines.push(`Routes: ${exits.length > 0 ? exits.join('; ') : 'none mapped'}`);
+    } else {
+      lines.push(`Party at: ${state.location.name} (not on the map)`);
+    }
+
+    for (const [characterId, locationId] of Object.entries(state.characterLocations ?? {})) {
+      const name = this.characterRepo.findById(characterId)?.name ?? characterId;
+      lines.push(`Split off: ${name} at ${findLocation(graph, locationId)?.name ?? locationId}`);
+    }
+
+    const hidden = graph.locations.filter((location) => !location.discovered).map((location) => location.name);
+    lines.push(`Known places: ${graph.locations.filter((location) => location.discovered).length}` +
+      (hidden.length > 0 ? `; not yet discovered: ${hidden.join(', ')}` : ''));
+
+    return {
+      name: this.name,
+      content:
+        `[MAP]\n` +
+        `Use move_party whenever characters go somewhere, add_location for places and roads they learn of.\n` +
+        `${lines.join('\n')}\n[/MAP]`,
+      priority: this.priority,
+    };
+  }
+}
@@ -0,0 +1,97 @@
+// Application layer: NPC registry provider
+// Shows the DM the NPCs at the current location or in the recent conversation
+
+import type { ContextBlock, ContextProvider } from '@/domain/llm/context.js';
+import type { GameState, NpcState } from '@/domain/game/GameState.js';
+import type { IConversationHistory } from '@/domain/room/types.js';
+import type { CharacterRepository } from '@/infrastructure/database/lowdb/CharacterRepository.js';
+
+const RECENT_TURNS = 3;
+const MAX_OTHER_NAMES = 20;
+
+export class NpcRegistryProvider implements ContextProvider {
+  name = 'npc-registry';
+  priority = 25;
+
+  constructor(
+    private conversationHistory: IConversationHistory,
+    private characterRepo: CharacterRepository
+  ) {}
+
+  provide(state: GameState): ContextBlock | null {
+    const npcs = state.npcs ?? [];
+    if (npcs.length === 0) {
+      return null;
+    }
+
+    const location = (state.worldContext.flags.location || state.location?.name || '').toLowerCase();
+    const recentText = this.recentText(state);
+
+    const relevant: NpcState[] = [];
+    const others: NpcState[] = [];
+    for (const npc of npcs) {
+      const here = npc.status === 'alive' && !!location && !!npc.location && this.sameLocation(npc.location, location);
+      const mentioned = recentText.includes(npc.name.toLowerCase());
+      if (here || mentioned) {
+        relevant.push(npc);
+      } else if (npc.status === 'alive') {
+        others.push(npc);
+      }
+    }
+
+    const lines: string[] = [];
+    if (relevant.length > 0) {
+      relevant.forEach((npc) => lines.push(...this.formatNpc(npc)));
+    } else {
+      lines.push('No registered NPCs here or in the recent conversation.');
+    }
+
+    if (others.length > 0) {
+      const names = others.slice(0, MAX_OTHER_NAMES).map((npc) => `${npc.id} ${npc.name}`);
+      const more = others.length > MAX_OTHER_NAMES ? ` (+${others.length - MAX_OTHER_NAMES} more)` : '';
+      lines.push(`Elsewhere: ${names.join(', ')}${more}`);
+    }
+
+    return {
+      name: this.name,
+      content:
+        `[NPCS]\n` +
+        `Secrets are for the DM only. Use create_npc for new named NPCs and update_npc when one changes.\n` +
+        `${lines.join('\n')}\n[/NPCS]`,
+      priority: this.priority,
+    };
+  }
+
+  /**
+   * Location names are free text, so "Tavern" matches "The Prancing Pony Tavern"
+   */
+  private sameLocation(npcLocation: string, location: string): boolean {
+    const key = npcLocation.toLowerCase();
+    return key.includes(location) || location.includes(key);
+  }
+
+  private recentText(state: GameState): string {
+    const parts: string[] = [...state.worldContext.recentEvents];
+    for (const turn of this.conversationHistory.getRecent(RECENT_TURNS)) {
+      parts.push(...turn.userInputs.map((action) => action.action));
+      if (turn.assistantResponse) parts.push(turn.assistantResponse);
+    }
+    return parts.join('\n').toLowerCase();
+  }
+
+  private formatNpc(npc: NpcState): string[] {
+    const header = `${npc.id} ${npc.name}${npc.status === 'dead' ? ' (dead)' : ''}` +
+      (npc.location ? ` @ ${npc.location}` : '') +
+      `, ${npc.attitude}`;
+    const lines = [header];
+
+    if (npc.description) lines.push(`  ${npc.description}`);
+    const toward = Object.entries(npc.attitudes).map(
+      ([characterId, attitude]) => `${this.characterRepo.findById(characterId)?.name ?? characterId} ${attitude}`
+    );
+    if (toward.length > 0) lines.push(`  Toward: ${toward.join(', ')}`);
+    npc.secrets.forEach((secret, i) => lines.push(`  Secret ${i + 1}: ${secret}`));
+    if (npc.notes) lines.push(`  Notes: ${npc.notes}`);
+    return lines;
+  }
+}
@@ -0,0 +1,61 @@
+// Application layer: Party treasury provider
+// Shows the DM the shared treasury and recent coin and item movements
+
+import type { ContextBlock, ContextProvider } from '@/domain/llm/context.js';
+import type { GameState } from '@/domain/game/GameState.js';
+import { PARTY_TREASURY, type LootLedgerEntry } from '@/domain/game/loot.js';
+import type { CharacterRepository } from '@/infrastructure/database/lowdb/CharacterRepository.js';
+
+const RECENT_MOVEMENTS = 8;
+
+export class PartyTreasuryProvider implements ContextProvider {
+  name = 'party-treasury';
+  priority = 210;
+
+  constructor(private characterRepo: CharacterRepository) {}
+
+  provide(state: GameState): ContextBlock | null {
+    const treasury = state.treasury;
+    const ledger = state.lootLedger ?? [];
+    if (!treasury && ledger.length === 0) {
+      return null;
+    }
+
+    const lines: string[] = [];
+    const items = (treasury?.items ?? []).map((item) =>
+      item.quantity > 1 ? `${item.name} x${item.quantity}` : item.name
+    );
+    lines.push(`Party treasury: ${treasury?.gold ?? 0} gp${items.length > 0 ? `; ${items.join(', ')}` : ''}`);
+
+    if (ledger.length > 0) {
+      lines.push('Recent movements:');
+      for (const entry of ledger.slice(-RECENT_MOVEMENTS)) {
+        lines.push(`- ${this.formatEntry(entry)}`);
+      }
+    }
+
+    return {
+      name: this.name,
+      content:
+        `[PARTY_TREASURY]\n` +
+        `Use award_loot when the party gains coins or items. Character gold and inventories are listed in [CHARACTERS].\n` +
+        `${lines.join('\n')}\n[/PARTY_TREASURY]`,
+      priority: this.priority,
+    };
+  }
+
+  private formatEntry(entry: LootLedgerEntry): string {
+    const what = [
+      entry.gold ? `${entry.gold} gp` : '',
+      entry.item ? `${entry.item.name} x${entry.item.quantity}` : '',
+    ].filter(Boolean).join(' + ');
+    const to = this.holderName(entry.to);
+    const movement = entry.from ? `${this.holderName(entry.from)} → ${to}` : `→ ${to}`;
+    return `${entry.action}: ${what} ${movement}${entry.reason ? ` (${entry.reason})` : ''}`;
+  }
+
+  private holderName(id: string): string {
+    if (id === PARTY_TREASURY) return 'party';
+    return this.characterRepo.findById(id)?.name || id;
+  }
+}
@@ -0,0 +1,61 @@
+// Application layer: Player rolls provider
+// Tells the DM about dice players rolled themselves since the last turn
+
+import type { ContextBlock, ContextProvider } from '@/domain/llm/context.js';
+import type { GameState } from '@/domain/game/GameState.js';
+import type { PlayerRoll } from '@/domain/room/types.js';
+
+export class PlayerRollsProvider implements ContextProvider {
+  name = 'player-rolls';
+  priority = 310;
+
+  provide(state: GameState): ContextBlock | null {
+    const rolls = state.pendingPlayerRolls;
+    if (!rolls || rolls.length === 0) {
+      return null;
+    }
+
+    const formatted = rolls.map((r) => `- ${this.formatRoll(r)}`).join('\n');
+
+    return {
+      name: this.name,
+      content:
+        `[PLAYER_ROLLS]\n` +
+        `Players rolled these themselves since the last turn. Use the results as rolled; do not re-roll them.\n` +
+        `${formatted}\n[/PLAYER_ROLLS]`,
+      priority: this.priority,
+    };
+  }
+
+  private formatRoll(playerRoll: PlayerRoll): string {
+    const { result } = playerRoll;
+    const who = `${result.characterName || playerRoll.username} (${playerRoll.username})`;
+    const dc = result.dc !== undefined ? ` vs DC ${result.dc} → ${result.success ? 'success' : 'failure'}` : '';
+    const roll = `${result.roll.formula} = ${result.roll.total}`;
+
+    let line: string;
+    switch (result.checkType) {
+      case 'skill_check':
+        line = `${who}: ${result.skill} (${result.ability}) check ${roll}${dc}`;
+        break;
+      case 'attack_roll': {
+        const crit = result.isCritical ? ', critical hit' : '';
+        const damage = result.damage
+          ? `; damage ${result.damage.formula} = ${result.damage.total} ${result.damage.damageType}`
+          : '';
+        line = `${who}: attack ${roll}${crit}${dc}${damage}`;
+        break;
+      }
+      case 'initiative':
+        line = `${who}: initiative ${roll}`;
+        break;
+      case 'roll':
+        line = `${who}: ${roll}`;
+        break;
+      default:
+        line = `${who}: ${result.ability} ${result.checkType.replace('_', ' ')} ${roll}${dc}`;
+    }
+
+    return playerRoll.request.reason ? `${line} — ${playerRoll.request.reason}` : line;
+  }
+}
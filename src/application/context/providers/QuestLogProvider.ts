@@ -0,0 +1,58 @@
+// Application layer: Quest log provider
+// Shows the DM every open quest with numbered objectives
+
+import type { ContextBlock, ContextProvider } from '@/domain/llm/context.js';
+import type { GameState, QuestState } from '@/domain/game/GameState.js';
+import { isQuestOpen } from '@/domain/game/quests.js';
+
+const RECENTLY_RESOLVED = 3;
+
+export class QuestLogProvider implements ContextProvider {
+  name = 'quest-log';
+  priority = 20;
+
+  provide(state: GameState): ContextBlock | null {
+    const quests = state.quests ?? [];
+    if (quests.length === 0) {
+      return null;
+    }
+
+    const open = quests.filter(isQuestOpen);
+    const resolved = quests
+      .filter((quest) => !isQuestOpen(quest))
+      .sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0))
+      .slice(0, RECENTLY_RESOLVED);
+
+    const lines: string[] = [];
+    if (open.length > 0) {
+      open.forEach((quest) => lines.push(...this.formatQuest(quest)));
+    } else {
+      lines.push('No open quests.');
+    }
+
+    if (resolved.length > 0) {
+      lines.push('Recently closed:');
+      for (const quest of resolved) {
+        lines.push(`- ${quest.id} "${quest.name}": ${quest.status}${quest.outcome ? ` (${quest.outcome})` : ''}`);
+      }
+    }
+
+    return {
+      name: this.name,
+      content:
+        `[QUESTS]\n` +
+        `Use update_quest with objective numbers when progress is made, resolve_quest when a quest ends.\n` +
+        `${lines.join('\n')}\n[/QUESTS]`,
+      priority: this.priority,
+    };
+  }
+
+  private formatQuest(quest: QuestState): string[] {
+    const header = `${quest.id} "${quest.name}"${quest.giver ? ` (from ${quest.giver})` : ''}` +
+      (quest.description ? `: ${quest.description}` : '');
+    return [
+      header,
+      ...quest.objectives.map((o, i) => `  ${i + 1}. [${o.completed ? 'x' : ' '}] ${o.description}`),
+    ];
+  }
+}
@@ -12,10 +12,10 @@ export class WorldContextProvider implements ContextProvider {
     const worldContext = state.worldContext;
     const lines: string[] = ['[WORLD CONTEXT]'];
 
-    if (Object.keys(worldContext.flags).length > 0) {
-      for (const [key, value] of Object.entries(worldContext.flags)) {
-        lines.push(`${key.toUpperCase()}: ${value}`);
-      }
+    // Time comes from the game clock (see GameClockProvider), not the extracted flag
+    for (const [key, value] of Object.entries(worldContext.flags)) {
+      if (key === 'time') continue;
+      lines.push(`${key.toUpperCase()}: ${value}`);
     }
 
     if (worldContext.recentEvents.length > 0) {
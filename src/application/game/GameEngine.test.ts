@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import type { CharacterState } from '@/domain/game/types.js';
+import type { CharacterRepository } from '@/infrastructure/database/lowdb/CharacterRepository.js';
+import { FixedDiceRoller } from '@/infrastructure/game/DiceRoller.js';
+import { D20GameEngine } from './GameEngine.js';
+
+const TEMPLATES: Record<string, Record<string, unknown>> = {
+  hero: { id: 'hero', name: 'Hero', race: 'human', characterClass: 'fighter', level: 3, maxHp: 20, inventory: [] },
+  dwarf: { id: 'dwarf', name: 'Dwarf', race: 'dwarf', characterClass: 'fighter', level: 3, maxHp: 20, inventory: [] },
+};
+
+/**
+ * An engine holding one character; dice come from the given faces in order
+ */
+function setup(characterId: string, state: Partial<CharacterState> = {}, faces: number[] = []) {
+  const characterRepo = { findById: (id: string) => TEMPLATES[id] ?? null } as unknown as CharacterRepository;
+  const engine = new D20GameEngine(new FixedDiceRoller(faces), characterRepo);
+  const character: CharacterState = {
+    instanceId: characterId,
+    characterId,
+    currentHp: 20,
+    temporaryHp: 0,
+    conditions: [],
+    activeBuffs: [],
+    currentThoughts: '',
+    knownSpells: [],
+    equipmentState: { worn: [], wielded: [] },
+    ...state,
+  };
+  engine.syncCharacterStates(new Map([[characterId, character]]));
+  return { engine, character };
+}
+
+describe('D20GameEngine.applyDamage', () => {
+  it('takes damage from temporary hit points first', () => {
+    const { engine, character } = setup('hero', { temporaryHp: 5 });
+
+    const result = engine.applyDamage('hero', 8, 'slashing');
+
+    expect(result).toMatchObject({ finalDamage: 8, remainingHp: 17, status: 'conscious' });
+    expect(character.temporaryHp).toBe(0);
+  });
+
+  it('halves damage the character resists', () => {
+    const { engine } = setup('dwarf');
+
+    expect(engine.applyDamage('dwarf', 9, 'poison')).toMatchObject({ finalDamage: 4, remainingHp: 16 });
+  });
+
+  it('knocks a character unconscious at 0 hit points', () => {
+    const { engine, character } = setup('hero', { currentHp: 5 });
+
+    const result = engine.applyDamage('hero', 12, 'bludgeoning');
+
+    expect(result).toMatchObject({ remainingHp: 0, status: 'unconscious', instantDeath: false });
+    expect(character.conditions.map((c) => c.name)).toContain('unconscious');
+    expect(engine.isDying('hero')).toBe(true);
+  });
+
+  it('kills outright when the leftover damage reaches max hit points', () => {
+    const { engine } = setup('hero', { currentHp: 5 });
+
+    expect(engine.applyDamage('hero', 25, 'bludgeoning')).toMatchObject({ status: 'dead', instantDeath: true });
+    expect(engine.isDying('hero')).toBe(false);
+  });
+
+  it('adds a death save failure for damage at 0 hit points, two on a critical', () => {
+    const { engine, character } = setup('hero', { currentHp: 0 });
+
+    expect(engine.applyDamage('hero', 3, 'piercing')).toMatchObject({ status: 'unconscious', deathSaveFailures: 1 });
+    expect(engine.applyDamage('hero', 3, 'piercing', { critical: true })).toMatchObject({
+      status: 'dead',
+      deathSaveFailures: 2,
+    });
+    expect(character.deathSaves).toMatchObject({ failures: 3, isDead: true });
+  });
+
+  it('rejects negative damage and unknown targets', () => {
+    const { engine } = setup('hero');
+
+    expect(() => engine.applyDamage('hero', -1, 'fire')).toThrow('cannot be negative');
+    expect(() => engine.applyDamage('nobody', 1, 'fire')).toThrow('Character state not found');
+  });
+});
+
+describe('D20GameEngine.rollDeathSave', () => {
+  it('stabilizes after three successes', () => {
+    const { engine, character } = setup('hero', { currentHp: 0 }, [10, 15, 19]);
+
+    expect(engine.rollDeathSave('hero').outcome).toBe('success');
+    expect(engine.rollDeathSave('hero').outcome).toBe('success');
+    expect(engine.rollDeathSave('hero')).toMatchObject({ outcome: 'stabilized', successes: 3 });
+    expect(character.deathSaves!.isStable).toBe(true);
+    expect(engine.isDying('hero')).toBe(false);
+  });
+
+  it('counts a natural 1 as two failures and dies on the third', () => {
+    const { engine } = setup('hero', { currentHp: 0 }, [1, 9]);
+
+    expect(engine.rollDeathSave('hero')).toMatchObject({ outcome: 'failure', failures: 2 });
+    expect(engine.rollDeathSave('hero')).toMatchObject({ outcome: 'dead', failures: 3 });
+    expect(() => engine.rollDeathSave('hero')).toThrow('not dying');
+  });
+
+  it('revives with 1 hit point on a natural 20', () => {
+    const { engine, character } = setup('hero', { currentHp: 5 }, [20]);
+    engine.applyDamage('hero', 5, 'fire');
+
+    expect(engine.rollDeathSave('hero').outcome).toBe('revived');
+    expect(character.currentHp).toBe(1);
+    expect(character.conditions.map((c) => c.name)).not.toContain('unconscious');
+    expect(character.deathSaves).toMatchObject({ successes: 0, failures: 0 });
+  });
+
+  it('only rolls for dying characters', () => {
+    const { engine } = setup('hero');
+
+    expect(() => engine.rollDeathSave('hero')).toThrow('not dying');
+  });
+
+  it('stops dying once stabilized by another character', () => {
+    const { engine, character } = setup('hero', { currentHp: 0 }, [5]);
+    engine.rollDeathSave('hero');
+
+    engine.stabilize('hero');
+
+    expect(character.deathSaves).toMatchObject({ isStable: true, successes: 0, failures: 0 });
+    expect(engine.isDying('hero')).toBe(false);
+  });
+});
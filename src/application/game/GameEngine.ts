@@ -10,68 +10,883 @@ import type {
   DiceRoll,
   AbilityCheckResult,
   SavingThrowResult,
+  SkillCheckResult,
+  Skill,
+  ContestSide,
+  ContestTieRule,
+  ContestRoll,
+  ContestedCheckResult,
   AttackResult,
   DamageResult,
+  HealResult,
+  HitDiceResult,
+  RestResult,
+  SpellcastingStats,
+  CastSpellOptions,
+  SpellCastResult,
+  SpellTargetResult,
+  ConcentrationState,
+  ConcentrationCheck,
+  DeathSaveResult,
+  DeathSaveState,
   CharacterState,
   Condition,
 } from '@/domain/game/types.js';
+import type { CharacterOverlay, Encounter, Enemy } from '@/domain/game/GameState.js';
+import type { MonsterStatBlock } from '@/domain/game/bestiary.js';
 import type { DiceRoller } from '@/infrastructure/game/DiceRoller.js';
 import type { CharacterRepository } from '@/infrastructure/database/lowdb/CharacterRepository.js';
-import { parseDiceFormula } from '@/utils/dice.js';
-import { getAbilityModifier, getProficiencyBonus } from '@/domain/game/dnd5e/abilities.js';
-import { CLASS_SAVING_THROWS } from '@/domain/game/dnd5e/rules.js';
+import type { BestiaryRepository } from '@/infrastructure/database/lowdb/BestiaryRepository.js';
+import { addDice, multiplyDice, parseDiceFormula } from '@/utils/dice.js';
+import { rollDiceExpression } from '@/utils/diceExpression.js';
+import { findSpell, normalizeSpellId, type SpellDefinition } from '@/domain/game/dnd5e/spells.js';
+import { parseDuration } from '@/domain/game/calendar.js';
+import { findItem, isWeapon, toWeapon } from '@/domain/game/dnd5e/items.js';
+import {
+  findInventoryItem,
+  getEquipmentState,
+  getEquippedShield,
+  getEquippedWeapon,
+} from '@/domain/game/dnd5e/inventory.js';
+import {
+  getAbilityModifier,
+  getPassiveScore,
+  getProficiencyBonus,
+  getSkillBonus,
+  SKILL_ABILITIES,
+  type SkillCheckSubject,
+} from '@/domain/game/dnd5e/abilities.js';
+import {
+  CLASS_SAVING_THROWS,
+  CONDITION_IMMUNITIES,
+  CONDITION_RESISTANCES,
+  CRITICAL_MULTIPLIER,
+  DEATH_SAVE_DC,
+  DEATH_SAVE_FAILURE_THRESHOLD,
+  DEATH_SAVE_SUCCESS_THRESHOLD,
+  DEFAULT_SPEED,
+  RACIAL_RESISTANCES,
+  SHORT_REST_SLOT_CLASSES,
+  UNARMORED_AC,
+  getCantripDiceMultiplier,
+  getClassHitDie,
+  getConcentrationDc,
+  getSpellcastingAbility,
+  hasJackOfAllTrades,
+  adjustDamage,
+  type DamageTraits,
+} from '@/domain/game/dnd5e/rules.js';
+import {
+  applySpeedAdjustment,
+  getArmorClassModifier,
+  getRollAdjustment,
+  getSpeedAdjustment,
+  resolveRollType,
+  type ConditionRollContext,
+  type ConditionSource,
+  type RollAdjustment,
+} from '@/domain/game/dnd5e/conditionEffects.js';
 
 export class D20GameEngine implements IGameEngine {
   private characterStates: Map<string, CharacterState> = new Map();
   private characterTemplates: Map<string, any> = new Map();
+  private creatures: Map<string, Enemy> = new Map();
+  private characterOverlays: Map<string, CharacterOverlay> = new Map();
 
   constructor(
     private diceRoller: DiceRoller,
-    private characterRepo: CharacterRepository
+    private characterRepo: CharacterRepository,
+    private bestiaryRepo?: BestiaryRepository
   ) {}
 
   // ========== State Management ==========
 
   /**
    * Sync character states from external source (GameState)
-   * Called to populate the characterStates Map from the room's game state
+   * Called to populate the characterStates Map from the room's game state.
+   * Templates are reloaded so equipment changed outside the room applies to the next turn.
    */
   syncCharacterStates(characterStates: Map<string, CharacterState>): void {
     for (const [id, state] of characterStates) {
       this.characterStates.set(id, state);
-      // Also cache the template if not already loaded
-      if (!this.characterTemplates.has(id)) {
-        const template = this.characterRepo.findById(id);
-        if (template) {
-          this.characterTemplates.set(id, template);
+      const template = this.characterRepo.findById(id);
+      if (template) {
+        this.characterTemplates.set(id, template);
+        state.equipmentState = getEquipmentState(template.inventory ?? []);
+        // Slot totals follow the template, so a level-up mid-session adds slots; used slots are kept
+        state.knownSpells = this.parseSpellSlots(template).map((slot) => {
+          const existing = state.knownSpells?.find((s) => s.level === slot.level);
+          return { ...slot, used: Math.min(existing?.used ?? 0, slot.slots) };
+        });
+      }
+    }
+  }
+
+  /**
+   * Share the room's narrative condition overlays.
+   * Kept by reference so overlays added mid-session apply to the next roll.
+   */
+  syncCharacterOverlays(overlays: Map<string, CharacterOverlay>): void {
+    this.characterOverlays = overlays;
+  }
+
+  // ========== Creatures ==========
+
+  /**
+   * Register the enemies of active encounters so they can roll like characters.
+   * Enemy objects are shared with GameState, so HP changes persist with saves.
+   */
+  syncEncounters(encounters: Encounter[]): void {
+    this.creatures.clear();
+    for (const encounter of encounters) {
+      if (!encounter.isActive) continue;
+      for (const enemy of encounter.enemies) {
+        this.creatures.set(enemy.id, enemy);
+      }
+    }
+  }
+
+  findStatBlock(nameOrId: string): MonsterStatBlock | null {
+    if (!this.bestiaryRepo) return null;
+    return this.bestiaryRepo.findById(nameOrId) || this.bestiaryRepo.findByName(nameOrId);
+  }
+
+  spawnCreature(statBlock: MonsterStatBlock, encounter: Encounter, name?: string): Enemy {
+    const dexModifier = getAbilityModifier(statBlock.abilityScores.dexterity ?? 10);
+    const primaryAttack = statBlock.attacks[0];
+
+    const enemy: Enemy = {
+      id: `enemy-${encounter.enemies.length + 1}`,
+      name: name || statBlock.name,
+      hp: statBlock.maxHp,
+      maxHp: statBlock.maxHp,
+      armorClass: statBlock.armorClass,
+      speed: statBlock.speed,
+      initiativeBonus: dexModifier,
+      attackBonus: primaryAttack?.attackBonus,
+      damage: primaryAttack?.damage,
+      damageType: primaryAttack?.damageType,
+      conditions: [],
+      monsterId: statBlock.id,
+      abilityScores: { ...statBlock.abilityScores },
+      proficiencyBonus: statBlock.proficiencyBonus,
+      savingThrowProficiencies: [...statBlock.savingThrowProficiencies],
+      skillProficiencies: [...statBlock.skillProficiencies],
+      attacks: statBlock.attacks.map((a) => ({ ...a })),
+      resistances: [...statBlock.resistances],
+      immunities: [...statBlock.immunities],
+      vulnerabilities: [...statBlock.vulnerabilities],
+      challengeRating: statBlock.challengeRating,
+      xp: statBlock.xp,
+    };
+
+    encounter.enemies.push(enemy);
+    this.creatures.set(enemy.id, enemy);
+    return enemy;
+  }
+
+  private creatureCheck(enemy: Enemy, ability: Ability, roll: DiceRoll): AbilityCheckResult {
+    const abilityScore = enemy.abilityScores?.[ability] ?? 10;
+    const modifier = getAbilityModifier(abilityScore);
+
+    return {
+      characterId: enemy.id,
+      ability,
+      roll: {
+        ...roll,
+        modifier,
+        total: roll.rolls[0] + modifier,
+        reason: `${ability} check`,
+      },
+      abilityScore,
+      modifier,
+      rollType: roll.rollType,
+    };
+  }
+
+  private creatureAttack(
+    enemy: Enemy,
+    weapon: Weapon,
+    rollType: RollType,
+    targetId?: string
+  ): AttackResult {
+    const attack = enemy.attacks?.find((a) => a.name === weapon.name) ?? enemy.attacks?.[0];
+    const attackBonus = attack?.attackBonus ?? enemy.attackBonus ?? 0;
+    const roll = this.rollAttackD20(enemy.id, rollType, attack?.ranged || weapon.ranged, targetId);
+
+    return {
+      attackerId: enemy.id,
+      weapon: attack?.name ?? weapon.name,
+      roll: {
+        ...roll,
+        total: roll.rolls[0] + attackBonus,
+        modifier: attackBonus,
+        reason: `Attack with ${attack?.name ?? weapon.name}`,
+      },
+      ability: attack?.ranged || weapon.ranged ? 'dexterity' : 'strength',
+      proficiency: enemy.proficiencyBonus ?? 0,
+      isCritical: roll.rolls[0] === 20,
+    };
+  }
+
+  private damageCreature(enemy: Enemy, damage: number, damageType: DamageType): DamageResult {
+    const traits = this.withConditionTraits(
+      {
+        resistances: [...(enemy.resistances ?? [])],
+        immunities: [...(enemy.immunities ?? [])],
+        vulnerabilities: [...(enemy.vulnerabilities ?? [])],
+      },
+      enemy.conditions ?? []
+    );
+    const adjusted = adjustDamage(damage, damageType, traits);
+
+    enemy.hp = Math.max(0, enemy.hp - adjusted.finalDamage);
+
+    return {
+      targetId: enemy.id,
+      damage,
+      damageType,
+      ...adjusted,
+      remainingHp: enemy.hp,
+      // Monsters die at 0 HP instead of making death saves
+      status: enemy.hp === 0 ? 'dead' : 'conscious',
+    };
+  }
+
+  // ========== Damage Typing ==========
+
+  /**
+   * Merge resistances/immunities granted by active conditions into traits
+   */
+  private withConditionTraits(traits: DamageTraits, conditionNames: string[]): DamageTraits {
+    for (const name of conditionNames) {
+      const key = name.toLowerCase();
+      traits.resistances.push(...(CONDITION_RESISTANCES[key] ?? []));
+      traits.immunities.push(...(CONDITION_IMMUNITIES[key] ?? []));
+    }
+    return traits;
+  }
+
+  /**
+   * Gather a character's damage typing from race, conditions and active buffs
+   */
+  private getCharacterDamageTraits(state: CharacterState, template: any): DamageTraits {
+    const traits: DamageTraits = {
+      resistances: [...(RACIAL_RESISTANCES[String(template.race ?? '').toLowerCase()] ?? [])],
+      immunities: [],
+      vulnerabilities: [],
+    };
+
+    for (const buff of state.activeBuffs) {
+      traits.resistances.push(...(buff.resistances ?? []));
+      traits.immunities.push(...(buff.immunities ?? []));
+      traits.vulnerabilities.push(...(buff.vulnerabilities ?? []));
+    }
+
+    return this.withConditionTraits(traits, state.conditions.map((c) => c.name));
+  }
+
+  // ========== Dying ==========
+
+  private getDeathSaves(state: CharacterState): DeathSaveState {
+    if (!state.deathSaves) {
+      state.deathSaves = { successes: 0, failures: 0, isStable: false, isDead: false };
+    }
+    return state.deathSaves;
+  }
+
+  private resetDeathSaves(state: CharacterState): void {
+    state.deathSaves = { successes: 0, failures: 0, isStable: false, isDead: false };
+  }
+
+  private markUnconscious(state: CharacterState): void {
+    if (!state.conditions.some((c) => c.name === 'unconscious')) {
+      state.conditions.push({
+        name: 'unconscious',
+        source: 'damage',
+        appliedAt: Date.now(),
+      });
+    }
+  }
+
+  private wakeUp(state: CharacterState): void {
+    this.resetDeathSaves(state);
+    state.conditions = state.conditions.filter(
+      (c) => !(c.name === 'unconscious' && c.source === 'damage')
+    );
+  }
+
+  isDying(characterId: string): boolean {
+    const state = this.characterStates.get(characterId);
+    if (!state || state.currentHp > 0) return false;
+    const deathSaves = this.getDeathSaves(state);
+    return !deathSaves.isStable && !deathSaves.isDead;
+  }
+
+  rollDeathSave(characterId: string): DeathSaveResult {
+    const state = this.characterStates.get(characterId);
+    if (!state) {
+      throw new Error(`Character state not found: ${characterId}`);
+    }
+    if (!this.isDying(characterId)) {
+      throw new Error(`Character is not dying: ${characterId}`);
+    }
+
+    const deathSaves = this.getDeathSaves(state);
+    const roll = this.roll('1d20');
+    roll.reason = 'Death saving throw';
+    roll.dc = DEATH_SAVE_DC;
+    const natural = roll.rolls[0];
+
+    let outcome: DeathSaveResult['outcome'];
+    if (natural === 20) {
+      // Natural 20: regain 1 HP and wake up
+      state.currentHp = 1;
+      this.wakeUp(state);
+      outcome = 'revived';
+    } else if (natural === 1 || natural < DEATH_SAVE_DC) {
+      deathSaves.failures = Math.min(
+        DEATH_SAVE_FAILURE_THRESHOLD,
+        deathSaves.failures + (natural === 1 ? 2 : 1)
+      );
+      if (deathSaves.failures >= DEATH_SAVE_FAILURE_THRESHOLD) {
+        deathSaves.isDead = true;
+        outcome = 'dead';
+      } else {
+        outcome = 'failure';
+      }
+    } else {
+      deathSaves.successes += 1;
+      if (deathSaves.successes >= DEATH_SAVE_SUCCESS_THRESHOLD) {
+        deathSaves.isStable = true;
+        outcome = 'stabilized';
+      } else {
+        outcome = 'success';
+      }
+    }
+
+    return {
+      characterId,
+      roll,
+      successes: state.deathSaves?.successes ?? 0,
+      failures: state.deathSaves?.failures ?? 0,
+      outcome,
+    };
+  }
+
+  stabilize(characterId: string): void {
+    const state = this.characterStates.get(characterId);
+    if (!state) {
+      throw new Error(`Character state not found: ${characterId}`);
+    }
+    if (state.currentHp > 0) return;
+
+    const deathSaves = this.getDeathSaves(state);
+    if (deathSaves.isDead) {
+      throw new Error(`Character is dead: ${characterId}`);
+    }
+    deathSaves.isStable = true;
+    deathSaves.successes = 0;
+    deathSaves.failures = 0;
+  }
+
+  heal(targetId: string, amount: number): HealResult {
+    if (amount < 0) {
+      throw new Error(`Healing cannot be negative: ${amount}`);
+    }
+
+    const creature = this.creatures.get(targetId);
+    if (creature) {
+      const before = creature.hp;
+      creature.hp = Math.min(creature.maxHp, creature.hp + amount);
+      return {
+        targetId,
+        amount,
+        healed: creature.hp - before,
+        currentHp: creature.hp,
+        revived: before === 0 && creature.hp > 0,
+      };
+    }
+
+    const state = this.characterStates.get(targetId);
+    if (!state) {
+      throw new Error(`Character state not found: ${targetId}`);
+    }
+    if (state.deathSaves?.isDead) {
+      throw new Error(`Character is dead: ${targetId}`);
+    }
+
+    const template = this.characterTemplates.get(state.characterId);
+    const maxHp = template?.maxHp ?? state.currentHp + amount;
+    const before = state.currentHp;
+    state.currentHp = Math.min(maxHp, state.currentHp + amount);
+
+    // Any healing at 0 HP ends dying
+    const revived = before === 0 && state.currentHp > 0;
+    if (revived) {
+      this.wakeUp(state);
+    }
+
+    return {
+      targetId,
+      amount,
+      healed: state.currentHp - before,
+      currentHp: state.currentHp,
+      revived,
+    };
+  }
+
+  // ========== Resting ==========
+
+  /**
+   * Roll hit dice (each 1dX + CON modifier) and heal by the total.
+   * Stops early once the character is at full HP or out of hit dice.
+   */
+  spendHitDice(characterId: string, count: number): HitDiceResult {
+    const { state, template } = this.getLivingCharacter(characterId);
+    const hitDie = getClassHitDie(template.characterClass);
+    const conModifier = getAbilityModifier(template.abilityScores?.constitution ?? 10);
+    const maxHp = template.maxHp ?? state.currentHp;
+
+    let remaining = this.getHitDiceRemaining(state, template);
+    let healed = 0;
+    const rolls: DiceRoll[] = [];
+
+    while (rolls.length < count && remaining > 0 && state.currentHp < maxHp) {
+      const roll = this.rollDamage(`1d${hitDie}`, conModifier);
+      roll.total = Math.max(0, roll.total);
+      roll.reason = `Hit die: 1d${hitDie}${conModifier >= 0 ? '+' : ''}${conModifier}`;
+      rolls.push(roll);
+      remaining--;
+      healed += this.heal(characterId, roll.total).healed;
+    }
+
+    state.hitDiceRemaining = remaining;
+
+    return {
+      characterId,
+      hitDie,
+      rolls,
+      healed,
+      currentHp: state.currentHp,
+      hitDiceRemaining: remaining,
+    };
+  }
+
+  shortRest(characterId: string, hitDice = 0): RestResult {
+    const { state, template } = this.getLivingCharacter(characterId);
+    const spent = hitDice > 0 ? this.spendHitDice(characterId, hitDice) : null;
+
+    const spellSlotsRecovered = SHORT_REST_SLOT_CLASSES.includes(template.characterClass?.toUpperCase())
+      ? this.recoverSpellSlots(state)
+      : 0;
+
+    return {
+      characterId,
+      type: 'short',
+      healed: spent?.healed ?? 0,
+      currentHp: state.currentHp,
+      hitDiceSpent: spent?.rolls.length ?? 0,
+      hitDiceRecovered: 0,
+      hitDiceRemaining: this.getHitDiceRemaining(state, template),
+      spellSlotsRecovered,
+      exhaustionLevel: this.getExhaustionLevel(state, template),
+    };
+  }
+
+  /**
+   * Full HP, half of total hit dice back (minimum 1), all spell slots back
+   * and one level of exhaustion removed. Requires at least 1 HP.
+   */
+  longRest(characterId: string): RestResult {
+    const { state, template } = this.getLivingCharacter(characterId);
+    if (state.currentHp <= 0) {
+      throw new Error(`Character needs at least 1 HP to benefit from a long rest: ${characterId}`);
+    }
+
+    const level = template.level || 1;
+    const before = state.currentHp;
+    state.currentHp = Math.max(state.currentHp, template.maxHp ?? state.currentHp);
+    state.temporaryHp = 0;
+
+    const remaining = this.getHitDiceRemaining(state, template);
+    const hitDiceRecovered = Math.max(0, Math.min(level - remaining, Math.max(1, Math.floor(level / 2))));
+    state.hitDiceRemaining = remaining + hitDiceRecovered;
+
+    const spellSlotsRecovered = this.recoverSpellSlots(state);
+    state.exhaustionLevel = Math.max(0, this.getExhaustionLevel(state, template) - 1);
+    this.resetDeathSaves(state);
+
+    return {
+      characterId,
+      type: 'long',
+      healed: state.currentHp - before,
+      currentHp: state.currentHp,
+      hitDiceSpent: 0,
+      hitDiceRecovered,
+      hitDiceRemaining: state.hitDiceRemaining,
+      spellSlotsRecovered,
+      exhaustionLevel: state.exhaustionLevel,
+    };
+  }
+
+  private getLivingCharacter(characterId: string): { state: CharacterState; template: any } {
+    const state = this.characterStates.get(characterId);
+    if (!state) {
+      throw new Error(`Character state not found: ${characterId}`);
+    }
+    if (state.deathSaves?.isDead) {
+      throw new Error(`Character is dead: ${characterId}`);
+    }
+
+    const template = this.characterTemplates.get(state.characterId);
+    if (!template) {
+      throw new Error(`Character template not found: ${state.characterId}`);
+    }
+
+    return { state, template };
+  }
+
+  private getHitDiceRemaining(state: CharacterState, template: any): number {
+    return state.hitDiceRemaining ?? (template.level || 1);
+  }
+
+  private getExhaustionLevel(state: CharacterState, template: any): number {
+    return state.exhaustionLevel ?? (template.exhaustionLevel || 0);
+  }
+
+  /**
+   * Mark every expended spell slot as available again
+   * @returns Number of slots recovered
+   */
+  private recoverSpellSlots(state: CharacterState): number {
+    let recovered = 0;
+    for (const slot of state.knownSpells || []) {
+      recovered += slot.used;
+      slot.used = 0;
+    }
+    return recovered;
+  }
+
+  // ========== Spellcasting ==========
+
+  getSpellcasting(characterId: string): SpellcastingStats {
+    const { template } = this.getLivingCharacter(characterId);
+    const ability = getSpellcastingAbility(template.characterClass);
+    if (!ability) {
+      throw new Error(`${template.name || characterId} has no spellcasting ability`);
+    }
+
+    const modifier = getAbilityModifier(template.abilityScores?.[ability] ?? 10);
+    const proficiency = getProficiencyBonus(template.level || 1);
+
+    return {
+      ability,
+      modifier,
+      saveDc: 8 + proficiency + modifier,
+      attackBonus: proficiency + modifier,
+    };
+  }
+
+  /**
+   * Cast a spell: validate it, expend a slot, start concentration and
+   * resolve the spell attack or saving throw against each target.
+   */
+  castSpell(casterId: string, spellId: string, options: CastSpellOptions = {}): SpellCastResult {
+    const spell = findSpell(spellId);
+    if (!spell) {
+      throw new Error(`Unknown spell: ${spellId}`);
+    }
+
+    const { state, template } = this.getLivingCharacter(casterId);
+    if (state.currentHp <= 0) {
+      throw new Error(`Character cannot cast spells at 0 HP: ${casterId}`);
+    }
+    this.assertKnowsSpell(template, spell);
+
+    const targetIds = options.targetIds ?? [];
+    if (spell.maxTargets !== undefined && targetIds.length > spell.maxTargets) {
+      throw new Error(`${spell.name} can target at most ${spell.maxTargets} creature(s)`);
+    }
+    if ((spell.damage || spell.healing || spell.condition) && targetIds.length === 0) {
+      throw new Error(`${spell.name} needs at least one target`);
+    }
+    // Check every target before the slot or concentration is spent
+    for (const targetId of targetIds) {
+      if (!this.creatures.has(targetId)) this.getLivingCharacter(targetId);
+    }
+
+    const spellcasting = this.getSpellcasting(casterId);
+
+    // Cantrips are free; leveled spells consume a slot of the chosen level
+    let slotLevel: number | null = null;
+    let slotsRemaining: number | null = null;
+    if (spell.level > 0) {
+      slotLevel = options.slotLevel ?? spell.level;
+      slotsRemaining = this.expendSpellSlot(state, spell, slotLevel);
+    }
+
+    const duration = options.clockSeconds !== undefined ? parseDuration(spell.duration) : null;
+    const expiresAtTime = duration !== null ? options.clockSeconds! + duration : undefined;
+
+    let droppedConcentration: string | undefined;
+    if (spell.concentration) {
+      droppedConcentration = this.endConcentration(casterId)?.spellName;
+      state.concentration = {
+        spellId: spell.id,
+        spellName: spell.name,
+        targetIds,
+        startedAt: Date.now(),
+        expiresAtTime,
+      };
+    }
+
+    const upcastLevels = slotLevel !== null ? slotLevel - spell.level : 0;
+    const casterLevel = template.level || 1;
+    const result: SpellCastResult = {
+      casterId,
+      spellId: spell.id,
+      spellName: spell.name,
+      spellLevel: spell.level,
+      slotLevel,
+      slotsRemaining,
+      spellcasting,
+      targets: [],
+      concentration: spell.concentration,
+      droppedConcentration,
+    };
+
+    if (spell.healing) {
+      const dice = this.scaleSpellDice(spell.healing.dice, spell.healing.higherLevelDice, upcastLevels);
+      result.healingRoll = this.rollDamage(dice, spellcasting.modifier);
+      const amount = Math.max(0, result.healingRoll.total);
+      result.targets = targetIds.map((targetId) => ({
+        targetId,
+        healing: this.heal(targetId, amount),
+      }));
+      return result;
+    }
+
+    const damageDice = spell.damage
+      ? spell.level === 0
+        ? multiplyDice(spell.damage.dice, getCantripDiceMultiplier(casterLevel))
+        : this.scaleSpellDice(spell.damage.dice, spell.damage.higherLevelDice, upcastLevels)
+      : undefined;
+
+    if (spell.attack) {
+      result.targets = targetIds.map((targetId) =>
+        this.resolveSpellAttack(casterId, spell, spellcasting, targetId, damageDice, options.rollType || 'normal')
+      );
+    } else {
+      // Save and auto-hit spells roll damage once for every target
+      if (damageDice) {
+        result.damageRoll = this.roll(damageDice);
+      }
+      result.targets = targetIds.map((targetId) =>
+        this.resolveSpellEffect(spell, spellcasting, targetId, result.damageRoll)
+      );
+    }
+
+    if (expiresAtTime !== undefined) {
+      this.timeSpellConditions(spell, targetIds, expiresAtTime);
+    }
+    return result;
+  }
+
+  /**
+   * Conditions a spell put on characters wear off with its duration on the game clock
+   */
+  private timeSpellConditions(spell: SpellDefinition, targetIds: string[], expiresAtTime: number): void {
+    const source = `spell:${spell.id}`;
+    for (const targetId of targetIds) {
+      for (const condition of this.characterStates.get(targetId)?.conditions ?? []) {
+        if (condition.source === source) condition.expiresAtTime = expiresAtTime;
+      }
+    }
+  }
+
+  endConcentration(characterId: string): ConcentrationState | null {
+    const state = this.characterStates.get(characterId);
+    const concentration = state?.concentration;
+    if (!state || !concentration) return null;
+
+    // Conditions imposed by the spell end with it
+    const spell = findSpell(concentration.spellId);
+    if (spell?.condition) {
+      const source = `spell:${spell.id}`;
+      for (const targetId of concentration.targetIds) {
+        const creature = this.creatures.get(targetId);
+        if (creature) {
+          creature.conditions = (creature.conditions ?? []).filter((c) => c !== spell.condition);
+          continue;
+        }
+        const target = this.characterStates.get(targetId);
+        if (target) {
+          target.conditions = target.conditions.filter((c) => c.source !== source);
         }
       }
     }
+
+    state.concentration = undefined;
+    return concentration;
+  }
+
+  private assertKnowsSpell(template: any, spell: SpellDefinition): void {
+    // Characters without a recorded spell list may cast anything in the catalog
+    const spellList = [...(template.knownSpells || []), ...(template.preparedSpells || [])];
+    if (spellList.length === 0) return;
+
+    if (!spellList.some((name: string) => normalizeSpellId(name) === spell.id)) {
+      throw new Error(`${template.name || template.id} does not know ${spell.name}`);
+    }
+  }
+
+  /**
+   * @returns Slots of that level left after casting
+   */
+  private expendSpellSlot(state: CharacterState, spell: SpellDefinition, slotLevel: number): number {
+    if (slotLevel < spell.level) {
+      throw new Error(`${spell.name} needs a slot of level ${spell.level} or higher`);
+    }
+
+    const slot = (state.knownSpells || []).find((s) => s.level === slotLevel);
+    if (!slot || slot.used >= slot.slots) {
+      throw new Error(`No level ${slotLevel} spell slots remaining`);
+    }
+
+    slot.used++;
+    return slot.slots - slot.used;
+  }
+
+  private scaleSpellDice(dice: string, higherLevelDice: string | undefined, upcastLevels: number): string {
+    return higherLevelDice && upcastLevels > 0 ? addDice(dice, higherLevelDice, upcastLevels) : dice;
+  }
+
+  private resolveSpellAttack(
+    casterId: string,
+    spell: SpellDefinition,
+    spellcasting: SpellcastingStats,
+    targetId: string,
+    damageDice: string | undefined,
+    rollType: RollType
+  ): SpellTargetResult {
+    const d20 = this.rollAttackD20(casterId, rollType, spell.attack === 'ranged', targetId);
+    const natural = d20.rolls[0];
+    const attackRoll: DiceRoll = {
+      ...d20,
+      modifier: spellcasting.attackBonus,
+      total: natural + spellcasting.attackBonus,
+      reason: `${spell.name} spell attack`,
+    };
+
+    const isCritical = natural === 20;
+    const hit = natural !== 1 && (isCritical || attackRoll.total >= this.getArmorClass(targetId));
+    const result: SpellTargetResult = { targetId, attackRoll, hit, isCritical };
+
+    if (hit && spell.damage && damageDice) {
+      const roll = this.roll(isCritical ? multiplyDice(damageDice, CRITICAL_MULTIPLIER) : damageDice);
+      result.damage = this.applyDamage(targetId, Math.max(0, roll.total), spell.damage.type, {
+        critical: isCritical,
+      });
+    }
+    if (hit && spell.condition) {
+      result.condition = this.applySpellCondition(targetId, spell);
+    }
+
+    return result;
+  }
+
+  private resolveSpellEffect(
+    spell: SpellDefinition,
+    spellcasting: SpellcastingStats,
+    targetId: string,
+    damageRoll: DiceRoll | undefined
+  ): SpellTargetResult {
+    const result: SpellTargetResult = { targetId };
+
+    let damage = damageRoll ? Math.max(0, damageRoll.total) : 0;
+    if (spell.save) {
+      result.saveRoll = this.savingThrow(targetId, spell.save.ability).roll;
+      result.saved = !result.saveRoll.autoFail && result.saveRoll.total >= spellcasting.saveDc;
+      if (result.saved) {
+        damage = spell.save.onSuccess === 'half' ? Math.floor(damage / 2) : 0;
+      }
+    }
+
+    if (spell.damage && damage > 0) {
+      result.damage = this.applyDamage(targetId, damage, spell.damage.type);
+    }
+    if (spell.condition && !result.saved) {
+      result.condition = this.applySpellCondition(targetId, spell);
+    }
+
+    return result;
+  }
+
+  private applySpellCondition(targetId: string, spell: SpellDefinition): string {
+    // Spell conditions last at most a minute, so they never outlive the scene
+    this.applyCondition(targetId, {
+      name: spell.condition!,
+      source: `spell:${spell.id}`,
+      appliedAt: Date.now(),
+      expires: 'scene',
+    });
+    return spell.condition!;
+  }
+
+  /**
+   * Constitution save to keep concentrating after taking damage.
+   * Dropping to 0 HP ends concentration without a save.
+   */
+  private checkConcentration(characterId: string, state: CharacterState, damage: number): ConcentrationCheck {
+    const concentration = state.concentration!;
+    const dc = getConcentrationDc(damage);
+
+    if (state.currentHp <= 0) {
+      this.endConcentration(characterId);
+      return { spellName: concentration.spellName, dc, maintained: false };
+    }
+
+    const roll = this.savingThrow(characterId, 'constitution').roll;
+    const maintained = !roll.autoFail && roll.total >= dc;
+    if (!maintained) {
+      this.endConcentration(characterId);
+    }
+
+    return { spellName: concentration.spellName, dc, roll, maintained };
   }
 
   // ========== Dice Rolling ==========
 
+  /**
+   * Roll any dice expression ("2d6+3", "4d6kh3", "1d6!", "2d8+1d6+3", "d%")
+   */
   roll(formula: string): DiceRoll {
-    const parsed = parseDiceFormula(formula);
-    const rolls = Array.from({ length: parsed.count }, () =>
-      this.diceRoller.roll(parsed.sides)
-    );
-    const total = rolls.reduce((a, b) => a + b, 0) + parsed.modifier;
+    const result = rollDiceExpression(formula, (sides) => this.diceRoller.roll(sides));
+    const rolls = result.terms.flatMap((t) => (t.dice ?? []).filter((d) => d.kept).map((d) => d.value));
+    const modifier = result.terms
+      .filter((t) => t.type === 'constant')
+      .reduce((sum, t) => sum + t.subtotal, 0);
 
     return {
       formula,
       rolls,
-      modifier: parsed.modifier,
-      total,
+      modifier,
+      total: result.total,
       reason: `Rolled ${formula}`,
+      terms: result.terms.map(({ notation, sign, dice, subtotal }) => ({ notation, sign, dice, subtotal })),
     };
   }
 
+  /**
+   * Roll damage dice with the given modifier in place of any constant in the formula
+   */
   rollDamage(dice: string, modifier: number): DiceRoll {
     const result = this.roll(dice);
+    result.total = result.total - result.modifier + modifier;
     result.modifier = modifier;
-    result.total = result.rolls.reduce((a, b) => a + b, 0) + modifier;
-    result.reason = `Damage roll: ${dice}+${modifier}`;
+    result.terms = result.terms?.filter((t) => t.dice);
+    result.reason = `Damage roll: ${dice}${modifier >= 0 ? '+' : ''}${modifier}`;
     return result;
   }
 
@@ -81,6 +896,34 @@ export class D20GameEngine implements IGameEngine {
     return this.characterStates.get(characterId) || null;
   }
 
+  getArmorClass(characterId: string): number {
+    const creature = this.creatures.get(characterId);
+    if (creature) {
+      return creature.armorClass;
+    }
+
+    const state = this.characterStates.get(characterId);
+    if (!state) {
+      throw new Error(`Character state not found: ${characterId}`);
+    }
+
+    const template = this.characterTemplates.get(state.characterId);
+    const overlay = this.characterOverlays.get(state.characterId);
+    return (template?.armorClass ?? UNARMORED_AC) + getArmorClassModifier(overlay?.conditions ?? []);
+  }
+
+  /**
+   * Walking speed in feet after conditions, overlays and exhaustion
+   */
+  getSpeed(characterId: string): number {
+    const creature = this.creatures.get(characterId);
+    const baseSpeed = creature
+      ? creature.speed
+      : (this.characterTemplates.get(characterId) ?? this.characterRepo.findById(characterId))?.speed;
+    const { conditions, exhaustionLevel } = this.getConditionSources(characterId);
+    return applySpeedAdjustment(baseSpeed ?? DEFAULT_SPEED, getSpeedAdjustment(conditions, exhaustionLevel));
+  }
+
   updateCharacterState(characterId: string, updates: Partial<CharacterState>): void {
     const state = this.characterStates.get(characterId);
     if (!state) {
@@ -108,10 +951,9 @@ export class D20GameEngine implements IGameEngine {
       activeBuffs: [],
       currentThoughts: template.thoughts || '',
       knownSpells: this.parseSpellSlots(template),
-      equipmentState: {
-        worn: [],
-        wielded: template.equippedWeapon ? [template.equippedWeapon] : [],
-      },
+      equipmentState: getEquipmentState(template.inventory ?? []),
+      hitDiceRemaining: template.level || 1,
+      exhaustionLevel: template.exhaustionLevel || 0,
     };
 
     this.characterStates.set(templateId, state);
@@ -146,6 +988,15 @@ export class D20GameEngine implements IGameEngine {
   // ========== Conditions ==========
 
   applyCondition(targetId: string, condition: Condition): void {
+    const creature = this.creatures.get(targetId);
+    if (creature) {
+      creature.conditions = creature.conditions ?? [];
+      if (!creature.conditions.includes(condition.name)) {
+        creature.conditions.push(condition.name);
+      }
+      return;
+    }
+
     const state = this.characterStates.get(targetId);
     if (!state) {
       throw new Error(`Character state not found: ${targetId}`);
@@ -163,6 +1014,12 @@ export class D20GameEngine implements IGameEngine {
   }
 
   removeCondition(targetId: string, conditionName: string): void {
+    const creature = this.creatures.get(targetId);
+    if (creature) {
+      creature.conditions = (creature.conditions ?? []).filter((c) => c !== conditionName);
+      return;
+    }
+
     const state = this.characterStates.get(targetId);
     if (!state) {
       throw new Error(`Character state not found: ${targetId}`);
@@ -178,6 +1035,26 @@ export class D20GameEngine implements IGameEngine {
     ability: Ability,
     rollType: RollType = 'normal'
   ): AbilityCheckResult {
+    return this.rollAbility(characterId, ability, rollType, 'ability_check');
+  }
+
+  /**
+   * d20 + ability modifier. Jack of All Trades applies to ability checks
+   * (never proficient on a raw check) but not to saving throws.
+   */
+  private rollAbility(
+    characterId: string,
+    ability: Ability,
+    rollType: RollType,
+    kind: 'ability_check' | 'saving_throw'
+  ): AbilityCheckResult {
+    const roll = this.rollD20(rollType, this.getConditionAdjustment(characterId, { kind, ability }));
+
+    const creature = this.creatures.get(characterId);
+    if (creature) {
+      return this.creatureCheck(creature, ability, roll);
+    }
+
     const state = this.characterStates.get(characterId);
     if (!state) {
       throw new Error(`Character state not found: ${characterId}`);
@@ -190,10 +1067,11 @@ export class D20GameEngine implements IGameEngine {
 
     const abilityScores = template.abilityScores || {};
     const abilityScore = abilityScores[ability] || 10;
-    const modifier = getAbilityModifier(abilityScore);
-
-    const d20 = this.roll('1d20');
-    const roll = this.applyRollType(d20, rollType);
+    const level = template.level || 1;
+    const jackBonus = kind === 'ability_check' && hasJackOfAllTrades(template.characterClass, level)
+      ? Math.floor(getProficiencyBonus(level) / 2)
+      : 0;
+    const modifier = getAbilityModifier(abilityScore) + jackBonus;
 
     const result: AbilityCheckResult = {
       characterId,
@@ -205,7 +1083,7 @@ export class D20GameEngine implements IGameEngine {
       },
       abilityScore,
       modifier,
-      rollType,
+      rollType: roll.rollType,
     };
 
     result.roll.total = result.roll.rolls[0] + modifier;
@@ -218,7 +1096,16 @@ export class D20GameEngine implements IGameEngine {
     ability: Ability,
     rollType: RollType = 'normal'
   ): SavingThrowResult {
-    const check = this.abilityCheck(characterId, ability, rollType);
+    const check = this.rollAbility(characterId, ability, rollType, 'saving_throw');
+
+    const creature = this.creatures.get(characterId);
+    if (creature) {
+      const proficiency = creature.savingThrowProficiencies?.includes(ability)
+        ? creature.proficiencyBonus ?? 0
+        : 0;
+      check.roll.total += proficiency;
+      return { ...check, type: 'saving-throw', proficiency };
+    }
 
     const template = this.characterTemplates.get(
       this.characterStates.get(characterId)!.characterId
@@ -244,6 +1131,143 @@ export class D20GameEngine implements IGameEngine {
     };
   }
 
+  // ========== Skills ==========
+
+  private getSkillSubject(characterId: string): SkillCheckSubject {
+    const creature = this.creatures.get(characterId);
+    if (creature) {
+      return {
+        abilityScores: creature.abilityScores ?? {},
+        proficiencyBonus: creature.proficiencyBonus ?? 0,
+        skillProficiencies: creature.skillProficiencies ?? [],
+      };
+    }
+
+    const state = this.characterStates.get(characterId);
+    if (!state) {
+      throw new Error(`Character state not found: ${characterId}`);
+    }
+
+    const template = this.characterTemplates.get(state.characterId);
+    if (!template) {
+      throw new Error(`Character template not found: ${state.characterId}`);
+    }
+
+    const level = template.level || 1;
+    return {
+      abilityScores: template.abilityScores || {},
+      proficiencyBonus: getProficiencyBonus(level),
+      skillProficiencies: template.skillProficiencies || [],
+      skillExpertise: template.skillExpertise || [],
+      jackOfAllTrades: hasJackOfAllTrades(template.characterClass, level),
+    };
+  }
+
+  skillCheck(
+    characterId: string,
+    skill: Skill,
+    rollType: RollType = 'normal',
+    abilityOverride?: Ability
+  ): SkillCheckResult {
+    const subject = this.getSkillSubject(characterId);
+    const bonus = getSkillBonus(subject, skill, abilityOverride);
+
+    const roll = this.rollD20(
+      rollType,
+      this.getConditionAdjustment(characterId, { kind: 'ability_check', ability: bonus.ability })
+    );
+
+    return {
+      type: 'skill-check',
+      characterId,
+      ability: bonus.ability,
+      skill,
+      roll: {
+        ...roll,
+        modifier: bonus.total,
+        total: roll.rolls[0] + bonus.total,
+        reason: `${bonus.ability} (${skill}) check`,
+      },
+      abilityScore: subject.abilityScores[bonus.ability] ?? 10,
+      modifier: bonus.total,
+      rollType: roll.rollType,
+      proficiency: bonus.proficiency,
+      expertise: bonus.expertise,
+      jackOfAllTrades: bonus.jackOfAllTrades,
+    };
+  }
+
+  getPassiveScore(characterId: string, skill: Skill): number {
+    return getPassiveScore(this.getSkillSubject(characterId), skill);
+  }
+
+  // ========== Contests ==========
+
+  /**
+   * Both sides roll their own check and the higher total wins.
+   * A side that fails automatically loses; a tie goes by the tie rule.
+   */
+  contestedCheck(
+    initiator: ContestSide,
+    opponent: ContestSide,
+    tieRule: ContestTieRule = 'status-quo'
+  ): ContestedCheckResult {
+    for (const side of [initiator, opponent]) {
+      if (side.modifier === undefined && !this.hasStats(side.subjectId)) {
+        throw new Error(`Character state not found: ${side.subjectId} (give a modifier for characters without stats)`);
+      }
+    }
+
+    const first = this.rollContestSide(initiator);
+    const second = this.rollContestSide(opponent);
+    const score = (side: ContestRoll) => (side.roll.autoFail ? -Infinity : side.roll.total);
+
+    const tie = score(first) === score(second);
+    let winner: ContestedCheckResult['winner'];
+    if (!tie) {
+      winner = score(first) > score(second) ? 'initiator' : 'opponent';
+    } else {
+      winner = tieRule === 'status-quo' ? null : tieRule;
+    }
+
+    return { initiator: first, opponent: second, winner, tie, tieRule };
+  }
+
+  /**
+   * Characters and creatures roll with their own stats and conditions.
+   * Anyone else needs a flat modifier.
+   */
+  private rollContestSide(side: ContestSide): ContestRoll {
+    const { subjectId, skill, rollType = 'normal' } = side;
+
+    if (this.hasStats(subjectId)) {
+      const check = skill
+        ? this.skillCheck(subjectId, skill, rollType, side.ability)
+        : this.abilityCheck(subjectId, side.ability ?? 'strength', rollType);
+      return { subjectId, ability: check.ability, skill, roll: check.roll, modifier: check.modifier };
+    }
+
+    const ability = side.ability ?? (skill ? SKILL_ABILITIES[skill] : 'strength');
+    const roll = this.rollD20(rollType);
+    const modifier = side.modifier ?? 0;
+    return {
+      subjectId,
+      ability,
+      skill,
+      roll: {
+        ...roll,
+        modifier,
+        total: roll.rolls[0] + modifier,
+        reason: skill ? `${ability} (${skill}) check` : `${ability} check`,
+      },
+      modifier,
+    };
+  }
+
+  private hasStats(subjectId: string): boolean {
+    return this.creatures.has(subjectId) || this.characterStates.has(subjectId);
+  }
+
   private applyRollType(roll: DiceRoll, rollType: RollType): DiceRoll {
     if (rollType === 'normal') {
       return roll;
@@ -259,13 +1283,82 @@ export class D20GameEngine implements IGameEngine {
     return roll.total <= secondRoll.total ? roll : secondRoll;
   }
 
+  // ========== Condition Effects ==========
+
+  /**
+   * Conditions on a creature or character, including the room's narrative overlays
+   */
+  private getConditionSources(subjectId: string): { conditions: ConditionSource[]; exhaustionLevel: number } {
+    const creature = this.creatures.get(subjectId);
+    if (creature) {
+      return { conditions: (creature.conditions ?? []).map((name) => ({ name })), exhaustionLevel: 0 };
+    }
+
+    const state = this.characterStates.get(subjectId);
+    if (!state) {
+      return { conditions: [], exhaustionLevel: 0 };
+    }
+
+    const overlay = this.characterOverlays.get(state.characterId);
+    return {
+      conditions: [...state.conditions, ...(overlay?.conditions ?? [])],
+      exhaustionLevel: this.getExhaustionLevel(state, this.characterTemplates.get(state.characterId) ?? {}),
+    };
+  }
+
+  private getConditionAdjustment(subjectId: string, context: ConditionRollContext): RollAdjustment {
+    const { conditions, exhaustionLevel } = this.getConditionSources(subjectId);
+    return getRollAdjustment(conditions, context, exhaustionLevel);
+  }
+
+  /**
+   * Roll a d20 test, folding condition-derived advantage/disadvantage into the requested roll type
+   */
+  private rollD20(rollType: RollType, ...adjustments: RollAdjustment[]): DiceRoll {
+    const advantage = adjustments.flatMap((a) => a.advantage);
+    const disadvantage = adjustments.flatMap((a) => a.disadvantage);
+    const autoFail = adjustments.find((a) => a.autoFail)?.autoFail;
+    const resolved = resolveRollType(rollType, { advantage, disadvantage, autoFail });
+    const roll = this.applyRollType(this.roll('1d20'), resolved.rollType);
+
+    return {
+      ...roll,
+      rollType: resolved.rollType,
+      advantageSources: resolved.advantage.length > 0 ? resolved.advantage : undefined,
+      disadvantageSources: resolved.disadvantage.length > 0 ? resolved.disadvantage : undefined,
+      autoFail,
+    };
+  }
+
+  /**
+   * Attack d20: the attacker's own conditions plus those of the target being attacked
+   */
+  private rollAttackD20(attackerId: string, rollType: RollType, ranged: boolean, targetId?: string): DiceRoll {
+    const attacker = this.getConditionAdjustment(attackerId, { kind: 'attack_roll', ranged });
+    if (!targetId) {
+      return this.rollD20(rollType, attacker);
+    }
+
+    const target = this.getConditionAdjustment(targetId, { kind: 'attacked', ranged });
+    return this.rollD20(rollType, attacker, {
+      advantage: target.advantage.map((name) => `target ${name}`),
+      disadvantage: target.disadvantage.map((name) => `target ${name}`),
+    });
+  }
+
   // ========== Combat ==========
 
   attackRoll(
     attackerId: string,
     weapon: Weapon,
-    rollType: RollType = 'normal'
+    rollType: RollType = 'normal',
+    targetId?: string
   ): AttackResult {
+    const creature = this.creatures.get(attackerId);
+    if (creature) {
+      return this.creatureAttack(creature, weapon, rollType, targetId);
+    }
+
     const state = this.characterStates.get(attackerId);
     if (!state) {
       throw new Error(`Character state not found: ${attackerId}`);
@@ -276,18 +1369,20 @@ export class D20GameEngine implements IGameEngine {
       throw new Error(`Character template not found: ${state.characterId}`);
     }
 
-    const ability = weapon.finesse
-      ? (template.abilityScores?.dexterity || 10) >= (template.abilityScores?.strength || 10)
-        ? 'dexterity'
-        : 'strength'
-      : 'strength';
+    // Ranged weapons use DEX; finesse weapons use the better of STR and DEX
+    const ability = weapon.ranged
+      ? 'dexterity'
+      : weapon.finesse
+        ? (template.abilityScores?.dexterity || 10) >= (template.abilityScores?.strength || 10)
+          ? 'dexterity'
+          : 'strength'
+        : 'strength';
 
     const abilityScore = template.abilityScores?.[ability] || 10;
     const abilityModifier = getAbilityModifier(abilityScore);
     const proficiency = getProficiencyBonus(template.level);
 
-    const d20 = this.roll('1d20');
-    const roll = this.applyRollType(d20, rollType);
+    const roll = this.rollAttackD20(attackerId, rollType, weapon.ranged, targetId);
     const total = roll.total + abilityModifier + proficiency;
 
     const result: AttackResult = {
@@ -307,11 +1402,45 @@ export class D20GameEngine implements IGameEngine {
     return result;
   }
 
+  /**
+   * The catalog stats of a character's weapon: the named one from their inventory
+   * or the catalog, otherwise the equipped weapon. Null for unknown weapons and creatures.
+   * Versatile weapons use their two-handed dice when no shield is equipped.
+   */
+  resolveWeapon(characterId: string, weaponName?: string): Weapon | null {
+    if (this.creatures.has(characterId)) {
+      return null;
+    }
+
+    const state = this.characterStates.get(characterId);
+    const template = state ? this.characterTemplates.get(state.characterId) : undefined;
+    const inventory = template?.inventory ?? [];
+
+    let definition = getEquippedWeapon(inventory);
+    if (weaponName) {
+      const carried = findInventoryItem(inventory, weaponName);
+      const named = findItem(carried?.itemId ?? weaponName);
+      definition = isWeapon(named) ? named : null;
+    }
+
+    return definition ? toWeapon(definition, !getEquippedShield(inventory)) : null;
+  }
+
   applyDamage(
     targetId: string,
     damage: number,
-    damageType: DamageType
+    damageType: DamageType,
+    options: { critical?: boolean } = {}
   ): DamageResult {
+    if (damage < 0) {
+      throw new Error(`Damage cannot be negative: ${damage}`);
+    }
+
+    const creature = this.creatures.get(targetId);
+    if (creature) {
+      return this.damageCreature(creature, damage, damageType);
+    }
+
     const state = this.characterStates.get(targetId);
     if (!state) {
       throw new Error(`Character state not found: ${targetId}`);
@@ -322,47 +1451,74 @@ export class D20GameEngine implements IGameEngine {
       throw new Error(`Character template not found: ${state.characterId}`);
     }
 
-    if (damage < 0) {
-      throw new Error(`Damage cannot be negative: ${damage}`);
-    }
-
-    let finalDamage = damage;
-    let resisted = false;
-    let immune = false;
-
-    // TODO: Implement proper resistance/immunity checking
+    const adjusted = adjustDamage(damage, damageType, this.getCharacterDamageTraits(state, template));
 
+    // Temporary HP absorbs damage first
+    let hpLoss = adjusted.finalDamage;
     if (state.temporaryHp > 0) {
-      if (state.temporaryHp >= finalDamage) {
-        state.temporaryHp -= finalDamage;
-        finalDamage = 0;
+      if (state.temporaryHp >= hpLoss) {
+        state.temporaryHp -= hpLoss;
+        hpLoss = 0;
       } else {
-        finalDamage -= state.temporaryHp;
+        hpLoss -= state.temporaryHp;
         state.temporaryHp = 0;
       }
     }
 
-    state.currentHp = Math.max(0, state.currentHp - finalDamage);
+    const wasDown = state.currentHp === 0;
+    const deathSaves = this.getDeathSaves(state);
+    const overflow = hpLoss - state.currentHp;
+    state.currentHp = Math.max(0, state.currentHp - hpLoss);
 
     let status: 'conscious' | 'unconscious' | 'dead' = 'conscious';
-    if (state.currentHp === 0) {
-      status = 'unconscious';
-      state.conditions.push({
-        name: 'unconscious',
-        source: 'damage',
-        appliedAt: Date.now(),
-      });
+    let instantDeath = false;
+    let deathSaveFailures: number | undefined;
+
+    if (deathSaves.isDead) {
+      status = 'dead';
+    } else if (wasDown) {
+      // Damage at 0 HP: one failure (two on a critical), or death if it equals max HP
+      if (hpLoss >= (template.maxHp || 1)) {
+        instantDeath = true;
+        deathSaves.isDead = true;
+      } else if (hpLoss > 0) {
+        deathSaveFailures = options.critical ? 2 : 1;
+        deathSaves.failures = Math.min(
+          DEATH_SAVE_FAILURE_THRESHOLD,
+          deathSaves.failures + deathSaveFailures
+        );
+        deathSaves.isStable = false;
+        if (deathSaves.failures >= DEATH_SAVE_FAILURE_THRESHOLD) {
+          deathSaves.isDead = true;
+        }
+      }
+      status = deathSaves.isDead ? 'dead' : 'unconscious';
+    } else if (state.currentHp === 0) {
+      // Massive damage: leftover damage at least equal to max HP kills outright
+      if (overflow >= (template.maxHp || 1)) {
+        instantDeath = true;
+        deathSaves.isDead = true;
+        status = 'dead';
+      } else {
+        status = 'unconscious';
+      }
+      this.markUnconscious(state);
     }
 
+    const concentration = state.concentration && adjusted.finalDamage > 0
+      ? this.checkConcentration(targetId, state, adjusted.finalDamage)
+      : undefined;
+
     const result: DamageResult = {
       targetId,
       damage,
       damageType,
-      finalDamage,
-      resisted,
-      immune,
+      ...adjusted,
       remainingHp: state.currentHp,
       status,
+      instantDeath,
+      deathSaveFailures,
+      concentration,
     };
 
     return result;
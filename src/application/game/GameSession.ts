@@ -3,6 +3,7 @@
 
 import type {
   IGameState,
+  IRollPromptService,
   GameSessionContext,
   SessionEvent,
   TurnGate,
@@ -14,8 +15,11 @@ import type { GameEngine } from '@/domain/game/types.js';
 import type { ILLMClient } from '@/domain/llm/types.js';
 import type { IConversationHistory } from '@/domain/room/types.js';
 import type { ContextBuilder } from '@/domain/llm/context.js';
-import { AllPlayerGate, RestrictedGate } from '@/application/game/TurnGate.js';
+import type { ILootService } from '@/domain/game/loot.js';
+import type { IExperienceService } from '@/domain/game/experience.js';
+import { AllPlayerGate, PausedGate, RestrictedGate } from '@/application/game/TurnGate.js';
 import { ExplorationState } from '@/application/game/states/ExplorationState.js';
+import { CombatState } from '@/application/game/states/CombatState.js';
 import type { WorldContextUpdater } from '@/application/game/agents/WorldContextUpdater.js';
 
 export interface GameSessionDependencies {
@@ -26,6 +30,9 @@ export interface GameSessionDependencies {
   gameState: GameState;
   getRoomMembers: () => Promise<RoomMember[]>;
   worldContextUpdater: WorldContextUpdater;
+  loot?: ILootService;
+  experience?: IExperienceService;
+  rollPrompts?: IRollPromptService;
 }
 
 /**
@@ -35,6 +42,7 @@ export interface GameSessionDependencies {
 export class GameSession {
   private currentState: IGameState;
   private turnGate: TurnGate;
+  private gateBeforePrompt?: TurnGate;
   private deps: GameSessionDependencies;
 
   constructor(deps: GameSessionDependencies, initialState?: IGameState) {
@@ -70,27 +78,64 @@ export class GameSession {
       gameState: this.deps.gameState,
       turnGate: this.turnGate,
       roomMembers,
+      loot: this.deps.loot,
+      experience: this.deps.experience,
+      rollPrompts: this.deps.rollPrompts,
     };
 
     for await (const event of this.currentState.processActions(actions, context)) {
-      // Intercept state transition events
-      if (event.type === 'state_transition') {
-        await this.transitionTo(event.to, event.reason, context);
-      }
+      yield* this.routeEvent(event, context);
+    }
+  }
 
-      // Intercept action restriction events
-      if (event.type === 'action_restriction') {
-        if (event.allowedCharacterIds.length === 0) {
-          this.turnGate = new AllPlayerGate();
-        } else {
-          this.turnGate = new RestrictedGate(
-            event.allowedCharacterIds,
-            event.reason
-          );
-        }
+  /**
+   * Apply session-level side effects of an event, then pass it on.
+   * Leaving and entering a state may produce their own events (encounter XP,
+   * initiative rolls), which are routed the same way right after the transition.
+   */
+  private async *routeEvent(
+    event: SessionEvent,
+    context: GameSessionContext
+  ): AsyncGenerator<SessionEvent> {
+    // Intercept state transition events
+    const previousState = this.currentState;
+    if (event.type === 'state_transition') {
+      await this.transitionTo(event.to, event.reason, context);
+    }
+
+    // Intercept action restriction events (combat owns its own gate)
+    if (event.type === 'action_restriction' && this.currentState.name !== 'combat') {
+      if (event.allowedCharacterIds.length === 0) {
+        this.turnGate = new AllPlayerGate();
+      } else {
+        this.turnGate = new RestrictedGate(
+          event.allowedCharacterIds,
+          event.reason
+        );
       }
+    }
 
-      yield event;
+    // Nobody acts while the narrator waits for a player's roll
+    if (event.type === 'roll_prompt') {
+      this.gateBeforePrompt ??= this.turnGate;
+      this.turnGate = new PausedGate(`等待 ${event.prompt.characterName} 掷骰`);
+      context.turnGate = this.turnGate;
+    }
+    if (event.type === 'roll_prompt_closed' && this.gateBeforePrompt) {
+      this.turnGate = this.gateBeforePrompt;
+      this.gateBeforePrompt = undefined;
+      context.turnGate = this.turnGate;
+    }
+
+    yield event;
+
+    if (event.type === 'state_transition') {
+      for (const exitEvent of previousState.takeExitEvents?.() ?? []) {
+        yield* this.routeEvent(exitEvent, context);
+      }
+      for (const entryEvent of this.currentState.takeEntryEvents?.() ?? []) {
+        yield* this.routeEvent(entryEvent, context);
+      }
     }
   }
 
@@ -108,13 +153,17 @@ export class GameSession {
         this.currentState = this.createExplorationState();
         this.turnGate = new AllPlayerGate();
         break;
-      case 'combat':
-        // CombatState is interface-only for now
-        throw new Error('CombatState not yet implemented');
+      case 'combat': {
+        const combatState = new CombatState(this.deps.worldContextUpdater);
+        this.currentState = combatState;
+        this.turnGate = combatState.getTurnGate();
+        break;
+      }
       default:
         throw new Error(`Unknown state: ${stateName}`);
     }
 
+    context.turnGate = this.turnGate;
     await this.currentState.onEnter?.(context);
   }
 
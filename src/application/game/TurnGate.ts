@@ -79,7 +79,7 @@ export class PausedGate implements TurnGate {
 }
 
 /**
- * InitiativeGate - Combat turn order (reserved for CombatState)
+ * InitiativeGate - Combat turn order, driven by CombatState
  * Only the character whose turn it is can act
  */
 export class InitiativeGate implements TurnGate {
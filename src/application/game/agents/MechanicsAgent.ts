@@ -2,15 +2,125 @@
 // Executes tool calls and yields session events
 
 import type { ToolCall } from '@/domain/llm/types.js';
-import type { Ability } from '@/domain/game/types.js';
-import type { GameSessionContext, SessionEvent } from '@/domain/game/session.js';
+import type {
+  Ability,
+  ContestSide,
+  ContestedCheckResult,
+  ContestTieRule,
+  DamageResult,
+  DamageType,
+  DiceRoll,
+  RollType,
+  Skill,
+  Weapon,
+} from '@/domain/game/types.js';
+import type { Encounter, Enemy } from '@/domain/game/GameState.js';
+import type { PlayerRoll, PlayerRollRequest, RollPrompt } from '@/domain/room/types.js';
+import type {
+  DiceRollEvent,
+  GameSessionContext,
+  GroupCheckMemberResult,
+  RollVisibility,
+  SessionEvent,
+} from '@/domain/game/session.js';
+import {
+  CRITICAL_MULTIPLIER,
+  STABILIZE_DC,
+  getChallengeRatingXp,
+  isGroupCheckSuccess,
+} from '@/domain/game/dnd5e/rules.js';
+import { normalizeSkill } from '@/domain/game/dnd5e/abilities.js';
+import { SPELLS, findSpell } from '@/domain/game/dnd5e/spells.js';
+import { PARTY_TREASURY, coinsToGold, roundGold, type Coins } from '@/domain/game/loot.js';
+import { splitExperience } from '@/domain/game/experience.js';
+import {
+  createQuest,
+  findQuest,
+  resolveQuest,
+  updateQuestObjectives,
+} from '@/domain/game/quests.js';
+import { createNpc, findNpc, updateNpc, type NpcUpdate } from '@/domain/game/npcs.js';
+import type { NpcAttitude, NpcState } from '@/domain/game/GameState.js';
+import {
+  advanceClock,
+  formatClock,
+  getClock,
+  scheduleEvent,
+  secondsUntilHour,
+} from '@/domain/game/calendar.js';
+import {
+  TRAVEL_PACE_MULTIPLIERS,
+  addLocation,
+  connectLocations,
+  createLocationGraph,
+  findLocation,
+  findRoute,
+  formatDuration,
+  travelRoute,
+  type TravelPace,
+} from '@/domain/game/locations.js';
+import { multiplyDice } from '@/utils/dice.js';
 
 export type MechanicsToolResult = {
   toolResult: unknown;
   sessionEvent?: SessionEvent;
 };
 
+/**
+ * One side of request_contested_check, as the narrator names it
+ */
+interface ContestantArgs {
+  id: string;
+  skill?: string;
+  ability?: Ability;
+  rollType?: RollType;
+  modifier?: number;
+}
+
+/**
+ * Fallback stat line for enemies the narrator did not fully describe
+ */
+const DEFAULT_ENEMY_STATS = {
+  hp: 7,
+  armorClass: 12,
+  attackBonus: 3,
+  damage: '1d6+1',
+  damageType: 'slashing' as DamageType,
+  initiativeBonus: 1,
+};
+
+const MAX_ENEMIES_PER_GROUP = 12;
+
+/**
+ * Check tools a player can roll themselves, and the roll each one asks for
+ */
+const PLAYER_ROLL_KINDS: Record<string, PlayerRollRequest['kind']> = {
+  request_ability_check: 'ability',
+  request_skill_check: 'skill',
+  request_saving_throw: 'save',
+};
+
 export class MechanicsAgent {
+  /**
+   * Run a tool call. In player-rolls rooms a check is handed to the character's player:
+   * the prompt events are yielded while the narrator waits, and the server rolls on timeout.
+   */
+  async *executeWithPrompts(
+    call: ToolCall,
+    ctx: GameSessionContext
+  ): AsyncGenerator<SessionEvent, MechanicsToolResult> {
+    const prompt = this.openRollPrompt(call, ctx);
+    if (!prompt) {
+      return await this.execute(call, ctx);
+    }
+
+    yield { type: 'roll_prompt', prompt };
+    const roll = await ctx.rollPrompts!.wait(prompt.id);
+    yield { type: 'roll_prompt_closed', promptId: prompt.id, characterId: prompt.characterId, timedOut: !roll };
+
+    return roll ? this.resolvePlayerRoll(roll) : await this.execute(call, ctx);
+  }
+
   async execute(
     call: ToolCall,
     ctx: GameSessionContext
@@ -27,19 +137,67 @@ export class MechanicsAgent {
     switch (call.function.name) {
       case 'request_ability_check':
         return this.executeAbilityCheck(args, ctx);
+      case 'request_skill_check':
+        return this.executeSkillCheck(args, ctx);
       case 'request_saving_throw':
         return this.executeSavingThrow(args, ctx);
+      case 'roll_dice':
+        return this.executeRollDice(args, ctx);
       case 'request_group_check':
         return this.executeGroupCheck(args, ctx);
+      case 'request_contested_check':
+        return this.executeContestedCheck(args, ctx);
       case 'start_combat':
+        return this.executeStartCombat(args, ctx);
+      case 'attack':
+        return this.executeAttack(args, ctx);
+      case 'end_combat':
         return {
-          toolResult: { acknowledged: true },
+          toolResult: { acknowledged: true, outcome: args.outcome },
           sessionEvent: {
             type: 'state_transition',
-            to: 'combat',
-            reason: args.reason || '进入战斗',
+            to: 'exploration',
+            reason: args.reason || '战斗结束',
           },
         };
+      case 'stabilize':
+        return this.executeStabilize(args, ctx);
+      case 'heal':
+        return this.executeHeal(args, ctx);
+      case 'cast_spell':
+        return this.executeCastSpell(args, ctx);
+      case 'end_concentration': {
+        const characterId = this.resolveCharacterId(args.characterId, ctx);
+        const ended = ctx.gameEngine.endConcentration(characterId);
+        return {
+          toolResult: ended
+            ? { acknowledged: true, spell: ended.spellName }
+            : { error: `${this.getCharacterName(characterId, ctx) || characterId} is not concentrating` },
+        };
+      }
+      case 'short_rest':
+      case 'long_rest':
+        return this.executeRest(call.function.name === 'long_rest' ? 'long' : 'short', args, ctx);
+      case 'award_loot':
+        return this.executeAwardLoot(args, ctx);
+      case 'award_xp':
+        return this.executeAwardXp(args, ctx);
+      case 'create_quest':
+      case 'update_quest':
+      case 'resolve_quest':
+        return this.executeQuest(call.function.name, args, ctx);
+      case 'advance_time':
+        return this.executeAdvanceTime(args, ctx);
+      case 'schedule_event':
+        return this.executeScheduleEvent(args, ctx);
+      case 'add_location':
+        return this.executeAddLocation(args, ctx);
+      case 'move_party':
+        return this.executeMoveParty(args, ctx);
+      case 'create_npc':
+        return this.executeCreateNpc(args, ctx);
+      case 'update_npc':
+        return this.executeUpdateNpc(args, ctx);
       case 'restrict_action':
         return {
           toolResult: { acknowledged: true },
@@ -56,6 +214,79 @@ export class MechanicsAgent {
     }
   }
 
+  private openRollPrompt(call: ToolCall, ctx: GameSessionContext): RollPrompt | null {
+    const kind = PLAYER_ROLL_KINDS[call.function.name];
+    if (!kind || !ctx.rollPrompts) {
+      return null;
+    }
+
+    let args: any;
+    try {
+      args = JSON.parse(call.function.arguments);
+    } catch {
+      return null;
+    }
+    // Secret checks are rolled behind the screen
+    if (args.visibility && args.visibility !== 'public') {
+      return null;
+    }
+
+    const characterId = this.resolveCharacterId(args.characterId ?? '', ctx);
+    const member = ctx.roomMembers.find((m) => m.characterId === characterId);
+    const skill = kind === 'skill' ? normalizeSkill(args.skill || '') : undefined;
+    if (!member || skill === null) {
+      return null;
+    }
+
+    return ctx.rollPrompts.open(member, {
+      kind,
+      ability: args.ability,
+      skill,
+      rollType: args.rollType || 'normal',
+      dc: args.dc,
+      reason: args.reason,
+    });
+  }
+
+  /**
+   * Tool result for a check the player rolled from a prompt
+   */
+  private resolvePlayerRoll(roll: PlayerRoll): MechanicsToolResult {
+    const data = roll.result;
+    return {
+      toolResult: {
+        characterId: data.characterId,
+        ability: data.ability,
+        skill: data.skill,
+        roll: data.roll,
+        dc: data.dc,
+        success: data.success,
+        reason: data.reason,
+        rolledBy: data.rolledBy,
+      },
+      sessionEvent: { type: 'dice_roll', data },
+    };
+  }
+
+  /**
+   * Visibility of a narrator check. A private roll goes to the player of the first
+   * listed character that has one; with no player to show it to, it stays hidden.
+   */
+  private rollVisibility(
+    visibility: RollVisibility | undefined,
+    characterIds: string[],
+    ctx: GameSessionContext
+  ): Pick<DiceRollEvent['data'], 'visibility' | 'playerId'> {
+    if (visibility === 'hidden') {
+      return { visibility };
+    }
+    if (visibility === 'player') {
+      const member = ctx.roomMembers.find((m) => m.characterId && characterIds.includes(m.characterId));
+      return member ? { visibility, playerId: member.userId } : { visibility: 'hidden' };
+    }
+    return {};
+  }
+
   private resolveCharacterId(rawId: string, ctx: GameSessionContext): string {
     const byId = ctx.roomMembers.find((m) => m.characterId === rawId);
     if (byId?.characterId) return byId.characterId;
@@ -74,6 +305,698 @@ export class MechanicsAgent {
     return character?.characterName || character?.username;
   }
 
+  private findEnemy(rawId: string, encounter: Encounter): Enemy | undefined {
+    return (
+      encounter.enemies.find((e) => e.id === rawId) ||
+      encounter.enemies.find((e) => e.name.toLowerCase() === rawId.toLowerCase())
+    );
+  }
+
+  private executeStartCombat(
+    args: {
+      reason: string;
+      enemies?: Array<{
+        name: string;
+        monsterId?: string;
+        count?: number;
+        hp?: number;
+        armorClass?: number;
+        attackBonus?: number;
+        damage?: string;
+        damageType?: DamageType;
+        initiativeBonus?: number;
+      }>;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const encounter: Encounter = {
+      id: `encounter-${Date.now()}`,
+      name: args.reason || '战斗',
+      enemies: [],
+      isActive: true,
+      round: 0,
+    };
+    const enemies = encounter.enemies;
+
+    for (const spec of args.enemies ?? []) {
+      if (!spec?.name) continue;
+      const count = Math.min(Math.max(Math.floor(spec.count ?? 1), 1), MAX_ENEMIES_PER_GROUP);
+      // Known creatures use their bestiary stat block
+      const statBlock = ctx.gameEngine.findStatBlock(spec.monsterId || spec.name);
+
+      for (let i = 1; i <= count; i++) {
+        const name = count > 1 ? `${spec.name} ${i}` : spec.name;
+        if (statBlock) {
+          ctx.gameEngine.spawnCreature(statBlock, encounter, name);
+          continue;
+        }
+
+        const hp = spec.hp ?? DEFAULT_ENEMY_STATS.hp;
+        enemies.push({
+          id: `enemy-${enemies.length + 1}`,
+          name,
+          hp,
+          maxHp: hp,
+          armorClass: spec.armorClass ?? DEFAULT_ENEMY_STATS.armorClass,
+          attackBonus: spec.attackBonus ?? DEFAULT_ENEMY_STATS.attackBonus,
+          damage: spec.damage || DEFAULT_ENEMY_STATS.damage,
+          damageType: spec.damageType || DEFAULT_ENEMY_STATS.damageType,
+          initiativeBonus: spec.initiativeBonus ?? DEFAULT_ENEMY_STATS.initiativeBonus,
+          conditions: [],
+        });
+      }
+    }
+
+    if (enemies.length === 0) {
+      return {
+        toolResult: { error: 'start_combat requires at least one enemy' },
+      };
+    }
+
+    // Only one fight at a time
+    for (const existing of ctx.gameState.activeEncounters) {
+      existing.isActive = false;
+    }
+    ctx.gameState.activeEncounters.push(encounter);
+    ctx.gameEngine.syncEncounters(ctx.gameState.activeEncounters);
+
+    return {
+      toolResult: {
+        acknowledged: true,
+        encounterId: encounter.id,
+        enemies: enemies.map((e) => ({
+          id: e.id,
+          name: e.name,
+          hp: e.hp,
+          armorClass: e.armorClass,
+        })),
+      },
+      sessionEvent: {
+        type: 'state_transition',
+        to: 'combat',
+        reason: args.reason || '进入战斗',
+      },
+    };
+  }
+
+  private executeAttack(
+    args: {
+      attackerId: string;
+      targetId: string;
+      weaponName?: string;
+      damage?: string;
+      damageType?: DamageType;
+      finesse?: boolean;
+      ranged?: boolean;
+      rollType?: RollType;
+      reason?: string;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const encounter = ctx.gameState.activeEncounters.find((e) => e.isActive);
+    if (!encounter) {
+      return { toolResult: { error: 'No active encounter' } };
+    }
+
+    const target = this.findEnemy(args.targetId, encounter);
+    if (!target) {
+      return { toolResult: { error: `Target not found: ${args.targetId}` } };
+    }
+    if (target.hp <= 0) {
+      return { toolResult: { error: `${target.name} is already defeated` } };
+    }
+
+    const attackerId = this.resolveCharacterId(args.attackerId, ctx);
+    // Catalog weapons use their real stats; the tool arguments describe anything else
+    const weapon: Weapon = ctx.gameEngine.resolveWeapon(attackerId, args.weaponName) ?? {
+      id: args.weaponName || 'unarmed',
+      name: args.weaponName || '徒手打击',
+      damage: args.damage || '1d4',
+      damageType: args.damageType || 'bludgeoning',
+      finesse: args.finesse ?? false,
+      ranged: args.ranged ?? false,
+    };
+
+    const attack = ctx.gameEngine.attackRoll(attackerId, weapon, args.rollType || 'normal', target.id);
+    const natural = attack.roll.rolls[0];
+    const hit = natural !== 1 && (attack.isCritical || attack.roll.total >= target.armorClass);
+    attack.hit = hit;
+    attack.ac = target.armorClass;
+
+    let damage: DiceRoll | undefined;
+    let applied: DamageResult | undefined;
+    if (hit) {
+      const abilityModifier = attack.roll.modifier - attack.proficiency;
+      const dice = attack.isCritical ? multiplyDice(weapon.damage, CRITICAL_MULTIPLIER) : weapon.damage;
+      damage = ctx.gameEngine.rollDamage(dice, abilityModifier);
+      applied = ctx.gameEngine.applyDamage(target.id, Math.max(0, damage.total), weapon.damageType, {
+        critical: attack.isCritical,
+      });
+    }
+
+    const characterName = this.getCharacterName(attackerId, ctx);
+    const reason = args.reason || `${weapon.name} → ${target.name}`;
+
+    return {
+      toolResult: {
+        attackerId,
+        targetId: target.id,
+        weapon: weapon.name,
+        roll: attack.roll,
+        targetAc: target.armorClass,
+        hit,
+        isCritical: attack.isCritical,
+        damage: applied
+          ? {
+              rolled: applied.damage,
+              dealt: applied.finalDamage,
+              damageType: weapon.damageType,
+              resisted: applied.resisted,
+              immune: applied.immune,
+              vulnerable: applied.vulnerable,
+            }
+          : null,
+        targetHp: target.hp,
+        targetDefeated: target.hp <= 0,
+      },
+      sessionEvent: {
+        type: 'dice_roll',
+        data: {
+          checkType: 'attack_roll',
+          characterId: attackerId,
+          characterName,
+          ability: attack.ability,
+          dc: target.armorClass,
+          roll: attack.roll,
+          success: hit,
+          reason,
+          targetId: target.id,
+          targetName: target.name,
+          isCritical: attack.isCritical,
+          damage: damage
+            ? {
+                formula: damage.formula,
+                rolls: damage.rolls,
+                modifier: damage.modifier,
+                total: Math.max(0, damage.total),
+                damageType: weapon.damageType,
+                applied: applied?.finalDamage,
+                resisted: applied?.resisted,
+                immune: applied?.immune,
+                vulnerable: applied?.vulnerable,
+              }
+            : undefined,
+        },
+      },
+    };
+  }
+
+  private async executeAwardLoot(
+    args: {
+      recipientId: string;
+      coins?: Coins;
+      items?: Array<{ name: string; quantity?: number }>;
+      reason?: string;
+    },
+    ctx: GameSessionContext
+  ): Promise<MechanicsToolResult> {
+    if (!ctx.loot) {
+      return { toolResult: { error: 'Loot is not available in this room' } };
+    }
+
+    const recipientId = args.recipientId === PARTY_TREASURY
+      ? PARTY_TREASURY
+      : this.resolveCharacterId(args.recipientId, ctx);
+    const items = (args.items ?? [])
+      .filter((item) => item?.name)
+      .map((item) => ({ name: item.name, quantity: Math.max(1, Math.floor(item.quantity ?? 1)) }));
+
+    try {
+      const entries = await ctx.loot.award(
+        recipientId,
+        { gold: coinsToGold(args.coins ?? {}), items },
+        args.reason || '战利品',
+        'narrator'
+      );
+      return {
+        toolResult: {
+          recipient: recipientId === PARTY_TREASURY
+            ? 'party treasury'
+            : this.getCharacterName(recipientId, ctx) || recipientId,
+          gold: roundGold(entries.reduce((sum, e) => sum + (e.gold ?? 0), 0)),
+          items: entries.filter((e) => e.item).map((e) => `${e.item!.name} x${e.item!.quantity}`),
+        },
+        sessionEvent: { type: 'loot', entries },
+      };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Award failed' } };
+    }
+  }
+
+  private async executeAwardXp(
+    args: {
+      characterIds?: string[];
+      amount?: number;
+      challengeRatings?: number[];
+      reason?: string;
+    },
+    ctx: GameSessionContext
+  ): Promise<MechanicsToolResult> {
+    if (!ctx.experience) {
+      return { toolResult: { error: 'XP is not available in this room' } };
+    }
+
+    const characterIds = args.characterIds?.length
+      ? args.characterIds.map((id) => this.resolveCharacterId(id, ctx))
+      : ctx.roomMembers.map((m) => m.characterId).filter((id): id is string => !!id);
+
+    // Creatures overcome without a fight are worth their CR's XP, shared by the party
+    const amount = args.challengeRatings?.length
+      ? splitExperience(
+          args.challengeRatings.reduce((sum, cr) => sum + getChallengeRatingXp(cr), 0),
+          characterIds.length
+        )
+      : Math.floor(args.amount ?? 0);
+
+    try {
+      const reason = args.reason || '里程碑';
+      const awards = await ctx.experience.award(characterIds, amount);
+      return {
+        toolResult: {
+          awards: awards.map((a) => ({
+            character: a.characterName,
+            xp: a.amount,
+            total: a.experience,
+            canLevelUp: a.canLevelUp,
+          })),
+        },
+        sessionEvent: { type: 'experience', awards, reason },
+      };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Award failed' } };
+    }
+  }
+
+  /**
+   * Create, update or resolve a quest in the room's quest log
+   */
+  private executeQuest(
+    tool: 'create_quest' | 'update_quest' | 'resolve_quest',
+    args: {
+      questId?: string;
+      name?: string;
+      description?: string;
+      giver?: string;
+      objectives?: string[];
+      completeObjectives?: number[];
+      reopenObjectives?: number[];
+      addObjectives?: string[];
+      status?: 'completed' | 'failed';
+      outcome?: string;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    if (!ctx.gameState.quests) {
+      ctx.gameState.quests = [];
+    }
+    const quests = ctx.gameState.quests;
+
+    try {
+      let quest;
+      let change: 'created' | 'updated' | 'completed' | 'failed';
+      if (tool === 'create_quest') {
+        quest = createQuest(quests, {
+          name: args.name ?? '',
+          description: args.description,
+          giver: args.giver,
+          objectives: args.objectives,
+        });
+        change = 'created';
+      } else {
+        quest = findQuest(quests, args.questId ?? '');
+        if (!quest) {
+          return { toolResult: { error: `Quest not found: ${args.questId}` } };
+        }
+        if (tool === 'update_quest') {
+          updateQuestObjectives(quest, {
+            complete: args.completeObjectives,
+            reopen: args.reopenObjectives,
+            add: args.addObjectives,
+          });
+          change = 'updated';
+        } else {
+          if (args.status !== 'completed' && args.status !== 'failed') {
+            return { toolResult: { error: 'status must be completed or failed' } };
+          }
+          resolveQuest(quest, args.status, args.outcome);
+          change = args.status;
+        }
+      }
+      ctx.gameState.lastUpdated = Date.now();
+
+      return {
+        toolResult: {
+          questId: quest.id,
+          name: quest.name,
+          status: quest.status,
+          objectives: quest.objectives.map((o, i) => `${i + 1}. [${o.completed ? 'x' : ' '}] ${o.description}`),
+          allObjectivesComplete: quest.objectives.length > 0 && quest.objectives.every((o) => o.completed),
+        },
+        sessionEvent: { type: 'quest', change, quest },
+      };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Quest update failed' } };
+    }
+  }
+
+  private executeAdvanceTime(
+    args: { minutes?: number; hours?: number; days?: number; untilHour?: number; reason?: string },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    try {
+      const seconds = args.untilHour !== undefined
+        ? secondsUntilHour(getClock(ctx.gameState), args.untilHour)
+        : ((args.days ?? 0) * 1440 + (args.hours ?? 0) * 60 + (args.minutes ?? 0)) * 60;
+      if (!(seconds > 0)) {
+        return { toolResult: { error: 'Pass minutes, hours, days or untilHour' } };
+      }
+
+      const clock = advanceClock(ctx.gameState, seconds);
+      ctx.gameState.lastUpdated = Date.now();
+      return {
+        toolResult: { advancedMinutes: Math.round(seconds / 60), time: formatClock(clock.seconds) },
+        sessionEvent: { type: 'time', clock, advancedSeconds: seconds, reason: args.reason || '时间流逝' },
+      };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Time change failed' } };
+    }
+  }
+
+  private executeScheduleEvent(
+    args: { description?: string; inMinutes?: number; inHours?: number; inDays?: number },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const delay = ((args.inDays ?? 0) * 1440 + (args.inHours ?? 0) * 60 + (args.inMinutes ?? 0)) * 60;
+    if (!(delay > 0)) {
+      return { toolResult: { error: 'Pass inMinutes, inHours or inDays' } };
+    }
+    if (!ctx.gameState.scheduledEvents) {
+      ctx.gameState.scheduledEvents = [];
+    }
+
+    try {
+      const at = getClock(ctx.gameState).seconds + Math.round(delay);
+      const event = scheduleEvent(ctx.gameState.scheduledEvents, args.description ?? '', at);
+      ctx.gameState.lastUpdated = Date.now();
+      return { toolResult: { eventId: event.id, at: formatClock(event.at) } };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Scheduling failed' } };
+    }
+  }
+
+  /**
+   * Put a place and its routes on the map
+   */
+  private executeAddLocation(
+    args: {
+      name?: string;
+      description?: string;
+      region?: string;
+      discovered?: boolean;
+      connections?: Array<{ to: string; travelMinutes: number; route?: string; discovered?: boolean }>;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    if (!ctx.gameState.locationGraph) {
+      ctx.gameState.locationGraph = createLocationGraph();
+    }
+    const graph = ctx.gameState.locationGraph;
+
+    try {
+      const location = addLocation(graph, {
+        name: args.name ?? '',
+        description: args.description,
+        region: args.region,
+        discovered: args.discovered ?? true,
+      });
+
+      const connected: string[] = [];
+      for (const connection of args.connections ?? []) {
+        const other = findLocation(graph, connection.to) ??
+          addLocation(graph, { name: connection.to, discovered: connection.discovered ?? true });
+        connectLocations(graph, location.id, other.id, connection.travelMinutes, connection);
+        connected.push(`${other.name} (${formatDuration(Math.round(connection.travelMinutes))})`);
+      }
+      ctx.gameState.lastUpdated = Date.now();
+
+      return {
+        toolResult: {
+          locationId: location.id,
+          name: location.name,
+          discovered: location.discovered,
+          connections: connected,
+        },
+      };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Location update failed' } };
+    }
+  }
+
+  /**
+   * Move the party, or some characters, to a place. Travel time comes from the
+   * map's routes and advances the in-game clock.
+   */
+  private executeMoveParty(
+    args: {
+      destination: string;
+      characterIds?: string[];
+      pace?: TravelPace;
+      travelMinutes?: number;
+      route?: string;
+      description?: string;
+      region?: string;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const state = ctx.gameState;
+    if (!state.locationGraph) {
+      state.locationGraph = createLocationGraph();
+    }
+    const graph = state.locationGraph;
+    const pace: TravelPace = args.pace && args.pace in TRAVEL_PACE_MULTIPLIERS ? args.pace : 'normal';
+
+    const partyIds = ctx.roomMembers.map((m) => m.characterId).filter((id): id is string => !!id);
+    const movingIds = [...new Set((args.characterIds ?? []).map((id) => this.resolveCharacterId(id, ctx)))];
+    const wholeParty = movingIds.length === 0 || partyIds.every((id) => movingIds.includes(id));
+    const characterLocations = state.characterLocations ?? {};
+
+    // Everyone moving has to set out from the same place
+    const origins = new Set(
+      wholeParty ? [state.location.id] : movingIds.map((id) => characterLocations[id] ?? state.location.id)
+    );
+    if (origins.size > 1) {
+      return { toolResult: { error: 'These characters are in different places. Move each group separately.' } };
+    }
+    const originId = [...origins][0];
+    const origin = originId ? findLocation(graph, originId) : undefined;
+
+    const known = findLocation(graph, args.destination ?? '');
+    if (!known && origin && args.travelMinutes === undefined) {
+      return {
+        toolResult: {
+          error: `${args.destination} is not on the map. Pass travelMinutes for the way from ${origin.name}.`,
+        },
+      };
+    }
+
+    try {
+      const destination = known ?? addLocation(graph, {
+        name: args.destination ?? '',
+        description: args.description,
+        region: args.region,
+      });
+      if (destination.id === origin?.id) {
+        return { toolResult: { error: `Already at ${destination.name}` } };
+      }
+
+      let route = origin ? findRoute(graph, origin.id, destination.id) : null;
+      if (!route && origin) {
+        if (args.travelMinutes === undefined) {
+          return {
+            toolResult: {
+              error: `No known route from ${origin.name} to ${destination.name}. Pass travelMinutes to add one.`,
+            },
+          };
+        }
+        connectLocations(graph, origin.id, destination.id, args.travelMinutes, { route: args.route });
+        route = findRoute(graph, origin.id, destination.id);
+      }
+      // The party's first place on the map: nothing to travel from
+      const travelMinutes = route ? travelRoute(graph, route, pace) : 0;
+      destination.discovered = true;
+
+      // Moving the last characters to where the others went brings the party back together
+      const reunited = partyIds.every((id) => movingIds.includes(id) || characterLocations[id] === destination.id);
+      if (wholeParty || reunited) {
+        state.location = {
+          id: destination.id,
+          name: destination.name,
+          description: destination.description,
+          region: destination.region,
+        };
+        state.worldContext.flags.location = destination.name;
+        state.characterLocations = {};
+      } else {
+        for (const id of movingIds) characterLocations[id] = destination.id;
+        // Characters standing with the party are no longer split off
+        for (const [id, locationId] of Object.entries(characterLocations)) {
+          if (locationId === state.location.id) delete characterLocations[id];
+        }
+        state.characterLocations = characterLocations;
+      }
+      advanceClock(state, travelMinutes * 60);
+      state.lastUpdated = Date.now();
+
+      return {
+        toolResult: {
+          moved: wholeParty ? 'party' : movingIds.map((id) => this.getCharacterName(id, ctx) || id),
+          from: origin?.name,
+          to: destination.name,
+          via: route ? route.path.slice(1, -1).map((l) => l.name) : [],
+          travelTime: formatDuration(travelMinutes),
+          pace,
+          arrived: formatClock(getClock(state).seconds),
+        },
+        sessionEvent: {
+          type: 'travel',
+          characterIds: wholeParty ? [] : movingIds,
+          from: origin?.name,
+          to: destination,
+          travelMinutes,
+          pace,
+        },
+      };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Move failed' } };
+    }
+  }
+
+  /**
+   * Register a named NPC
+   */
+  private executeCreateNpc(
+    args: {
+      name?: string;
+      description?: string;
+      location?: string;
+      attitude?: NpcAttitude;
+      secrets?: string[];
+      notes?: string;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    if (!ctx.gameState.npcs) {
+      ctx.gameState.npcs = [];
+    }
+
+    try {
+      const npc = createNpc(ctx.gameState.npcs, { ...args, name: args.name ?? '' });
+      ctx.gameState.lastUpdated = Date.now();
+      return { toolResult: { created: true, npc: this.describeNpc(npc) } };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'NPC creation failed' } };
+    }
+  }
+
+  /**
+   * Change a registered NPC's attitude, whereabouts, secrets or status
+   */
+  private executeUpdateNpc(
+    args: Omit<NpcUpdate, 'characterAttitudes'> & {
+      npcId: string;
+      characterAttitudes?: Array<{ characterId: string; attitude: NpcAttitude }>;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const npc = findNpc(ctx.gameState.npcs ?? [], args.npcId ?? '');
+    if (!npc) {
+      return { toolResult: { error: `NPC not found: ${args.npcId}. Register them with create_npc first.` } };
+    }
+
+    const { npcId: _npcId, characterAttitudes, ...update } = args;
+    try {
+      const change = updateNpc(npc, {
+        ...update,
+        characterAttitudes: characterAttitudes
+          ? Object.fromEntries(characterAttitudes.map((a) => [a.characterId, a.attitude]))
+          : undefined,
+      });
+      ctx.gameState.lastUpdated = Date.now();
+      return { toolResult: { change, npc: this.describeNpc(npc) } };
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'NPC update failed' } };
+    }
+  }
+
+  private describeNpc(npc: NpcState) {
+    return {
+      id: npc.id,
+      name: npc.name,
+      status: npc.status,
+      location: npc.location,
+      attitude: npc.attitude,
+      characterAttitudes: npc.attitudes,
+      secrets: npc.secrets.map((secret, i) => `${i + 1}. ${secret}`),
+    };
+  }
+
+  private executeStabilize(
+    args: { healerId: string; targetId: string },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const healerId = this.resolveCharacterId(args.healerId, ctx);
+    const targetId = this.resolveCharacterId(args.targetId, ctx);
+    const targetName = this.getCharacterName(targetId, ctx) || targetId;
+
+    if (!ctx.gameEngine.isDying(targetId)) {
+      return { toolResult: { error: `${targetName} is not dying` } };
+    }
+
+    const result = ctx.gameEngine.skillCheck(healerId, 'medicine');
+    const success = !result.roll.autoFail && result.roll.total >= STABILIZE_DC;
+    if (success) {
+      ctx.gameEngine.stabilize(targetId);
+    }
+
+    return {
+      toolResult: {
+        healerId,
+        targetId,
+        roll: result.roll,
+        dc: STABILIZE_DC,
+        success,
+        ...(result.roll.autoFail && { autoFail: result.roll.autoFail }),
+        stabilized: success,
+      },
+      sessionEvent: {
+        type: 'dice_roll',
+        data: {
+          checkType: 'skill_check',
+          characterId: healerId,
+          characterName: this.getCharacterName(healerId, ctx),
+          ability: result.ability,
+          skill: 'medicine',
+          dc: STABILIZE_DC,
+          roll: result.roll,
+          success,
+          reason: `医疗：稳定 ${targetName}`,
+          targetId,
+          targetName,
+        },
+      },
+    };
+  }
+
   private executeAbilityCheck(
     args: {
       characterId: string;
@@ -81,6 +1004,7 @@ export class MechanicsAgent {
       dc: number;
       reason: string;
       rollType?: 'normal' | 'advantage' | 'disadvantage';
+      visibility?: RollVisibility;
     },
     ctx: GameSessionContext
   ): MechanicsToolResult {
@@ -92,7 +1016,7 @@ export class MechanicsAgent {
       args.rollType || 'normal'
     );
 
-    const success = result.roll.total >= args.dc;
+    const success = !result.roll.autoFail && result.roll.total >= args.dc;
     const characterName = this.getCharacterName(actualCharacterId, ctx);
 
     return {
@@ -102,7 +1026,9 @@ export class MechanicsAgent {
         roll: result.roll,
         dc: args.dc,
         success,
+        ...(result.roll.autoFail && { autoFail: result.roll.autoFail }),
         reason: args.reason,
+        visibility: args.visibility,
       },
       sessionEvent: {
         type: 'dice_roll',
@@ -115,6 +1041,293 @@ export class MechanicsAgent {
           roll: result.roll,
           success,
           reason: args.reason,
+          ...this.rollVisibility(args.visibility, [actualCharacterId], ctx),
+        },
+      },
+    };
+  }
+
+  private executeRollDice(
+    args: { formula: string; reason?: string; characterId?: string; visibility?: RollVisibility },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    let roll: DiceRoll;
+    try {
+      roll = ctx.gameEngine.roll(args.formula || '');
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Invalid dice formula' } };
+    }
+
+    const characterId = args.characterId ? this.resolveCharacterId(args.characterId, ctx) : 'dm';
+    const reason = args.reason || args.formula;
+
+    return {
+      toolResult: { formula: roll.formula, total: roll.total, terms: roll.terms, reason },
+      sessionEvent: {
+        type: 'dice_roll',
+        data: {
+          checkType: 'roll',
+          characterId,
+          characterName: this.getCharacterName(characterId, ctx) || 'DM',
+          ability: '',
+          roll,
+          success: true,
+          reason,
+          ...this.rollVisibility(args.visibility, [characterId], ctx),
+        },
+      },
+    };
+  }
+
+  private executeHeal(
+    args: { targetId: string; dice?: string; amount?: number; reason?: string },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const targetId = this.resolveCharacterId(args.targetId, ctx);
+    const targetName = this.getCharacterName(targetId, ctx) || targetId;
+
+    let roll: DiceRoll | undefined;
+    let amount: number;
+    if (args.dice) {
+      try {
+        roll = ctx.gameEngine.roll(args.dice);
+      } catch (error) {
+        return { toolResult: { error: error instanceof Error ? error.message : 'Invalid dice formula' } };
+      }
+      amount = Math.max(0, roll.total);
+    } else if (typeof args.amount === 'number' && args.amount >= 0) {
+      amount = Math.floor(args.amount);
+    } else {
+      return { toolResult: { error: 'Either dice or a non-negative amount is required' } };
+    }
+
+    const result = ctx.gameEngine.heal(targetId, amount);
+    const reason = args.reason || '治疗';
+
+    return {
+      toolResult: { ...result, roll, reason },
+      sessionEvent: {
+        type: 'dice_roll',
+        data: {
+          checkType: 'healing',
+          characterId: targetId,
+          characterName: targetName,
+          ability: '',
+          roll: roll ?? { formula: String(amount), rolls: [], modifier: amount, total: amount },
+          success: true,
+          reason,
+          healing: {
+            healed: result.healed,
+            currentHp: result.currentHp,
+            revived: result.revived,
+          },
+        },
+      },
+    };
+  }
+
+  private executeCastSpell(
+    args: {
+      casterId: string;
+      spell: string;
+      targetIds?: string[];
+      slotLevel?: number;
+      rollType?: RollType;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const spell = findSpell(args.spell || '');
+    if (!spell) {
+      return {
+        toolResult: {
+          error: `Unknown spell: ${args.spell}`,
+          availableSpells: SPELLS.map((s) => s.id),
+        },
+      };
+    }
+
+    const casterId = this.resolveCharacterId(args.casterId, ctx);
+    const encounter = ctx.gameState.activeEncounters.find((e) => e.isActive);
+    const targetIds = (args.targetIds ?? []).map(
+      (rawId) => (encounter && this.findEnemy(rawId, encounter)?.id) || this.resolveCharacterId(rawId, ctx)
+    );
+    const targetName = (targetId: string) =>
+      encounter?.enemies.find((e) => e.id === targetId)?.name ||
+      this.getCharacterName(targetId, ctx) ||
+      targetId;
+
+    const result = ctx.gameEngine.castSpell(casterId, spell.id, {
+      slotLevel: args.slotLevel,
+      targetIds,
+      rollType: args.rollType,
+      clockSeconds: getClock(ctx.gameState).seconds,
+    });
+
+    // A single attack-spell target shows its attack roll; otherwise the shared effect roll
+    const single = result.targets.length === 1 ? result.targets[0] : undefined;
+    const roll = single?.attackRoll ?? result.damageRoll ?? result.healingRoll;
+    const success = spell.attack
+      ? result.targets.some((t) => t.hit)
+      : spell.save
+        ? result.targets.some((t) => !t.saved)
+        : true;
+
+    return {
+      toolResult: {
+        ...result,
+        targets: result.targets.map((t) => ({ ...t, targetName: targetName(t.targetId) })),
+      },
+      sessionEvent: {
+        type: 'dice_roll',
+        data: {
+          checkType: 'spell',
+          characterId: casterId,
+          characterName: this.getCharacterName(casterId, ctx),
+          ability: result.spellcasting.ability,
+          dc: spell.save
+            ? result.spellcasting.saveDc
+            : single?.attackRoll ? ctx.gameEngine.getArmorClass(single.targetId) : undefined,
+          roll: roll
+            ? { formula: roll.formula, rolls: roll.rolls, modifier: roll.modifier, total: roll.total }
+            : { formula: '', rolls: [], modifier: 0, total: 0 },
+          success,
+          reason: spell.name,
+          targetId: single?.targetId,
+          targetName: single ? targetName(single.targetId) : undefined,
+          isCritical: single?.isCritical,
+          damage: result.damageRoll && spell.damage
+            ? {
+                formula: result.damageRoll.formula,
+                rolls: result.damageRoll.rolls,
+                modifier: result.damageRoll.modifier,
+                total: Math.max(0, result.damageRoll.total),
+                damageType: spell.damage.type,
+              }
+            : undefined,
+          spell: {
+            name: spell.name,
+            level: spell.level,
+            slotLevel: result.slotLevel,
+            concentration: spell.concentration,
+            targets: result.targets.map((t) => ({
+              targetName: targetName(t.targetId),
+              hit: t.hit,
+              saved: t.saved,
+              damage: t.damage?.finalDamage,
+              healed: t.healing?.healed,
+              condition: t.condition,
+            })),
+          },
+        },
+      },
+    };
+  }
+
+  private executeRest(
+    type: 'short' | 'long',
+    args: { characterIds?: string[]; hitDice?: number },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const characterIds = args.characterIds?.length
+      ? args.characterIds.map((id) => this.resolveCharacterId(id, ctx))
+      : (ctx.roomMembers.map((m) => m.characterId).filter(Boolean) as string[]);
+
+    if (characterIds.length === 0) {
+      return { toolResult: { error: 'No characters available to rest' } };
+    }
+
+    const hitDice = Math.max(0, Math.floor(args.hitDice ?? 0));
+    const results = characterIds.map((characterId) => {
+      const characterName = this.getCharacterName(characterId, ctx) || characterId;
+      try {
+        const result = type === 'long'
+          ? ctx.gameEngine.longRest(characterId)
+          : ctx.gameEngine.shortRest(characterId, hitDice);
+        return { characterName, ...result };
+      } catch (error) {
+        console.error(`[MechanicsAgent] ${type} rest failed for ${characterId}:`, error);
+        return {
+          characterId,
+          characterName,
+          error: error instanceof Error ? error.message : 'Unknown error',
+        };
+      }
+    });
+
+    if (results.every((result) => 'error' in result)) {
+      return { toolResult: { error: `No character could take a ${type} rest`, results } };
+    }
+
+    // A short rest takes at least an hour, a long rest eight
+    const hours = type === 'long' ? 8 : 1;
+    const clock = advanceClock(ctx.gameState, hours * 3600);
+    return {
+      toolResult: { type, results, time: formatClock(clock.seconds) },
+      sessionEvent: {
+        type: 'time',
+        clock,
+        advancedSeconds: hours * 3600,
+        reason: type === 'long' ? '长休' : '短休',
+      },
+    };
+  }
+
+  private executeSkillCheck(
+    args: {
+      characterId: string;
+      skill: string;
+      ability?: Ability;
+      dc: number;
+      reason: string;
+      rollType?: 'normal' | 'advantage' | 'disadvantage';
+      visibility?: RollVisibility;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    const skill: Skill | null = normalizeSkill(args.skill || '');
+    if (!skill) {
+      return { toolResult: { error: `Unknown skill: ${args.skill}` } };
+    }
+
+    const actualCharacterId = this.resolveCharacterId(args.characterId, ctx);
+
+    const result = ctx.gameEngine.skillCheck(
+      actualCharacterId,
+      skill,
+      args.rollType || 'normal',
+      args.ability
+    );
+
+    const success = !result.roll.autoFail && result.roll.total >= args.dc;
+    const characterName = this.getCharacterName(actualCharacterId, ctx);
+
+    return {
+      toolResult: {
+        characterId: actualCharacterId,
+        skill,
+        ability: result.ability,
+        roll: result.roll,
+        proficiency: result.proficiency,
+        expertise: result.expertise,
+        dc: args.dc,
+        success,
+        ...(result.roll.autoFail && { autoFail: result.roll.autoFail }),
+        reason: args.reason,
+        visibility: args.visibility,
+      },
+      sessionEvent: {
+        type: 'dice_roll',
+        data: {
+          checkType: 'skill_check',
+          characterId: actualCharacterId,
+          characterName,
+          ability: result.ability,
+          skill,
+          dc: args.dc,
+          roll: result.roll,
+          success,
+          reason: args.reason,
+          ...this.rollVisibility(args.visibility, [actualCharacterId], ctx),
         },
       },
     };
@@ -127,6 +1340,7 @@ export class MechanicsAgent {
       dc: number;
       reason: string;
       rollType?: 'normal' | 'advantage' | 'disadvantage';
+      visibility?: RollVisibility;
     },
     ctx: GameSessionContext
   ): MechanicsToolResult {
@@ -138,7 +1352,7 @@ export class MechanicsAgent {
       args.rollType || 'normal'
     );
 
-    const success = result.roll.total >= args.dc;
+    const success = !result.roll.autoFail && result.roll.total >= args.dc;
     const characterName = this.getCharacterName(actualCharacterId, ctx);
 
     return {
@@ -148,7 +1362,9 @@ export class MechanicsAgent {
         roll: result.roll,
         dc: args.dc,
         success,
+        ...(result.roll.autoFail && { autoFail: result.roll.autoFail }),
         reason: args.reason,
+        visibility: args.visibility,
       },
       sessionEvent: {
         type: 'dice_roll',
@@ -161,22 +1377,42 @@ export class MechanicsAgent {
           roll: result.roll,
           success,
           reason: args.reason,
+          ...this.rollVisibility(args.visibility, [actualCharacterId], ctx),
         },
       },
     };
   }
 
+  /**
+   * 5e group check: every member rolls with their own bonuses and advantage,
+   * and the group succeeds when at least half of them succeed
+   */
   private executeGroupCheck(
     args: {
-      ability: Ability;
+      ability?: Ability;
+      skill?: string;
       dc: number;
       reason: string;
       characterIds?: string[];
+      rollType?: RollType;
+      memberRollTypes?: Array<{ characterId: string; rollType: RollType }>;
+      visibility?: RollVisibility;
     },
     ctx: GameSessionContext
   ): MechanicsToolResult {
+    let skill: Skill | undefined;
+    if (args.skill) {
+      skill = normalizeSkill(args.skill) ?? undefined;
+      if (!skill) {
+        return { toolResult: { error: `Unknown skill: ${args.skill}` } };
+      }
+    }
+    if (!skill && !args.ability) {
+      return { toolResult: { error: 'A group check needs an ability or a skill' } };
+    }
+
     const targetCharacterIds = args.characterIds?.length
-      ? args.characterIds
+      ? [...new Set(args.characterIds.map((id) => this.resolveCharacterId(id, ctx)))]
       : (ctx.roomMembers.map((m) => m.characterId).filter(Boolean) as string[]);
 
     if (targetCharacterIds.length === 0) {
@@ -185,61 +1421,178 @@ export class MechanicsAgent {
       };
     }
 
-    const results = targetCharacterIds.map((characterId) => {
-      try {
-        const result = ctx.gameEngine.abilityCheck(characterId, args.ability, 'normal');
-        const success = result.roll.total >= args.dc;
-        const character = ctx.roomMembers.find((m) => m.characterId === characterId);
-        const characterName = character?.characterName || character?.username || '未知';
+    const memberRollTypes = new Map(
+      (args.memberRollTypes ?? []).map((m) => [this.resolveCharacterId(m.characterId, ctx), m.rollType])
+    );
 
-        return {
+    const results: GroupCheckMemberResult[] = [];
+    const errors: Array<{ characterId: string; error: string }> = [];
+    let ability = args.ability;
+    for (const characterId of targetCharacterIds) {
+      const rollType = memberRollTypes.get(characterId) || args.rollType || 'normal';
+      try {
+        const result = skill
+          ? ctx.gameEngine.skillCheck(characterId, skill, rollType, args.ability)
+          : ctx.gameEngine.abilityCheck(characterId, args.ability!, rollType);
+        ability = result.ability;
+        results.push({
           characterId,
-          characterName,
+          characterName: this.getCharacterName(characterId, ctx) || characterId,
           roll: result.roll,
-          success,
-        };
+          success: !result.roll.autoFail && result.roll.total >= args.dc,
+        });
       } catch (error) {
-        console.error(`[MechanicsAgent] Group check failed for ${characterId}:`, error);
-        return {
-          characterId,
-          characterName: '未知',
-          roll: { formula: '1d20', rolls: [1], modifier: 0, total: 1 },
-          success: false,
-          error: error instanceof Error ? error.message : 'Unknown error',
-        };
+        errors.push({ characterId, error: error instanceof Error ? error.message : 'Check failed' });
       }
-    });
+    }
+
+    if (results.length === 0) {
+      return { toolResult: { error: 'No character could make the group check', errors } };
+    }
 
     const successCount = results.filter((r) => r.success).length;
-    const totalCount = results.length;
+    const success = isGroupCheckSuccess(successCount, results.length);
 
     return {
       toolResult: {
-        ability: args.ability,
+        ability,
+        skill,
+        dc: args.dc,
+        reason: args.reason,
+        results: results.map((r) => ({
+          characterId: r.characterId,
+          characterName: r.characterName,
+          total: r.roll.total,
+          rollType: r.roll.rollType,
+          success: r.success,
+        })),
+        successCount,
+        totalCount: results.length,
+        success,
+        ...(errors.length > 0 ? { errors } : {}),
+      },
+      sessionEvent: {
+        type: 'group_check',
+        ability: ability!,
+        skill,
         dc: args.dc,
         reason: args.reason,
         results,
         successCount,
-        totalCount,
+        success,
+        ...this.rollVisibility(args.visibility, targetCharacterIds, ctx),
+      },
+    };
+  }
+
+  /**
+   * Both sides roll and the higher total wins. Characters and enemies in the active encounter
+   * roll with their own stats; registered NPCs and anyone else need a modifier.
+   */
+  private executeContestedCheck(
+    args: {
+      initiator: ContestantArgs;
+      opponent: ContestantArgs;
+      tieRule?: ContestTieRule;
+      reason: string;
+      visibility?: RollVisibility;
+    },
+    ctx: GameSessionContext
+  ): MechanicsToolResult {
+    let initiator: { side: ContestSide; name: string };
+    let opponent: { side: ContestSide; name: string };
+    let result: ContestedCheckResult;
+    try {
+      initiator = this.resolveContestant(args.initiator, ctx);
+      opponent = this.resolveContestant(args.opponent, ctx);
+      result = ctx.gameEngine.contestedCheck(initiator.side, opponent.side, args.tieRule || 'status-quo');
+    } catch (error) {
+      return { toolResult: { error: error instanceof Error ? error.message : 'Contested check failed' } };
+    }
+
+    const winnerName = result.winner === 'initiator'
+      ? initiator.name
+      : result.winner === 'opponent' ? opponent.name : null;
+
+    return {
+      toolResult: {
+        initiator: { id: result.initiator.subjectId, name: initiator.name, ...this.describeContestRoll(result.initiator) },
+        opponent: { id: result.opponent.subjectId, name: opponent.name, ...this.describeContestRoll(result.opponent) },
+        winner: winnerName,
+        tie: result.tie,
+        tieRule: result.tieRule,
+        reason: args.reason,
+        visibility: args.visibility,
       },
       sessionEvent: {
         type: 'dice_roll',
         data: {
-          checkType: 'group_check',
-          characterId: 'group',
-          characterName: `全队 (${successCount}/${totalCount}成功)`,
-          ability: args.ability,
-          dc: args.dc,
-          roll: {
-            formula: `${totalCount}d20`,
-            rolls: results.map((r) => r.roll.rolls[0] || 0),
-            modifier: 0,
-            total: successCount,
-          },
-          success: successCount > totalCount / 2,
+          checkType: 'contested_check',
+          characterId: result.initiator.subjectId,
+          characterName: initiator.name,
+          ability: result.initiator.ability,
+          skill: result.initiator.skill,
+          roll: result.initiator.roll,
+          success: result.winner === 'initiator',
           reason: args.reason,
+          targetId: result.opponent.subjectId,
+          targetName: opponent.name,
+          contest: {
+            opponentId: result.opponent.subjectId,
+            opponentName: opponent.name,
+            opponentAbility: result.opponent.ability,
+            opponentSkill: result.opponent.skill,
+            opponentRoll: result.opponent.roll,
+            winner: result.winner,
+            tie: result.tie,
+          },
+          ...this.rollVisibility(args.visibility, [result.initiator.subjectId, result.opponent.subjectId], ctx),
         },
       },
     };
   }
+
+  /**
+   * Map a contestant to the engine: enemies in the active encounter first, then room
+   * characters, then registered NPCs (who roll with the given modifier)
+   */
+  private resolveContestant(raw: ContestantArgs, ctx: GameSessionContext): { side: ContestSide; name: string } {
+    if (!raw?.id) {
+      throw new Error('Both sides of a contest need an id');
+    }
+
+    let skill: Skill | undefined;
+    if (raw.skill) {
+      skill = normalizeSkill(raw.skill) ?? undefined;
+      if (!skill) {
+        throw new Error(`Unknown skill: ${raw.skill}`);
+      }
+    }
+
+    const side = { skill, ability: raw.ability, rollType: raw.rollType || 'normal', modifier: raw.modifier };
+
+    const encounter = ctx.gameState.activeEncounters.find((e) => e.isActive);
+    const enemy = encounter && this.findEnemy(raw.id, encounter);
+    if (enemy) {
+      return { side: { ...side, subjectId: enemy.id }, name: enemy.name };
+    }
+
+    const characterId = this.resolveCharacterId(raw.id, ctx);
+    const characterName = this.getCharacterName(characterId, ctx);
+    if (characterName) {
+      return { side: { ...side, subjectId: characterId }, name: characterName };
+    }
+
+    const npc = findNpc(ctx.gameState.npcs ?? [], raw.id);
+    return { side: { ...side, subjectId: npc?.id ?? raw.id }, name: npc?.name ?? raw.id };
+  }
+
+  private describeContestRoll(side: ContestedCheckResult['initiator']) {
+    return {
+      ability: side.ability,
+      skill: side.skill,
+      roll: side.roll,
+      modifier: side.modifier,
+    };
+  }
 }
@@ -4,6 +4,7 @@
 import { randomUUID } from 'crypto';
 import type { ILLMClient } from '@/domain/llm/types.js';
 import type { PlayerAction } from '@/domain/room/types.js';
+import { formatClock, getClock } from '@/domain/game/calendar.js';
 import type {
   GameState,
   WorldContext,
@@ -19,7 +20,7 @@ export interface WorldContextPatch {
   };
   characterConditions?: Array<{
     characterId: string;
-    add?: Array<Omit<ActiveCondition, 'id'>>;
+    add?: Array<Omit<ActiveCondition, 'id' | 'expiresAtRound' | 'expiresAtTime'>>;
     remove?: string[];
   }>;
 }
@@ -85,8 +86,8 @@ ${actionLines}
 {
   "worldMemory": {
     "recentEvents": ["本回合发生的情节摘要（1-3条，简洁）"],
-    "worldFacts": ["新确立的持久世界事实或NPC信息（可为空数组）"],
-    "flags": { "location": "当前地点（如有变化）", "time": "当前时间（如有变化）" }
+    "worldFacts": ["新确立的持久世界事实（可为空数组）"],
+    "flags": { "location": "当前地点（如有变化）" }
   },
   "characterConditions": [
     {
@@ -97,7 +98,9 @@ ${actionLines}
           "source": "来源描述",
           "category": "status|equipment|terrain|magic|other",
           "expires": "turn|scene|session|permanent",
-          "mechanicalEffect": "可选：如+2AC、力量检定劣势"
+          "mechanicalEffect": "可选：如+2AC、力量检定劣势",
+          "rounds": "可选：战斗中持续的轮数（整数）",
+          "minutes": "可选：按游戏时间持续的分钟数（整数）"
         }
       ],
       "remove": ["要移除的效果名称"]
@@ -109,7 +112,12 @@ ${actionLines}
 规则：
 - worldMemory.flags 只列出本回合发生变化的键
 - worldFacts 只追加新信息，不重复已知事实
+- NPC 的身份、态度和秘密由 NPC 登记册维护，不要写入 worldFacts
 - characterConditions.add 只包含本回合新施加的效果
+- expires 决定效果何时自动消失：turn=下回合结束，scene=场景切换，session=本次游戏结束，permanent=需明确移除
+- 战斗中持续固定轮数的效果（如"持续 1 分钟"=10 轮）填写 rounds
+- 战斗外持续固定时间的效果（如"持续 1 小时"=60）填写 minutes
+- 游戏时间由游戏时钟维护，不要在 flags 中填写时间
 - 若无变化则使用空数组，不要省略字段
 - 只输出 JSON，不要其他文字`;
   }
@@ -129,7 +137,12 @@ ${actionLines}
       }
 
       for (const cond of change.add ?? []) {
-        overlay.conditions.push({ ...cond, id: randomUUID() });
+        overlay.conditions.push({
+          ...cond,
+          id: randomUUID(),
+          expiresAtRound: this.getExpiryRound(cond.rounds, gameState),
+          expiresAtTime: this.getExpiryTime(cond.minutes, gameState),
+        });
       }
     }
 
@@ -159,6 +172,20 @@ ${actionLines}
     }
   }
 
+  /**
+   * Round-limited effects only count down inside an encounter
+   */
+  private getExpiryRound(rounds: number | undefined, gameState: GameState): number | undefined {
+    const encounter = gameState.activeEncounters.find((e) => e.isActive);
+    if (!encounter || !Number.isInteger(rounds) || rounds! <= 0) return undefined;
+    return (encounter.round ?? 1) + rounds!;
+  }
+
+  private getExpiryTime(minutes: number | undefined, gameState: GameState): number | undefined {
+    if (!Number.isFinite(minutes) || minutes! <= 0) return undefined;
+    return getClock(gameState).seconds + Math.round(minutes! * 60);
+  }
+
   private getOrCreateOverlay(characterId: string, gameState: GameState): CharacterOverlay {
     if (!gameState.characterOverlays.has(characterId)) {
       gameState.characterOverlays.set(characterId, {
@@ -176,7 +203,7 @@ ${actionLines}
     for (const [charId, overlay] of gameState.characterOverlays) {
       if (overlay.conditions.length === 0) continue;
       const condList = overlay.conditions
-        .map((c) => `${c.name}(${c.expires})`)
+        .map((c) => `${c.name}(${c.expiresAtRound ? `until round ${c.expiresAtRound}` : c.expiresAtTime ? `until ${formatClock(c.expiresAtTime)}` : c.expires})`)
         .join(', ');
       lines.push(`${charId}: ${condList}`);
     }
@@ -0,0 +1,622 @@
+// Application layer: Combat state implementation
+// Handles initiative order, player attacks and enemy turns
+
+import type {
+  ICombatState,
+  CombatParticipant,
+  GameSessionContext,
+  SessionEvent,
+  TurnGate,
+} from '@/domain/game/session.js';
+import type { Encounter, Enemy } from '@/domain/game/GameState.js';
+import type { PlayerAction } from '@/domain/room/types.js';
+import type { LLMMessage, ToolCall, ToolDefinition } from '@/domain/llm/types.js';
+import type { DamageResult, DiceRoll, Weapon } from '@/domain/game/types.js';
+import { MechanicsAgent } from '@/application/game/agents/MechanicsAgent.js';
+import type { WorldContextUpdater } from '@/application/game/agents/WorldContextUpdater.js';
+import { EXPLORATION_TOOLS } from '@/application/game/states/ExplorationState.js';
+import { InitiativeGate } from '@/application/game/TurnGate.js';
+import { CRITICAL_MULTIPLIER, getChallengeRatingXp } from '@/domain/game/dnd5e/rules.js';
+import { splitExperience } from '@/domain/game/experience.js';
+import { SECONDS_PER_ROUND, advanceClock } from '@/domain/game/calendar.js';
+import { multiplyDice } from '@/utils/dice.js';
+
+const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Tool definitions for combat mode
+ * Checks and saves stay available; combat adds attack and end_combat
+ */
+export const COMBAT_TOOLS: ToolDefinition[] = [
+  {
+    type: 'function',
+    function: {
+      name: 'attack',
+      description: '当前行动角色对一名敌人发动武器攻击（近战或远程），自动结算命中与伤害',
+      parameters: {
+        type: 'object',
+        properties: {
+          attackerId: { type: 'string', description: '攻击者角色ID' },
+          targetId: { type: 'string', description: '目标敌人ID（如 enemy-1）或名称' },
+          weaponName: {
+            type: 'string',
+            description: '武器名称，默认使用角色已装备的武器（无装备时为徒手打击）；物品目录中的武器自动使用其真实属性',
+          },
+          damage: { type: 'string', description: '仅用于目录外武器：伤害骰，如 1d8，默认1d4' },
+          damageType: { type: 'string', description: '仅用于目录外武器：伤害类型，如 slashing/piercing/bludgeoning' },
+          finesse: { type: 'boolean', description: '仅用于目录外武器：是否为灵巧武器（取力量与敏捷中较高者）' },
+          ranged: { type: 'boolean', description: '仅用于目录外武器：是否为远程武器（使用敏捷）' },
+          rollType: {
+            type: 'string',
+            enum: ['normal', 'advantage', 'disadvantage'],
+            description: '投骰方式，默认normal',
+          },
+          reason: { type: 'string', description: '攻击描述' },
+        },
+        required: ['attackerId', 'targetId'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'end_combat',
+      description: '战斗因谈判、投降或逃跑等原因提前结束时调用（全部敌人倒下时系统会自动结束战斗）',
+      parameters: {
+        type: 'object',
+        properties: {
+          outcome: {
+            type: 'string',
+            enum: ['victory', 'defeat', 'party_fled', 'enemies_fled'],
+            description: '战斗结果',
+          },
+          reason: { type: 'string', description: '结束原因' },
+        },
+        required: ['outcome', 'reason'],
+      },
+    },
+  },
+  ...EXPLORATION_TOOLS.filter(t =>
+    ['request_ability_check', 'request_skill_check', 'request_saving_throw', 'stabilize', 'heal', 'cast_spell', 'end_concentration', 'roll_dice'].includes(t.function.name)
+  ),
+];
+
+/**
+ * CombatState - Turn-based combat
+ * Rolls initiative on entry, then lets one player act per turn while
+ * enemies act automatically between player turns
+ */
+export class CombatState implements ICombatState {
+  readonly name = 'combat' as const;
+  private mechanicsAgent: MechanicsAgent;
+  private worldContextUpdater: WorldContextUpdater;
+  private order: CombatParticipant[] = [];
+  private turnIndex = 0;
+  private round = 1;
+  private ended = false;
+  private gate = new InitiativeGate('', '战斗回合中');
+  private entryEvents: SessionEvent[] = [];
+  private exitEvents: SessionEvent[] = [];
+
+  constructor(worldContextUpdater: WorldContextUpdater) {
+    this.mechanicsAgent = new MechanicsAgent();
+    this.worldContextUpdater = worldContextUpdater;
+  }
+
+  getInitiativeOrder(): CombatParticipant[] {
+    return [...this.order];
+  }
+
+  getCurrentTurn(): CombatParticipant | null {
+    return this.order[this.turnIndex] ?? null;
+  }
+
+  getTurnGate(): TurnGate {
+    return this.gate;
+  }
+
+  takeEntryEvents(): SessionEvent[] {
+    const events = this.entryEvents;
+    this.entryEvents = [];
+    return events;
+  }
+
+  takeExitEvents(): SessionEvent[] {
+    const events = this.exitEvents;
+    this.exitEvents = [];
+    return events;
+  }
+
+  async onEnter(ctx: GameSessionContext): Promise<void> {
+    const encounter = this.getEncounter(ctx);
+    if (!encounter) {
+      console.warn('[CombatState] Entered combat without an active encounter');
+      return;
+    }
+    encounter.round = this.round;
+
+    for (const member of ctx.roomMembers) {
+      if (!member.characterId) continue;
+      const name = member.characterName || member.username;
+
+      let event: SessionEvent;
+      try {
+        const check = ctx.gameEngine.abilityCheck(member.characterId, 'dexterity');
+        event = this.initiativeEvent(member.characterId, name, check.roll);
+      } catch {
+        // Character without loaded state rolls a flat d20
+        event = this.initiativeEvent(member.characterId, name, ctx.gameEngine.roll('1d20'));
+      }
+      this.entryEvents.push(event);
+      this.order.push({
+        id: member.characterId,
+        name,
+        initiative: event.type === 'dice_roll' ? event.data.roll.total : 0,
+        isPlayer: true,
+        characterId: member.characterId,
+      });
+    }
+
+    for (const enemy of encounter.enemies) {
+      const roll = ctx.gameEngine.roll('1d20');
+      const bonus = enemy.initiativeBonus ?? 0;
+      const total = roll.total + bonus;
+      enemy.initiative = total;
+      this.entryEvents.push(
+        this.initiativeEvent(enemy.id, enemy.name, { ...roll, modifier: bonus, total })
+      );
+      this.order.push({
+        id: enemy.id,
+        name: enemy.name,
+        initiative: total,
+        isPlayer: false,
+        enemyId: enemy.id,
+      });
+    }
+
+    // Ties go to players, matching the usual table ruling
+    this.order.sort((a, b) => b.initiative - a.initiative || Number(b.isPlayer) - Number(a.isPlayer));
+
+    // Enemies that beat every player act before the first player turn
+    this.entryEvents.push(...this.runEnemyTurns(ctx));
+    this.entryEvents.push(...this.checkCombatEnd(ctx));
+    if (!this.ended) {
+      this.entryEvents.push(this.turnEvent());
+    }
+  }
+
+  async onExit(ctx: GameSessionContext): Promise<void> {
+    this.ended = true;
+    await this.awardEncounterExperience(ctx);
+    ctx.gameState.activeEncounters = ctx.gameState.activeEncounters.filter(e => !e.isActive);
+  }
+
+  async *processActions(
+    actions: PlayerAction[],
+    ctx: GameSessionContext
+  ): AsyncGenerator<SessionEvent> {
+    const current = this.getCurrentTurn();
+    const turnActions = actions.filter(a => a.characterId === current?.characterId);
+
+    // 1. Build LLM context
+    const messages: LLMMessage[] = await ctx.contextBuilder.build(ctx.gameState);
+    messages.push({ role: 'system', content: this.formatCombatStatus(ctx) });
+    messages.push({ role: 'user', content: this.formatActions(turnActions.length ? turnActions : actions) });
+
+    let fullNarrative = '';
+
+    // 2. Tool calling loop
+    let rounds = 0;
+    while (rounds < MAX_TOOL_ROUNDS) {
+      let content = '';
+      const toolCalls: ToolCall[] = [];
+      const toolResults: LLMMessage[] = [];
+
+      // Narration streams as it is generated; each tool call runs as soon as its arguments are complete
+      for await (const chunk of ctx.llmClient.streamChat(messages, { tools: COMBAT_TOOLS, toolChoice: 'auto' })) {
+        if (chunk.content) {
+          content += chunk.content;
+          yield { type: 'narrative_chunk', content: chunk.content };
+        }
+        if (chunk.toolCall) {
+          toolCalls.push(chunk.toolCall);
+          toolResults.push(yield* this.runTool(chunk.toolCall, ctx));
+        }
+      }
+      fullNarrative += content;
+
+      // No tool calls → the narrative is complete
+      if (toolCalls.length === 0) {
+        break;
+      }
+
+      messages.push({ role: 'assistant', content, tool_calls: toolCalls }, ...toolResults);
+      rounds++;
+    }
+
+    if (rounds >= MAX_TOOL_ROUNDS) {
+      console.warn(`[CombatState] Max tool rounds (${MAX_TOOL_ROUNDS}) reached`);
+    }
+
+    // 3. Advance initiative unless end_combat already moved us out
+    if (!this.ended) {
+      for (const event of this.checkCombatEnd(ctx)) yield event;
+    }
+    if (!this.ended) {
+      this.advanceTurn(ctx);
+      for (const event of this.runEnemyTurns(ctx)) yield event;
+      for (const event of this.checkCombatEnd(ctx)) yield event;
+    }
+    if (!this.ended) {
+      yield this.turnEvent();
+    }
+
+    await this.worldContextUpdater.update(fullNarrative, actions, ctx.gameState);
+
+    yield { type: 'turn_end' };
+  }
+
+  private getEncounter(ctx: GameSessionContext): Encounter | undefined {
+    return ctx.gameState.activeEncounters.find(e => e.isActive);
+  }
+
+  private findEnemy(ctx: GameSessionContext, enemyId?: string): Enemy | undefined {
+    return this.getEncounter(ctx)?.enemies.find(e => e.id === enemyId);
+  }
+
+  private isDown(participant: CombatParticipant, ctx: GameSessionContext): boolean {
+    if (participant.isPlayer) {
+      const state = ctx.gameEngine.getCharacterState(participant.characterId!);
+      return state ? state.currentHp <= 0 : false;
+    }
+    const enemy = this.findEnemy(ctx, participant.enemyId);
+    return !enemy || enemy.hp <= 0;
+  }
+
+  /**
+   * Participants whose turns are skipped: dead or stable PCs and defeated enemies.
+   * Dying PCs still get a turn to roll their death save.
+   */
+  private isOut(participant: CombatParticipant, ctx: GameSessionContext): boolean {
+    if (participant.isPlayer && ctx.gameEngine.isDying(participant.characterId!)) {
+      return false;
+    }
+    return this.isDown(participant, ctx);
+  }
+
+  /**
+   * Move to the next participant still in the fight, bumping the round on wrap
+   */
+  private advanceTurn(ctx: GameSessionContext): void {
+    if (this.order.length === 0) return;
+
+    for (let step = 0; step < this.order.length; step++) {
+      this.turnIndex++;
+      if (this.turnIndex >= this.order.length) {
+        this.turnIndex = 0;
+        this.round++;
+        const encounter = this.getEncounter(ctx);
+        if (encounter) encounter.round = this.round;
+        advanceClock(ctx.gameState, SECONDS_PER_ROUND, 1);
+      }
+      if (!this.isOut(this.order[this.turnIndex], ctx)) break;
+    }
+  }
+
+  /**
+   * Resolve enemy turns and death saves until a standing player is up,
+   * then point the gate at them
+   */
+  private runEnemyTurns(ctx: GameSessionContext): SessionEvent[] {
+    const events: SessionEvent[] = [];
+    if (this.order.length === 0) return events;
+
+    // Bounded by one full pass so an all-enemy order cannot spin forever
+    for (let step = 0; step < this.order.length; step++) {
+      const current = this.order[this.turnIndex];
+
+      if (current.isPlayer && ctx.gameEngine.isDying(current.characterId!)) {
+        events.push(...this.resolveDeathSave(current, ctx));
+      }
+
+      // A natural 20 on the death save lets them act this turn
+      if (current.isPlayer && !this.isDown(current, ctx)) {
+        this.gate.setCurrentTurn(current.characterId!);
+        return events;
+      }
+
+      if (!current.isPlayer && !this.isDown(current, ctx)) {
+        events.push(...this.resolveEnemyAttack(current, ctx));
+        if (this.isPartyDown(ctx)) return events;
+      }
+
+      this.advanceTurn(ctx);
+    }
+
+    return events;
+  }
+
+  private resolveDeathSave(participant: CombatParticipant, ctx: GameSessionContext): SessionEvent[] {
+    const result = ctx.gameEngine.rollDeathSave(participant.characterId!);
+
+    const summaries: Record<typeof result.outcome, string> = {
+      success: `${participant.name} 死亡豁免成功（${result.successes}/3）。`,
+      failure: `${participant.name} 死亡豁免失败（${result.failures}/3）。`,
+      stabilized: `${participant.name} 的伤势稳定了下来，不再濒死。`,
+      dead: `${participant.name} 停止了呼吸……`,
+      revived: `${participant.name} 掷出自然20，重新站了起来！`,
+    };
+
+    return [
+      {
+        type: 'dice_roll',
+        data: {
+          checkType: 'death_save',
+          characterId: participant.characterId!,
+          characterName: participant.name,
+          ability: '',
+          dc: result.roll.dc,
+          roll: {
+            formula: result.roll.formula,
+            rolls: result.roll.rolls,
+            modifier: result.roll.modifier,
+            total: result.roll.total,
+          },
+          success: result.outcome === 'success' || result.outcome === 'stabilized' || result.outcome === 'revived',
+          reason: '死亡豁免',
+          deathSaves: {
+            successes: result.successes,
+            failures: result.failures,
+            outcome: result.outcome,
+          },
+        },
+      },
+      { type: 'narrative_chunk', content: `\n\n${summaries[result.outcome]}` },
+    ];
+  }
+
+  private resolveEnemyAttack(participant: CombatParticipant, ctx: GameSessionContext): SessionEvent[] {
+    const enemy = this.findEnemy(ctx, participant.enemyId);
+    if (!enemy) return [];
+
+    const targets = this.order.filter(p => p.isPlayer && !this.isDown(p, ctx));
+    if (targets.length === 0) return [];
+
+    // A lone target needs no roll (there is no one-sided die)
+    const pick = targets.length > 1 ? ctx.gameEngine.roll(`1d${targets.length}`).total - 1 : 0;
+    const target = targets[pick] ?? targets[0];
+    const targetId = target.characterId!;
+
+    // Stat-block creatures use their first listed attack
+    const statAttack = enemy.attacks?.[0];
+    const weapon: Weapon = {
+      id: statAttack?.name || 'natural',
+      name: statAttack?.name || '攻击',
+      damage: statAttack?.damage || enemy.damage || '1d4',
+      damageType: statAttack?.damageType || enemy.damageType || 'bludgeoning',
+      finesse: false,
+      ranged: statAttack?.ranged ?? false,
+    };
+
+    const attack = ctx.gameEngine.attackRoll(enemy.id, weapon, 'normal', targetId);
+    const natural = attack.roll.rolls[0];
+    const ac = ctx.gameEngine.getArmorClass(targetId);
+    const isCritical = attack.isCritical;
+    const hit = natural !== 1 && (isCritical || attack.roll.total >= ac);
+
+    const formula = weapon.damage;
+    const damageType = weapon.damageType;
+    let damageTotal = 0;
+    let damageRoll: DiceRoll | undefined;
+    let applied: DamageResult | undefined;
+    if (hit) {
+      damageRoll = ctx.gameEngine.roll(isCritical ? multiplyDice(formula, CRITICAL_MULTIPLIER) : formula);
+      damageTotal = Math.max(0, damageRoll.total);
+      try {
+        applied = ctx.gameEngine.applyDamage(targetId, damageTotal, damageType, { critical: isCritical });
+      } catch (error) {
+        console.error('[CombatState] Failed to apply enemy damage:', error);
+      }
+    }
+
+    const dealt = applied?.finalDamage ?? damageTotal;
+    const typing = applied?.immune ? '（免疫）' : applied?.resisted ? '（抗性减半）' : applied?.vulnerable ? '（易伤加倍）' : '';
+    const concentrationLost = applied?.concentration && !applied.concentration.maintained
+      ? `${target.name} 失去了对「${applied.concentration.spellName}」的专注。`
+      : '';
+    const summary = hit
+      ? `${enemy.name} 攻击 ${target.name}，${isCritical ? '重击！' : '命中，'}造成 ${dealt} 点伤害${typing}。${concentrationLost}`
+      : `${enemy.name} 攻击 ${target.name}，未命中。`;
+
+    return [
+      {
+        type: 'dice_roll',
+        data: {
+          checkType: 'attack_roll',
+          characterId: enemy.id,
+          characterName: enemy.name,
+          ability: attack.ability,
+          dc: ac,
+          roll: {
+            formula: attack.roll.formula,
+            rolls: attack.roll.rolls,
+            modifier: attack.roll.modifier,
+            total: attack.roll.total,
+          },
+          success: hit,
+          reason: `${enemy.name}（${weapon.name}）→ ${target.name}`,
+          targetId,
+          targetName: target.name,
+          isCritical,
+          damage: damageRoll
+            ? {
+                formula: damageRoll.formula,
+                rolls: damageRoll.rolls,
+                modifier: damageRoll.modifier,
+                total: damageTotal,
+                damageType,
+                applied: applied?.finalDamage,
+                resisted: applied?.resisted,
+                immune: applied?.immune,
+                vulnerable: applied?.vulnerable,
+                concentration: applied?.concentration
+                  ? {
+                      spellName: applied.concentration.spellName,
+                      maintained: applied.concentration.maintained,
+                    }
+                  : undefined,
+              }
+            : undefined,
+        },
+      },
+      { type: 'narrative_chunk', content: `\n\n${summary}` },
+    ];
+  }
+
+  /**
+   * Split the XP of defeated enemies evenly between the characters in the fight.
+   * Enemies without a challenge rating or XP value are worth nothing.
+   */
+  private async awardEncounterExperience(ctx: GameSessionContext): Promise<void> {
+    const encounter = this.getEncounter(ctx);
+    if (!encounter || !ctx.experience) return;
+
+    const defeated = encounter.enemies.filter(e => e.hp <= 0);
+    const total = defeated.reduce(
+      (sum, e) => sum + (e.xp ?? (e.challengeRating !== undefined ? getChallengeRatingXp(e.challengeRating) : 0)),
+      0
+    );
+    const characterIds = this.order.filter(p => p.isPlayer).map(p => p.characterId!);
+    const share = splitExperience(total, characterIds.length);
+    if (share <= 0) return;
+
+    try {
+      const awards = await ctx.experience.award(characterIds, share);
+      if (awards.length > 0) {
+        this.exitEvents.push({
+          type: 'experience',
+          awards,
+          reason: `击败 ${defeated.map(e => e.name).join('、')}`,
+        });
+      }
+    } catch (error) {
+      console.error('[CombatState] Failed to award encounter XP:', error);
+    }
+  }
+
+  private isPartyDown(ctx: GameSessionContext): boolean {
+    const players = this.order.filter(p => p.isPlayer);
+    return players.length > 0 && players.every(p => this.isDown(p, ctx));
+  }
+
+  private checkCombatEnd(ctx: GameSessionContext): SessionEvent[] {
+    if (this.ended) return [];
+
+    const encounter = this.getEncounter(ctx);
+    const enemiesDown = !encounter || encounter.enemies.every(e => e.hp <= 0);
+
+    if (enemiesDown) {
+      this.ended = true;
+      return [{ type: 'state_transition', to: 'exploration', reason: '所有敌人已被击败' }];
+    }
+    if (this.isPartyDown(ctx)) {
+      this.ended = true;
+      // Nobody is left to help: the dying roll until their fate is settled
+      const events: SessionEvent[] = [];
+      for (const player of this.order.filter(p => p.isPlayer)) {
+        for (let i = 0; i < 10 && ctx.gameEngine.isDying(player.characterId!); i++) {
+          events.push(...this.resolveDeathSave(player, ctx));
+        }
+      }
+      events.push({ type: 'state_transition', to: 'exploration', reason: '队伍全员倒下' });
+      return events;
+    }
+    return [];
+  }
+
+  private initiativeEvent(
+    id: string,
+    name: string,
+    roll: { formula: string; rolls: number[]; modifier: number; total: number }
+  ): SessionEvent {
+    return {
+      type: 'dice_roll',
+      data: {
+        checkType: 'initiative',
+        characterId: id,
+        characterName: name,
+        ability: 'dexterity',
+        roll: { formula: roll.formula, rolls: roll.rolls, modifier: roll.modifier, total: roll.total },
+        success: true,
+        reason: '先攻',
+      },
+    };
+  }
+
+  private turnEvent(): SessionEvent {
+    return {
+      type: 'combat_turn',
+      round: this.round,
+      current: this.getCurrentTurn(),
+      order: this.getInitiativeOrder(),
+    };
+  }
+
+  private formatCombatStatus(ctx: GameSessionContext): string {
+    const current = this.getCurrentTurn();
+    const lines = [
+      `[COMBAT] 第 ${this.round} 轮`,
+      `先攻顺序: ${this.order.map(p => `${p.name}(${p.initiative})`).join(' > ')}`,
+      `当前行动: ${current ? `${current.name} (ID: ${current.id})` : '无'}`,
+      '敌人:',
+    ];
+    for (const enemy of this.getEncounter(ctx)?.enemies ?? []) {
+      const status = enemy.hp > 0 ? `HP ${enemy.hp}/${enemy.maxHp}` : '已倒下';
+      lines.push(`- ${enemy.name} (ID: ${enemy.id}) ${status}, AC ${enemy.armorClass}, 速度 ${ctx.gameEngine.getSpeed(enemy.id)}ft`);
+    }
+    const party = this.order.filter(p => p.isPlayer && p.characterId);
+    if (party.length) {
+      lines.push(`队伍速度: ${party.map(p => `${p.name} ${ctx.gameEngine.getSpeed(p.characterId!)}ft`).join(', ')}`);
+    }
+    lines.push('仅处理当前行动角色的行动。攻击敌人时调用 attack 工具，由系统结算命中与伤害。');
+    return lines.join('\n');
+  }
+
+  /**
+   * Execute one tool call and build its tool message; failures are reported back to the LLM
+   */
+  private async *runTool(call: ToolCall, ctx: GameSessionContext): AsyncGenerator<SessionEvent, LLMMessage> {
+    try {
+      const result = yield* this.mechanicsAgent.executeWithPrompts(call, ctx);
+
+      if (result.sessionEvent) {
+        yield result.sessionEvent;
+      }
+
+      return {
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(result.toolResult),
+      };
+    } catch (error) {
+      console.error(`[CombatState] Tool execution failed:`, error);
+      return {
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify({
+          error: error instanceof Error ? error.message : 'Unknown error',
+        }),
+      };
+    }
+  }
+
+  private formatActions(actions: PlayerAction[]): string {
+    return actions
+      .map(a =>
+        a.characterName
+          ? `[${a.characterName}] ${a.action}`
+          : `[${a.username}] ${a.action}`
+      )
+      .join('\n');
+  }
+}
@@ -7,12 +7,61 @@ import type {
   SessionEvent,
 } from '@/domain/game/session.js';
 import type { PlayerAction } from '@/domain/room/types.js';
-import type { LLMMessage, ToolDefinition } from '@/domain/llm/types.js';
+import type { LLMMessage, ToolCall, ToolDefinition } from '@/domain/llm/types.js';
 import { MechanicsAgent } from '@/application/game/agents/MechanicsAgent.js';
 import type { WorldContextUpdater } from '@/application/game/agents/WorldContextUpdater.js';
+import { SPELLS } from '@/domain/game/dnd5e/spells.js';
+import { PARTY_TREASURY } from '@/domain/game/loot.js';
 
 const MAX_TOOL_ROUNDS = 5;
 
+/**
+ * One side of request_contested_check
+ */
+const CONTEST_SIDE_SCHEMA = (description: string) => ({
+  type: 'object',
+  description,
+  properties: {
+    id: {
+      type: 'string',
+      description: '角色ID、战斗中的敌人ID/名称，或NPC名称',
+    },
+    skill: {
+      type: 'string',
+      enum: [
+        'acrobatics', 'animal-handling', 'arcana', 'athletics', 'deception', 'history',
+        'insight', 'intimidation', 'investigation', 'medicine', 'nature', 'perception',
+        'performance', 'persuasion', 'religion', 'sleight-of-hand', 'stealth', 'survival',
+      ],
+      description: '对抗使用的技能。省略则为纯属性检定',
+    },
+    ability: {
+      type: 'string',
+      enum: ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'],
+      description: '纯属性检定的属性，或改用其他属性进行该技能检定',
+    },
+    rollType: {
+      type: 'string',
+      enum: ['normal', 'advantage', 'disadvantage'],
+      description: '投骰方式，默认normal',
+    },
+    modifier: {
+      type: 'number',
+      description: '检定加值。仅用于没有属性数据的NPC，角色和敌人自动计算',
+    },
+  },
+  required: ['id'],
+});
+
+/**
+ * Who sees the result of a narrator check
+ */
+const VISIBILITY_SCHEMA = {
+  type: 'string',
+  enum: ['public', 'player', 'hidden'],
+  description: '结果可见性，默认public。player=仅该角色的玩家可见（如洞悉），hidden=暗骰，仅DM知道（如被动察觉、陷阱豁免）。非public时叙述中不要透露骰值',
+};
+
 /**
  * Tool definitions for exploration mode
  * These are passed to the LLM to enable function calling
@@ -22,7 +71,7 @@ export const EXPLORATION_TOOLS: ToolDefinition[] = [
     type: 'function',
     function: {
       name: 'request_ability_check',
-      description: '当玩家的行动需要能力检定时调用（如开锁、攀爬、说服、偷窃、感知等）',
+      description: '当玩家的行动需要不对应任何技能的纯属性检定时调用（如破门的力量检定、憋气的体质检定）。涉及技能时请使用 request_skill_check',
       parameters: {
         type: 'object',
         properties: {
@@ -48,11 +97,57 @@ export const EXPLORATION_TOOLS: ToolDefinition[] = [
             enum: ['normal', 'advantage', 'disadvantage'],
             description: '投骰方式，默认normal',
           },
+          visibility: VISIBILITY_SCHEMA,
         },
         required: ['characterId', 'ability', 'dc', 'reason'],
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'request_skill_check',
+      description: '当玩家的行动需要技能检定时调用（如隐匿、察觉、说服、运动、巧手开锁等），自动计入熟练与专精加值',
+      parameters: {
+        type: 'object',
+        properties: {
+          characterId: {
+            type: 'string',
+            description: '需要进行检定的角色ID',
+          },
+          skill: {
+            type: 'string',
+            enum: [
+              'acrobatics', 'animal-handling', 'arcana', 'athletics', 'deception', 'history',
+              'insight', 'intimidation', 'investigation', 'medicine', 'nature', 'perception',
+              'performance', 'persuasion', 'religion', 'sleight-of-hand', 'stealth', 'survival',
+            ],
+            description: '检定技能，如 stealth=隐匿 perception=察觉 persuasion=说服',
+          },
+          ability: {
+            type: 'string',
+            enum: ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'],
+            description: '可选：改用其他属性进行该技能检定（如力量（威吓）），默认使用技能对应属性',
+          },
+          dc: {
+            type: 'number',
+            description: '难度等级(DC)，5=极易 10=简单 15=中等 20=困难 25=极难',
+          },
+          reason: {
+            type: 'string',
+            description: '检定原因的简短描述',
+          },
+          rollType: {
+            type: 'string',
+            enum: ['normal', 'advantage', 'disadvantage'],
+            description: '投骰方式，默认normal',
+          },
+          visibility: VISIBILITY_SCHEMA,
+        },
+        required: ['characterId', 'skill', 'dc', 'reason'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -74,6 +169,7 @@ export const EXPLORATION_TOOLS: ToolDefinition[] = [
             enum: ['normal', 'advantage', 'disadvantage'],
             description: '投骰方式',
           },
+          visibility: VISIBILITY_SCHEMA,
         },
         required: ['characterId', 'ability', 'dc', 'reason'],
       },
@@ -83,14 +179,23 @@ export const EXPLORATION_TOOLS: ToolDefinition[] = [
     type: 'function',
     function: {
       name: 'request_group_check',
-      description: '要求多个角色或全队进行同一检定（如全队感知检定、集体隐匿）',
+      description: '全队或多名角色作为一个整体进行同一检定（如集体隐匿、全队攀爬、穿越沼泽的生存检定）。至少半数成功则整体成功',
       parameters: {
         type: 'object',
         properties: {
           ability: {
             type: 'string',
             enum: ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'],
-            description: '检定属性',
+            description: '检定属性。指定技能时可省略，默认使用技能对应属性',
+          },
+          skill: {
+            type: 'string',
+            enum: [
+              'acrobatics', 'animal-handling', 'arcana', 'athletics', 'deception', 'history',
+              'insight', 'intimidation', 'investigation', 'medicine', 'nature', 'perception',
+              'performance', 'persuasion', 'religion', 'sleight-of-hand', 'stealth', 'survival',
+            ],
+            description: '可选：检定技能，自动计入每名成员的熟练与专精加值',
           },
           dc: { type: 'number', description: '难度等级' },
           reason: { type: 'string', description: '检定原因' },
@@ -99,8 +204,69 @@ export const EXPLORATION_TOOLS: ToolDefinition[] = [
             items: { type: 'string' },
             description: '指定角色ID列表。留空则全队检定',
           },
+          rollType: {
+            type: 'string',
+            enum: ['normal', 'advantage', 'disadvantage'],
+            description: '全体成员的投骰方式，默认normal。状态造成的优势/劣势会自动计入',
+          },
+          memberRollTypes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                characterId: { type: 'string', description: '角色ID' },
+                rollType: {
+                  type: 'string',
+                  enum: ['normal', 'advantage', 'disadvantage'],
+                  description: '该成员的投骰方式',
+                },
+              },
+              required: ['characterId', 'rollType'],
+            },
+            description: '可选：个别成员的优势/劣势（如有夜视的成员在黑暗中察觉），覆盖 rollType',
+          },
+          visibility: VISIBILITY_SCHEMA,
         },
-        required: ['ability', 'dc', 'reason'],
+        required: ['dc', 'reason'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'request_contested_check',
+      description: '双方对抗检定，各自掷骰比较总值，无需DC（如擒抱/推撞的运动对抗运动或体操、隐匿对抗察觉、欺瞒对抗洞悉、拔河）。平局默认维持原状',
+      parameters: {
+        type: 'object',
+        properties: {
+          initiator: CONTEST_SIDE_SCHEMA('发起方：主动行动的一方（如擒抱者、潜行者）'),
+          opponent: CONTEST_SIDE_SCHEMA('对抗方：抵抗或察觉的一方'),
+          tieRule: {
+            type: 'string',
+            enum: ['status-quo', 'initiator', 'opponent'],
+            description: '平局规则：status-quo=维持原状（默认，双方都不算赢），initiator=发起方胜，opponent=对抗方胜',
+          },
+          reason: { type: 'string', description: '对抗原因的简短描述' },
+          visibility: VISIBILITY_SCHEMA,
+        },
+        required: ['initiator', 'opponent', 'reason'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'roll_dice',
+      description: '掷任意骰子表达式（随机表、伤害、陷阱等）。支持 2d6+3、4d6kh3（取高3）、2d20kl1（取低1）、1d6!（爆骰）、2d8+1d6+3、d%',
+      parameters: {
+        type: 'object',
+        properties: {
+          formula: { type: 'string', description: '骰子表达式' },
+          reason: { type: 'string', description: '掷骰原因' },
+          characterId: { type: 'string', description: '可选：掷骰的角色ID' },
+          visibility: VISIBILITY_SCHEMA,
+        },
+        required: ['formula', 'reason'],
       },
     },
   },
@@ -115,20 +281,455 @@ export const EXPLORATION_TOOLS: ToolDefinition[] = [
           reason: { type: 'string', description: '进入战斗的原因' },
           enemies: {
             type: 'array',
-            description: '敌方生物列表（预留，CombatState实现后使用）',
+            description: '敌方生物列表。未提供的数值使用默认值（HP 7, AC 12, 攻击+3, 伤害1d6+1）',
             items: {
               type: 'object',
               properties: {
-                name: { type: 'string' },
-                count: { type: 'number' },
+                name: { type: 'string', description: '生物名称（与怪物图鉴同名时自动使用图鉴数值）' },
+                monsterId: { type: 'string', description: '怪物图鉴ID，提供时使用图鉴数值' },
+                count: { type: 'number', description: '数量，默认1' },
+                hp: { type: 'number', description: '生命值' },
+                armorClass: { type: 'number', description: '护甲等级' },
+                attackBonus: { type: 'number', description: '攻击加值' },
+                damage: { type: 'string', description: '伤害骰，如 1d6+2' },
+                damageType: { type: 'string', description: '伤害类型，如 slashing' },
+                initiativeBonus: { type: 'number', description: '先攻加值' },
               },
+              required: ['name'],
             },
           },
         },
+        required: ['reason', 'enemies'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'stabilize',
+      description: '角色尝试用医疗手段稳定一名生命值为0、濒死的同伴（感知（医药）检定 DC 10）',
+      parameters: {
+        type: 'object',
+        properties: {
+          healerId: { type: 'string', description: '施救者角色ID' },
+          targetId: { type: 'string', description: '濒死角色ID' },
+        },
+        required: ['healerId', 'targetId'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'heal',
+      description: '为角色恢复生命值（治疗药水、治疗法术等）。提供 dice 时掷骰决定治疗量，否则使用 amount',
+      parameters: {
+        type: 'object',
+        properties: {
+          targetId: { type: 'string', description: '被治疗角色ID' },
+          dice: { type: 'string', description: '治疗骰，如 2d4+2（治疗药水）' },
+          amount: { type: 'number', description: '固定治疗量（未提供 dice 时使用）' },
+          reason: { type: 'string', description: '治疗来源，如"治疗药水"' },
+        },
+        required: ['targetId', 'reason'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'short_rest',
+      description: '队伍进行短休（至少1小时）。角色可花费生命骰恢复生命值，邪术师恢复法术位',
+      parameters: {
+        type: 'object',
+        properties: {
+          characterIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '休息的角色ID列表。留空则全队休息',
+          },
+          hitDice: {
+            type: 'number',
+            description: '每名角色最多花费的生命骰数量，生命值回满后停止。默认0',
+          },
+        },
+        required: [],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'long_rest',
+      description: '队伍进行长休（8小时）。恢复全部生命值、一半生命骰与全部法术位，力竭等级-1。生命值为0的角色无法受益',
+      parameters: {
+        type: 'object',
+        properties: {
+          characterIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '休息的角色ID列表。留空则全队休息',
+          },
+        },
+        required: [],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'cast_spell',
+      description: '角色施放法术时调用。自动消耗法术位、进行法术攻击或目标豁免、结算伤害/治疗，并处理专注。戏法不消耗法术位',
+      parameters: {
+        type: 'object',
+        properties: {
+          casterId: { type: 'string', description: '施法者角色ID' },
+          spell: {
+            type: 'string',
+            enum: SPELLS.map((s) => s.id),
+            description: '法术ID',
+          },
+          targetIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '目标ID列表（角色ID或敌人ID）。范围法术列出所有被波及的目标',
+          },
+          slotLevel: { type: 'number', description: '使用的法术位环级，默认为法术环级。高于法术环级时升环施放' },
+          rollType: {
+            type: 'string',
+            enum: ['normal', 'advantage', 'disadvantage'],
+            description: '法术攻击的投骰方式，默认normal',
+          },
+        },
+        required: ['casterId', 'spell'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'end_concentration',
+      description: '角色主动结束正在专注的法术（或法术持续时间结束）',
+      parameters: {
+        type: 'object',
+        properties: {
+          characterId: { type: 'string', description: '专注中的角色ID' },
+        },
+        required: ['characterId'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'award_loot',
+      description: '角色获得战利品、报酬或货币时调用（搜刮尸体、打开宝箱、完成委托）。物品与金钱会存入角色背包或队伍公共金库，并记入账本',
+      parameters: {
+        type: 'object',
+        properties: {
+          recipientId: { type: 'string', description: `获得者角色ID；交给全队共享时填 "${PARTY_TREASURY}"` },
+          coins: {
+            type: 'object',
+            description: '货币数量（按币种）',
+            properties: {
+              pp: { type: 'number', description: '铂金币' },
+              gp: { type: 'number', description: '金币' },
+              ep: { type: 'number', description: '银金币' },
+              sp: { type: 'number', description: '银币' },
+              cp: { type: 'number', description: '铜币' },
+            },
+          },
+          items: {
+            type: 'array',
+            description: '物品列表。使用物品目录中的名称（如 Longsword、Potion of Healing）以获得真实属性',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: '物品名称' },
+                quantity: { type: 'number', description: '数量，默认1' },
+              },
+              required: ['name'],
+            },
+          },
+          reason: { type: 'string', description: '来源，如"哥布林首领的宝箱"' },
+        },
+        required: ['recipientId', 'reason'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'award_xp',
+      description: '里程碑经验：角色完成重要目标、解决难题或以非战斗方式克服遭遇时调用（战斗胜利的经验由系统按挑战等级自动发放）',
+      parameters: {
+        type: 'object',
+        properties: {
+          characterIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '获得经验的角色ID列表，省略则全队获得',
+          },
+          amount: { type: 'number', description: '每名角色获得的经验值' },
+          challengeRatings: {
+            type: 'array',
+            items: { type: 'number' },
+            description: '以非战斗方式克服的生物挑战等级列表（如 [0.25, 0.25, 1]），其经验总和由全体角色平分；与 amount 二选一',
+          },
+          reason: { type: 'string', description: '获得经验的原因' },
+        },
+        required: ['reason'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'create_quest',
+      description: '角色接受委托、发现新目标或剧情引出新任务时调用，将任务记入任务日志',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: '任务名称' },
+          description: { type: 'string', description: '任务简介' },
+          giver: { type: 'string', description: '委托人' },
+          objectives: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '任务目标列表',
+          },
+        },
+        required: ['name'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'update_quest',
+      description: '任务目标达成、需要撤销或出现新目标时调用。目标按任务日志中的编号（从1开始）指定',
+      parameters: {
+        type: 'object',
+        properties: {
+          questId: { type: 'string', description: '任务ID（如 quest-1）或任务名称' },
+          completeObjectives: {
+            type: 'array',
+            items: { type: 'number' },
+            description: '已达成的目标编号',
+          },
+          reopenObjectives: {
+            type: 'array',
+            items: { type: 'number' },
+            description: '重新变为未完成的目标编号',
+          },
+          addObjectives: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '新增的目标',
+          },
+        },
+        required: ['questId'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'resolve_quest',
+      description: '任务完成或失败时调用，关闭任务',
+      parameters: {
+        type: 'object',
+        properties: {
+          questId: { type: 'string', description: '任务ID（如 quest-1）或任务名称' },
+          status: {
+            type: 'string',
+            enum: ['completed', 'failed'],
+            description: '任务结果',
+          },
+          outcome: { type: 'string', description: '结局描述' },
+        },
+        required: ['questId', 'status'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'advance_time',
+      description: '游戏内时间流逝时调用（等待、搜索、制作、睡觉等）。旅行和休息会自动推进时间，无需再调用',
+      parameters: {
+        type: 'object',
+        properties: {
+          minutes: { type: 'number', description: '经过的分钟数' },
+          hours: { type: 'number', description: '经过的小时数' },
+          days: { type: 'number', description: '经过的天数' },
+          untilHour: {
+            type: 'number',
+            description: '一直等到下一次到达该整点（0-23），如等到天亮传 6',
+          },
+          reason: { type: 'string', description: '时间流逝的原因' },
+        },
         required: ['reason'],
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'schedule_event',
+      description: '安排一个在未来某个游戏时间发生的世界事件（如援军到达、仪式完成、商队出发）。时间到达时会提醒DM',
+      parameters: {
+        type: 'object',
+        properties: {
+          description: { type: 'string', description: '事件内容（仅DM可见）' },
+          inMinutes: { type: 'number', description: '多少分钟后发生' },
+          inHours: { type: 'number', description: '多少小时后发生' },
+          inDays: { type: 'number', description: '多少天后发生' },
+        },
+        required: ['description'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'add_location',
+      description: '角色得知或发现一个地点、或发现地点之间的道路时调用，将其记入地图。不移动队伍',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: '地点名称' },
+          description: { type: 'string', description: '地点描述' },
+          region: { type: 'string', description: '所属地区' },
+          discovered: {
+            type: 'boolean',
+            description: '玩家是否已知晓该地点，默认 true。仅DM知道的隐藏地点传 false',
+          },
+          connections: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                to: { type: 'string', description: '相连地点的ID或名称' },
+                travelMinutes: { type: 'number', description: '正常步速下的路程（分钟）' },
+                route: { type: 'string', description: '道路描述（如林间小道、渡船）' },
+                discovered: { type: 'boolean', description: '玩家是否知道这条路，默认 true' },
+              },
+              required: ['to', 'travelMinutes'],
+            },
+            description: '与其他地点的道路',
+          },
+        },
+        required: ['name'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'move_party',
+      description: '队伍或部分角色前往另一个地点时调用。按地图上的道路计算路程并推进游戏时间；目的地不在地图上时会自动添加',
+      parameters: {
+        type: 'object',
+        properties: {
+          destination: { type: 'string', description: '目的地ID或名称' },
+          characterIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '可选：只移动这些角色（分头行动）。不传则移动整个队伍',
+          },
+          pace: {
+            type: 'string',
+            enum: ['fast', 'normal', 'slow'],
+            description: '行进速度：fast 用时 ×0.75 且被动察觉 -5，slow 用时 ×1.5 可潜行，默认 normal',
+          },
+          travelMinutes: {
+            type: 'number',
+            description: '地图上没有通往目的地的道路时必填：正常步速下的路程（分钟），会记为新道路',
+          },
+          route: { type: 'string', description: '新道路的描述' },
+          description: { type: 'string', description: '目的地描述（新地点时）' },
+          region: { type: 'string', description: '目的地所属地区（新地点时）' },
+        },
+        required: ['destination'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'create_npc',
+      description: '有名有姓的NPC首次登场时调用，将其记入NPC登记册。已登记的NPC请用 update_npc',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'NPC名称' },
+          description: { type: 'string', description: '外貌、身份与性格' },
+          location: { type: 'string', description: '常驻地点' },
+          attitude: {
+            type: 'string',
+            enum: ['hostile', 'unfriendly', 'indifferent', 'friendly', 'helpful'],
+            description: '对队伍的态度，默认 indifferent',
+          },
+          secrets: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '只有DM知道的秘密',
+          },
+          notes: { type: 'string', description: '其他备注' },
+        },
+        required: ['name'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'update_npc',
+      description: 'NPC的态度、位置、生死或所知信息发生变化时调用。只传需要改变的字段',
+      parameters: {
+        type: 'object',
+        properties: {
+          npcId: { type: 'string', description: 'NPC ID（如 npc-1）或名称' },
+          description: { type: 'string', description: '新的描述' },
+          location: { type: 'string', description: '新的所在地点' },
+          attitude: {
+            type: 'string',
+            enum: ['hostile', 'unfriendly', 'indifferent', 'friendly', 'helpful'],
+            description: '对整个队伍的新态度（会清除针对单个角色的态度）',
+          },
+          characterAttitudes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                characterId: { type: 'string', description: '角色ID' },
+                attitude: {
+                  type: 'string',
+                  enum: ['hostile', 'unfriendly', 'indifferent', 'friendly', 'helpful'],
+                },
+              },
+              required: ['characterId', 'attitude'],
+            },
+            description: '对特定角色的态度',
+          },
+          addSecrets: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '新增的秘密',
+          },
+          removeSecrets: {
+            type: 'array',
+            items: { type: 'number' },
+            description: '已揭露或不再成立的秘密编号（从1开始）',
+          },
+          status: { type: 'string', enum: ['alive', 'dead'], description: '生死状态' },
+          notes: { type: 'string', description: '新的备注' },
+        },
+        required: ['npcId'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -177,53 +778,29 @@ export class ExplorationState implements IGameState {
     // 2. Tool calling loop
     let rounds = 0;
     while (rounds < MAX_TOOL_ROUNDS) {
-      const response = await ctx.llmClient.chat(messages, {
-        tools: EXPLORATION_TOOLS,
-        toolChoice: 'auto',
-      });
-
-      // No tool calls → LLM produced narrative, we're done
-      if (!response.toolCalls?.length) {
-        if (response.content) {
-          fullNarrative += response.content;
-          yield { type: 'narrative_chunk', content: response.content };
+      let content = '';
+      const toolCalls: ToolCall[] = [];
+      const toolResults: LLMMessage[] = [];
+
+      // Narration streams as it is generated; each tool call runs as soon as its arguments are complete
+      for await (const chunk of ctx.llmClient.streamChat(messages, { tools: EXPLORATION_TOOLS, toolChoice: 'auto' })) {
+        if (chunk.content) {
+          content += chunk.content;
+          yield { type: 'narrative_chunk', content: chunk.content };
+        }
+        if (chunk.toolCall) {
+          toolCalls.push(chunk.toolCall);
+          toolResults.push(yield* this.runTool(chunk.toolCall, ctx));
         }
-        break;
       }
+      fullNarrative += content;
 
-      // Has tool calls → execute each one
-      // Append assistant message (with tool_calls)
-      messages.push({
-        role: 'assistant',
-        content: response.content || '',
-        tool_calls: response.toolCalls,
-      });
-
-      for (const call of response.toolCalls) {
-        try {
-          const result = await this.mechanicsAgent.execute(call, ctx);
-
-          if (result.sessionEvent) {
-            yield result.sessionEvent;
-          }
-
-          messages.push({
-            role: 'tool',
-            tool_call_id: call.id,
-            content: JSON.stringify(result.toolResult),
-          });
-        } catch (error) {
-          console.error(`[ExplorationState] Tool execution failed:`, error);
-          messages.push({
-            role: 'tool',
-            tool_call_id: call.id,
-            content: JSON.stringify({
-              error: error instanceof Error ? error.message : 'Unknown error',
-            }),
-          });
-        }
+      // No tool calls → the narrative is complete
+      if (toolCalls.length === 0) {
+        break;
       }
 
+      messages.push({ role: 'assistant', content, tool_calls: toolCalls }, ...toolResults);
       rounds++;
     }
 
@@ -236,6 +813,34 @@ export class ExplorationState implements IGameState {
     yield { type: 'turn_end' };
   }
 
+  /**
+   * Execute one tool call and build its tool message; failures are reported back to the LLM
+   */
+  private async *runTool(call: ToolCall, ctx: GameSessionContext): AsyncGenerator<SessionEvent, LLMMessage> {
+    try {
+      const result = yield* this.mechanicsAgent.executeWithPrompts(call, ctx);
+
+      if (result.sessionEvent) {
+        yield result.sessionEvent;
+      }
+
+      return {
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(result.toolResult),
+      };
+    } catch (error) {
+      console.error(`[ExplorationState] Tool execution failed:`, error);
+      return {
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify({
+          error: error instanceof Error ? error.message : 'Unknown error',
+        }),
+      };
+    }
+  }
+
   private formatActions(actions: PlayerAction[]): string {
     return actions
       .map(a =>
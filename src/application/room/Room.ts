@@ -13,20 +13,40 @@ import type {
   RoomMember,
   PlayerAction,
   PlayerNote,
+  PlayerRoll,
+  PlayerRollRequest,
+  RollPrompt,
 } from '@/domain/index.js';
 import type { CharacterData } from '@/domain/character/types.js';
 import type { ContextBuilder as IContextBuilder } from '@/domain/llm/context.js';
 import type { GameEngine } from '@/domain/game/types.js';
-import type { GameState } from '@/domain/game/GameState.js';
+import type { ExpiredCondition, GameState } from '@/domain/game/GameState.js';
 import type { GameStateManager } from '@/application/game/GameStateManager.js';
 import type { MessageRenderer } from '@/application/messages/MessageRenderer.js';
 import type { WorldContextUpdater } from '@/application/game/agents/WorldContextUpdater.js';
 import { GameSession } from '@/application/game/GameSession.js';
 import type { SessionEvent } from '@/domain/game/session.js';
+import type { IRollLedgerRepository } from '@/domain/game/rollLedger.js';
+import {
+  PARTY_TREASURY,
+  type GoldSplitRequest,
+  type LootLedgerEntry,
+  type LootTransferRequest,
+  type PartyTreasury,
+} from '@/domain/game/loot.js';
+import { createClock } from '@/domain/game/calendar.js';
+import type { AuditableDiceRoller } from '@/infrastructure/game/DiceRoller.js';
 import { ActionManager } from '@/application/room/managers/ActionManager.js';
+import { ClockManager } from '@/application/room/managers/ClockManager.js';
+import { ConditionManager } from '@/application/room/managers/ConditionManager.js';
 import { EventManager } from '@/application/room/managers/EventManager.js';
+import { LedgerManager } from '@/application/room/managers/LedgerManager.js';
+import { LootManager } from '@/application/room/managers/LootManager.js';
+import { ExperienceManager } from '@/application/room/managers/ExperienceManager.js';
 import { MemberManager } from '@/application/room/managers/MemberManager.js';
 import { NoteManager } from '@/application/room/managers/NoteManager.js';
+import { RollManager } from '@/application/room/managers/RollManager.js';
+import { RollPromptManager } from '@/application/room/managers/RollPromptManager.js';
 import { SaveManager } from '@/application/room/managers/SaveManager.js';
 
 export interface RoomDependencies {
@@ -34,6 +54,7 @@ export interface RoomDependencies {
   conversationHistory: IConversationHistory;
   contextBuilder: IContextBuilder;
   gameEngine: GameEngine;
+  diceRoller?: AuditableDiceRoller; // the engine's RNG, for the roll ledger
   gameStateManager: GameStateManager;
   worldContextUpdater: WorldContextUpdater;
   messageRenderer: MessageRenderer;
@@ -49,6 +70,8 @@ export interface RoomDependencies {
   };
   characterRepo?: {
     findById(id: string): CharacterData | null;
+    update(id: string, character: Partial<CharacterData>): Promise<boolean>;
+    updateMany(updates: Array<{ id: string; changes: Partial<CharacterData> }>): Promise<boolean>;
   };
   conversationHistoryRepo?: {
     addTurnWithActions(
@@ -59,6 +82,7 @@ export interface RoomDependencies {
     ): Promise<unknown>;
     getHistory(roomId: string, limit?: number, offset?: number): any[];
   };
+  rollLedgerRepo?: Pick<IRollLedgerRepository, 'appendMany'>;
 }
 
 export class Room implements IRoom {
@@ -81,9 +105,16 @@ export class Room implements IRoom {
   private turnCount = 0;
   private gameSession: GameSession;
   private actionManager: ActionManager;
+  private clockManager: ClockManager;
+  private conditionManager: ConditionManager;
   private eventManager: EventManager;
+  private experienceManager: ExperienceManager;
+  private ledgerManager: LedgerManager;
+  private lootManager: LootManager;
   private memberManager: MemberManager;
   private noteManager: NoteManager;
+  private rollManager: RollManager;
+  private rollPromptManager: RollPromptManager;
   private saveManager: SaveManager;
 
   constructor(id: string, config: RoomConfig, deps: RoomDependencies) {
@@ -102,6 +133,11 @@ export class Room implements IRoom {
     this.conversationHistoryRepo = deps.conversationHistoryRepo;
     this.actionManager = new ActionManager();
     this.eventManager = new EventManager();
+    this.ledgerManager = new LedgerManager({
+      roomId: id,
+      diceRoller: deps.diceRoller,
+      rollLedgerRepo: deps.rollLedgerRepo,
+    });
 
     this.state = {
       id,
@@ -111,20 +147,7 @@ export class Room implements IRoom {
       config,
     };
 
-    this.gameState = {
-      roomId: id,
-      moduleName: config.moduleName,
-      location: { name: 'Unknown' },
-      characterStates: new Map(),
-      characterOverlays: new Map(),
-      worldContext: {
-        recentEvents: [],
-        worldFacts: [],
-        flags: {},
-      },
-      activeEncounters: [],
-      lastUpdated: Date.now(),
-    };
+    this.gameState = this.createGameState();
 
     this.memberManager = new MemberManager({
       roomId: id,
@@ -141,6 +164,34 @@ export class Room implements IRoom {
       gameState: this.gameState,
     });
 
+    this.rollManager = new RollManager({
+      gameEngine: this.gameEngine,
+      gameState: this.gameState,
+    });
+
+    this.rollPromptManager = new RollPromptManager({
+      rollManager: this.rollManager,
+      enabled: config.playerRolls,
+      timeoutSeconds: config.rollPromptSeconds,
+    });
+
+    this.conditionManager = new ConditionManager({
+      gameState: this.gameState,
+    });
+
+    this.clockManager = new ClockManager({
+      gameState: this.gameState,
+    });
+
+    this.lootManager = new LootManager({
+      gameState: this.gameState,
+      characterRepo: this.characterRepo,
+    });
+
+    this.experienceManager = new ExperienceManager({
+      characterRepo: this.characterRepo,
+    });
+
     this.saveManager = new SaveManager({
       roomId: id,
       conversationHistory: this.conversationHistory,
@@ -158,14 +209,26 @@ export class Room implements IRoom {
       gameState: this.gameState,
       getRoomMembers: async () => this.getMembers(),
       worldContextUpdater: this.worldContextUpdater,
+      loot: this.lootManager,
+      experience: this.experienceManager,
+      rollPrompts: this.rollPromptManager,
     });
   }
 
   /**
    * Get the event emitter for this room.
    * SSE and other consumers can subscribe to 'game-event' to receive:
-   * - 'dice_roll': { type, data }
+   * - 'dice_roll': { type, data } (data.visibility says who may see it)
+   * - 'group_check': { ability, skill, dc, reason, results, successCount, success, visibility }
+   * - 'roll_prompt': { prompt }
+   * - 'roll_prompt_closed': { promptId, characterId, timedOut }
    * - 'action_restriction': { allowedCharacterIds, reason }
+   * - 'condition_expired': { expired }
+   * - 'loot': { entries }
+   * - 'experience': { awards, reason }
+   * - 'quest': { change, quest }
+   * - 'travel': { characterIds, from, to, travelMinutes, pace }
+   * - 'time': { clock, advancedSeconds, reason }
    */
   getEventEmitter(): EventEmitter {
     return this.eventManager.getEmitter();
@@ -178,6 +241,32 @@ export class Room implements IRoom {
     this.eventManager.emitGameEvent(event);
   }
 
+  /**
+   * Tell SSE clients which conditions wore off so the status panel refreshes
+   */
+  private emitConditionExpiry(expired: ExpiredCondition[]): void {
+    if (expired.length === 0) return;
+    this.emitGameEvent({ type: 'condition_expired', expired });
+    console.log('[Room] Conditions expired:', expired.map((e) => `${e.characterId}:${e.name}`).join(', '));
+  }
+
+  /**
+   * Persist the rolls recorded since the last flush (in the background)
+   */
+  private flushLedger(): void {
+    this.ledgerManager.flush().catch((err) => {
+      console.error('[Room] Failed to record rolls in ledger:', err);
+    });
+  }
+
+  /**
+   * The game clock moved: turn scheduled events due and expire timed conditions
+   */
+  private advanceTime(): ExpiredCondition[] {
+    this.clockManager.advanceTime();
+    return this.conditionManager.advanceTime();
+  }
+
   async initialize(): Promise<void> {
     this.state.isActive = true;
     this.updateActivity();
@@ -186,8 +275,11 @@ export class Room implements IRoom {
 
   async close(): Promise<void> {
     this.state.isActive = false;
+    this.rollPromptManager.closeAll();
+    this.emitConditionExpiry(this.conditionManager.endSession());
 
     // Final save before closing
+    await this.ledgerManager.flush();
     await this.saveManager.saveRoomState();
   }
 
@@ -224,14 +316,47 @@ export class Room implements IRoom {
 
   async load(): Promise<void> {
     await this.saveManager.loadRoomState();
+    this.turnCount = this.saveManager.getSavedTurnCount();
   }
 
   getGameState(): GameState {
     return this.gameState;
   }
 
+  /**
+   * Walking speed after conditions and exhaustion
+   */
+  getSpeed(characterId: string): number {
+    return this.gameEngine.getSpeed(characterId);
+  }
+
+  /**
+   * Replace the game state in place; managers hold a reference to the same object.
+   * Keys the new state lacks go back to their defaults instead of keeping the old values.
+   */
   setGameState(state: GameState): void {
-    this.gameState = state;
+    for (const key of Object.keys(this.gameState) as (keyof GameState)[]) {
+      delete this.gameState[key];
+    }
+    Object.assign(this.gameState, this.createGameState(), state);
+  }
+
+  private createGameState(): GameState {
+    return {
+      roomId: this.id,
+      moduleName: this.state.config.moduleName,
+      location: { name: 'Unknown' },
+      characterStates: new Map(),
+      characterOverlays: new Map(),
+      worldContext: {
+        recentEvents: [],
+        worldFacts: [],
+        flags: {},
+      },
+      activeEncounters: [],
+      clock: createClock(),
+      lastUpdated: Date.now(),
+    };
   }
 
   getConversationHistory(): IConversationHistory {
@@ -270,6 +395,150 @@ export class Room implements IRoom {
     await this.noteManager.deleteNoteById(userId, noteId);
   }
 
+  /**
+   * Roll dice for a player's character outside the LLM tool loop.
+   * The result is queued so the DM sees it in the next turn's context.
+   */
+  async rollForPlayer(userId: string, request: PlayerRollRequest): Promise<PlayerRoll> {
+    this.updateActivity();
+
+    const members = await this.getMembers();
+    const member = members.find((m) => m.userId === userId);
+    if (!member) {
+      throw new Error('Only room members can roll');
+    }
+
+    await this.memberManager.ensureCharacterStatesLoaded();
+    const playerRoll = this.rollManager.roll(member, request);
+    this.ledgerManager.record(playerRoll.result, 'player', this.turnCount + 1);
+    this.flushLedger();
+    return playerRoll;
+  }
+
+  /**
+   * The player clicked "Roll" on a prompt. The narrator, waiting on the prompt,
+   * picks the result up and yields it as a dice roll.
+   */
+  async answerRollPrompt(userId: string, promptId: string): Promise<PlayerRoll> {
+    this.updateActivity();
+
+    const members = await this.getMembers();
+    const member = members.find((m) => m.userId === userId);
+    if (!member) {
+      throw new Error('Only room members can roll');
+    }
+
+    return this.rollPromptManager.answer(member, promptId);
+  }
+
+  /**
+   * Checks the narrator is waiting on, for clients that (re)connect mid-turn
+   */
+  getRollPrompts(): RollPrompt[] {
+    return this.rollPromptManager.getOpen();
+  }
+
+  getTreasury(): PartyTreasury {
+    return this.lootManager.getTreasury();
+  }
+
+  /**
+   * Coin and item movements, newest first
+   */
+  getLootLedger(limit?: number): LootLedgerEntry[] {
+    return this.lootManager.getLedger(limit);
+  }
+
+  /**
+   * Give gold or an item from the player's character (or the party treasury)
+   * to another character in the room or the treasury
+   */
+  async transferLoot(userId: string, request: LootTransferRequest): Promise<LootLedgerEntry[]> {
+    this.updateActivity();
+
+    const { member, characterIds } = await this.getLootMember(userId);
+    if (request.from !== PARTY_TREASURY && request.from !== member.characterId) {
+      throw new Error('You can only give away your own character\'s belongings');
+    }
+    if (request.to !== PARTY_TREASURY && !characterIds.includes(request.to)) {
+      throw new Error('The recipient is not a character in this room');
+    }
+
+    return await this.lootManager.transfer(request, member.username);
+  }
+
+  /**
+   * Split gold from the player's character (or the party treasury) evenly
+   * between characters in the room (all of them by default)
+   */
+  async splitGold(userId: string, request: Partial<GoldSplitRequest>): Promise<LootLedgerEntry[]> {
+    this.updateActivity();
+
+    const { member, characterIds } = await this.getLootMember(userId);
+    const from = request.from ?? PARTY_TREASURY;
+    if (from !== PARTY_TREASURY && from !== member.characterId) {
+      throw new Error('You can only split your own character\'s gold');
+    }
+
+    const recipients = request.characterIds?.length ? request.characterIds : characterIds;
+    if (recipients.some((id) => !characterIds.includes(id))) {
+      throw new Error('Gold can only be split between characters in this room');
+    }
+
+    return await this.lootManager.split({ from, characterIds: recipients, gold: request.gold }, member.username);
+  }
+
+  private async getLootMember(userId: string): Promise<{ member: RoomMember; characterIds: string[] }> {
+    const members = await this.getMembers();
+    const member = members.find((m) => m.userId === userId);
+    if (!member) {
+      throw new Error('Only room members can move loot');
+    }
+
+    const characterIds = members
+      .map((m) => m.characterId)
+      .filter((id): id is string => id !== undefined);
+    return { member, characterIds };
+  }
+
+  /**
+   * Roll level-up hit points with the room's dice, so the roll is in the ledger
+   */
+  rollLevelUpHitPoints(characterId: string, hitDie: number): number {
+    this.updateActivity();
+
+    const roll = this.gameEngine.roll(`1d${hitDie}`);
+    this.ledgerManager.record({
+      checkType: 'roll',
+      characterId,
+      characterName: this.characterRepo?.findById(characterId)?.name ?? characterId,
+      ability: '',
+      roll,
+      success: true,
+      reason: 'Level-up hit points',
+    }, 'player', this.turnCount + 1);
+    this.flushLedger();
+    return roll.total;
+  }
+
+  /**
+   * A character in this room gained a level: add the hit points and hit die gained,
+   * and reload the template so max HP and spell slots follow
+   */
+  applyLevelUp(characterId: string, hitPointsGained: number): void {
+    const state = this.gameState.characterStates.get(characterId);
+    if (!state) return;
+
+    if (!state.deathSaves?.isDead) {
+      state.currentHp += hitPointsGained;
+    }
+    if (state.hitDiceRemaining !== undefined) {
+      state.hitDiceRemaining += 1;
+    }
+    this.gameEngine.syncCharacterStates(new Map([[characterId, state]]));
+    this.gameState.lastUpdated = Date.now();
+  }
+
   async getMembers(): Promise<RoomMember[]> {
     return await this.memberManager.getMembers();
   }
@@ -312,8 +581,12 @@ export class Room implements IRoom {
 
     // Capture actions before processing
     const currentActions = this.actionManager.drainActions();
+    const playerRolls = this.rollManager.getPending();
+    const expiredConditions = this.conditionManager.getPending();
+    const dueEvents = this.clockManager.getDue();
 
     await this.memberManager.ensureCharacterStatesLoaded();
+    this.conditionManager.beginTurn();
 
     // Delegate to GameSession and collect response
     let fullResponse = '';
@@ -324,17 +597,59 @@ export class Room implements IRoom {
           break;
 
         case 'dice_roll':
+          this.ledgerManager.record(event.data, event.data.rolledBy ? 'player' : 'dm', this.turnCount + 1);
           console.log('[Room] Dice roll:', event.data);
           break;
 
+        case 'roll_prompt':
+        case 'roll_prompt_closed':
+          // Players answer prompts over SSE, so these are emitted even without streaming
+          this.emitGameEvent(event);
+          console.log('[Room] Roll prompt:', event.type === 'roll_prompt' ? event.prompt.characterName : event.promptId);
+          break;
+
+        case 'group_check':
+          this.ledgerManager.recordGroupCheck(event, 'dm', this.turnCount + 1);
+          console.log('[Room] Group check:', event.successCount, '/', event.results.length, event.reason);
+          break;
+
         case 'action_restriction':
           console.log('[Room] Action restriction:', event.allowedCharacterIds, event.reason);
           break;
 
         case 'state_transition':
+          this.emitConditionExpiry(this.conditionManager.endScene());
           console.log('[Room] State transition to:', event.to);
           break;
 
+        case 'combat_turn':
+          this.emitConditionExpiry(this.conditionManager.startRound(event.round));
+          this.emitConditionExpiry(this.advanceTime());
+          console.log('[Room] Combat turn:', event.round, event.current?.name);
+          break;
+
+        case 'loot':
+          console.log('[Room] Loot:', event.entries.length, 'movements');
+          break;
+
+        case 'experience':
+          console.log('[Room] XP:', event.awards.map((a) => `${a.characterName} +${a.amount}`).join(', '));
+          break;
+
+        case 'quest':
+          console.log('[Room] Quest', event.change + ':', event.quest.name);
+          break;
+
+        case 'travel':
+          this.emitConditionExpiry(this.advanceTime());
+          console.log('[Room] Travel:', event.from ?? '?', '->', event.to.name, `(${event.travelMinutes} min)`);
+          break;
+
+        case 'time':
+          this.emitConditionExpiry(this.advanceTime());
+          console.log('[Room] Time advanced:', event.advancedSeconds, 's,', event.reason);
+          break;
+
         case 'turn_end':
           // Add this turn to conversation history BEFORE saving
           this.conversationHistory.add({
@@ -349,7 +664,12 @@ export class Room implements IRoom {
 
           // Perform turn cleanup
           this.turnCount += 1;
+          this.rollManager.acknowledge(playerRolls);
+          this.conditionManager.acknowledge(expiredConditions);
+          this.emitConditionExpiry(this.conditionManager.endTurn());
+          this.clockManager.acknowledge(dueEvents);
           this.gameState.lastUpdated = Date.now();
+          this.flushLedger();
 
           this.saveManager.autosaveGameState(this.turnCount)
             .catch((err) => {
@@ -372,10 +692,14 @@ export class Room implements IRoom {
 
     // Capture actions before processing
     const currentActions = this.actionManager.drainActions();
+    const playerRolls = this.rollManager.getPending();
+    const expiredConditions = this.conditionManager.getPending();
+    const dueEvents = this.clockManager.getDue();
 
     // Load character states for room members before processing
     // This ensures GameEngine can find character data when dice rolls are requested
     await this.memberManager.ensureCharacterStatesLoaded();
+    this.conditionManager.beginTurn();
 
     // Delegate to GameSession and process events
     let fullResponse = '';
@@ -389,9 +713,22 @@ export class Room implements IRoom {
         case 'dice_roll':
           // Emit for SSE clients to subscribe to
           this.emitGameEvent(event);
+          this.ledgerManager.record(event.data, event.data.rolledBy ? 'player' : 'dm', this.turnCount + 1);
           console.log('[Room] Dice roll:', event.data);
           break;
 
+        case 'roll_prompt':
+        case 'roll_prompt_closed':
+          this.emitGameEvent(event);
+          console.log('[Room] Roll prompt:', event.type === 'roll_prompt' ? event.prompt.characterName : event.promptId);
+          break;
+
+        case 'group_check':
+          this.emitGameEvent(event);
+          this.ledgerManager.recordGroupCheck(event, 'dm', this.turnCount + 1);
+          console.log('[Room] Group check:', event.successCount, '/', event.results.length, event.reason);
+          break;
+
         case 'action_restriction':
           // Emit for SSE clients to subscribe to
           this.emitGameEvent(event);
@@ -399,10 +736,45 @@ export class Room implements IRoom {
           break;
 
         case 'state_transition':
-          // Already handled by GameSession
+          // Already handled by GameSession; clients still need to switch mode
+          this.emitGameEvent(event);
+          this.emitConditionExpiry(this.conditionManager.endScene());
           console.log('[Room] State transition to:', event.to);
           break;
 
+        case 'combat_turn':
+          this.emitGameEvent(event);
+          this.emitConditionExpiry(this.conditionManager.startRound(event.round));
+          this.emitConditionExpiry(this.advanceTime());
+          break;
+
+        case 'loot':
+          this.emitGameEvent(event);
+          console.log('[Room] Loot:', event.entries.length, 'movements');
+          break;
+
+        case 'experience':
+          this.emitGameEvent(event);
+          console.log('[Room] XP:', event.awards.map((a) => `${a.characterName} +${a.amount}`).join(', '));
+          break;
+
+        case 'quest':
+          this.emitGameEvent(event);
+          console.log('[Room] Quest', event.change + ':', event.quest.name);
+          break;
+
+        case 'travel':
+          this.emitGameEvent(event);
+          this.emitConditionExpiry(this.advanceTime());
+          console.log('[Room] Travel:', event.from ?? '?', '->', event.to.name, `(${event.travelMinutes} min)`);
+          break;
+
+        case 'time':
+          this.emitGameEvent(event);
+          this.emitConditionExpiry(this.advanceTime());
+          console.log('[Room] Time advanced:', event.advancedSeconds, 's,', event.reason);
+          break;
+
         case 'turn_end':
           // Add this turn to conversation history BEFORE saving
           this.conversationHistory.add({
@@ -417,7 +789,12 @@ export class Room implements IRoom {
 
           // Perform turn cleanup
           this.turnCount += 1;
+          this.rollManager.acknowledge(playerRolls);
+          this.conditionManager.acknowledge(expiredConditions);
+          this.emitConditionExpiry(this.conditionManager.endTurn());
+          this.clockManager.acknowledge(dueEvents);
           this.gameState.lastUpdated = Date.now();
+          this.flushLedger();
 
           // Save game state
           this.saveManager.autosaveGameState(this.turnCount)
@@ -0,0 +1,44 @@
+// Application layer: Clock manager
+// Turns scheduled world events due once the game clock reaches them, until the DM has seen them
+
+import type { GameState, ScheduledEvent } from '@/domain/game/GameState.js';
+import { collectDueEvents, getClock } from '@/domain/game/calendar.js';
+
+export interface ClockManagerDeps {
+  gameState: GameState;
+}
+
+export class ClockManager {
+  private gameState: GameState;
+
+  constructor(deps: ClockManagerDeps) {
+    this.gameState = deps.gameState;
+  }
+
+  /**
+   * The game clock moved: mark events whose time has come as due
+   */
+  advanceTime(): ScheduledEvent[] {
+    const due = collectDueEvents(this.gameState.scheduledEvents ?? [], getClock(this.gameState).seconds);
+    if (due.length > 0) {
+      this.gameState.lastUpdated = Date.now();
+    }
+    return due;
+  }
+
+  /**
+   * Due events the DM has not narrated yet
+   */
+  getDue(): ScheduledEvent[] {
+    return (this.gameState.scheduledEvents ?? []).filter((event) => event.status === 'due');
+  }
+
+  /**
+   * Close due events the DM has seen
+   */
+  acknowledge(events: ScheduledEvent[]): void {
+    for (const event of events) {
+      event.status = 'done';
+    }
+  }
+}
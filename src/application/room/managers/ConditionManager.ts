@@ -0,0 +1,166 @@
+// Application layer: Condition manager
+// Expires timed conditions and overlays at turn end, scene change, combat round, game clock time and session end
+
+import type { Condition } from '@/domain/game/types.js';
+import type { ActiveCondition, ExpiredCondition, GameState } from '@/domain/game/GameState.js';
+import { getClock } from '@/domain/game/calendar.js';
+
+const MAX_PENDING_EXPIRED = 30;
+
+type TimedCondition =
+  | Pick<Condition, 'expires' | 'expiresAtRound' | 'expiresAtTime'>
+  | Pick<ActiveCondition, 'expires' | 'expiresAtRound' | 'expiresAtTime'>;
+
+export interface ConditionManagerDeps {
+  gameState: GameState;
+}
+
+export class ConditionManager {
+  private gameState: GameState;
+  private activeAtTurnStart = new Set<TimedCondition>();
+  private locationAtTurnStart?: string;
+
+  constructor(deps: ConditionManagerDeps) {
+    this.gameState = deps.gameState;
+  }
+
+  /**
+   * Remember which conditions were active when the turn began.
+   * Conditions applied during the turn survive its end.
+   */
+  beginTurn(): void {
+    this.activeAtTurnStart = new Set(this.collect());
+    this.locationAtTurnStart = this.currentLocation();
+  }
+
+  /**
+   * Turn end: 'turn' conditions from before the turn wear off, and so do
+   * 'scene' conditions when the party moved somewhere else
+   */
+  endTurn(): ExpiredCondition[] {
+    const location = this.currentLocation();
+    const sceneChanged = !!this.locationAtTurnStart && !!location && location !== this.locationAtTurnStart;
+
+    const expired = [
+      ...this.expire('turn', (c) => c.expires === 'turn' && this.activeAtTurnStart.has(c)),
+      ...(sceneChanged
+        ? this.expire('scene', (c) => c.expires === 'scene' && this.activeAtTurnStart.has(c))
+        : []),
+    ];
+
+    this.activeAtTurnStart.clear();
+    return expired;
+  }
+
+  /**
+   * A new combat round started
+   */
+  startRound(round: number): ExpiredCondition[] {
+    return this.expire('rounds', (c) => c.expiresAtRound !== undefined && round >= c.expiresAtRound);
+  }
+
+  /**
+   * The game clock moved: conditions and concentration spells whose duration ran out end
+   */
+  advanceTime(): ExpiredCondition[] {
+    const now = getClock(this.gameState).seconds;
+    const expired = this.expire('time', (c) => c.expiresAtTime !== undefined && now >= c.expiresAtTime);
+
+    for (const [characterId, state] of this.gameState.characterStates) {
+      const concentration = state.concentration;
+      if (concentration?.expiresAtTime === undefined || now < concentration.expiresAtTime) continue;
+      state.concentration = undefined;
+      expired.push(...this.queue([{
+        characterId,
+        name: `${concentration.spellName} (concentration)`,
+        source: `spell:${concentration.spellId}`,
+        reason: 'time',
+        expiredAt: Date.now(),
+      }]));
+    }
+
+    return expired;
+  }
+
+  /**
+   * The scene ended (switch between exploration and combat).
+   * Round-limited conditions end with the fight.
+   */
+  endScene(): ExpiredCondition[] {
+    return this.expire('scene', (c) => c.expires === 'scene' || c.expiresAtRound !== undefined);
+  }
+
+  /**
+   * The session ended: everything short of permanent wears off
+   */
+  endSession(): ExpiredCondition[] {
+    return this.expire('session', (c) => c.expires !== 'permanent');
+  }
+
+  /**
+   * Expired conditions the DM has not been told about yet
+   */
+  getPending(): ExpiredCondition[] {
+    return [...(this.gameState.expiredConditions ?? [])];
+  }
+
+  /**
+   * Drop expiries the DM has seen
+   */
+  acknowledge(expired: ExpiredCondition[]): void {
+    if (expired.length === 0) return;
+    const seen = new Set(expired);
+    this.gameState.expiredConditions = (this.gameState.expiredConditions ?? []).filter((e) => !seen.has(e));
+  }
+
+  private currentLocation(): string | undefined {
+    return this.gameState.worldContext.flags.location || this.gameState.location?.name;
+  }
+
+  private collect(): TimedCondition[] {
+    const all: TimedCondition[] = [];
+    for (const state of this.gameState.characterStates.values()) all.push(...state.conditions);
+    for (const overlay of this.gameState.characterOverlays.values()) all.push(...overlay.conditions);
+    return all;
+  }
+
+  /**
+   * Remove matching conditions from character states and overlays, and queue them for the DM.
+   * Conditions without an expiry (managed by the engine) are never touched.
+   */
+  private expire(
+    reason: ExpiredCondition['reason'],
+    matches: (condition: TimedCondition) => boolean
+  ): ExpiredCondition[] {
+    const expired: ExpiredCondition[] = [];
+    const expiredAt = Date.now();
+    const shouldExpire = (condition: TimedCondition) => condition.expires !== undefined && matches(condition);
+
+    for (const [characterId, state] of this.gameState.characterStates) {
+      state.conditions = state.conditions.filter((condition) => {
+        if (!shouldExpire(condition)) return true;
+        expired.push({ characterId, name: condition.name, source: condition.source, reason, expiredAt });
+        return false;
+      });
+    }
+
+    for (const [characterId, overlay] of this.gameState.characterOverlays) {
+      overlay.conditions = overlay.conditions.filter((condition) => {
+        if (!shouldExpire(condition)) return true;
+        expired.push({ characterId, name: condition.name, source: condition.source, reason, expiredAt });
+        return false;
+      });
+    }
+
+    return this.queue(expired);
+  }
+
+  private queue(expired: ExpiredCondition[]): ExpiredCondition[] {
+    if (expired.length > 0) {
+      const pending = [...(this.gameState.expiredConditions ?? []), ...expired];
+      this.gameState.expiredConditions = pending.slice(-MAX_PENDING_EXPIRED);
+      this.gameState.lastUpdated = Date.now();
+    }
+    return expired;
+  }
+}
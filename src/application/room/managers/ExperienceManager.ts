@@ -0,0 +1,52 @@
+// Application layer: Experience manager
+// Writes XP awards back to character templates and reports level-up eligibility
+
+import type { CharacterData } from '@/domain/character/types.js';
+import type { ExperienceAward, IExperienceService } from '@/domain/game/experience.js';
+import { canLevelUp } from '@/domain/game/dnd5e/progression.js';
+
+export interface ExperienceManagerDeps {
+  characterRepo?: {
+    findById(id: string): CharacterData | null;
+    update(id: string, character: Partial<CharacterData>): Promise<boolean>;
+  };
+}
+
+export class ExperienceManager implements IExperienceService {
+  private characterRepo?: ExperienceManagerDeps['characterRepo'];
+
+  constructor(deps: ExperienceManagerDeps) {
+    this.characterRepo = deps.characterRepo;
+  }
+
+  /**
+   * Give each character the same amount of XP.
+   * Unknown characters are skipped.
+   */
+  async award(characterIds: string[], amount: number): Promise<ExperienceAward[]> {
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new Error('XP must be a positive whole number');
+    }
+    if (!this.characterRepo) {
+      throw new Error('Characters are not available');
+    }
+
+    const awards: ExperienceAward[] = [];
+    for (const id of new Set(characterIds)) {
+      const character = this.characterRepo.findById(id);
+      if (!character) continue;
+
+      const experience = (character.experience ?? 0) + amount;
+      await this.characterRepo.update(id, { experience });
+      awards.push({
+        characterId: id,
+        characterName: character.name,
+        amount,
+        experience,
+        level: character.level,
+        canLevelUp: canLevelUp({ level: character.level, experience }),
+      });
+    }
+    return awards;
+  }
+}
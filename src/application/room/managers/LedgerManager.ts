@@ -0,0 +1,104 @@
+// Application layer: Ledger manager
+// Records every dice roll in the room's persisted roll ledger, written once per turn
+
+import { randomUUID } from 'crypto';
+import type { DiceRollEvent, GroupCheckEvent } from '@/domain/game/session.js';
+import type { IRollLedgerRepository, RollLedgerEntry } from '@/domain/game/rollLedger.js';
+import type { AuditableDiceRoller } from '@/infrastructure/game/DiceRoller.js';
+
+export interface LedgerManagerDeps {
+  roomId: string;
+  diceRoller?: AuditableDiceRoller;
+  rollLedgerRepo?: Pick<IRollLedgerRepository, 'appendMany'>;
+}
+
+export class LedgerManager {
+  private roomId: string;
+  private diceRoller?: AuditableDiceRoller;
+  private rollLedgerRepo?: LedgerManagerDeps['rollLedgerRepo'];
+  private pending: RollLedgerEntry[] = [];
+
+  constructor(deps: LedgerManagerDeps) {
+    this.roomId = deps.roomId;
+    this.diceRoller = deps.diceRoller;
+    this.rollLedgerRepo = deps.rollLedgerRepo;
+  }
+
+  /**
+   * Add a roll to the ledger; it is persisted by the next flush()
+   */
+  record(data: DiceRollEvent['data'], source: RollLedgerEntry['source'], turn: number): void {
+    if (!this.rollLedgerRepo || !this.diceRoller) {
+      return;
+    }
+
+    const entry: RollLedgerEntry = {
+      id: randomUUID(),
+      roomId: this.roomId,
+      turn,
+      timestamp: Date.now(),
+      source,
+      actorId: data.characterId,
+      actorName: data.characterName || data.characterId,
+      rolledBy: data.rolledBy,
+      visibility: data.visibility,
+      checkType: data.checkType,
+      reason: data.reason,
+      formula: data.roll.formula,
+      rolls: data.roll.rolls,
+      modifier: data.roll.modifier,
+      total: data.roll.total,
+      dc: data.dc,
+      success: data.dc !== undefined ? data.success : undefined,
+      damage: data.damage
+        ? {
+            formula: data.damage.formula,
+            rolls: data.damage.rolls,
+            total: data.damage.total,
+            damageType: data.damage.damageType,
+          }
+        : undefined,
+      seed: this.diceRoller.seed,
+      rngPosition: this.diceRoller.position,
+      draws: this.diceRoller.takeDraws(),
+    };
+    this.pending.push(entry);
+  }
+
+  /**
+   * Write the rolls recorded since the last flush with a single database write
+   */
+  async flush(): Promise<void> {
+    if (!this.rollLedgerRepo || this.pending.length === 0) {
+      return;
+    }
+
+    const entries = this.pending;
+    this.pending = [];
+    await this.rollLedgerRepo.appendMany(entries);
+  }
+
+  /**
+   * Append each member's roll of a group check
+   */
+  recordGroupCheck(event: GroupCheckEvent, source: RollLedgerEntry['source'], turn: number): void {
+    for (const result of event.results) {
+      this.record(
+        {
+          checkType: 'group_check',
+          characterId: result.characterId,
+          characterName: result.characterName,
+          ability: event.ability,
+          skill: event.skill,
+          dc: event.dc,
+          roll: result.roll,
+          success: result.success,
+          reason: event.reason,
+          visibility: event.visibility,
+        },
+        source,
+        turn
+      );
+    }
+  }
+}
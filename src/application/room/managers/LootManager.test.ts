@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import type { CharacterData } from '@/domain/character/types.js';
+import type { GameState } from '@/domain/game/GameState.js';
+import { PARTY_TREASURY } from '@/domain/game/loot.js';
+import { LootManager } from './LootManager.js';
+
+// Characters held in memory; updateMany counts its calls so the single write can be checked
+function createCharacterRepo(characters: Array<Partial<CharacterData> & { id: string }>) {
+  const byId = new Map(characters.map((c) => [c.id, { inventory: [], ...c } as CharacterData]));
+  const repo = {
+    writes: 0,
+    findById: (id: string) => byId.get(id) ?? null,
+    async updateMany(updates: Array<{ id: string; changes: Partial<CharacterData> }>) {
+      repo.writes++;
+      for (const { id, changes } of updates) byId.set(id, { ...byId.get(id)!, ...changes });
+      return true;
+    },
+  };
+  return repo;
+}
+
+function setup(treasuryGold: number, characters: Array<Partial<CharacterData> & { id: string }>) {
+  const gameState = { treasury: { gold: treasuryGold, items: [] } } as unknown as GameState;
+  const characterRepo = createCharacterRepo(characters);
+  return { gameState, characterRepo, loot: new LootManager({ gameState, characterRepo }) };
+}
+
+describe('LootManager.split', () => {
+  it('splits the treasury evenly and keeps the remainder to the copper', async () => {
+    const { gameState, characterRepo, loot } = setup(100, [
+      { id: 'a', name: 'Aria', gold: 0 },
+      { id: 'b', name: 'Bram', gold: 5 },
+      { id: 'c', name: 'Cole' },
+    ]);
+
+    const entries = await loot.split({ from: PARTY_TREASURY, characterIds: ['a', 'b', 'c'] }, 'aria');
+
+    expect(entries.map((e) => [e.to, e.gold])).toEqual([['a', 33.33], ['b', 33.33], ['c', 33.33]]);
+    expect(gameState.treasury!.gold).toBe(0.01);
+    expect(characterRepo.findById('b')!.gold).toBe(38.33);
+    expect(characterRepo.writes).toBe(1);
+    expect(loot.getLedger()).toHaveLength(3);
+  });
+
+  it('splits only the amount asked for', async () => {
+    const { gameState, loot } = setup(100, [{ id: 'a', gold: 0 }, { id: 'b', gold: 0 }]);
+
+    await loot.split({ from: PARTY_TREASURY, characterIds: ['a', 'b'], gold: 30 }, 'narrator');
+
+    expect(gameState.treasury!.gold).toBe(70);
+  });
+
+  it('lets a character share their own gold, keeping their own share', async () => {
+    const { characterRepo, loot } = setup(0, [{ id: 'a', gold: 9 }, { id: 'b', gold: 0 }, { id: 'c', gold: 0 }]);
+
+    const entries = await loot.split({ from: 'a', characterIds: ['a', 'b', 'b', 'c'] }, 'aria');
+
+    expect(entries.map((e) => e.to)).toEqual(['b', 'c']);
+    expect(characterRepo.findById('a')!.gold).toBe(3);
+    expect(characterRepo.findById('c')!.gold).toBe(3);
+  });
+
+  it('refuses splits with nothing to split or more than the source holds', async () => {
+    const { loot } = setup(0.02, [{ id: 'a', name: 'Aria', gold: 1 }, { id: 'b' }, { id: 'c' }]);
+
+    await expect(loot.split({ from: PARTY_TREASURY, characterIds: [] }, 'x')).rejects.toThrow('No characters');
+    await expect(loot.split({ from: 'a', characterIds: ['b'], gold: 5 }, 'x')).rejects.toThrow('Aria only has 1 gp');
+    await expect(loot.split({ from: PARTY_TREASURY, characterIds: ['a', 'b', 'c'] }, 'x')).rejects.toThrow(
+      'Not enough gold to split'
+    );
+    await expect(loot.split({ from: PARTY_TREASURY, characterIds: ['missing'] }, 'x')).rejects.toThrow(
+      'Character not found'
+    );
+  });
+});
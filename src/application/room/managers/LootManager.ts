@@ -0,0 +1,245 @@
+// Application layer: Loot manager
+// Moves coins and items between characters and the party treasury, and keeps the ledger
+
+import { randomUUID } from 'crypto';
+import type { CharacterData, InventoryItem } from '@/domain/character/types.js';
+import type { GameState } from '@/domain/game/GameState.js';
+import {
+  PARTY_TREASURY,
+  roundGold,
+  type GoldSplitRequest,
+  type ILootService,
+  type LootAward,
+  type LootLedgerEntry,
+  type LootTransferRequest,
+  type PartyTreasury,
+} from '@/domain/game/loot.js';
+import {
+  addItem,
+  createInventoryItem,
+  deriveArmorClass,
+  getEquippedArmor,
+  getEquippedWeapon,
+  takeItems,
+} from '@/domain/game/dnd5e/inventory.js';
+
+const MAX_LEDGER_ENTRIES = 500;
+
+export interface LootManagerDeps {
+  gameState: GameState;
+  characterRepo?: {
+    findById(id: string): CharacterData | null;
+    updateMany(updates: Array<{ id: string; changes: Partial<CharacterData> }>): Promise<boolean>;
+  };
+}
+
+/**
+ * Coins and items of one holder, loaded for a change
+ */
+interface Holder {
+  id: string;
+  gold: number;
+  inventory: InventoryItem[];
+  character?: CharacterData;
+}
+
+export class LootManager implements ILootService {
+  private gameState: GameState;
+  private characterRepo?: LootManagerDeps['characterRepo'];
+
+  constructor(deps: LootManagerDeps) {
+    this.gameState = deps.gameState;
+    this.characterRepo = deps.characterRepo;
+  }
+
+  getTreasury(): PartyTreasury {
+    if (!this.gameState.treasury) {
+      this.gameState.treasury = { gold: 0, items: [] };
+    }
+    return this.gameState.treasury;
+  }
+
+  /**
+   * Ledger entries, newest first
+   */
+  getLedger(limit = 50): LootLedgerEntry[] {
+    return (this.gameState.lootLedger ?? []).slice(-limit).reverse();
+  }
+
+  /**
+   * Give coins and items from the world to a character or the party treasury
+   */
+  async award(to: string, award: LootAward, reason: string, actor: string): Promise<LootLedgerEntry[]> {
+    const gold = roundGold(award.gold ?? 0);
+    if (gold < 0) {
+      throw new Error('Awarded gold cannot be negative');
+    }
+    if (gold === 0 && !award.items?.length) {
+      throw new Error('Nothing to award');
+    }
+
+    const holder = this.load(to);
+    const entries: LootLedgerEntry[] = [];
+
+    if (gold > 0) {
+      holder.gold = roundGold(holder.gold + gold);
+      entries.push(this.entry('award', { to, gold, reason, actor }));
+    }
+
+    for (const { name, quantity = 1 } of award.items ?? []) {
+      holder.inventory = addItem(holder.inventory, name, quantity);
+      const stack = createInventoryItem(name, quantity);
+      entries.push(this.entry('award', {
+        to,
+        item: { name: stack.name, itemId: stack.itemId, quantity },
+        reason,
+        actor,
+      }));
+    }
+
+    await this.store(holder);
+    return this.record(entries);
+  }
+
+  /**
+   * Move gold and/or an item stack from one holder to another
+   */
+  async transfer(request: LootTransferRequest, actor: string): Promise<LootLedgerEntry[]> {
+    if (request.from === request.to) {
+      throw new Error('Cannot transfer to the same holder');
+    }
+
+    const gold = roundGold(request.gold ?? 0);
+    if (gold < 0) {
+      throw new Error('Gold must be positive');
+    }
+    if (gold === 0 && !request.item) {
+      throw new Error('Nothing to transfer');
+    }
+
+    const source = this.load(request.from);
+    const target = this.load(request.to);
+    const entries: LootLedgerEntry[] = [];
+    const { from, to, reason } = request;
+
+    if (gold > 0) {
+      if (gold > source.gold) {
+        throw new Error(`${this.holderName(source)} only has ${source.gold} gp`);
+      }
+      source.gold = roundGold(source.gold - gold);
+      target.gold = roundGold(target.gold + gold);
+      entries.push(this.entry('transfer', { from, to, gold, reason, actor }));
+    }
+
+    if (request.item) {
+      const { inventory, taken } = takeItems(source.inventory, request.item, request.quantity);
+      source.inventory = inventory;
+      target.inventory = addItem(target.inventory, taken.itemId ?? taken.name, taken.quantity, taken.weight);
+      entries.push(this.entry('transfer', {
+        from,
+        to,
+        item: { name: taken.name, itemId: taken.itemId, quantity: taken.quantity },
+        reason,
+        actor,
+      }));
+    }
+
+    await this.store(source, target);
+    return this.record(entries);
+  }
+
+  /**
+   * Split gold evenly between characters, rounded down to the copper.
+   * The remainder stays with the source.
+   */
+  async split(request: GoldSplitRequest, actor: string): Promise<LootLedgerEntry[]> {
+    const characterIds = [...new Set(request.characterIds)];
+    if (characterIds.length === 0) {
+      throw new Error('No characters to split between');
+    }
+
+    const source = this.load(request.from);
+    const total = roundGold(request.gold ?? source.gold);
+    if (total <= 0) {
+      throw new Error('No gold to split');
+    }
+    if (total > source.gold) {
+      throw new Error(`${this.holderName(source)} only has ${source.gold} gp`);
+    }
+
+    const share = Math.floor((total * 100) / characterIds.length) / 100;
+    if (share <= 0) {
+      throw new Error('Not enough gold to split');
+    }
+
+    const recipients = characterIds.filter((id) => id !== request.from).map((id) => this.load(id));
+    const entries: LootLedgerEntry[] = [];
+    for (const recipient of recipients) {
+      source.gold = roundGold(source.gold - share);
+      recipient.gold = roundGold(recipient.gold + share);
+      entries.push(this.entry('split', { from: request.from, to: recipient.id, gold: share, actor }));
+    }
+
+    await this.store(source, ...recipients);
+    return this.record(entries);
+  }
+
+  private load(id: string): Holder {
+    if (id === PARTY_TREASURY) {
+      const treasury = this.getTreasury();
+      return { id, gold: treasury.gold, inventory: treasury.items };
+    }
+
+    const character = this.characterRepo?.findById(id);
+    if (!character) {
+      throw new Error(`Character not found: ${id}`);
+    }
+    return { id, gold: character.gold ?? 0, inventory: character.inventory ?? [], character };
+  }
+
+  /**
+   * Write holders back, all characters in one write.
+   * Giving away equipped armor or a shield recomputes the character's AC.
+   */
+  private async store(...holders: Holder[]): Promise<void> {
+    const updates: Array<{ id: string; changes: Partial<CharacterData> }> = [];
+    for (const holder of holders) {
+      if (!holder.character) {
+        this.gameState.treasury = { gold: holder.gold, items: holder.inventory };
+        continue;
+      }
+
+      const changes: Partial<CharacterData> = { gold: holder.gold, inventory: holder.inventory };
+      const equippedBefore = holder.character.inventory.filter((item) => item.equipped).length;
+      if (holder.inventory.filter((item) => item.equipped).length !== equippedBefore) {
+        const updated = { ...holder.character, inventory: holder.inventory };
+        changes.equippedWeapon = getEquippedWeapon(holder.inventory)?.name ?? '';
+        changes.equippedArmor = getEquippedArmor(holder.inventory)?.name ?? '';
+        changes.armorClass = deriveArmorClass(updated);
+      }
+      updates.push({ id: holder.id, changes });
+    }
+
+    if (updates.length > 0) {
+      await this.characterRepo!.updateMany(updates);
+    }
+  }
+
+  private holderName(holder: Holder): string {
+    return holder.character?.name ?? 'The party treasury';
+  }
+
+  private entry(
+    action: LootLedgerEntry['action'],
+    fields: Omit<LootLedgerEntry, 'id' | 'action' | 'timestamp'>
+  ): LootLedgerEntry {
+    return { id: randomUUID(), action, ...fields, timestamp: Date.now() };
+  }
+
+  private record(entries: LootLedgerEntry[]): LootLedgerEntry[] {
+    const ledger = [...(this.gameState.lootLedger ?? []), ...entries];
+    this.gameState.lootLedger = ledger.slice(-MAX_LEDGER_ENTRIES);
+    this.gameState.lastUpdated = Date.now();
+    return entries;
+  }
+}
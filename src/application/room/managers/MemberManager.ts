@@ -5,6 +5,7 @@ import type { RoomMember } from '@/domain/room/types.js';
 import type { CharacterState, GameEngine } from '@/domain/game/types.js';
 import type { GameState } from '@/domain/game/GameState.js';
 import type { CharacterData } from '@/domain/character/types.js';
+import { getEquipmentState } from '@/domain/game/dnd5e/inventory.js';
 
 export interface MemberManagerDeps {
   roomId: string;
@@ -113,10 +114,9 @@ export class MemberManager {
         activeBuffs: [],
         currentThoughts: template.thoughts || '',
         knownSpells: this.parseSpellSlots(template),
-        equipmentState: {
-          worn: [],
-          wielded: template.equippedWeapon ? [template.equippedWeapon] : [],
-        },
+        equipmentState: getEquipmentState(template.inventory ?? []),
+        hitDiceRemaining: template.level || 1,
+        exhaustionLevel: template.exhaustionLevel || 0,
       };
 
       this.gameState.characterStates.set(characterId, characterState);
@@ -124,6 +124,8 @@ export class MemberManager {
     }
 
     this.gameEngine.syncCharacterStates(this.gameState.characterStates);
+    this.gameEngine.syncCharacterOverlays(this.gameState.characterOverlays);
+    this.gameEngine.syncEncounters(this.gameState.activeEncounters);
   }
 
   private parseSpellSlots(template: any): CharacterState['knownSpells'] {
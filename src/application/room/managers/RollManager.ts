@@ -0,0 +1,197 @@
+// Application layer: Roll manager
+// Rolls dice on behalf of players and queues the results for the DM's next turn
+
+import { randomUUID } from 'crypto';
+import type { DiceRoll, GameEngine, Weapon } from '@/domain/game/types.js';
+import type { GameState } from '@/domain/game/GameState.js';
+import type { DiceRollEvent } from '@/domain/game/session.js';
+import type { PlayerRoll, PlayerRollRequest, RoomMember } from '@/domain/room/types.js';
+import { CRITICAL_MULTIPLIER } from '@/domain/game/dnd5e/rules.js';
+import { multiplyDice } from '@/utils/dice.js';
+
+const MAX_PENDING_ROLLS = 20;
+
+export interface RollManagerDeps {
+  gameEngine: GameEngine;
+  gameState: GameState;
+}
+
+export class RollManager {
+  private gameEngine: GameEngine;
+  private gameState: GameState;
+
+  constructor(deps: RollManagerDeps) {
+    this.gameEngine = deps.gameEngine;
+    this.gameState = deps.gameState;
+  }
+
+  /**
+   * Roll for a room member and queue the result for the next turn's context
+   */
+  roll(member: RoomMember, request: PlayerRollRequest): PlayerRoll {
+    const playerRoll = this.rollNow(member, request);
+
+    const pending = this.gameState.pendingPlayerRolls ?? [];
+    pending.push(playerRoll);
+    this.gameState.pendingPlayerRolls = pending.slice(-MAX_PENDING_ROLLS);
+
+    return playerRoll;
+  }
+
+  /**
+   * Roll for a room member without queueing (the narrator is waiting for this roll)
+   */
+  rollNow(member: RoomMember, request: PlayerRollRequest): PlayerRoll {
+    const result = this.resolve(member, request);
+    result.rolledBy = member.username;
+
+    return {
+      id: randomUUID(),
+      userId: member.userId,
+      username: member.username,
+      request,
+      result,
+      timestamp: Date.now(),
+    };
+  }
+
+  getPending(): PlayerRoll[] {
+    return [...(this.gameState.pendingPlayerRolls ?? [])];
+  }
+
+  /**
+   * Drop rolls the DM has seen; rolls made while the turn was running stay queued
+   */
+  acknowledge(rolls: PlayerRoll[]): void {
+    if (rolls.length === 0) return;
+    const seen = new Set(rolls.map((r) => r.id));
+    this.gameState.pendingPlayerRolls = (this.gameState.pendingPlayerRolls ?? []).filter((r) => !seen.has(r.id));
+  }
+
+  private resolve(member: RoomMember, request: PlayerRollRequest): DiceRollEvent['data'] {
+    if (request.kind === 'formula') {
+      return this.rollFormula(member, request);
+    }
+
+    const characterId = member.characterId;
+    if (!characterId) {
+      throw new Error('Select a character before rolling checks, saves or attacks');
+    }
+    const characterName = member.characterName || member.username;
+    const rollType = request.rollType || 'normal';
+
+    switch (request.kind) {
+      case 'ability': {
+        const ability = request.ability!;
+        const result = this.gameEngine.abilityCheck(characterId, ability, rollType);
+        return this.checkEvent('ability_check', characterId, characterName, ability, result.roll, request, `${ability} check`);
+      }
+
+      case 'skill': {
+        const result = this.gameEngine.skillCheck(characterId, request.skill!, rollType, request.ability);
+        return {
+          ...this.checkEvent('skill_check', characterId, characterName, result.ability, result.roll, request, `${request.skill} check`),
+          skill: request.skill,
+        };
+      }
+
+      case 'save': {
+        const ability = request.ability!;
+        const result = this.gameEngine.savingThrow(characterId, ability, rollType);
+        return this.checkEvent('saving_throw', characterId, characterName, ability, result.roll, request, `${ability} saving throw`);
+      }
+
+      case 'initiative': {
+        const result = this.gameEngine.abilityCheck(characterId, 'dexterity', rollType);
+        return {
+          checkType: 'initiative',
+          characterId,
+          characterName,
+          ability: 'dexterity',
+          roll: result.roll,
+          success: true,
+          reason: request.reason || 'Initiative',
+        };
+      }
+
+      case 'attack':
+        return this.rollAttack(characterId, characterName, request);
+
+      default:
+        throw new Error(`Unknown roll kind: ${request.kind}`);
+    }
+  }
+
+  private checkEvent(
+    checkType: DiceRollEvent['data']['checkType'],
+    characterId: string,
+    characterName: string,
+    ability: string,
+    roll: DiceRoll,
+    request: PlayerRollRequest,
+    label: string
+  ): DiceRollEvent['data'] {
+    return {
+      checkType,
+      characterId,
+      characterName,
+      ability,
+      dc: request.dc,
+      roll,
+      success: request.dc === undefined || (!roll.autoFail && roll.total >= request.dc),
+      reason: request.reason || label,
+    };
+  }
+
+  private rollAttack(characterId: string, characterName: string, request: PlayerRollRequest): DiceRollEvent['data'] {
+    const weapon: Weapon = this.gameEngine.resolveWeapon(characterId, request.weaponName) ?? {
+      id: request.weaponName || 'unarmed',
+      name: request.weaponName || '徒手打击',
+      damage: request.formula || '1d4',
+      damageType: 'bludgeoning',
+      finesse: request.finesse ?? false,
+      ranged: request.ranged ?? false,
+    };
+
+    const attack = this.gameEngine.attackRoll(characterId, weapon, request.rollType || 'normal');
+    const natural = attack.roll.rolls[0];
+    const hit = natural !== 1 && (attack.isCritical || request.dc === undefined || attack.roll.total >= request.dc);
+
+    // Damage is rolled alongside the attack; the DM decides whether it lands
+    const abilityModifier = attack.roll.modifier - attack.proficiency;
+    const dice = attack.isCritical ? multiplyDice(weapon.damage, CRITICAL_MULTIPLIER) : weapon.damage;
+    const damage = this.gameEngine.rollDamage(dice, abilityModifier);
+
+    return {
+      checkType: 'attack_roll',
+      characterId,
+      characterName,
+      ability: attack.ability,
+      dc: request.dc,
+      roll: attack.roll,
+      success: hit,
+      reason: request.reason || `Attack with ${weapon.name}`,
+      isCritical: attack.isCritical,
+      damage: {
+        formula: damage.formula,
+        rolls: damage.rolls,
+        modifier: damage.modifier,
+        total: Math.max(0, damage.total),
+        damageType: weapon.damageType,
+      },
+    };
+  }
+
+  private rollFormula(member: RoomMember, request: PlayerRollRequest): DiceRollEvent['data'] {
+    const roll = this.gameEngine.roll(request.formula || '1d20');
+    return {
+      checkType: 'roll',
+      characterId: member.characterId || member.userId,
+      characterName: member.characterName || member.username,
+      ability: '',
+      roll,
+      success: true,
+      reason: request.reason || roll.formula,
+    };
+  }
+}
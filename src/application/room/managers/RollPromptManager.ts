@@ -0,0 +1,100 @@
+// Application layer: Roll prompt manager
+// Holds checks the narrator handed to players, until they roll or the prompt times out
+
+import { randomUUID } from 'crypto';
+import type { IRollPromptService } from '@/domain/game/session.js';
+import type { PlayerRoll, PlayerRollRequest, RollPrompt, RoomMember } from '@/domain/room/types.js';
+import type { RollManager } from '@/application/room/managers/RollManager.js';
+
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+export interface RollPromptManagerDeps {
+  rollManager: RollManager;
+  enabled?: boolean;
+  timeoutSeconds?: number;
+}
+
+interface OpenPrompt {
+  prompt: RollPrompt;
+  result: Promise<PlayerRoll | null>;
+  resolve: (roll: PlayerRoll | null) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
+
+export class RollPromptManager implements IRollPromptService {
+  private rollManager: RollManager;
+  private enabled: boolean;
+  private timeoutMs: number;
+  private prompts = new Map<string, OpenPrompt>();
+
+  constructor(deps: RollPromptManagerDeps) {
+    this.rollManager = deps.rollManager;
+    this.enabled = deps.enabled ?? false;
+    this.timeoutMs = (deps.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS) * 1000;
+  }
+
+  open(member: RoomMember, request: PlayerRollRequest): RollPrompt | null {
+    if (!this.enabled || !member.characterId) {
+      return null;
+    }
+
+    const prompt: RollPrompt = {
+      id: randomUUID(),
+      userId: member.userId,
+      username: member.username,
+      characterId: member.characterId,
+      characterName: member.characterName || member.username,
+      request,
+      expiresAt: Date.now() + this.timeoutMs,
+    };
+
+    let resolve!: (roll: PlayerRoll | null) => void;
+    const result = new Promise<PlayerRoll | null>((r) => { resolve = r; });
+    const timer = setTimeout(() => this.close(prompt.id, null), this.timeoutMs);
+    this.prompts.set(prompt.id, { prompt, result, resolve, timer });
+
+    return prompt;
+  }
+
+  wait(promptId: string): Promise<PlayerRoll | null> {
+    return this.prompts.get(promptId)?.result ?? Promise.resolve(null);
+  }
+
+  /**
+   * The player clicked "Roll": roll the prompted check for them
+   */
+  answer(member: RoomMember, promptId: string): PlayerRoll {
+    const open = this.prompts.get(promptId);
+    if (!open) {
+      throw new Error('This roll is no longer waiting');
+    }
+    if (open.prompt.userId !== member.userId) {
+      throw new Error(`Only ${open.prompt.username} can make this roll`);
+    }
+
+    const roll = this.rollManager.rollNow(member, open.prompt.request);
+    this.close(promptId, roll);
+    return roll;
+  }
+
+  getOpen(): RollPrompt[] {
+    return [...this.prompts.values()].map((open) => open.prompt);
+  }
+
+  /**
+   * Time out every open prompt (room closing); the narrator rolls for them
+   */
+  closeAll(): void {
+    for (const promptId of [...this.prompts.keys()]) {
+      this.close(promptId, null);
+    }
+  }
+
+  private close(promptId: string, roll: PlayerRoll | null): void {
+    const open = this.prompts.get(promptId);
+    if (!open) return;
+    clearTimeout(open.timer);
+    this.prompts.delete(promptId);
+    open.resolve(roll);
+  }
+}
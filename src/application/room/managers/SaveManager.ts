@@ -76,6 +76,14 @@ export class SaveManager {
 
   }
 
+  /**
+   * Number of turns already persisted for this room (turn numbering resumes from here)
+   */
+  getSavedTurnCount(): number {
+    if (!this.conversationHistoryRepo) return 0;
+    return this.conversationHistoryRepo.getHistory(this.roomId, Number.MAX_SAFE_INTEGER, 0).length;
+  }
+
   async loadRoomState(): Promise<void> {
     if (this.conversationHistoryRepo) {
       const { ConversationHistory } = await import('@/infrastructure/room/ConversationHistory.js');
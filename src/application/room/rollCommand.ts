@@ -0,0 +1,134 @@
+// Application layer: /roll command parsing
+// Turns chat commands like "/roll stealth adv" into player roll requests
+
+import type { PlayerRollRequest } from '@/domain/room/types.js';
+import type { RollType } from '@/domain/game/types.js';
+import { normalizeAbility, normalizeSkill } from '@/domain/game/dnd5e/abilities.js';
+import { isDiceExpression } from '@/utils/diceExpression.js';
+
+export const ROLL_COMMAND_USAGE =
+  'Usage: /roll <formula> | <ability> | <skill> | save <ability> | init | attack [weapon] [damage] ' +
+  '[adv|dis] [dc N] [# reason]';
+
+const ROLL_TYPE_WORDS: Record<string, RollType> = {
+  adv: 'advantage',
+  advantage: 'advantage',
+  dis: 'disadvantage',
+  disadvantage: 'disadvantage',
+};
+
+/**
+ * Check whether a chat message is a /roll command
+ */
+export function isRollCommand(text: string): boolean {
+  return /^\/(roll|r)(\s|$)/i.test(text.trim());
+}
+
+/**
+ * Parse a /roll command
+ * Examples: "/roll 2d6+3", "/roll dex", "/roll sleight of hand adv", "/roll save wis dc 13",
+ * "/roll init", "/roll attack longsword 1d8 # at the goblin"
+ * @throws Error with usage help if the command cannot be understood
+ */
+export function parseRollCommand(text: string): PlayerRollRequest {
+  let body = text.trim().replace(/^\/(roll|r)\b/i, '').trim();
+
+  let reason: string | undefined;
+  const hash = body.indexOf('#');
+  if (hash >= 0) {
+    reason = body.slice(hash + 1).trim() || undefined;
+    body = body.slice(0, hash).trim();
+  }
+
+  // Trailing options: advantage/disadvantage and a DC, in any order
+  const words = body ? body.split(/\s+/) : [];
+  let rollType: RollType | undefined;
+  let dc: number | undefined;
+  const rest: string[] = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i].toLowerCase();
+    if (word in ROLL_TYPE_WORDS) {
+      rollType = ROLL_TYPE_WORDS[word];
+    } else if (word === 'dc' && /^\d+$/.test(words[i + 1] ?? '')) {
+      dc = parseInt(words[++i], 10);
+    } else if (/^dc\d+$/.test(word)) {
+      dc = parseInt(word.slice(2), 10);
+    } else {
+      rest.push(words[i]);
+    }
+  }
+
+  const request = parseRollSpec(rest);
+  if (rollType && request.kind !== 'formula') request.rollType = rollType;
+  if (dc !== undefined) request.dc = dc;
+  if (reason) request.reason = reason;
+  return request;
+}
+
+function parseRollSpec(words: string[]): PlayerRollRequest {
+  if (words.length === 0) {
+    return { kind: 'formula', formula: '1d20' };
+  }
+
+  const joined = words.join('');
+  if (isDiceExpression(joined)) {
+    return { kind: 'formula', formula: joined };
+  }
+
+  const [first, ...rest] = words;
+  const head = first.toLowerCase();
+
+  if (head === 'init' || head === 'initiative') {
+    return { kind: 'initiative', ability: 'dexterity' };
+  }
+
+  if (head === 'attack' || head === 'atk') {
+    return parseAttack(rest);
+  }
+
+  // "save dex" or "dex save"
+  if (head === 'save' || head === 'st') {
+    const ability = rest.length === 1 ? normalizeAbility(rest[0]) : null;
+    if (!ability) throw new Error(`Unknown saving throw. ${ROLL_COMMAND_USAGE}`);
+    return { kind: 'save', ability };
+  }
+  if (rest.length === 1 && rest[0].toLowerCase() === 'save') {
+    const ability = normalizeAbility(first);
+    if (ability) return { kind: 'save', ability };
+  }
+
+  // Optional "check" prefix: "check str", "check stealth"
+  const spec = head === 'check' ? rest : words;
+  const ability = spec.length === 1 ? normalizeAbility(spec[0]) : null;
+  if (ability) {
+    return { kind: 'ability', ability };
+  }
+
+  const skill = spec.length > 0 ? normalizeSkill(spec.join(' ')) : null;
+  if (skill) {
+    return { kind: 'skill', skill };
+  }
+
+  throw new Error(`Unknown roll "${words.join(' ')}". ${ROLL_COMMAND_USAGE}`);
+}
+
+function parseAttack(words: string[]): PlayerRollRequest {
+  const request: PlayerRollRequest = { kind: 'attack' };
+  const name: string[] = [];
+
+  for (const word of words) {
+    const lower = word.toLowerCase();
+    if (lower === 'finesse') {
+      request.finesse = true;
+    } else if (lower === 'ranged') {
+      request.ranged = true;
+    } else if (isDiceExpression(word)) {
+      request.formula = word;
+    } else {
+      name.push(word);
+    }
+  }
+
+  if (name.length > 0) request.weaponName = name.join(' ');
+  return request;
+}
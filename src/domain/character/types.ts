@@ -21,6 +21,18 @@ export const CharacterClassLabels: Record<CharacterClass, string> = {
   WIZARD: '法师',
 };
 
+/**
+ * A stack of items carried by a character.
+ * Catalog items carry their itemId; custom items only have a name.
+ */
+export interface InventoryItem {
+  itemId?: string;
+  name: string;
+  quantity: number;
+  weight: number; // pounds per unit
+  equipped?: boolean;
+}
+
 export interface AbilityScores {
   strength: number;
   dexterity: number;
@@ -42,6 +54,7 @@ export interface CharacterData {
   race: string;
   characterClass: CharacterClass;
   level: number;
+  experience: number;
   background: string;
   alignment: string;
 
@@ -62,17 +75,21 @@ export interface CharacterData {
   isDead: boolean;
   isStable: boolean;
 
+  // Class features gained so far (level by level)
+  features?: string[];
+
   // Proficiencies
   skillProficiencies: string[];
+  skillExpertise?: string[]; // subset of skillProficiencies with doubled bonus
   savingThrowProficiencies: string[];
   toolProficiencies: string[];
   languageProficiencies: string[];
 
   // Equipment
   gold: number;
-  inventory: string[];
-  equippedWeapon: string;
-  equippedArmor: string;
+  inventory: InventoryItem[];
+  equippedWeapon: string; // mirrors the equipped inventory weapon
+  equippedArmor: string; // mirrors the equipped inventory armor
 
   // Spells (for spellcasters)
   spellSlots: Record<string, number>;
@@ -1,8 +1,10 @@
 // Domain layer: Game state types
 // NO external dependencies - pure TypeScript
 
-import type { CharacterState } from './types.js';
-import type { PlayerNote, ConversationTurn } from '@/domain/room/types.js';
+import type { Ability, CharacterState, DamageType, Skill } from './types.js';
+import type { MonsterAttack } from './bestiary.js';
+import type { PlayerNote, PlayerRoll, ConversationTurn } from '@/domain/room/types.js';
+import type { LootLedgerEntry, PartyTreasury } from './loot.js';
 
 export interface WorldContext {
   recentEvents: string[];
@@ -10,13 +12,35 @@ export interface WorldContext {
   flags: Record<string, string>;
 }
 
+/**
+ * When a condition wears off on its own.
+ * 'turn' lasts through the DM turn after it was applied; 'scene' ends on a
+ * location change or a switch between exploration and combat.
+ */
+export type ConditionExpiry = 'turn' | 'scene' | 'session' | 'permanent';
+
 export interface ActiveCondition {
   id: string;
   name: string;
   source: string;
   category: 'status' | 'equipment' | 'terrain' | 'magic' | 'other';
-  expires: 'turn' | 'scene' | 'session' | 'permanent';
+  expires: ConditionExpiry;
   mechanicalEffect?: string;
+  rounds?: number; // combat duration, when applied during an encounter
+  expiresAtRound?: number; // wears off when this combat round starts
+  minutes?: number; // duration on the game clock
+  expiresAtTime?: number; // wears off when the game clock reaches this (clock seconds)
+}
+
+/**
+ * A condition that wore off, queued so the DM can narrate it
+ */
+export interface ExpiredCondition {
+  characterId: string;
+  name: string;
+  source: string;
+  reason: 'turn' | 'scene' | 'session' | 'rounds' | 'time';
+  expiredAt: number;
 }
 
 export interface CharacterOverlay {
@@ -24,6 +48,25 @@ export interface CharacterOverlay {
   conditions: ActiveCondition[];
 }
 
+/**
+ * In-game time as seconds since the start of the calendar (see domain/game/calendar.ts)
+ */
+export interface GameClock {
+  seconds: number;
+  rounds: number;  // combat rounds fought so far
+}
+
+/**
+ * A world event set to happen at a point on the game clock.
+ * 'due' events are waiting for the DM to narrate them.
+ */
+export interface ScheduledEvent {
+  id: string;
+  description: string;
+  at: number;  // clock seconds
+  status: 'scheduled' | 'due' | 'done';
+}
+
 /**
  * Complete game state for a room/session
  * Contains all dynamic game data that changes during play
@@ -38,16 +81,51 @@ export interface GameState {
   activeEncounters: Encounter[];
   lastUpdated: number;
   playerNotes?: Map<string, PlayerNote[]>;
+  pendingPlayerRolls?: PlayerRoll[];  // Rolls players made themselves, not yet seen by the DM
+  expiredConditions?: ExpiredCondition[];  // Conditions that wore off, not yet seen by the DM
+  treasury?: PartyTreasury;  // Coins and items shared by the party
+  lootLedger?: LootLedgerEntry[];  // Every coin and item movement, oldest first
+  quests?: QuestState[];  // Quest log, oldest first
+  npcs?: NpcState[];  // NPC registry, in order of introduction
+  locationGraph?: LocationGraph;  // Places the party knows of and the routes between them
+  characterLocations?: Record<string, string>;  // characterId -> location id, for characters split from the party
+  clock?: GameClock;  // Authoritative in-game date and time
+  scheduledEvents?: ScheduledEvent[];  // World events the DM set to happen at a given time
   conversationHistory?: ConversationTurn[];  // Snapshot of conversation at save time
 }
 
 export interface Location {
+  id?: string;  // location graph id, once the place is on the map
   name: string;
   description?: string;
   region?: string;
   coordinates?: { x: number; y: number };
 }
 
+/**
+ * A place on the party's map. Undiscovered places are known to the DM only.
+ */
+export interface MapLocation extends Location {
+  id: string;
+  discovered: boolean;
+}
+
+/**
+ * A two-way route between two places, timed at normal travel pace
+ */
+export interface LocationConnection {
+  from: string;  // location id
+  to: string;  // location id
+  travelMinutes: number;
+  route?: string;  // e.g. "forest road", "river ferry"
+  discovered: boolean;
+}
+
+export interface LocationGraph {
+  locations: MapLocation[];
+  connections: LocationConnection[];
+}
+
 export interface Encounter {
   id: string;
   name: string;
@@ -62,8 +140,25 @@ export interface Enemy {
   hp: number;
   maxHp: number;
   armorClass: number;
+  speed?: number; // walking speed in feet
   initiative?: number;
+  initiativeBonus?: number;
+  attackBonus?: number;
+  damage?: string; // dice formula like "1d6+2"
+  damageType?: DamageType;
   conditions?: string[];
+  // Populated when instantiated from a bestiary stat block
+  monsterId?: string;
+  abilityScores?: Record<Ability, number>;
+  proficiencyBonus?: number;
+  savingThrowProficiencies?: Ability[];
+  skillProficiencies?: Skill[];
+  attacks?: MonsterAttack[];
+  resistances?: DamageType[];
+  immunities?: DamageType[];
+  vulnerabilities?: DamageType[];
+  challengeRating?: number;
+  xp?: number;
 }
 
 export interface QuestState {
@@ -71,9 +166,33 @@ export interface QuestState {
   name: string;
   status: 'not-started' | 'in-progress' | 'completed' | 'failed';
   objectives: QuestObjective[];
+  description?: string;
+  giver?: string;  // who handed out the quest
+  outcome?: string;  // how it was completed or failed
+  createdAt?: number;
+  updatedAt?: number;
 }
 
 export interface QuestObjective {
   description: string;
   completed: boolean;
 }
+
+/**
+ * How an NPC feels about a character (D&D 5e DMG social interaction, widened to five steps)
+ */
+export type NpcAttitude = 'hostile' | 'unfriendly' | 'indifferent' | 'friendly' | 'helpful';
+
+export interface NpcState {
+  id: string;
+  name: string;
+  status: 'alive' | 'dead';
+  description?: string;
+  location?: string;  // where the NPC can usually be found
+  attitude: NpcAttitude;  // toward the party as a whole
+  attitudes: Record<string, NpcAttitude>;  // characterId -> attitude, where it differs from the party's
+  secrets: string[];  // DM-only knowledge, never shown to players
+  notes?: string;
+  createdAt?: number;
+  updatedAt?: number;
+}
@@ -0,0 +1,64 @@
+// Domain layer: Bestiary (monster / NPC stat block) types
+// NO external dependencies - pure TypeScript
+
+import type { Ability, DamageType, Skill } from './types.js';
+
+export type CreatureSize = 'tiny' | 'small' | 'medium' | 'large' | 'huge' | 'gargantuan';
+
+/**
+ * A single attack entry on a stat block
+ * attackBonus is the full to-hit bonus; damage already includes its modifier
+ */
+export interface MonsterAttack {
+  name: string;
+  attackBonus: number;
+  damage: string; // dice formula like "1d6+2"
+  damageType: DamageType;
+  ranged?: boolean;
+  reach?: number; // feet
+  description?: string;
+}
+
+/**
+ * Reusable creature template stored in the bestiary
+ * Instantiated into Encounter enemies by the game engine
+ */
+export interface MonsterStatBlock {
+  // Metadata
+  id?: string;
+  createdAt?: string;
+  updatedAt?: string;
+
+  // Basic info
+  name: string;
+  size: CreatureSize;
+  creatureType: string; // e.g. "humanoid (goblinoid)", "beast"
+  alignment: string;
+
+  // Combat stats
+  armorClass: number;
+  maxHp: number;
+  hitDice?: string; // e.g. "2d6"
+  speed: number;
+  abilityScores: Record<Ability, number>;
+  proficiencyBonus: number;
+  savingThrowProficiencies: Ability[];
+  skillProficiencies: Skill[];
+  attacks: MonsterAttack[];
+
+  // Damage modifiers
+  resistances: DamageType[];
+  immunities: DamageType[];
+  vulnerabilities: DamageType[];
+  conditionImmunities: string[];
+
+  // Challenge
+  challengeRating: number; // 0.125, 0.25, 0.5, 1, 2, ...
+  xp: number;
+
+  // Flavor
+  senses?: string;
+  languages?: string;
+  traits?: string[];
+  description?: string;
+}
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import type { GameClock, ScheduledEvent } from './GameState.js';
+import {
+  advanceClock,
+  collectDueEvents,
+  createClock,
+  formatClock,
+  getClock,
+  parseDuration,
+  scheduleEvent,
+  secondsUntilHour,
+  toCalendarDate,
+  toClockSeconds,
+} from './calendar.js';
+
+const HOUR = 3600;
+
+describe('calendar dates', () => {
+  it('round-trips a date through clock seconds', () => {
+    const date = { year: 1492, month: 12, day: 30, hour: 23, minute: 59 };
+    expect(toCalendarDate(toClockSeconds(date))).toEqual(date);
+  });
+
+  it('rolls over to the next year after 30 Nightal', () => {
+    const lastMinute = toClockSeconds({ year: 1492, month: 12, day: 30, hour: 23, minute: 59 });
+    expect(toCalendarDate(lastMinute + 60)).toEqual({ year: 1493, month: 1, day: 1, hour: 0, minute: 0 });
+  });
+
+  it('formats the date with the time of day', () => {
+    expect(formatClock(createClock().seconds)).toBe('1 Hammer 1492 DR, 08:00 (morning)');
+    expect(formatClock(toClockSeconds({ year: 1492, month: 3, day: 4, hour: 18, minute: 5 }))).toBe(
+      '4 Ches 1492 DR, 18:05 (dusk)'
+    );
+  });
+});
+
+describe('clock', () => {
+  it('starts the clock for states saved without one', () => {
+    const state: { clock?: GameClock } = {};
+    expect(getClock(state)).toEqual(createClock());
+    expect(state.clock).toBeDefined();
+  });
+
+  it('moves forward and counts combat rounds', () => {
+    const state = { clock: createClock() };
+    const start = state.clock.seconds;
+
+    advanceClock(state, 12, 2);
+
+    expect(state.clock).toEqual({ seconds: start + 12, rounds: 2 });
+  });
+
+  it('never moves backwards', () => {
+    expect(() => advanceClock({}, -1)).toThrow('Time can only move forward');
+  });
+
+  it('counts the seconds until an hour, a full day when it already reads that hour', () => {
+    const clock = createClock();
+
+    expect(secondsUntilHour(clock, 10)).toBe(2 * HOUR);
+    expect(secondsUntilHour(clock, 6)).toBe(22 * HOUR);
+    expect(secondsUntilHour(clock, 8)).toBe(24 * HOUR);
+    expect(() => secondsUntilHour(clock, 24)).toThrow('0 to 23');
+  });
+});
+
+describe('parseDuration', () => {
+  it('reads rounds, minutes, hours and days', () => {
+    expect(parseDuration('1 round')).toBe(6);
+    expect(parseDuration('Concentration, up to 10 minutes')).toBe(600);
+    expect(parseDuration('8 hours')).toBe(8 * HOUR);
+    expect(parseDuration('Instantaneous')).toBeNull();
+  });
+});
+
+describe('scheduled events', () => {
+  it('numbers events and marks them due once the clock reaches them', () => {
+    const events: ScheduledEvent[] = [];
+    const first = scheduleEvent(events, ' The caravan arrives ', 100);
+    const second = scheduleEvent(events, 'The bridge collapses', 200);
+
+    expect(first).toEqual({ id: 'event-1', description: 'The caravan arrives', at: 100, status: 'scheduled' });
+    expect(collectDueEvents(events, 150)).toEqual([{ ...first, status: 'due' }]);
+    expect(collectDueEvents(events, 150)).toEqual([]);
+    expect(collectDueEvents(events, 200).map((event) => event.id)).toEqual([second.id]);
+  });
+
+  it('requires a description', () => {
+    expect(() => scheduleEvent([], '  ', 0)).toThrow('description is required');
+  });
+});
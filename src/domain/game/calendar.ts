@@ -0,0 +1,151 @@
+// Domain layer: In-game calendar and clock
+// Pure functions - no dependencies
+
+import type { GameClock, ScheduledEvent } from './GameState.js';
+
+/**
+ * Calendar of Harptos months, without the festival days: 12 months of 30 days
+ */
+export const MONTH_NAMES = [
+  'Hammer', 'Alturiak', 'Ches', 'Tarsakh', 'Mirtul', 'Kythorn',
+  'Flamerule', 'Eleasis', 'Eleint', 'Marpenoth', 'Uktar', 'Nightal',
+] as const;
+
+export const DAYS_PER_MONTH = 30;
+export const DAYS_PER_YEAR = DAYS_PER_MONTH * MONTH_NAMES.length;
+export const SECONDS_PER_ROUND = 6;
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export type TimeOfDay = 'night' | 'dawn' | 'morning' | 'afternoon' | 'dusk' | 'evening';
+
+export interface CalendarDate {
+  year: number;
+  month: number;  // 1-12
+  day: number;  // 1-30
+  hour: number;
+  minute: number;
+}
+
+/**
+ * Campaigns start on the morning of 1 Hammer 1492 DR unless told otherwise
+ */
+export const DEFAULT_START: CalendarDate = { year: 1492, month: 1, day: 1, hour: 8, minute: 0 };
+
+export function toClockSeconds(date: CalendarDate): number {
+  const days = date.year * DAYS_PER_YEAR + (date.month - 1) * DAYS_PER_MONTH + (date.day - 1);
+  return days * DAY + date.hour * HOUR + date.minute * MINUTE;
+}
+
+export function toCalendarDate(seconds: number): CalendarDate {
+  const totalDays = Math.floor(seconds / DAY);
+  const dayOfYear = totalDays % DAYS_PER_YEAR;
+  const secondsOfDay = seconds - totalDays * DAY;
+  return {
+    year: Math.floor(totalDays / DAYS_PER_YEAR),
+    month: Math.floor(dayOfYear / DAYS_PER_MONTH) + 1,
+    day: (dayOfYear % DAYS_PER_MONTH) + 1,
+    hour: Math.floor(secondsOfDay / HOUR),
+    minute: Math.floor((secondsOfDay % HOUR) / MINUTE),
+  };
+}
+
+export function getTimeOfDay(hour: number): TimeOfDay {
+  if (hour < 5) return 'night';
+  if (hour < 7) return 'dawn';
+  if (hour < 12) return 'morning';
+  if (hour < 17) return 'afternoon';
+  if (hour < 19) return 'dusk';
+  if (hour < 22) return 'evening';
+  return 'night';
+}
+
+export function createClock(start: CalendarDate = DEFAULT_START): GameClock {
+  return { seconds: toClockSeconds(start), rounds: 0 };
+}
+
+/**
+ * The room's clock, started on first use (rooms saved before the clock existed have none)
+ */
+export function getClock(state: { clock?: GameClock }): GameClock {
+  if (!state.clock) {
+    state.clock = createClock();
+  }
+  return state.clock;
+}
+
+/**
+ * Move the clock forward. Combat rounds also count toward the round total.
+ */
+export function advanceClock(state: { clock?: GameClock }, seconds: number, rounds = 0): GameClock {
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error('Time can only move forward');
+  }
+  const clock = getClock(state);
+  clock.seconds += Math.round(seconds);
+  clock.rounds += rounds;
+  return clock;
+}
+
+/**
+ * Seconds until the clock next reads the given hour (a full day when it already does)
+ */
+export function secondsUntilHour(clock: GameClock, hour: number): number {
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    throw new Error('Hour must be a whole number from 0 to 23');
+  }
+  const secondsOfDay = clock.seconds % DAY;
+  const target = hour * HOUR;
+  return target > secondsOfDay ? target - secondsOfDay : DAY - secondsOfDay + target;
+}
+
+/**
+ * "3 Hammer 1492 DR, 08:05 (morning)"
+ */
+export function formatClock(seconds: number): string {
+  const date = toCalendarDate(seconds);
+  const time = `${String(date.hour).padStart(2, '0')}:${String(date.minute).padStart(2, '0')}`;
+  return `${date.day} ${MONTH_NAMES[date.month - 1]} ${date.year} DR, ${time} (${getTimeOfDay(date.hour)})`;
+}
+
+const DURATION_UNITS: Record<string, number> = {
+  round: SECONDS_PER_ROUND,
+  minute: MINUTE,
+  hour: HOUR,
+  day: DAY,
+};
+
+/**
+ * Seconds in a spell or effect duration such as "1 round", "Concentration, up to 10 minutes"
+ * or "8 hours". Instantaneous, permanent and special durations return null.
+ */
+export function parseDuration(duration: string): number | null {
+  const match = duration.toLowerCase().match(/(\d+)\s*(round|minute|hour|day)s?\b/);
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Put a world event on the calendar. Ids are sequential (event-1, event-2, ...).
+ */
+export function scheduleEvent(events: ScheduledEvent[], description: string, at: number): ScheduledEvent {
+  const text = description?.trim();
+  if (!text) {
+    throw new Error('Event description is required');
+  }
+
+  const event: ScheduledEvent = { id: `event-${events.length + 1}`, description: text, at, status: 'scheduled' };
+  events.push(event);
+  return event;
+}
+
+/**
+ * Mark scheduled events the clock has reached as due, and return them
+ */
+export function collectDueEvents(events: ScheduledEvent[], now: number): ScheduledEvent[] {
+  const due = events.filter((event) => event.status === 'scheduled' && event.at <= now);
+  due.forEach((event) => { event.status = 'due'; });
+  return due;
+}
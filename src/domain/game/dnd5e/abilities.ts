@@ -1,7 +1,7 @@
 // Domain layer: D&D 5e ability and skill definitions
 // Pure constants - no dependencies
 
-import type { Ability, Skill } from '../types.js';
+import type { Ability, RollType, Skill } from '../types.js';
 
 /**
  * All six abilities in D&D 5e
@@ -15,6 +15,27 @@ export const ABILITIES: Ability[] = [
   'charisma',
 ];
 
+/**
+ * Standard three-letter ability abbreviations
+ */
+export const ABILITY_ABBREVIATIONS: Record<string, Ability> = {
+  str: 'strength',
+  dex: 'dexterity',
+  con: 'constitution',
+  int: 'intelligence',
+  wis: 'wisdom',
+  cha: 'charisma',
+};
+
+/**
+ * Normalize an ability name or abbreviation ("DEX", "Dexterity") to an Ability key
+ */
+export function normalizeAbility(name: string): Ability | null {
+  const key = name.trim().toLowerCase();
+  if (key in ABILITY_ABBREVIATIONS) return ABILITY_ABBREVIATIONS[key];
+  return (ABILITIES as string[]).includes(key) ? (key as Ability) : null;
+}
+
 /**
  * Skill to ability mapping
  */
@@ -59,3 +80,83 @@ export function getAbilityModifier(score: number): number {
 export function getProficiencyBonus(level: number): number {
   return Math.ceil(1 + level / 4);
 }
+
+/**
+ * Normalize a stored skill name ("Sleight of Hand", "sleight_of_hand") to a Skill key
+ */
+export function normalizeSkill(name: string): Skill | null {
+  const key = name.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return key in SKILL_ABILITIES ? (key as Skill) : null;
+}
+
+/**
+ * Minimal character shape needed to compute skill bonuses
+ */
+export interface SkillCheckSubject {
+  abilityScores: Partial<Record<Ability, number>>;
+  proficiencyBonus: number;
+  skillProficiencies: string[];
+  skillExpertise?: string[];
+  jackOfAllTrades?: boolean;
+}
+
+export interface SkillBonus {
+  skill: Skill;
+  ability: Ability;
+  abilityModifier: number;
+  proficiency: number; // bonus actually added from proficiency/expertise/JoAT
+  proficient: boolean;
+  expertise: boolean;
+  jackOfAllTrades: boolean;
+  total: number;
+}
+
+/**
+ * Skill bonus breakdown: ability modifier plus proficiency (doubled with
+ * expertise, or half rounded down from Jack of All Trades when not proficient)
+ */
+export function getSkillBonus(
+  subject: SkillCheckSubject,
+  skill: Skill,
+  abilityOverride?: Ability
+): SkillBonus {
+  const ability = abilityOverride ?? SKILL_ABILITIES[skill];
+  const abilityModifier = getAbilityModifier(subject.abilityScores[ability] ?? 10);
+
+  const proficient = subject.skillProficiencies.some((s) => normalizeSkill(s) === skill);
+  const expertise = (subject.skillExpertise ?? []).some((s) => normalizeSkill(s) === skill);
+
+  let proficiency = 0;
+  let jackOfAllTrades = false;
+  if (expertise) {
+    proficiency = subject.proficiencyBonus * 2;
+  } else if (proficient) {
+    proficiency = subject.proficiencyBonus;
+  } else if (subject.jackOfAllTrades) {
+    proficiency = Math.floor(subject.proficiencyBonus / 2);
+    jackOfAllTrades = true;
+  }
+
+  return {
+    skill,
+    ability,
+    abilityModifier,
+    proficiency,
+    proficient: proficient || expertise,
+    expertise,
+    jackOfAllTrades,
+    total: abilityModifier + proficiency,
+  };
+}
+
+/**
+ * Passive score for a skill (10 + bonus, ±5 for advantage/disadvantage)
+ */
+export function getPassiveScore(
+  subject: SkillCheckSubject,
+  skill: Skill,
+  rollType: RollType = 'normal'
+): number {
+  const adjustment = rollType === 'advantage' ? 5 : rollType === 'disadvantage' ? -5 : 0;
+  return 10 + getSkillBonus(subject, skill).total + adjustment;
+}
@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applySpeedAdjustment,
+  getArmorClassModifier,
+  getRollAdjustment,
+  getSpeedAdjustment,
+  resolveRollType,
+} from './conditionEffects.js';
+
+describe('getRollAdjustment', () => {
+  it('gives poisoned creatures disadvantage on checks and attacks but not saves', () => {
+    const poisoned = [{ name: 'poisoned' }];
+
+    expect(getRollAdjustment(poisoned, { kind: 'ability_check' }).disadvantage).toEqual(['poisoned']);
+    expect(getRollAdjustment(poisoned, { kind: 'attack_roll' }).disadvantage).toEqual(['poisoned']);
+    expect(getRollAdjustment(poisoned, { kind: 'saving_throw', ability: 'constitution' }).disadvantage).toEqual([]);
+  });
+
+  it('auto-fails strength and dexterity saves while stunned', () => {
+    const stunned = [{ name: 'Stunned' }];
+
+    expect(getRollAdjustment(stunned, { kind: 'saving_throw', ability: 'dexterity' }).autoFail).toBe('Stunned');
+    expect(getRollAdjustment(stunned, { kind: 'saving_throw', ability: 'wisdom' }).autoFail).toBeUndefined();
+  });
+
+  it('favours melee and hinders ranged attacks against a prone target', () => {
+    const prone = [{ name: 'prone' }];
+
+    expect(getRollAdjustment(prone, { kind: 'attacked' }).advantage).toEqual(['prone']);
+    expect(getRollAdjustment(prone, { kind: 'attacked', ranged: true }).disadvantage).toEqual(['prone']);
+  });
+
+  it('gives restrained creatures disadvantage on dexterity saves only', () => {
+    const restrained = [{ name: 'restrained' }];
+
+    expect(getRollAdjustment(restrained, { kind: 'saving_throw', ability: 'dexterity' }).disadvantage).toEqual(['restrained']);
+    expect(getRollAdjustment(restrained, { kind: 'saving_throw', ability: 'strength' }).disadvantage).toEqual([]);
+  });
+
+  it('reads advantage and disadvantage from an overlay effect', () => {
+    const blessed = [{ name: '祝福', mechanicalEffect: '力量检定劣势、攻击优势' }];
+
+    expect(getRollAdjustment(blessed, { kind: 'ability_check', ability: 'strength' }).disadvantage).toEqual(['祝福']);
+    expect(getRollAdjustment(blessed, { kind: 'ability_check', ability: 'wisdom' }).disadvantage).toEqual([]);
+    expect(getRollAdjustment(blessed, { kind: 'attack_roll' }).advantage).toEqual(['祝福']);
+  });
+
+  it('applies exhaustion to checks from level 1 and to attacks and saves from level 3', () => {
+    expect(getRollAdjustment([], { kind: 'ability_check' }, 1).disadvantage).toEqual(['exhaustion 1']);
+    expect(getRollAdjustment([], { kind: 'attack_roll' }, 2).disadvantage).toEqual([]);
+    expect(getRollAdjustment([], { kind: 'saving_throw', ability: 'wisdom' }, 3).disadvantage).toEqual(['exhaustion 3']);
+  });
+});
+
+describe('resolveRollType', () => {
+  it('lets any advantage cancel any amount of disadvantage', () => {
+    const resolved = resolveRollType('advantage', { advantage: [], disadvantage: ['poisoned', 'frightened'] });
+
+    expect(resolved.rollType).toBe('normal');
+    expect(resolved.advantage).toEqual(['requested']);
+  });
+
+  it('uses condition sources when the request is normal', () => {
+    expect(resolveRollType('normal', { advantage: ['invisible'], disadvantage: [] }).rollType).toBe('advantage');
+    expect(resolveRollType('normal', { advantage: [], disadvantage: ['blinded'] }).rollType).toBe('disadvantage');
+  });
+});
+
+describe('getArmorClassModifier', () => {
+  it('sums AC bonuses and penalties from overlay effects', () => {
+    const conditions = [
+      { name: 'Shield of Faith', mechanicalEffect: '+2 AC' },
+      { name: 'Sundered', mechanicalEffect: 'AC-1, speed halved' },
+      { name: 'prone' },
+    ];
+
+    expect(getArmorClassModifier(conditions)).toBe(1);
+  });
+});
+
+describe('getSpeedAdjustment', () => {
+  it('drops speed to zero for grappled and restrained creatures', () => {
+    const adjustment = getSpeedAdjustment([{ name: 'grappled' }]);
+
+    expect(adjustment).toEqual({ effect: 'zero', sources: ['grappled'] });
+    expect(applySpeedAdjustment(30, adjustment)).toBe(0);
+  });
+
+  it('halves speed from an overlay or exhaustion level 2, and zeroes it at level 5', () => {
+    expect(applySpeedAdjustment(30, getSpeedAdjustment([{ name: 'Slowed', mechanicalEffect: '速度减半' }]))).toBe(15);
+    expect(applySpeedAdjustment(25, getSpeedAdjustment([], 2))).toBe(12);
+    expect(applySpeedAdjustment(30, getSpeedAdjustment([], 5))).toBe(0);
+  });
+
+  it('leaves speed alone without speed effects', () => {
+    expect(applySpeedAdjustment(30, getSpeedAdjustment([{ name: 'poisoned' }], 1))).toBe(30);
+  });
+});
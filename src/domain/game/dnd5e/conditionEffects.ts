@@ -0,0 +1,293 @@
+// Domain layer: D&D 5e condition mechanics
+// Pure functions - no dependencies
+
+import type { Ability, RollType } from '../types.js';
+
+/**
+ * A condition as seen by the rules layer: either a 5e condition name
+ * or a narrative overlay whose free-text mechanicalEffect is parsed
+ */
+export interface ConditionSource {
+  name: string;
+  mechanicalEffect?: string;
+}
+
+/**
+ * The d20 test being adjusted.
+ * 'attacked' is an attack roll made against the creature holding the conditions.
+ */
+export type ConditionRollKind = 'ability_check' | 'saving_throw' | 'attack_roll' | 'attacked';
+
+export interface ConditionRollContext {
+  kind: ConditionRollKind;
+  ability?: Ability;
+  ranged?: boolean;
+}
+
+/**
+ * Advantage/disadvantage sources and auto-fail derived from conditions
+ */
+export interface RollAdjustment {
+  advantage: string[];
+  disadvantage: string[];
+  autoFail?: string;
+}
+
+export interface ResolvedRollType {
+  rollType: RollType;
+  advantage: string[];
+  disadvantage: string[];
+}
+
+export type SpeedEffect = 'normal' | 'halved' | 'zero';
+
+export interface SpeedAdjustment {
+  effect: SpeedEffect;
+  sources: string[];
+}
+
+interface ConditionRules {
+  advantageOn?: ConditionRollKind[];
+  disadvantageOn?: ConditionRollKind[];
+  disadvantageOnSaves?: Ability[];
+  autoFailSaves?: Ability[];
+  attackedMelee?: 'advantage' | 'disadvantage';
+  attackedRanged?: 'advantage' | 'disadvantage';
+  speed?: SpeedEffect;
+}
+
+const PHYSICAL_SAVES: Ability[] = ['strength', 'dexterity'];
+
+/**
+ * Mechanical effects of each 5e condition (PHB appendix A).
+ * Effects that depend on sight, hearing or the source's position are assumed to apply.
+ */
+const CONDITION_RULES: Record<string, ConditionRules> = {
+  blinded: { disadvantageOn: ['attack_roll'], advantageOn: ['attacked'] },
+  frightened: { disadvantageOn: ['ability_check', 'attack_roll'] },
+  grappled: { speed: 'zero' },
+  invisible: { advantageOn: ['attack_roll'], disadvantageOn: ['attacked'] },
+  paralyzed: { autoFailSaves: PHYSICAL_SAVES, advantageOn: ['attacked'], speed: 'zero' },
+  petrified: { autoFailSaves: PHYSICAL_SAVES, advantageOn: ['attacked'], speed: 'zero' },
+  poisoned: { disadvantageOn: ['ability_check', 'attack_roll'] },
+  prone: { disadvantageOn: ['attack_roll'], attackedMelee: 'advantage', attackedRanged: 'disadvantage' },
+  restrained: {
+    disadvantageOn: ['attack_roll'],
+    disadvantageOnSaves: ['dexterity'],
+    advantageOn: ['attacked'],
+    speed: 'zero',
+  },
+  stunned: { autoFailSaves: PHYSICAL_SAVES, advantageOn: ['attacked'], speed: 'zero' },
+  unconscious: { autoFailSaves: PHYSICAL_SAVES, advantageOn: ['attacked'], speed: 'zero' },
+};
+
+const ABILITY_KEYWORDS: Record<Ability, RegExp> = {
+  strength: /strength|\bstr\b|力量/i,
+  dexterity: /dexterity|\bdex\b|敏捷/i,
+  constitution: /constitution|\bcon\b|体质/i,
+  intelligence: /intelligence|\bint\b|智力/i,
+  wisdom: /wisdom|\bwis\b|感知/i,
+  charisma: /charisma|\bcha\b|魅力/i,
+};
+
+/**
+ * Find the ability a free-text clause is scoped to, if any
+ */
+function findAbility(clause: string): Ability | undefined {
+  return (Object.keys(ABILITY_KEYWORDS) as Ability[]).find((ability) => ABILITY_KEYWORDS[ability].test(clause));
+}
+
+/**
+ * Which d20 tests a free-text advantage/disadvantage clause covers.
+ * A clause with no roll keyword ("劣势", "disadvantage") covers every roll the creature makes.
+ */
+function clauseKinds(clause: string): ConditionRollKind[] {
+  if (/attacks?\s+(?:rolls?\s+)?against|对其|针对其|被攻击/i.test(clause)) {
+    return ['attacked'];
+  }
+
+  const kinds: ConditionRollKind[] = [];
+  if (/attack|攻击|命中/i.test(clause)) kinds.push('attack_roll');
+  if (/sav|豁免/i.test(clause)) kinds.push('saving_throw');
+  if (/check|检定/i.test(clause)) kinds.push('ability_check');
+
+  return kinds.length > 0 ? kinds : ['ability_check', 'saving_throw', 'attack_roll'];
+}
+
+/**
+ * Split an overlay's mechanicalEffect ("+2AC、力量检定劣势") into clauses
+ */
+function splitEffect(effect: string): string[] {
+  return effect
+    .split(/[,，、;；。\n]|\band\b/i)
+    .map((clause) => clause.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse the advantage/disadvantage clauses of an overlay's mechanicalEffect
+ */
+function parseEffectRollType(
+  effect: string,
+  context: ConditionRollContext
+): RollType {
+  let result: RollType = 'normal';
+
+  for (const clause of splitEffect(effect)) {
+    const rollType: RollType | null = /disadvantage|劣势/i.test(clause)
+      ? 'disadvantage'
+      : /advantage|优势/i.test(clause)
+        ? 'advantage'
+        : null;
+    if (!rollType || !clauseKinds(clause).includes(context.kind)) continue;
+
+    const ability = findAbility(clause);
+    if (ability && context.kind !== 'attack_roll' && context.kind !== 'attacked' && ability !== context.ability) {
+      continue;
+    }
+
+    if (result !== 'normal' && result !== rollType) {
+      return 'normal';
+    }
+    result = rollType;
+  }
+
+  return result;
+}
+
+/**
+ * Derive advantage, disadvantage and auto-fail for a d20 test from active conditions.
+ * Exhaustion level 1 gives disadvantage on ability checks, level 3 on attacks and saves.
+ */
+export function getRollAdjustment(
+  conditions: ConditionSource[],
+  context: ConditionRollContext,
+  exhaustionLevel = 0
+): RollAdjustment {
+  const adjustment: RollAdjustment = { advantage: [], disadvantage: [] };
+
+  for (const condition of conditions) {
+    const rules = CONDITION_RULES[condition.name.toLowerCase()];
+
+    if (rules) {
+      if (
+        context.kind === 'saving_throw' &&
+        context.ability &&
+        rules.autoFailSaves?.includes(context.ability) &&
+        !adjustment.autoFail
+      ) {
+        adjustment.autoFail = condition.name;
+      }
+
+      if (rules.advantageOn?.includes(context.kind)) {
+        adjustment.advantage.push(condition.name);
+      }
+      if (rules.disadvantageOn?.includes(context.kind)) {
+        adjustment.disadvantage.push(condition.name);
+      }
+      if (context.kind === 'saving_throw' && context.ability && rules.disadvantageOnSaves?.includes(context.ability)) {
+        adjustment.disadvantage.push(condition.name);
+      }
+      if (context.kind === 'attacked') {
+        const attacked = context.ranged ? rules.attackedRanged : rules.attackedMelee;
+        if (attacked) {
+          adjustment[attacked].push(condition.name);
+        }
+      }
+    }
+
+    if (condition.mechanicalEffect) {
+      const rollType = parseEffectRollType(condition.mechanicalEffect, context);
+      if (rollType !== 'normal') {
+        adjustment[rollType].push(condition.name);
+      }
+    }
+  }
+
+  const exhaustion = Math.max(
+    exhaustionLevel,
+    conditions.some((c) => c.name.toLowerCase() === 'exhausted') ? 1 : 0
+  );
+  if (
+    (context.kind === 'ability_check' && exhaustion >= 1) ||
+    ((context.kind === 'attack_roll' || context.kind === 'saving_throw') && exhaustion >= 3)
+  ) {
+    adjustment.disadvantage.push(`exhaustion ${exhaustion}`);
+  }
+
+  return adjustment;
+}
+
+/**
+ * Combine a requested roll type with condition-derived sources.
+ * Any advantage and any disadvantage cancel out, regardless of how many of each.
+ */
+export function resolveRollType(requested: RollType, adjustment: RollAdjustment): ResolvedRollType {
+  const advantage = requested === 'advantage' ? ['requested', ...adjustment.advantage] : [...adjustment.advantage];
+  const disadvantage = requested === 'disadvantage' ? ['requested', ...adjustment.disadvantage] : [...adjustment.disadvantage];
+
+  let rollType: RollType = 'normal';
+  if (advantage.length > 0 && disadvantage.length === 0) {
+    rollType = 'advantage';
+  } else if (disadvantage.length > 0 && advantage.length === 0) {
+    rollType = 'disadvantage';
+  }
+
+  return { rollType, advantage, disadvantage };
+}
+
+/**
+ * Net AC modifier from overlay effects such as "+2AC" or "AC-2"
+ */
+export function getArmorClassModifier(conditions: ConditionSource[]): number {
+  let modifier = 0;
+
+  for (const condition of conditions) {
+    if (!condition.mechanicalEffect) continue;
+    for (const clause of splitEffect(condition.mechanicalEffect)) {
+      const match = clause.match(/([+-])\s*(\d+)\s*(?:点\s*)?AC\b|\bAC\s*([+-])\s*(\d+)/i);
+      if (!match) continue;
+      const sign = match[1] ?? match[3];
+      const value = parseInt(match[2] ?? match[4], 10);
+      modifier += sign === '-' ? -value : value;
+    }
+  }
+
+  return modifier;
+}
+
+/**
+ * Speed changes from conditions, overlays and exhaustion (level 2 halves, level 5 zeroes)
+ */
+export function getSpeedAdjustment(conditions: ConditionSource[], exhaustionLevel = 0): SpeedAdjustment {
+  const zero: string[] = [];
+  const halved: string[] = [];
+
+  for (const condition of conditions) {
+    const rules = CONDITION_RULES[condition.name.toLowerCase()];
+    if (rules?.speed === 'zero') zero.push(condition.name);
+
+    const effect = condition.mechanicalEffect ?? '';
+    if (/speed\s*(?:is\s*|becomes\s*)?0\b|速度\s*(?:为|变为|降为)?\s*0/i.test(effect)) {
+      zero.push(condition.name);
+    } else if (/speed\s*(?:is\s*)?halved|half\s*speed|速度减半/i.test(effect)) {
+      halved.push(condition.name);
+    }
+  }
+
+  if (exhaustionLevel >= 5) zero.push(`exhaustion ${exhaustionLevel}`);
+  else if (exhaustionLevel >= 2) halved.push(`exhaustion ${exhaustionLevel}`);
+
+  if (zero.length > 0) return { effect: 'zero', sources: zero };
+  if (halved.length > 0) return { effect: 'halved', sources: halved };
+  return { effect: 'normal', sources: [] };
+}
+
+/**
+ * Apply a speed adjustment to a base walking speed (in feet)
+ */
+export function applySpeedAdjustment(baseSpeed: number, adjustment: SpeedAdjustment): number {
+  if (adjustment.effect === 'zero') return 0;
+  if (adjustment.effect === 'halved') return Math.floor(baseSpeed / 2);
+  return baseSpeed;
+}
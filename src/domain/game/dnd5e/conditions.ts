@@ -36,12 +36,12 @@ export const CONDITION_DESCRIPTIONS: Record<DnDCondition, string> = {
   grappled: "Speed becomes 0, can't benefit from bonuses to speed.",
   incapacitated: "Can't take actions or reactions.",
   invisible: 'Impossible to see without magic, advantage on attacks, disadvantages on attacks against.',
-  paralyzed: "Speed 0, can't take actions, disadvantage on Dex saves, +5 to attacks against.",
+  paralyzed: "Speed 0, can't take actions, automatically fails Str and Dex saves, attacks against have advantage.",
   petrified: 'Transformed to solid material, has resistance to damage, etc.',
   poisoned: 'Disadvantage on attack rolls and ability checks.',
   prone: 'Disadvantage on attack rolls, advantage on melee attacks against, -2 to AC vs ranged.',
-  restrained: 'Speed 0, disadvantage on Dex saves, attack rolls have disadvantage against.',
-  stunned: "Incapacitated, can't take actions, disadvantage on Dex saves and attacks.",
+  restrained: 'Speed 0, disadvantage on attack rolls and Dex saves, attacks against have advantage.',
+  stunned: "Incapacitated, can't move, automatically fails Str and Dex saves, attacks against have advantage.",
   unconscious: "Incapacitated, can't move or speak, aware of surroundings, drops held items.",
 };
 
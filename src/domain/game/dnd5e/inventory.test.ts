@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import type { InventoryItem } from '@/domain/character/types.js';
+import {
+  addItem,
+  equipItem,
+  getCarriedWeight,
+  getCarryingCapacity,
+  normalizeInventory,
+  removeItem,
+  takeItems,
+  unequipItem,
+  type InventoryHolder,
+} from './inventory.js';
+
+function holder(inventory: InventoryItem[]): InventoryHolder {
+  return {
+    inventory,
+    equippedWeapon: '',
+    equippedArmor: '',
+    abilityScores: { strength: 15, dexterity: 14, constitution: 12, intelligence: 10, wisdom: 10, charisma: 10 },
+    characterClass: 'fighter',
+  };
+}
+
+describe('weight', () => {
+  it('carries fifteen pounds per point of Strength', () => {
+    expect(getCarryingCapacity(15)).toBe(225);
+  });
+
+  it('weighs every item in a stack', () => {
+    expect(getCarriedWeight(addItem(addItem([], 'dagger', 3), 'longsword'))).toBe(6);
+  });
+});
+
+describe('normalizeInventory', () => {
+  it('upgrades legacy strings and marks the equipped items', () => {
+    const inventory = normalizeInventory(['长剑', 'Lucky Coin'], { equippedWeapon: 'Longsword', equippedArmor: 'Chain Mail' });
+
+    expect(inventory).toEqual([
+      { itemId: 'longsword', name: 'Longsword', quantity: 1, weight: 3, equipped: true },
+      { name: 'Lucky Coin', quantity: 1, weight: 0 },
+      { itemId: 'chain-mail', name: 'Chain Mail', quantity: 1, weight: 55, equipped: true },
+    ]);
+  });
+
+  it('ignores anything that is not an item', () => {
+    expect(normalizeInventory(null)).toEqual([]);
+    expect(normalizeInventory(['', 42, { quantity: 2 }])).toEqual([]);
+  });
+});
+
+describe('adding and taking items', () => {
+  it('stacks items found by alias', () => {
+    const inventory = addItem(addItem([], 'Dagger', 2), '匕首');
+
+    expect(inventory).toEqual([{ itemId: 'dagger', name: 'Dagger', quantity: 3, weight: 1 }]);
+  });
+
+  it('rejects non-positive quantities', () => {
+    expect(() => addItem([], 'dagger', 0)).toThrow('positive whole number');
+  });
+
+  it('takes part of a stack and returns it unequipped', () => {
+    const inventory = [{ itemId: 'dagger', name: 'Dagger', quantity: 3, weight: 1, equipped: true }];
+    const result = takeItems(inventory, 'dagger', 2);
+
+    expect(result.inventory).toEqual([{ ...inventory[0], quantity: 1 }]);
+    expect(result.taken).toEqual({ itemId: 'dagger', name: 'Dagger', quantity: 2, weight: 1 });
+  });
+
+  it('refuses to take more than there is', () => {
+    expect(() => takeItems(addItem([], 'dagger'), 'dagger', 2)).toThrow('Only 1 Dagger');
+    expect(() => takeItems([], 'dagger')).toThrow('not in the inventory');
+  });
+});
+
+describe('equipment', () => {
+  it('derives armor class from equipped armor and shield', () => {
+    const character = holder(addItem(addItem([], 'chain mail'), 'shield'));
+    const withArmor = equipItem(character, 'chain mail');
+    const withShield = equipItem({ ...character, inventory: withArmor.inventory }, 'shield');
+
+    expect(withArmor).toMatchObject({ equippedArmor: 'Chain Mail', armorClass: 16 });
+    expect(withShield.armorClass).toBe(18);
+  });
+
+  it('lets a two-handed weapon displace a shield', () => {
+    const character = holder(addItem(addItem([], 'shield'), 'greatsword'));
+    const shielded = equipItem(character, 'shield');
+    const changes = equipItem({ ...character, inventory: shielded.inventory }, 'greatsword');
+
+    expect(changes.equippedWeapon).toBe('Greatsword');
+    expect(changes.inventory.find((item) => item.itemId === 'shield')?.equipped).toBe(false);
+    expect(changes.armorClass).toBe(12);
+  });
+
+  it('refuses to equip items without a slot', () => {
+    expect(() => equipItem(holder(addItem([], 'rope')), 'rope')).toThrow('cannot be equipped');
+  });
+
+  it('unequips and removes equipped items', () => {
+    const character = holder(addItem([], 'leather armor'));
+    const worn = equipItem(character, 'leather armor');
+
+    expect(worn.armorClass).toBe(13);
+    expect(unequipItem({ ...character, inventory: worn.inventory }, 'leather armor')).toMatchObject({
+      equippedArmor: '',
+      armorClass: 12,
+    });
+    expect(removeItem({ ...character, inventory: worn.inventory }, 'leather armor')).toMatchObject({
+      inventory: [],
+      equippedArmor: '',
+      armorClass: 12,
+    });
+  });
+});
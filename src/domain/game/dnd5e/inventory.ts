@@ -0,0 +1,285 @@
+// Domain layer: D&D 5e inventory and equipment
+// Pure functions - no dependencies
+
+import type { CharacterData, InventoryItem } from '@/domain/character/types.js';
+import type { Ability, EquipmentState } from '../types.js';
+import {
+  calculateArmorClass,
+  findItem,
+  isArmor,
+  isShield,
+  isWeapon,
+  type ArmorDefinition,
+  type ItemDefinition,
+  type ShieldDefinition,
+  type WeaponDefinition,
+} from './items.js';
+
+/**
+ * The parts of a character touched by inventory operations
+ */
+export type InventoryHolder = Pick<
+  CharacterData,
+  'inventory' | 'equippedWeapon' | 'equippedArmor' | 'abilityScores' | 'characterClass'
+>;
+
+export type InventoryChanges = Pick<CharacterData, 'inventory' | 'equippedWeapon' | 'equippedArmor' | 'armorClass'>;
+
+type EquipSlot = 'weapon' | 'armor' | 'shield';
+
+/**
+ * Pounds a character can carry: Strength score x 15
+ */
+export function getCarryingCapacity(strength: number): number {
+  return strength * 15;
+}
+
+/**
+ * Total weight of everything carried, in pounds
+ */
+export function getCarriedWeight(inventory: InventoryItem[]): number {
+  const total = inventory.reduce((sum, item) => sum + item.weight * item.quantity, 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Build an inventory stack, filling weight and canonical name from the catalog
+ */
+export function createInventoryItem(name: string, quantity = 1, weight?: number): InventoryItem {
+  const definition = findItem(name);
+  return definition
+    ? { itemId: definition.id, name: definition.name, quantity, weight: weight ?? definition.weight }
+    : { name: name.trim(), quantity, weight: weight ?? 0 };
+}
+
+/**
+ * Upgrade a stored inventory (legacy plain strings or structured stacks).
+ * Items named by equippedWeapon/equippedArmor are marked equipped, and added if missing.
+ */
+export function normalizeInventory(
+  raw: unknown,
+  equipped: Pick<CharacterData, 'equippedWeapon' | 'equippedArmor'> = { equippedWeapon: '', equippedArmor: '' }
+): InventoryItem[] {
+  const entries = Array.isArray(raw) ? raw : [];
+  const inventory: InventoryItem[] = [];
+
+  for (const entry of entries) {
+    if (typeof entry === 'string') {
+      if (entry.trim()) inventory.push(createInventoryItem(entry));
+    } else if (entry && typeof entry === 'object' && typeof entry.name === 'string') {
+      inventory.push({
+        ...createInventoryItem(entry.name, Math.max(1, Number(entry.quantity) || 1), entry.weight),
+        ...(entry.itemId ? { itemId: entry.itemId } : {}),
+        ...(entry.equipped ? { equipped: true } : {}),
+      });
+    }
+  }
+
+  if (!inventory.some((item) => item.equipped)) {
+    for (const name of [equipped.equippedWeapon, equipped.equippedArmor]) {
+      if (!name) continue;
+      const existing = findInventoryItem(inventory, name);
+      if (existing) {
+        existing.equipped = true;
+      } else {
+        inventory.push({ ...createInventoryItem(name), equipped: true });
+      }
+    }
+  }
+
+  return inventory;
+}
+
+/**
+ * Find a stack by catalog id, name or alias
+ */
+export function findInventoryItem(inventory: InventoryItem[], name: string): InventoryItem | undefined {
+  const definition = findItem(name);
+  const key = name.trim().toLowerCase();
+  return inventory.find(
+    (item) => (definition && item.itemId === definition.id) || item.name.toLowerCase() === key
+  );
+}
+
+/**
+ * Add items, stacking onto an existing stack of the same item
+ */
+export function addItem(inventory: InventoryItem[], name: string, quantity = 1, weight?: number): InventoryItem[] {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error('Quantity must be a positive whole number');
+  }
+
+  const next = inventory.map((item) => ({ ...item }));
+  const existing = findInventoryItem(next, name);
+  if (existing) {
+    existing.quantity += quantity;
+  } else {
+    next.push(createInventoryItem(name, quantity, weight));
+  }
+  return next;
+}
+
+/**
+ * Take items out of an inventory (the whole stack unless a quantity is given).
+ * Returns the remaining inventory and the taken items as an unequipped stack.
+ */
+export function takeItems(
+  inventory: InventoryItem[],
+  name: string,
+  quantity?: number
+): { inventory: InventoryItem[]; taken: InventoryItem } {
+  const existing = findInventoryItem(inventory, name);
+  if (!existing) {
+    throw new Error(`${name} is not in the inventory`);
+  }
+
+  const count = quantity ?? existing.quantity;
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Quantity must be a positive whole number');
+  }
+  if (count > existing.quantity) {
+    throw new Error(`Only ${existing.quantity} ${existing.name} in the inventory`);
+  }
+
+  const { equipped: _equipped, ...stack } = existing;
+  return {
+    inventory: inventory
+      .map((item) => (item === existing ? { ...item, quantity: item.quantity - count } : { ...item }))
+      .filter((item) => item.quantity > 0),
+    taken: { ...stack, quantity: count },
+  };
+}
+
+/**
+ * Remove items. Removing an equipped stack entirely unequips it first.
+ */
+export function removeItem(character: InventoryHolder, name: string, quantity?: number): InventoryChanges {
+  const { inventory } = takeItems(character.inventory, name, quantity);
+  return deriveEquipment({ ...character, inventory });
+}
+
+function getSlot(definition: ItemDefinition | null): EquipSlot | null {
+  if (isWeapon(definition)) return 'weapon';
+  if (isArmor(definition)) return 'armor';
+  if (isShield(definition)) return 'shield';
+  return null;
+}
+
+function isTwoHanded(definition: ItemDefinition | null): boolean {
+  return isWeapon(definition) && definition.properties.includes('two-handed');
+}
+
+/**
+ * Equip a weapon, armor or shield from the inventory.
+ * Whatever occupies the same slot is unequipped, and a two-handed weapon and a shield displace each other.
+ */
+export function equipItem(character: InventoryHolder, name: string): InventoryChanges {
+  const target = findInventoryItem(character.inventory, name);
+  if (!target) {
+    throw new Error(`${name} is not in the inventory`);
+  }
+
+  const definition = target.itemId ? findItem(target.itemId) : null;
+  const slot = getSlot(definition);
+  if (!slot) {
+    throw new Error(`${target.name} cannot be equipped`);
+  }
+
+  const inventory = character.inventory.map((item) => {
+    if (item === target) return { ...item, equipped: true };
+    if (!item.equipped) return { ...item };
+
+    const other = item.itemId ? findItem(item.itemId) : null;
+    const otherSlot = getSlot(other);
+    const displaced =
+      otherSlot === slot ||
+      (slot === 'shield' && isTwoHanded(other)) ||
+      (otherSlot === 'shield' && isTwoHanded(definition));
+    return displaced ? { ...item, equipped: false } : { ...item };
+  });
+
+  return deriveEquipment({ ...character, inventory });
+}
+
+/**
+ * Unequip an item, keeping it in the inventory
+ */
+export function unequipItem(character: InventoryHolder, name: string): InventoryChanges {
+  const target = findInventoryItem(character.inventory, name);
+  if (!target) {
+    throw new Error(`${name} is not in the inventory`);
+  }
+  if (!target.equipped) {
+    throw new Error(`${target.name} is not equipped`);
+  }
+
+  const inventory = character.inventory.map((item) =>
+    item === target ? { ...item, equipped: false } : { ...item }
+  );
+  return deriveEquipment({ ...character, inventory });
+}
+
+function findEquipped<T extends ItemDefinition>(
+  inventory: InventoryItem[],
+  guard: (definition: ItemDefinition | null) => definition is T
+): T | null {
+  for (const item of inventory) {
+    if (!item.equipped || !item.itemId) continue;
+    const definition = findItem(item.itemId);
+    if (guard(definition)) return definition;
+  }
+  return null;
+}
+
+export function getEquippedWeapon(inventory: InventoryItem[]): WeaponDefinition | null {
+  return findEquipped(inventory, isWeapon);
+}
+
+export function getEquippedArmor(inventory: InventoryItem[]): ArmorDefinition | null {
+  return findEquipped(inventory, isArmor);
+}
+
+export function getEquippedShield(inventory: InventoryItem[]): ShieldDefinition | null {
+  return findEquipped(inventory, isShield);
+}
+
+/**
+ * Worn armor and wielded weapon/shield names for a character state
+ */
+export function getEquipmentState(inventory: InventoryItem[]): EquipmentState {
+  const armor = getEquippedArmor(inventory);
+  const weapon = getEquippedWeapon(inventory);
+  const shield = getEquippedShield(inventory);
+  return {
+    worn: armor ? [armor.name] : [],
+    wielded: [weapon?.name, shield?.name].filter((name): name is string => !!name),
+  };
+}
+
+/**
+ * Armor class from the armor and shield equipped in the inventory
+ */
+export function deriveArmorClass(character: InventoryHolder): number {
+  const abilityModifiers = Object.fromEntries(
+    Object.entries(character.abilityScores).map(([ability, score]) => [ability, Math.floor((score - 10) / 2)])
+  ) as Record<Ability, number>;
+
+  return calculateArmorClass({
+    abilityModifiers,
+    characterClass: character.characterClass,
+    armor: getEquippedArmor(character.inventory),
+    shield: getEquippedShield(character.inventory),
+  });
+}
+
+/**
+ * Recompute the equipped names and AC after the inventory changed
+ */
+function deriveEquipment(character: InventoryHolder): InventoryChanges {
+  return {
+    inventory: character.inventory,
+    equippedWeapon: getEquippedWeapon(character.inventory)?.name ?? '',
+    equippedArmor: getEquippedArmor(character.inventory)?.name ?? '',
+    armorClass: deriveArmorClass(character),
+  };
+}
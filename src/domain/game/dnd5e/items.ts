@@ -0,0 +1,224 @@
+// Domain layer: D&D 5e item catalog
+// Pure constants - no dependencies
+
+import type { Ability, DamageType, Weapon } from '../types.js';
+import { UNARMORED_AC } from './rules.js';
+
+export type ItemKind = 'weapon' | 'armor' | 'shield' | 'consumable' | 'gear';
+
+export type WeaponProperty =
+  | 'ammunition'
+  | 'finesse'
+  | 'heavy'
+  | 'light'
+  | 'loading'
+  | 'reach'
+  | 'thrown'
+  | 'two-handed'
+  | 'versatile';
+
+interface ItemBase {
+  id: string;
+  name: string;
+  aliases?: string[]; // alternative names the narrator may use (e.g. Chinese)
+  weight: number; // pounds per unit
+  cost: number; // gold pieces
+  description?: string;
+}
+
+export interface WeaponDefinition extends ItemBase {
+  kind: 'weapon';
+  category: 'simple' | 'martial';
+  ranged: boolean;
+  damage: { dice: string; type: DamageType };
+  versatileDice?: string; // two-handed damage for versatile weapons
+  properties: WeaponProperty[];
+  range?: { normal: number; long: number }; // feet, for ranged and thrown weapons
+}
+
+export interface ArmorDefinition extends ItemBase {
+  kind: 'armor';
+  category: 'light' | 'medium' | 'heavy';
+  baseAc: number;
+  maxDexBonus: number | null; // null = full Dexterity modifier
+  strengthRequirement?: number;
+  stealthDisadvantage?: boolean;
+}
+
+export interface ShieldDefinition extends ItemBase {
+  kind: 'shield';
+  acBonus: number;
+}
+
+export interface ConsumableDefinition extends ItemBase {
+  kind: 'consumable';
+  healing?: string; // dice formula restored when used
+}
+
+export interface GearDefinition extends ItemBase {
+  kind: 'gear';
+}
+
+export type ItemDefinition =
+  | WeaponDefinition
+  | ArmorDefinition
+  | ShieldDefinition
+  | ConsumableDefinition
+  | GearDefinition;
+
+/**
+ * Built-in SRD equipment
+ */
+export const ITEMS: ItemDefinition[] = [
+  // ===== Simple melee weapons =====
+  { id: 'club', name: 'Club', aliases: ['棍棒'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d4', type: 'bludgeoning' }, properties: ['light'], weight: 2, cost: 0.1 },
+  { id: 'dagger', name: 'Dagger', aliases: ['匕首'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d4', type: 'piercing' }, properties: ['finesse', 'light', 'thrown'], range: { normal: 20, long: 60 }, weight: 1, cost: 2 },
+  { id: 'greatclub', name: 'Greatclub', aliases: ['巨棒'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d8', type: 'bludgeoning' }, properties: ['two-handed'], weight: 10, cost: 0.2 },
+  { id: 'handaxe', name: 'Handaxe', aliases: ['手斧'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d6', type: 'slashing' }, properties: ['light', 'thrown'], range: { normal: 20, long: 60 }, weight: 2, cost: 5 },
+  { id: 'javelin', name: 'Javelin', aliases: ['标枪'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d6', type: 'piercing' }, properties: ['thrown'], range: { normal: 30, long: 120 }, weight: 2, cost: 0.5 },
+  { id: 'light-hammer', name: 'Light Hammer', aliases: ['轻锤'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d4', type: 'bludgeoning' }, properties: ['light', 'thrown'], range: { normal: 20, long: 60 }, weight: 2, cost: 2 },
+  { id: 'mace', name: 'Mace', aliases: ['硬头锤', '钉锤'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d6', type: 'bludgeoning' }, properties: [], weight: 4, cost: 5 },
+  { id: 'quarterstaff', name: 'Quarterstaff', aliases: ['长棍', '木杖'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d6', type: 'bludgeoning' }, versatileDice: '1d8', properties: ['versatile'], weight: 4, cost: 0.2 },
+  { id: 'sickle', name: 'Sickle', aliases: ['镰刀'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d4', type: 'slashing' }, properties: ['light'], weight: 2, cost: 1 },
+  { id: 'spear', name: 'Spear', aliases: ['矛', '长矛'], kind: 'weapon', category: 'simple', ranged: false, damage: { dice: '1d6', type: 'piercing' }, versatileDice: '1d8', properties: ['thrown', 'versatile'], range: { normal: 20, long: 60 }, weight: 3, cost: 1 },
+
+  // ===== Simple ranged weapons =====
+  { id: 'light-crossbow', name: 'Light Crossbow', aliases: ['轻弩'], kind: 'weapon', category: 'simple', ranged: true, damage: { dice: '1d8', type: 'piercing' }, properties: ['ammunition', 'loading', 'two-handed'], range: { normal: 80, long: 320 }, weight: 5, cost: 25 },
+  { id: 'dart', name: 'Dart', aliases: ['飞镖'], kind: 'weapon', category: 'simple', ranged: true, damage: { dice: '1d4', type: 'piercing' }, properties: ['finesse', 'thrown'], range: { normal: 20, long: 60 }, weight: 0.25, cost: 0.05 },
+  { id: 'shortbow', name: 'Shortbow', aliases: ['短弓'], kind: 'weapon', category: 'simple', ranged: true, damage: { dice: '1d6', type: 'piercing' }, properties: ['ammunition', 'two-handed'], range: { normal: 80, long: 320 }, weight: 2, cost: 25 },
+  { id: 'sling', name: 'Sling', aliases: ['投石索'], kind: 'weapon', category: 'simple', ranged: true, damage: { dice: '1d4', type: 'bludgeoning' }, properties: ['ammunition'], range: { normal: 30, long: 120 }, weight: 0, cost: 0.1 },
+
+  // ===== Martial melee weapons =====
+  { id: 'battleaxe', name: 'Battleaxe', aliases: ['战斧'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d8', type: 'slashing' }, versatileDice: '1d10', properties: ['versatile'], weight: 4, cost: 10 },
+  { id: 'flail', name: 'Flail', aliases: ['连枷'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d8', type: 'bludgeoning' }, properties: [], weight: 2, cost: 10 },
+  { id: 'glaive', name: 'Glaive', aliases: ['长柄刀'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d10', type: 'slashing' }, properties: ['heavy', 'reach', 'two-handed'], weight: 6, cost: 20 },
+  { id: 'greataxe', name: 'Greataxe', aliases: ['巨斧'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d12', type: 'slashing' }, properties: ['heavy', 'two-handed'], weight: 7, cost: 30 },
+  { id: 'greatsword', name: 'Greatsword', aliases: ['巨剑'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '2d6', type: 'slashing' }, properties: ['heavy', 'two-handed'], weight: 6, cost: 50 },
+  { id: 'halberd', name: 'Halberd', aliases: ['戟'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d10', type: 'slashing' }, properties: ['heavy', 'reach', 'two-handed'], weight: 6, cost: 20 },
+  { id: 'longsword', name: 'Longsword', aliases: ['长剑'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d8', type: 'slashing' }, versatileDice: '1d10', properties: ['versatile'], weight: 3, cost: 15 },
+  { id: 'maul', name: 'Maul', aliases: ['巨锤'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '2d6', type: 'bludgeoning' }, properties: ['heavy', 'two-handed'], weight: 10, cost: 10 },
+  { id: 'morningstar', name: 'Morningstar', aliases: ['晨星锤'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d8', type: 'piercing' }, properties: [], weight: 4, cost: 15 },
+  { id: 'pike', name: 'Pike', aliases: ['长枪'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d10', type: 'piercing' }, properties: ['heavy', 'reach', 'two-handed'], weight: 18, cost: 5 },
+  { id: 'rapier', name: 'Rapier', aliases: ['细剑', '刺剑'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d8', type: 'piercing' }, properties: ['finesse'], weight: 2, cost: 25 },
+  { id: 'scimitar', name: 'Scimitar', aliases: ['弯刀'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d6', type: 'slashing' }, properties: ['finesse', 'light'], weight: 3, cost: 25 },
+  { id: 'shortsword', name: 'Shortsword', aliases: ['短剑'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d6', type: 'piercing' }, properties: ['finesse', 'light'], weight: 2, cost: 10 },
+  { id: 'trident', name: 'Trident', aliases: ['三叉戟'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d6', type: 'piercing' }, versatileDice: '1d8', properties: ['thrown', 'versatile'], range: { normal: 20, long: 60 }, weight: 4, cost: 5 },
+  { id: 'war-pick', name: 'War Pick', aliases: ['战镐'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d8', type: 'piercing' }, properties: [], weight: 2, cost: 5 },
+  { id: 'warhammer', name: 'Warhammer', aliases: ['战锤'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d8', type: 'bludgeoning' }, versatileDice: '1d10', properties: ['versatile'], weight: 2, cost: 15 },
+  { id: 'whip', name: 'Whip', aliases: ['鞭'], kind: 'weapon', category: 'martial', ranged: false, damage: { dice: '1d4', type: 'slashing' }, properties: ['finesse', 'reach'], weight: 3, cost: 2 },
+
+  // ===== Martial ranged weapons =====
+  { id: 'hand-crossbow', name: 'Hand Crossbow', aliases: ['手弩'], kind: 'weapon', category: 'martial', ranged: true, damage: { dice: '1d6', type: 'piercing' }, properties: ['ammunition', 'light', 'loading'], range: { normal: 30, long: 120 }, weight: 3, cost: 75 },
+  { id: 'heavy-crossbow', name: 'Heavy Crossbow', aliases: ['重弩'], kind: 'weapon', category: 'martial', ranged: true, damage: { dice: '1d10', type: 'piercing' }, properties: ['ammunition', 'heavy', 'loading', 'two-handed'], range: { normal: 100, long: 400 }, weight: 18, cost: 50 },
+  { id: 'longbow', name: 'Longbow', aliases: ['长弓'], kind: 'weapon', category: 'martial', ranged: true, damage: { dice: '1d8', type: 'piercing' }, properties: ['ammunition', 'heavy', 'two-handed'], range: { normal: 150, long: 600 }, weight: 2, cost: 50 },
+
+  // ===== Armor =====
+  { id: 'padded-armor', name: 'Padded Armor', aliases: ['棉甲'], kind: 'armor', category: 'light', baseAc: 11, maxDexBonus: null, stealthDisadvantage: true, weight: 8, cost: 5 },
+  { id: 'leather-armor', name: 'Leather Armor', aliases: ['皮甲'], kind: 'armor', category: 'light', baseAc: 11, maxDexBonus: null, weight: 10, cost: 10 },
+  { id: 'studded-leather-armor', name: 'Studded Leather Armor', aliases: ['镶钉皮甲'], kind: 'armor', category: 'light', baseAc: 12, maxDexBonus: null, weight: 13, cost: 45 },
+  { id: 'hide-armor', name: 'Hide Armor', aliases: ['兽皮甲'], kind: 'armor', category: 'medium', baseAc: 12, maxDexBonus: 2, weight: 12, cost: 10 },
+  { id: 'chain-shirt', name: 'Chain Shirt', aliases: ['链甲衫'], kind: 'armor', category: 'medium', baseAc: 13, maxDexBonus: 2, weight: 20, cost: 50 },
+  { id: 'scale-mail', name: 'Scale Mail', aliases: ['鳞甲'], kind: 'armor', category: 'medium', baseAc: 14, maxDexBonus: 2, stealthDisadvantage: true, weight: 45, cost: 50 },
+  { id: 'breastplate', name: 'Breastplate', aliases: ['胸甲'], kind: 'armor', category: 'medium', baseAc: 14, maxDexBonus: 2, weight: 20, cost: 400 },
+  { id: 'half-plate', name: 'Half Plate', aliases: ['半身板甲'], kind: 'armor', category: 'medium', baseAc: 15, maxDexBonus: 2, stealthDisadvantage: true, weight: 40, cost: 750 },
+  { id: 'ring-mail', name: 'Ring Mail', aliases: ['环甲'], kind: 'armor', category: 'heavy', baseAc: 14, maxDexBonus: 0, stealthDisadvantage: true, weight: 40, cost: 30 },
+  { id: 'chain-mail', name: 'Chain Mail', aliases: ['链甲'], kind: 'armor', category: 'heavy', baseAc: 16, maxDexBonus: 0, strengthRequirement: 13, stealthDisadvantage: true, weight: 55, cost: 75 },
+  { id: 'splint-armor', name: 'Splint Armor', aliases: ['板条甲'], kind: 'armor', category: 'heavy', baseAc: 17, maxDexBonus: 0, strengthRequirement: 15, stealthDisadvantage: true, weight: 60, cost: 200 },
+  { id: 'plate-armor', name: 'Plate Armor', aliases: ['板甲', '全身板甲'], kind: 'armor', category: 'heavy', baseAc: 18, maxDexBonus: 0, strengthRequirement: 15, stealthDisadvantage: true, weight: 65, cost: 1500 },
+  { id: 'shield', name: 'Shield', aliases: ['盾牌', '盾'], kind: 'shield', acBonus: 2, weight: 6, cost: 10 },
+
+  // ===== Consumables =====
+  { id: 'potion-of-healing', name: 'Potion of Healing', aliases: ['治疗药水'], kind: 'consumable', healing: '2d4+2', weight: 0.5, cost: 50 },
+  { id: 'potion-of-greater-healing', name: 'Potion of Greater Healing', aliases: ['高等治疗药水'], kind: 'consumable', healing: '4d4+4', weight: 0.5, cost: 150 },
+  { id: 'antitoxin', name: 'Antitoxin', aliases: ['抗毒剂'], kind: 'consumable', weight: 0, cost: 50, description: 'Advantage on saving throws against poison for 1 hour.' },
+  { id: 'rations', name: 'Rations (1 day)', aliases: ['口粮', '干粮'], kind: 'consumable', weight: 2, cost: 0.5 },
+  { id: 'torch', name: 'Torch', aliases: ['火把'], kind: 'consumable', weight: 1, cost: 0.01, description: 'Bright light in a 20-foot radius for 1 hour.' },
+  { id: 'arrows', name: 'Arrows', aliases: ['箭', '箭矢'], kind: 'consumable', weight: 0.05, cost: 0.05 },
+  { id: 'crossbow-bolts', name: 'Crossbow Bolts', aliases: ['弩矢'], kind: 'consumable', weight: 0.075, cost: 0.05 },
+
+  // ===== Adventuring gear =====
+  { id: 'backpack', name: 'Backpack', aliases: ['背包'], kind: 'gear', weight: 5, cost: 2 },
+  { id: 'bedroll', name: 'Bedroll', aliases: ['铺盖'], kind: 'gear', weight: 7, cost: 1 },
+  { id: 'rope-hempen', name: 'Hempen Rope (50 feet)', aliases: ['Rope', '绳索', '麻绳'], kind: 'gear', weight: 10, cost: 1 },
+  { id: 'waterskin', name: 'Waterskin', aliases: ['水袋'], kind: 'gear', weight: 5, cost: 0.2 },
+  { id: 'healers-kit', name: "Healer's Kit", aliases: ['医疗包'], kind: 'gear', weight: 3, cost: 5 },
+  { id: 'thieves-tools', name: "Thieves' Tools", aliases: ['盗贼工具'], kind: 'gear', weight: 1, cost: 25 },
+  { id: 'holy-symbol', name: 'Holy Symbol', aliases: ['圣徽'], kind: 'gear', weight: 1, cost: 5 },
+  { id: 'spellbook', name: 'Spellbook', aliases: ['法术书'], kind: 'gear', weight: 3, cost: 50 },
+];
+
+/**
+ * Normalize an item name ("Chain Mail", "chain_mail") to a catalog id
+ */
+export function normalizeItemId(name: string): string {
+  return name.trim().toLowerCase().replace(/[\s_']+/g, '-');
+}
+
+/**
+ * Look up an item by id, name or alias (case-insensitive)
+ */
+export function findItem(nameOrId: string): ItemDefinition | null {
+  const id = normalizeItemId(nameOrId);
+  const alias = nameOrId.trim().toLowerCase();
+  return ITEMS.find((item) => item.id === id || item.aliases?.some((a) => a.toLowerCase() === alias)) ?? null;
+}
+
+export function isWeapon(item: ItemDefinition | null | undefined): item is WeaponDefinition {
+  return item?.kind === 'weapon';
+}
+
+export function isArmor(item: ItemDefinition | null | undefined): item is ArmorDefinition {
+  return item?.kind === 'armor';
+}
+
+export function isShield(item: ItemDefinition | null | undefined): item is ShieldDefinition {
+  return item?.kind === 'shield';
+}
+
+/**
+ * Turn a catalog weapon into the engine's Weapon.
+ * Versatile weapons deal their two-handed damage when the off hand is free.
+ */
+export function toWeapon(definition: WeaponDefinition, offHandFree = false): Weapon {
+  const twoHanded = offHandFree && !!definition.versatileDice;
+  return {
+    id: definition.id,
+    name: definition.name,
+    damage: twoHanded ? definition.versatileDice! : definition.damage.dice,
+    damageType: definition.damage.type,
+    versatile: definition.versatileDice,
+    finesse: definition.properties.includes('finesse'),
+    ranged: definition.ranged,
+  };
+}
+
+export interface ArmorClassInput {
+  abilityModifiers: Partial<Record<Ability, number>>;
+  characterClass?: string;
+  armor?: ArmorDefinition | null;
+  shield?: ShieldDefinition | null;
+}
+
+/**
+ * Armor class from worn armor, shield and Dexterity.
+ * Without armor, Barbarians add Constitution and Monks (without a shield) add Wisdom.
+ */
+export function calculateArmorClass(input: ArmorClassInput): number {
+  const dex = input.abilityModifiers.dexterity ?? 0;
+  const shieldBonus = input.shield?.acBonus ?? 0;
+
+  if (input.armor) {
+    const dexBonus = input.armor.maxDexBonus === null ? dex : Math.min(dex, input.armor.maxDexBonus);
+    return input.armor.baseAc + dexBonus + shieldBonus;
+  }
+
+  const characterClass = input.characterClass?.toUpperCase();
+  let unarmored = UNARMORED_AC + dex;
+  if (characterClass === 'BARBARIAN') {
+    unarmored += input.abilityModifiers.constitution ?? 0;
+  } else if (characterClass === 'MONK' && !input.shield) {
+    unarmored += input.abilityModifiers.wisdom ?? 0;
+  }
+
+  return unarmored + shieldBonus;
+}
@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyLevelUp,
+  canLevelUp,
+  getLevelForExperience,
+  getNextLevelExperience,
+  getSpellSlots,
+  isAbilityScoreImprovementLevel,
+  planLevelUp,
+  type LevelUpSubject,
+} from './progression.js';
+
+function fighter(overrides: Partial<LevelUpSubject> = {}): LevelUpSubject {
+  return {
+    characterClass: 'fighter',
+    level: 1,
+    experience: 300,
+    abilityScores: { strength: 16, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 8 },
+    maxHp: 12,
+    currentHp: 9,
+    spellSlots: {},
+    currentSpellSlots: {},
+    features: ['Fighting Style', 'Second Wind'],
+    ...overrides,
+  };
+}
+
+describe('experience thresholds', () => {
+  it('maps experience to levels', () => {
+    expect(getLevelForExperience(0)).toBe(1);
+    expect(getLevelForExperience(299)).toBe(1);
+    expect(getLevelForExperience(300)).toBe(2);
+    expect(getLevelForExperience(1_000_000)).toBe(20);
+  });
+
+  it('has no next threshold at level 20', () => {
+    expect(getNextLevelExperience(1)).toBe(300);
+    expect(getNextLevelExperience(20)).toBeNull();
+  });
+
+  it('allows a level up only once the threshold is reached', () => {
+    expect(canLevelUp({ level: 1, experience: 299 })).toBe(false);
+    expect(canLevelUp({ level: 1, experience: 300 })).toBe(true);
+    expect(canLevelUp({ level: 20, experience: 1_000_000 })).toBe(false);
+  });
+});
+
+describe('class tables', () => {
+  it('gives fighters extra Ability Score Improvements', () => {
+    expect(isAbilityScoreImprovementLevel('FIGHTER', 6)).toBe(true);
+    expect(isAbilityScoreImprovementLevel('WIZARD', 6)).toBe(false);
+    expect(isAbilityScoreImprovementLevel('WIZARD', 4)).toBe(true);
+  });
+
+  it('builds spell slots for full, half and pact casters', () => {
+    expect(getSpellSlots('wizard', 3)).toEqual({ 1: 4, 2: 2 });
+    expect(getSpellSlots('paladin', 1)).toEqual({});
+    expect(getSpellSlots('paladin', 5)).toEqual({ 1: 4, 2: 2 });
+    expect(getSpellSlots('warlock', 5)).toEqual({ 3: 2 });
+    expect(getSpellSlots('fighter', 5)).toEqual({});
+  });
+});
+
+describe('planLevelUp', () => {
+  it('describes the next level', () => {
+    const plan = planLevelUp(fighter());
+
+    expect(plan).toMatchObject({
+      level: 1,
+      newLevel: 2,
+      hitDie: 10,
+      averageHitPoints: 6,
+      constitutionModifier: 2,
+      features: ['Action Surge (one use)'],
+      abilityScoreImprovement: false,
+    });
+  });
+
+  it('refuses a level up without enough experience', () => {
+    expect(() => planLevelUp(fighter({ experience: 100 }))).toThrow('Needs 300 XP');
+  });
+});
+
+describe('applyLevelUp', () => {
+  it('adds average hit points plus the Constitution modifier', () => {
+    const { hitPointsGained, changes } = applyLevelUp(fighter(), { hitPoints: 'average' });
+
+    expect(hitPointsGained).toBe(8);
+    expect(changes).toMatchObject({ level: 2, maxHp: 20, currentHp: 17 });
+    expect(changes.features).toEqual(['Fighting Style', 'Second Wind', 'Action Surge (one use)']);
+  });
+
+  it('uses a rolled hit die, never gaining less than 1', () => {
+    const frail = fighter({ abilityScores: { ...fighter().abilityScores, constitution: 6 } });
+
+    expect(applyLevelUp(fighter(), { hitPoints: 'roll', hitPointRoll: 3 }).hitPointsGained).toBe(5);
+    expect(applyLevelUp(frail, { hitPoints: 'roll', hitPointRoll: 1 }).hitPointsGained).toBe(1);
+    expect(() => applyLevelUp(fighter(), { hitPoints: 'roll', hitPointRoll: 11 })).toThrow('between 1 and 10');
+  });
+
+  it('applies an Ability Score Improvement and raises HP retroactively for Constitution', () => {
+    const character = fighter({ level: 3, experience: 2700, maxHp: 28, currentHp: 28 });
+    const { hitPointsGained, changes } = applyLevelUp(character, {
+      hitPoints: 'average',
+      abilityIncreases: { constitution: 2 },
+    });
+
+    expect(changes.abilityScores!.constitution).toBe(16);
+    expect(hitPointsGained).toBe(6 + 2 + 4);
+  });
+
+  it('rejects ability increases outside an Ability Score Improvement level or over budget', () => {
+    expect(() => applyLevelUp(fighter(), { hitPoints: 'average', abilityIncreases: { strength: 2 } })).toThrow(
+      'No Ability Score Improvement at level 2'
+    );
+
+    const character = fighter({ level: 3, experience: 2700 });
+    expect(() => applyLevelUp(character, { hitPoints: 'average', abilityIncreases: { strength: 1 } })).toThrow(
+      'exactly 2 points'
+    );
+    expect(() =>
+      applyLevelUp(
+        fighter({ level: 3, experience: 2700, abilityScores: { ...fighter().abilityScores, strength: 19 } }),
+        { hitPoints: 'average', abilityIncreases: { strength: 2 } }
+      )
+    ).toThrow('cannot go above 20');
+  });
+
+  it('makes new spell slots available right away', () => {
+    const wizard = fighter({
+      characterClass: 'wizard',
+      level: 2,
+      experience: 900,
+      spellSlots: { 1: 3 },
+      currentSpellSlots: { 1: 1 },
+    });
+
+    expect(applyLevelUp(wizard, { hitPoints: 'average' }).changes).toMatchObject({
+      spellSlots: { 1: 4, 2: 2 },
+      currentSpellSlots: { 1: 2, 2: 2 },
+    });
+  });
+});
@@ -0,0 +1,478 @@
+// Domain layer: D&D 5e experience and level progression
+// Pure functions - no dependencies
+
+import type { AbilityScores, CharacterData } from '@/domain/character/types.js';
+import type { Ability } from '../types.js';
+import { getAbilityModifier, getProficiencyBonus } from './abilities.js';
+import { getClassHitDie } from './rules.js';
+
+export const MAX_LEVEL = 20;
+
+/**
+ * Highest score an Ability Score Improvement can raise an ability to
+ */
+export const MAX_ABILITY_SCORE = 20;
+
+/**
+ * Points granted by an Ability Score Improvement
+ */
+export const ABILITY_SCORE_IMPROVEMENT_POINTS = 2;
+
+/**
+ * Experience points needed to reach each level (index 0 = level 1)
+ */
+export const XP_THRESHOLDS = [
+  0, 300, 900, 2700, 6500, 14000, 23000, 34000, 48000, 64000,
+  85000, 100000, 120000, 140000, 165000, 195000, 225000, 265000, 305000, 355000,
+];
+
+/**
+ * Levels at which every class gains an Ability Score Improvement
+ */
+const ASI_LEVELS = [4, 8, 12, 16, 19];
+
+/**
+ * Extra Ability Score Improvements some classes get
+ */
+const CLASS_EXTRA_ASI_LEVELS: Record<string, number[]> = {
+  FIGHTER: [6, 14],
+  ROGUE: [10],
+};
+
+/**
+ * Class features gained at each level (SRD).
+ * Ability Score Improvements are tracked separately; subclass features are named generically.
+ */
+export const CLASS_FEATURES: Record<string, Record<number, string[]>> = {
+  BARBARIAN: {
+    1: ['Rage', 'Unarmored Defense'],
+    2: ['Reckless Attack', 'Danger Sense'],
+    3: ['Primal Path'],
+    5: ['Extra Attack', 'Fast Movement'],
+    6: ['Primal Path feature'],
+    7: ['Feral Instinct'],
+    9: ['Brutal Critical (1 die)'],
+    10: ['Primal Path feature'],
+    11: ['Relentless Rage'],
+    13: ['Brutal Critical (2 dice)'],
+    14: ['Primal Path feature'],
+    15: ['Persistent Rage'],
+    17: ['Brutal Critical (3 dice)'],
+    18: ['Indomitable Might'],
+    20: ['Primal Champion'],
+  },
+  BARD: {
+    1: ['Spellcasting', 'Bardic Inspiration (d6)'],
+    2: ['Jack of All Trades', 'Song of Rest (d6)'],
+    3: ['Bard College', 'Expertise'],
+    5: ['Bardic Inspiration (d8)', 'Font of Inspiration'],
+    6: ['Countercharm', 'Bard College feature'],
+    9: ['Song of Rest (d8)'],
+    10: ['Bardic Inspiration (d10)', 'Expertise', 'Magical Secrets'],
+    13: ['Song of Rest (d10)'],
+    14: ['Magical Secrets', 'Bard College feature'],
+    15: ['Bardic Inspiration (d12)'],
+    17: ['Song of Rest (d12)'],
+    18: ['Magical Secrets'],
+    20: ['Superior Inspiration'],
+  },
+  CLERIC: {
+    1: ['Spellcasting', 'Divine Domain'],
+    2: ['Channel Divinity (1/rest)', 'Divine Domain feature'],
+    5: ['Destroy Undead (CR 1/2)'],
+    6: ['Channel Divinity (2/rest)', 'Divine Domain feature'],
+    8: ['Destroy Undead (CR 1)', 'Divine Domain feature'],
+    10: ['Divine Intervention'],
+    11: ['Destroy Undead (CR 2)'],
+    14: ['Destroy Undead (CR 3)'],
+    17: ['Destroy Undead (CR 4)', 'Divine Domain feature'],
+    18: ['Channel Divinity (3/rest)'],
+    20: ['Divine Intervention improvement'],
+  },
+  DRUID: {
+    1: ['Druidic', 'Spellcasting'],
+    2: ['Wild Shape', 'Druid Circle'],
+    4: ['Wild Shape improvement'],
+    6: ['Druid Circle feature'],
+    8: ['Wild Shape improvement'],
+    10: ['Druid Circle feature'],
+    14: ['Druid Circle feature'],
+    18: ['Timeless Body', 'Beast Spells'],
+    20: ['Archdruid'],
+  },
+  FIGHTER: {
+    1: ['Fighting Style', 'Second Wind'],
+    2: ['Action Surge (one use)'],
+    3: ['Martial Archetype'],
+    5: ['Extra Attack'],
+    7: ['Martial Archetype feature'],
+    9: ['Indomitable (one use)'],
+    10: ['Martial Archetype feature'],
+    11: ['Extra Attack (2)'],
+    13: ['Indomitable (two uses)'],
+    15: ['Martial Archetype feature'],
+    17: ['Action Surge (two uses)', 'Indomitable (three uses)'],
+    18: ['Martial Archetype feature'],
+    20: ['Extra Attack (3)'],
+  },
+  MONK: {
+    1: ['Unarmored Defense', 'Martial Arts'],
+    2: ['Ki', 'Unarmored Movement'],
+    3: ['Monastic Tradition', 'Deflect Missiles'],
+    4: ['Slow Fall'],
+    5: ['Extra Attack', 'Stunning Strike'],
+    6: ['Ki-Empowered Strikes', 'Monastic Tradition feature'],
+    7: ['Evasion', 'Stillness of Mind'],
+    9: ['Unarmored Movement improvement'],
+    10: ['Purity of Body'],
+    11: ['Monastic Tradition feature'],
+    13: ['Tongue of the Sun and Moon'],
+    14: ['Diamond Soul'],
+    15: ['Timeless Body'],
+    17: ['Monastic Tradition feature'],
+    18: ['Empty Body'],
+    20: ['Perfect Self'],
+  },
+  PALADIN: {
+    1: ['Divine Sense', 'Lay on Hands'],
+    2: ['Fighting Style', 'Spellcasting', 'Divine Smite'],
+    3: ['Divine Health', 'Sacred Oath'],
+    5: ['Extra Attack'],
+    6: ['Aura of Protection'],
+    7: ['Sacred Oath feature'],
+    10: ['Aura of Courage'],
+    11: ['Improved Divine Smite'],
+    14: ['Cleansing Touch'],
+    15: ['Sacred Oath feature'],
+    18: ['Aura improvements'],
+    20: ['Sacred Oath feature'],
+  },
+  RANGER: {
+    1: ['Favored Enemy', 'Natural Explorer'],
+    2: ['Fighting Style', 'Spellcasting'],
+    3: ['Ranger Archetype', 'Primeval Awareness'],
+    5: ['Extra Attack'],
+    6: ['Favored Enemy and Natural Explorer improvements'],
+    7: ['Ranger Archetype feature'],
+    8: ["Land's Stride"],
+    10: ['Natural Explorer improvement', 'Hide in Plain Sight'],
+    11: ['Ranger Archetype feature'],
+    14: ['Favored Enemy improvement', 'Vanish'],
+    15: ['Ranger Archetype feature'],
+    18: ['Feral Senses'],
+    20: ['Foe Slayer'],
+  },
+  ROGUE: {
+    1: ['Expertise', 'Sneak Attack (1d6)', "Thieves' Cant"],
+    2: ['Cunning Action'],
+    3: ['Roguish Archetype', 'Sneak Attack (2d6)'],
+    5: ['Uncanny Dodge', 'Sneak Attack (3d6)'],
+    6: ['Expertise'],
+    7: ['Evasion', 'Sneak Attack (4d6)'],
+    9: ['Roguish Archetype feature', 'Sneak Attack (5d6)'],
+    11: ['Reliable Talent', 'Sneak Attack (6d6)'],
+    13: ['Roguish Archetype feature', 'Sneak Attack (7d6)'],
+    14: ['Blindsense'],
+    15: ['Slippery Mind', 'Sneak Attack (8d6)'],
+    17: ['Roguish Archetype feature', 'Sneak Attack (9d6)'],
+    18: ['Elusive'],
+    19: ['Sneak Attack (10d6)'],
+    20: ['Stroke of Luck'],
+  },
+  SORCERER: {
+    1: ['Spellcasting', 'Sorcerous Origin'],
+    2: ['Font of Magic'],
+    3: ['Metamagic'],
+    6: ['Sorcerous Origin feature'],
+    10: ['Metamagic'],
+    14: ['Sorcerous Origin feature'],
+    17: ['Metamagic'],
+    18: ['Sorcerous Origin feature'],
+    20: ['Sorcerous Restoration'],
+  },
+  WARLOCK: {
+    1: ['Otherworldly Patron', 'Pact Magic'],
+    2: ['Eldritch Invocations'],
+    3: ['Pact Boon'],
+    6: ['Otherworldly Patron feature'],
+    10: ['Otherworldly Patron feature'],
+    11: ['Mystic Arcanum (6th level)'],
+    13: ['Mystic Arcanum (7th level)'],
+    14: ['Otherworldly Patron feature'],
+    15: ['Mystic Arcanum (8th level)'],
+    17: ['Mystic Arcanum (9th level)'],
+    20: ['Eldritch Master'],
+  },
+  WIZARD: {
+    1: ['Spellcasting', 'Arcane Recovery'],
+    2: ['Arcane Tradition'],
+    6: ['Arcane Tradition feature'],
+    10: ['Arcane Tradition feature'],
+    14: ['Arcane Tradition feature'],
+    18: ['Spell Mastery'],
+    20: ['Signature Spells'],
+  },
+};
+
+/**
+ * Spell slots of a full caster by class level (index 0 = level 1), slot levels 1-9
+ */
+const FULL_CASTER_SLOTS: number[][] = [
+  [2],
+  [3],
+  [4, 2],
+  [4, 3],
+  [4, 3, 2],
+  [4, 3, 3],
+  [4, 3, 3, 1],
+  [4, 3, 3, 2],
+  [4, 3, 3, 3, 1],
+  [4, 3, 3, 3, 2],
+  [4, 3, 3, 3, 2, 1],
+  [4, 3, 3, 3, 2, 1],
+  [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 3, 2, 2, 1, 1],
+];
+
+const FULL_CASTERS = ['BARD', 'CLERIC', 'DRUID', 'SORCERER', 'WIZARD'];
+const HALF_CASTERS = ['PALADIN', 'RANGER'];
+
+/**
+ * Character fields read when leveling up
+ */
+export type LevelUpSubject = Pick<
+  CharacterData,
+  'characterClass' | 'level' | 'abilityScores' | 'maxHp' | 'currentHp' | 'spellSlots' | 'currentSpellSlots'
+> & { experience?: number; features?: string[] };
+
+export interface LevelUpChoices {
+  hitPoints: 'average' | 'roll';
+  hitPointRoll?: number; // the hit die result when rolling
+  abilityIncreases?: Partial<Record<Ability, number>>;
+}
+
+/**
+ * What the next level brings, before any choices are made
+ */
+export interface LevelUpPlan {
+  level: number;
+  newLevel: number;
+  hitDie: number;
+  averageHitPoints: number; // without the Constitution modifier
+  constitutionModifier: number;
+  features: string[];
+  abilityScoreImprovement: boolean;
+  proficiencyBonus: { before: number; after: number };
+  spellSlots: { before: Record<string, number>; after: Record<string, number> };
+}
+
+export interface LevelUpResult {
+  plan: LevelUpPlan;
+  hitPointsGained: number;
+  changes: Partial<CharacterData>;
+}
+
+/**
+ * Experience points needed to reach a level
+ */
+export function getExperienceForLevel(level: number): number {
+  const clamped = Math.min(Math.max(Math.floor(level), 1), MAX_LEVEL);
+  return XP_THRESHOLDS[clamped - 1];
+}
+
+/**
+ * Highest level the experience points qualify for
+ */
+export function getLevelForExperience(experience: number): number {
+  let level = 1;
+  while (level < MAX_LEVEL && experience >= XP_THRESHOLDS[level]) level++;
+  return level;
+}
+
+/**
+ * Experience points needed for the next level (null at level 20)
+ */
+export function getNextLevelExperience(level: number): number | null {
+  return level >= MAX_LEVEL ? null : getExperienceForLevel(level + 1);
+}
+
+/**
+ * A character can level up once their XP reaches the next threshold
+ */
+export function canLevelUp(character: Pick<LevelUpSubject, 'level' | 'experience'>): boolean {
+  return character.level < MAX_LEVEL && (character.experience ?? 0) >= getExperienceForLevel(character.level + 1);
+}
+
+/**
+ * Whether the class gains an Ability Score Improvement at the level
+ */
+export function isAbilityScoreImprovementLevel(characterClass: string, level: number): boolean {
+  const extra = CLASS_EXTRA_ASI_LEVELS[characterClass?.toUpperCase()] ?? [];
+  return ASI_LEVELS.includes(level) || extra.includes(level);
+}
+
+/**
+ * Class features gained at exactly this level
+ */
+export function getClassFeatures(characterClass: string, level: number): string[] {
+  return [...(CLASS_FEATURES[characterClass?.toUpperCase()]?.[level] ?? [])];
+}
+
+/**
+ * All class features from level 1 up to the level
+ */
+export function getClassFeaturesUpTo(characterClass: string, level: number): string[] {
+  const features: string[] = [];
+  for (let l = 1; l <= level; l++) features.push(...getClassFeatures(characterClass, l));
+  return features;
+}
+
+/**
+ * Spell slots by slot level ("1" .. "9") for a class level.
+ * Half casters use the full caster table at half their level (rounded up) from level 2;
+ * Warlocks have Pact Magic slots all of one level.
+ */
+export function getSpellSlots(characterClass: string, level: number): Record<string, number> {
+  const normalized = characterClass?.toUpperCase();
+  const clamped = Math.min(Math.max(Math.floor(level), 1), MAX_LEVEL);
+
+  if (normalized === 'WARLOCK') {
+    const count = clamped >= 17 ? 4 : clamped >= 11 ? 3 : clamped >= 2 ? 2 : 1;
+    const slotLevel = Math.min(5, Math.ceil(clamped / 2));
+    return { [slotLevel]: count };
+  }
+
+  let row: number[] = [];
+  if (FULL_CASTERS.includes(normalized)) {
+    row = FULL_CASTER_SLOTS[clamped - 1];
+  } else if (HALF_CASTERS.includes(normalized) && clamped >= 2) {
+    row = FULL_CASTER_SLOTS[Math.ceil(clamped / 2) - 1];
+  }
+
+  return Object.fromEntries(row.map((count, index) => [String(index + 1), count]));
+}
+
+/**
+ * Fixed hit point increase per level: half the hit die plus one
+ */
+export function getAverageHitPoints(hitDie: number): number {
+  return hitDie / 2 + 1;
+}
+
+/**
+ * Describe the next level without applying it
+ */
+export function planLevelUp(character: LevelUpSubject): LevelUpPlan {
+  if (character.level >= MAX_LEVEL) {
+    throw new Error(`Already at level ${MAX_LEVEL}`);
+  }
+  if (!canLevelUp(character)) {
+    throw new Error(
+      `Needs ${getExperienceForLevel(character.level + 1)} XP to reach level ${character.level + 1} (has ${character.experience ?? 0})`
+    );
+  }
+
+  const newLevel = character.level + 1;
+  const hitDie = getClassHitDie(character.characterClass);
+  return {
+    level: character.level,
+    newLevel,
+    hitDie,
+    averageHitPoints: getAverageHitPoints(hitDie),
+    constitutionModifier: getAbilityModifier(character.abilityScores.constitution),
+    features: getClassFeatures(character.characterClass, newLevel),
+    abilityScoreImprovement: isAbilityScoreImprovementLevel(character.characterClass, newLevel),
+    proficiencyBonus: { before: getProficiencyBonus(character.level), after: getProficiencyBonus(newLevel) },
+    spellSlots: {
+      before: { ...(character.spellSlots ?? {}) },
+      after: getSpellSlots(character.characterClass, newLevel),
+    },
+  };
+}
+
+/**
+ * Check and apply an Ability Score Improvement: exactly two points, at most 20 per score
+ */
+function applyAbilityIncreases(
+  scores: AbilityScores,
+  increases: Partial<Record<Ability, number>>
+): AbilityScores {
+  const entries = Object.entries(increases).filter(([, points]) => points) as Array<[Ability, number]>;
+  const total = entries.reduce((sum, [, points]) => sum + points, 0);
+  if (total !== ABILITY_SCORE_IMPROVEMENT_POINTS) {
+    throw new Error(`Ability Score Improvement must spend exactly ${ABILITY_SCORE_IMPROVEMENT_POINTS} points`);
+  }
+
+  const next = { ...scores };
+  for (const [ability, points] of entries) {
+    if (!(ability in next)) {
+      throw new Error(`Unknown ability: ${ability}`);
+    }
+    if (!Number.isInteger(points) || points < 1) {
+      throw new Error('Ability increases must be positive whole numbers');
+    }
+    if (next[ability] + points > MAX_ABILITY_SCORE) {
+      throw new Error(`${ability} cannot go above ${MAX_ABILITY_SCORE}`);
+    }
+    next[ability] += points;
+  }
+  return next;
+}
+
+/**
+ * Apply one level: hit points (rolled or average, plus CON, minimum 1), new features,
+ * the class's spell slots and an Ability Score Improvement where the class gets one.
+ * A higher Constitution modifier raises max HP retroactively by 1 per level.
+ * New spell slots are available right away.
+ */
+export function applyLevelUp(character: LevelUpSubject, choices: LevelUpChoices): LevelUpResult {
+  const plan = planLevelUp(character);
+
+  let base = plan.averageHitPoints;
+  if (choices.hitPoints === 'roll') {
+    const roll = choices.hitPointRoll;
+    if (roll === undefined || !Number.isInteger(roll) || roll < 1 || roll > plan.hitDie) {
+      throw new Error(`Hit point roll must be between 1 and ${plan.hitDie}`);
+    }
+    base = roll;
+  }
+
+  let abilityScores = character.abilityScores;
+  if (plan.abilityScoreImprovement) {
+    abilityScores = applyAbilityIncreases(character.abilityScores, choices.abilityIncreases ?? {});
+  } else if (Object.values(choices.abilityIncreases ?? {}).some(Boolean)) {
+    throw new Error(`No Ability Score Improvement at level ${plan.newLevel}`);
+  }
+
+  const constitutionGain = getAbilityModifier(abilityScores.constitution) - plan.constitutionModifier;
+  const hitPointsGained = Math.max(1, base + plan.constitutionModifier) + constitutionGain * plan.newLevel;
+
+  const currentSpellSlots = { ...(character.currentSpellSlots ?? {}) };
+  for (const [slotLevel, count] of Object.entries(plan.spellSlots.after)) {
+    const gained = count - (plan.spellSlots.before[slotLevel] ?? 0);
+    currentSpellSlots[slotLevel] = Math.max(0, Math.min(count, (currentSpellSlots[slotLevel] ?? 0) + gained));
+  }
+  for (const slotLevel of Object.keys(currentSpellSlots)) {
+    if (!(slotLevel in plan.spellSlots.after)) delete currentSpellSlots[slotLevel];
+  }
+
+  return {
+    plan,
+    hitPointsGained,
+    changes: {
+      level: plan.newLevel,
+      maxHp: character.maxHp + hitPointsGained,
+      currentHp: character.currentHp + hitPointsGained,
+      abilityScores,
+      features: [...(character.features ?? []), ...plan.features],
+      spellSlots: plan.spellSlots.after,
+      currentSpellSlots,
+    },
+  };
+}
@@ -8,6 +8,11 @@ import type { Ability, DamageType } from '../types.js';
  */
 export const UNARMORED_AC = 10;
 
+/**
+ * Walking speed (feet) when a character or creature doesn't list one
+ */
+export const DEFAULT_SPEED = 30;
+
 /**
  * Critical hit multiplier
  */
@@ -23,6 +28,75 @@ export const DEATH_SAVE_SUCCESS_THRESHOLD = 3;
  */
 export const DEATH_SAVE_FAILURE_THRESHOLD = 3;
 
+/**
+ * Death saving throw DC (flat d20, no modifiers)
+ */
+export const DEATH_SAVE_DC = 10;
+
+/**
+ * DC of the Wisdom (Medicine) check to stabilize a dying creature
+ */
+export const STABILIZE_DC = 10;
+
+/**
+ * Minimum DC of the Constitution save to keep concentration after taking damage
+ */
+export const CONCENTRATION_MIN_DC = 10;
+
+/**
+ * Exhaustion level at which a creature dies
+ */
+export const MAX_EXHAUSTION_LEVEL = 6;
+
+/**
+ * Experience points awarded per challenge rating
+ */
+export const CHALLENGE_RATING_XP: Record<string, number> = {
+  '0': 10,
+  '0.125': 25,
+  '0.25': 50,
+  '0.5': 100,
+  '1': 200,
+  '2': 450,
+  '3': 700,
+  '4': 1100,
+  '5': 1800,
+  '6': 2300,
+  '7': 2900,
+  '8': 3900,
+  '9': 5000,
+  '10': 5900,
+  '11': 7200,
+  '12': 8400,
+  '13': 10000,
+  '14': 11500,
+  '15': 13000,
+  '16': 15000,
+  '17': 18000,
+  '18': 20000,
+  '19': 22000,
+  '20': 25000,
+};
+
+/**
+ * All damage types
+ */
+export const DAMAGE_TYPES: DamageType[] = [
+  'acid',
+  'bludgeoning',
+  'cold',
+  'fire',
+  'force',
+  'lightning',
+  'necrotic',
+  'piercing',
+  'poison',
+  'psychic',
+  'radiant',
+  'slashing',
+  'thunder',
+];
+
 /**
  * Damage type resistances by race
  */
@@ -33,8 +107,39 @@ export const RACIAL_RESISTANCES: Record<string, DamageType[]> = {
   halfling: [],
   'half-elf': [],
   'half-orc': [],
+  tiefling: ['fire'],
 };
 
+/**
+ * Damage resistances granted by conditions
+ */
+export const CONDITION_RESISTANCES: Record<string, DamageType[]> = {
+  petrified: DAMAGE_TYPES,
+};
+
+/**
+ * Damage immunities granted by conditions
+ */
+export const CONDITION_IMMUNITIES: Record<string, DamageType[]> = {
+  petrified: ['poison'],
+};
+
+/**
+ * Damage typing of a target, gathered from race, conditions, buffs or stat block
+ */
+export interface DamageTraits {
+  resistances: DamageType[];
+  immunities: DamageType[];
+  vulnerabilities: DamageType[];
+}
+
+export interface DamageAdjustment {
+  finalDamage: number;
+  resisted: boolean;
+  immune: boolean;
+  vulnerable: boolean;
+}
+
 /**
  * Class-specific saving throw proficiencies
  */
@@ -53,6 +158,43 @@ export const CLASS_SAVING_THROWS: Record<string, Ability[]> = {
   WIZARD: ['intelligence', 'wisdom'],
 };
 
+/**
+ * Hit die size by class
+ */
+export const CLASS_HIT_DICE: Record<string, number> = {
+  BARBARIAN: 12,
+  BARD: 8,
+  CLERIC: 8,
+  DRUID: 8,
+  FIGHTER: 10,
+  MONK: 8,
+  PALADIN: 10,
+  RANGER: 10,
+  ROGUE: 8,
+  SORCERER: 6,
+  WARLOCK: 8,
+  WIZARD: 6,
+};
+
+/**
+ * Spellcasting ability by class
+ */
+export const CLASS_SPELLCASTING_ABILITY: Record<string, Ability> = {
+  BARD: 'charisma',
+  CLERIC: 'wisdom',
+  DRUID: 'wisdom',
+  PALADIN: 'charisma',
+  RANGER: 'wisdom',
+  SORCERER: 'charisma',
+  WARLOCK: 'charisma',
+  WIZARD: 'intelligence',
+};
+
+/**
+ * Classes whose spell slots (Pact Magic) come back on a short rest
+ */
+export const SHORT_REST_SLOT_CLASSES = ['WARLOCK'];
+
 /**
  * Armor proficiency by class
  */
@@ -79,6 +221,88 @@ export function getClassSavingThrows(characterClass: string): Ability[] {
   return CLASS_SAVING_THROWS[normalized] || [];
 }
 
+/**
+ * Get the hit die size for a class (d8 for unknown classes)
+ */
+export function getClassHitDie(characterClass: string): number {
+  return CLASS_HIT_DICE[characterClass?.toUpperCase()] ?? 8;
+}
+
+/**
+ * Get the spellcasting ability for a class (null for non-casters)
+ */
+export function getSpellcastingAbility(characterClass: string): Ability | null {
+  return CLASS_SPELLCASTING_ABILITY[characterClass?.toUpperCase()] ?? null;
+}
+
+/**
+ * Cantrip damage dice multiplier by character level (x2 at 5, x3 at 11, x4 at 17)
+ */
+export function getCantripDiceMultiplier(level: number): number {
+  if (level >= 17) return 4;
+  if (level >= 11) return 3;
+  if (level >= 5) return 2;
+  return 1;
+}
+
+/**
+ * DC of the Constitution save to maintain concentration: half the damage, minimum 10
+ */
+export function getConcentrationDc(damage: number): number {
+  return Math.max(CONCENTRATION_MIN_DC, Math.floor(damage / 2));
+}
+
+/**
+ * A group check succeeds when at least half the group succeeds
+ */
+export function isGroupCheckSuccess(successCount: number, memberCount: number): boolean {
+  return memberCount > 0 && successCount * 2 >= memberCount;
+}
+
+/**
+ * Get the XP value of a challenge rating (0 for unknown ratings)
+ */
+export function getChallengeRatingXp(challengeRating: number): number {
+  return CHALLENGE_RATING_XP[String(challengeRating)] ?? 0;
+}
+
+/**
+ * Proficiency bonus for a creature of the given challenge rating
+ */
+export function getCreatureProficiencyBonus(challengeRating: number): number {
+  return Math.max(2, Math.floor((Math.max(challengeRating, 1) - 1) / 4) + 2);
+}
+
+/**
+ * Apply immunity (zero), resistance (halve, round down) and vulnerability (double).
+ * Resistance is applied before vulnerability, as in the PHB.
+ */
+export function adjustDamage(
+  damage: number,
+  damageType: DamageType,
+  traits: DamageTraits
+): DamageAdjustment {
+  if (traits.immunities.includes(damageType)) {
+    return { finalDamage: 0, resisted: false, immune: true, vulnerable: false };
+  }
+
+  const resisted = traits.resistances.includes(damageType);
+  const vulnerable = traits.vulnerabilities.includes(damageType);
+
+  let finalDamage = damage;
+  if (resisted) finalDamage = Math.floor(finalDamage / 2);
+  if (vulnerable) finalDamage *= 2;
+
+  return { finalDamage, resisted, immune: false, vulnerable };
+}
+
+/**
+ * Bards gain Jack of All Trades at level 2
+ */
+export function hasJackOfAllTrades(characterClass: string, level: number): boolean {
+  return characterClass?.toUpperCase() === 'BARD' && level >= 2;
+}
+
 /**
  * Check if a race has resistance to a damage type
  */
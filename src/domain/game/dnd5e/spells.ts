@@ -0,0 +1,355 @@
+// Domain layer: D&D 5e spell catalog
+// Pure constants - no dependencies
+
+import type { Ability, DamageType } from '../types.js';
+
+export type SpellSchool =
+  | 'abjuration'
+  | 'conjuration'
+  | 'divination'
+  | 'enchantment'
+  | 'evocation'
+  | 'illusion'
+  | 'necromancy'
+  | 'transmutation';
+
+export interface SpellComponents {
+  verbal: boolean;
+  somatic: boolean;
+  material?: string; // description of the material component, if any
+}
+
+/**
+ * A spell definition
+ * Spells with neither attack nor save hit automatically (e.g. Magic Missile)
+ */
+export interface SpellDefinition {
+  id: string;
+  name: string;
+  level: number; // 0 = cantrip
+  school: SpellSchool;
+  castingTime: string;
+  range: string;
+  components: SpellComponents;
+  duration: string;
+  concentration: boolean;
+  attack?: 'melee' | 'ranged';
+  save?: {
+    ability: Ability;
+    onSuccess: 'half' | 'none';
+  };
+  damage?: {
+    dice: string; // dice formula like "8d6"
+    type: DamageType;
+    higherLevelDice?: string; // added per slot level above the spell's level
+  };
+  healing?: {
+    dice: string; // spellcasting ability modifier is added
+    higherLevelDice?: string;
+  };
+  condition?: string; // applied on a hit or failed save
+  maxTargets?: number; // undefined = any number (area spells)
+  description: string;
+}
+
+/**
+ * Built-in SRD spells available to the narrator
+ */
+export const SPELLS: SpellDefinition[] = [
+  // ===== Cantrips =====
+  {
+    id: 'fire-bolt',
+    name: 'Fire Bolt',
+    level: 0,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: '120 feet',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    attack: 'ranged',
+    damage: { dice: '1d10', type: 'fire' },
+    maxTargets: 1,
+    description: 'A mote of fire hurled at a creature or object.',
+  },
+  {
+    id: 'ray-of-frost',
+    name: 'Ray of Frost',
+    level: 0,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: '60 feet',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    attack: 'ranged',
+    damage: { dice: '1d8', type: 'cold' },
+    maxTargets: 1,
+    description: "A frigid beam that reduces the target's speed by 10 feet on a hit.",
+  },
+  {
+    id: 'eldritch-blast',
+    name: 'Eldritch Blast',
+    level: 0,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: '120 feet',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    attack: 'ranged',
+    damage: { dice: '1d10', type: 'force' },
+    maxTargets: 1,
+    description: 'A beam of crackling energy.',
+  },
+  {
+    id: 'shocking-grasp',
+    name: 'Shocking Grasp',
+    level: 0,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: 'Touch',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    attack: 'melee',
+    damage: { dice: '1d8', type: 'lightning' },
+    maxTargets: 1,
+    description: "Lightning springs from the caster's hand; the target can't take reactions.",
+  },
+  {
+    id: 'sacred-flame',
+    name: 'Sacred Flame',
+    level: 0,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: '60 feet',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    save: { ability: 'dexterity', onSuccess: 'none' },
+    damage: { dice: '1d8', type: 'radiant' },
+    maxTargets: 1,
+    description: 'Flame-like radiance descends on a creature; cover grants no benefit.',
+  },
+  {
+    id: 'vicious-mockery',
+    name: 'Vicious Mockery',
+    level: 0,
+    school: 'enchantment',
+    castingTime: '1 action',
+    range: '60 feet',
+    components: { verbal: true, somatic: false },
+    duration: 'Instantaneous',
+    concentration: false,
+    save: { ability: 'wisdom', onSuccess: 'none' },
+    damage: { dice: '1d4', type: 'psychic' },
+    maxTargets: 1,
+    description: 'A string of insults laced with enchantment.',
+  },
+  {
+    id: 'poison-spray',
+    name: 'Poison Spray',
+    level: 0,
+    school: 'conjuration',
+    castingTime: '1 action',
+    range: '10 feet',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    save: { ability: 'constitution', onSuccess: 'none' },
+    damage: { dice: '1d12', type: 'poison' },
+    maxTargets: 1,
+    description: 'A puff of noxious gas.',
+  },
+
+  // ===== 1st level =====
+  {
+    id: 'magic-missile',
+    name: 'Magic Missile',
+    level: 1,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: '120 feet',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    damage: { dice: '3d4+3', type: 'force', higherLevelDice: '1d4+1' },
+    maxTargets: 1,
+    description: 'Three glowing darts that always hit (all darts at one target).',
+  },
+  {
+    id: 'burning-hands',
+    name: 'Burning Hands',
+    level: 1,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: 'Self (15-foot cone)',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    save: { ability: 'dexterity', onSuccess: 'half' },
+    damage: { dice: '3d6', type: 'fire', higherLevelDice: '1d6' },
+    description: 'A thin sheet of flames shoots from outstretched fingertips.',
+  },
+  {
+    id: 'thunderwave',
+    name: 'Thunderwave',
+    level: 1,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: 'Self (15-foot cube)',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    save: { ability: 'constitution', onSuccess: 'half' },
+    damage: { dice: '2d8', type: 'thunder', higherLevelDice: '1d8' },
+    description: 'A wave of thunderous force that pushes creatures 10 feet away on a failed save.',
+  },
+  {
+    id: 'guiding-bolt',
+    name: 'Guiding Bolt',
+    level: 1,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: '120 feet',
+    components: { verbal: true, somatic: true },
+    duration: '1 round',
+    concentration: false,
+    attack: 'ranged',
+    damage: { dice: '4d6', type: 'radiant', higherLevelDice: '1d6' },
+    maxTargets: 1,
+    description: 'A flash of light; the next attack against the target has advantage.',
+  },
+  {
+    id: 'cure-wounds',
+    name: 'Cure Wounds',
+    level: 1,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: 'Touch',
+    components: { verbal: true, somatic: true },
+    duration: 'Instantaneous',
+    concentration: false,
+    healing: { dice: '1d8', higherLevelDice: '1d8' },
+    maxTargets: 1,
+    description: 'A touched creature regains hit points.',
+  },
+  {
+    id: 'healing-word',
+    name: 'Healing Word',
+    level: 1,
+    school: 'evocation',
+    castingTime: '1 bonus action',
+    range: '60 feet',
+    components: { verbal: true, somatic: false },
+    duration: 'Instantaneous',
+    concentration: false,
+    healing: { dice: '1d4', higherLevelDice: '1d4' },
+    maxTargets: 1,
+    description: 'A creature the caster can see regains hit points.',
+  },
+  {
+    id: 'bless',
+    name: 'Bless',
+    level: 1,
+    school: 'enchantment',
+    castingTime: '1 action',
+    range: '30 feet',
+    components: { verbal: true, somatic: true, material: 'a sprinkling of holy water' },
+    duration: 'Concentration, up to 1 minute',
+    concentration: true,
+    maxTargets: 3,
+    description: 'Up to three creatures add 1d4 to attack rolls and saving throws.',
+  },
+
+  // ===== 2nd level =====
+  {
+    id: 'hold-person',
+    name: 'Hold Person',
+    level: 2,
+    school: 'enchantment',
+    castingTime: '1 action',
+    range: '60 feet',
+    components: { verbal: true, somatic: true, material: 'a small, straight piece of iron' },
+    duration: 'Concentration, up to 1 minute',
+    concentration: true,
+    save: { ability: 'wisdom', onSuccess: 'none' },
+    condition: 'paralyzed',
+    maxTargets: 1,
+    description: 'A humanoid must succeed on a Wisdom save or be paralyzed.',
+  },
+  {
+    id: 'shatter',
+    name: 'Shatter',
+    level: 2,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: '60 feet',
+    components: { verbal: true, somatic: true, material: 'a chip of mica' },
+    duration: 'Instantaneous',
+    concentration: false,
+    save: { ability: 'constitution', onSuccess: 'half' },
+    damage: { dice: '3d8', type: 'thunder', higherLevelDice: '1d8' },
+    description: 'A painfully loud ringing noise erupts in a 10-foot-radius sphere.',
+  },
+
+  // ===== 3rd level =====
+  {
+    id: 'fireball',
+    name: 'Fireball',
+    level: 3,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: '150 feet',
+    components: { verbal: true, somatic: true, material: 'a tiny ball of bat guano and sulfur' },
+    duration: 'Instantaneous',
+    concentration: false,
+    save: { ability: 'dexterity', onSuccess: 'half' },
+    damage: { dice: '8d6', type: 'fire', higherLevelDice: '1d6' },
+    description: 'A bright streak blossoms into a 20-foot-radius explosion of flame.',
+  },
+  {
+    id: 'lightning-bolt',
+    name: 'Lightning Bolt',
+    level: 3,
+    school: 'evocation',
+    castingTime: '1 action',
+    range: 'Self (100-foot line)',
+    components: { verbal: true, somatic: true, material: 'a bit of fur and a rod of amber, crystal, or glass' },
+    duration: 'Instantaneous',
+    concentration: false,
+    save: { ability: 'dexterity', onSuccess: 'half' },
+    damage: { dice: '8d6', type: 'lightning', higherLevelDice: '1d6' },
+    description: 'A stroke of lightning forming a line 100 feet long and 5 feet wide.',
+  },
+  {
+    id: 'mass-healing-word',
+    name: 'Mass Healing Word',
+    level: 3,
+    school: 'evocation',
+    castingTime: '1 bonus action',
+    range: '60 feet',
+    components: { verbal: true, somatic: false },
+    duration: 'Instantaneous',
+    concentration: false,
+    healing: { dice: '1d4', higherLevelDice: '1d4' },
+    maxTargets: 6,
+    description: 'Up to six creatures regain hit points.',
+  },
+];
+
+/**
+ * Normalize a spell name ("Magic Missile", "magic_missile") to a catalog id
+ */
+export function normalizeSpellId(name: string): string {
+  return name.trim().toLowerCase().replace(/[\s_']+/g, '-');
+}
+
+/**
+ * Look up a spell by id or name (case-insensitive)
+ */
+export function findSpell(nameOrId: string): SpellDefinition | null {
+  const id = normalizeSpellId(nameOrId);
+  return SPELLS.find((s) => s.id === id) ?? null;
+}
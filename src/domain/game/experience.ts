@@ -0,0 +1,28 @@
+// Domain layer: Experience award types
+// NO external dependencies - pure TypeScript
+
+/**
+ * Experience granted to one character
+ */
+export interface ExperienceAward {
+  characterId: string;
+  characterName: string;
+  amount: number;
+  experience: number; // total after the award
+  level: number;
+  canLevelUp: boolean;
+}
+
+/**
+ * Experience service available to game states and the mechanics agent
+ */
+export interface IExperienceService {
+  award(characterIds: string[], amount: number): Promise<ExperienceAward[]>;
+}
+
+/**
+ * Share of an encounter's XP per character (rounded down, as in the DMG)
+ */
+export function splitExperience(total: number, characterCount: number): number {
+  return characterCount > 0 ? Math.floor(total / characterCount) : 0;
+}
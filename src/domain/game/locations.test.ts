@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addLocation,
+  connectLocations,
+  createLocationGraph,
+  findLocation,
+  findRoute,
+  formatDuration,
+  getExits,
+  travelRoute,
+} from './locations.js';
+
+// Village --60--> Crossroads --90--> Keep, plus a slow forest path Village --240--> Keep
+function buildMap() {
+  const graph = createLocationGraph();
+  const village = addLocation(graph, { name: 'Phandalin' });
+  const crossroads = addLocation(graph, { name: 'Crossroads', discovered: false });
+  const keep = addLocation(graph, { name: 'Cragmaw Keep', discovered: false });
+  connectLocations(graph, village.id, crossroads.id, 60, { route: 'Triboar Trail', discovered: false });
+  connectLocations(graph, crossroads.id, keep.id, 90, { discovered: false });
+  connectLocations(graph, village.id, keep.id, 240, { route: 'Neverwinter Wood' });
+  return { graph, village, crossroads, keep };
+}
+
+describe('locations', () => {
+  it('numbers new places and finds them by id or name', () => {
+    const { graph, crossroads } = buildMap();
+
+    expect(crossroads.id).toBe('loc-2');
+    expect(findLocation(graph, 'LOC-2')).toBe(crossroads);
+    expect(findLocation(graph, ' crossroads ')).toBe(crossroads);
+  });
+
+  it('fills in a known place instead of adding it twice, and keeps it discovered', () => {
+    const { graph, crossroads } = buildMap();
+
+    addLocation(graph, { name: 'crossroads', description: 'A weathered signpost', discovered: true });
+    addLocation(graph, { name: 'Crossroads', discovered: false });
+
+    expect(graph.locations).toHaveLength(3);
+    expect(crossroads).toMatchObject({ description: 'A weathered signpost', discovered: true });
+  });
+
+  it('rejects bad places and routes', () => {
+    const graph = createLocationGraph();
+
+    expect(() => addLocation(graph, { name: ' ' })).toThrow('name is required');
+    expect(() => connectLocations(graph, 'loc-1', 'loc-1', 10)).toThrow('to itself');
+    expect(() => connectLocations(graph, 'loc-1', 'loc-2', -5)).toThrow('zero or more minutes');
+  });
+
+  it('replaces an existing route between the same two places', () => {
+    const { graph, village, crossroads } = buildMap();
+
+    connectLocations(graph, crossroads.id, village.id, 45);
+
+    expect(graph.connections).toHaveLength(3);
+    expect(getExits(graph, village.id, false).find((exit) => exit.location === crossroads)?.connection.travelMinutes).toBe(45);
+  });
+
+  it('lists only discovered exits unless asked for all', () => {
+    const { graph, village, keep } = buildMap();
+
+    expect(getExits(graph, village.id).map((exit) => exit.location)).toEqual([keep]);
+    expect(getExits(graph, village.id, false)).toHaveLength(2);
+  });
+});
+
+describe('travel', () => {
+  it('finds the quickest route, including undiscovered roads', () => {
+    const { graph, village, crossroads, keep } = buildMap();
+
+    expect(findRoute(graph, village.id, keep.id)).toEqual({ path: [village, crossroads, keep], travelMinutes: 150 });
+  });
+
+  it('returns null when no route exists', () => {
+    const { graph, village } = buildMap();
+    const island = addLocation(graph, { name: 'Island' });
+
+    expect(findRoute(graph, village.id, island.id)).toBeNull();
+  });
+
+  it('discovers everything on the way and scales the time by pace', () => {
+    const { graph, village, crossroads, keep } = buildMap();
+    const route = findRoute(graph, village.id, keep.id)!;
+
+    expect(travelRoute(graph, route, 'slow')).toBe(225);
+    expect(crossroads.discovered && keep.discovered).toBe(true);
+    expect(graph.connections.every((connection) => connection.discovered)).toBe(true);
+    expect(travelRoute(graph, route, 'fast')).toBe(113);
+  });
+
+  it('formats durations in days, hours and minutes', () => {
+    expect(formatDuration(0)).toBe('0m');
+    expect(formatDuration(150)).toBe('2h 30m');
+    expect(formatDuration(1440 * 3 + 240)).toBe('3d 4h');
+  });
+});
@@ -0,0 +1,182 @@
+// Domain layer: Location graph and travel
+// Pure functions - no dependencies
+
+import type { LocationConnection, LocationGraph, MapLocation } from './GameState.js';
+
+/**
+ * D&D 5e travel pace: fast covers ground in 3/4 of the time (-5 passive Perception),
+ * slow takes half again as long but allows stealth
+ */
+export type TravelPace = 'fast' | 'normal' | 'slow';
+
+export const TRAVEL_PACE_MULTIPLIERS: Record<TravelPace, number> = {
+  fast: 0.75,
+  normal: 1,
+  slow: 1.5,
+};
+
+export interface NewLocation {
+  name: string;
+  description?: string;
+  region?: string;
+  discovered?: boolean;
+}
+
+export interface TravelRoute {
+  path: MapLocation[];  // origin first, destination last
+  travelMinutes: number;  // at normal pace
+}
+
+export function createLocationGraph(): LocationGraph {
+  return { locations: [], connections: [] };
+}
+
+/**
+ * Find a place by id, or by name (case-insensitive)
+ */
+export function findLocation(graph: LocationGraph, idOrName: string): MapLocation | undefined {
+  const key = idOrName.trim().toLowerCase();
+  return (
+    graph.locations.find((location) => location.id.toLowerCase() === key) ||
+    graph.locations.find((location) => location.name.toLowerCase() === key)
+  );
+}
+
+/**
+ * Add a place, or fill in details of a known one. A place once discovered stays discovered.
+ */
+export function addLocation(graph: LocationGraph, location: NewLocation): MapLocation {
+  const name = location.name?.trim();
+  if (!name) {
+    throw new Error('Location name is required');
+  }
+
+  const existing = findLocation(graph, name);
+  if (existing) {
+    if (location.description?.trim()) existing.description = location.description.trim();
+    if (location.region?.trim()) existing.region = location.region.trim();
+    if (location.discovered) existing.discovered = true;
+    return existing;
+  }
+
+  const created: MapLocation = {
+    id: `loc-${graph.locations.length + 1}`,
+    name,
+    description: location.description?.trim() || undefined,
+    region: location.region?.trim() || undefined,
+    discovered: location.discovered ?? true,
+  };
+  graph.locations.push(created);
+  return created;
+}
+
+function connects(connection: LocationConnection, a: string, b: string): boolean {
+  return (connection.from === a && connection.to === b) || (connection.from === b && connection.to === a);
+}
+
+/**
+ * Join two places with a route, replacing any route already between them
+ */
+export function connectLocations(
+  graph: LocationGraph,
+  fromId: string,
+  toId: string,
+  travelMinutes: number,
+  options: { route?: string; discovered?: boolean } = {}
+): LocationConnection {
+  if (fromId === toId) {
+    throw new Error('Cannot connect a location to itself');
+  }
+  if (!Number.isFinite(travelMinutes) || travelMinutes < 0) {
+    throw new Error('Travel time must be zero or more minutes');
+  }
+
+  const connection: LocationConnection = {
+    from: fromId,
+    to: toId,
+    travelMinutes: Math.round(travelMinutes),
+    route: options.route?.trim() || undefined,
+    discovered: options.discovered ?? true,
+  };
+  graph.connections = [...graph.connections.filter((c) => !connects(c, fromId, toId)), connection];
+  return connection;
+}
+
+/**
+ * Routes leading out of a place, with the place at the other end
+ */
+export function getExits(
+  graph: LocationGraph,
+  locationId: string,
+  discoveredOnly = true
+): Array<{ connection: LocationConnection; location: MapLocation }> {
+  return graph.connections
+    .filter((c) => (c.from === locationId || c.to === locationId) && (!discoveredOnly || c.discovered))
+    .map((connection) => ({
+      connection,
+      location: graph.locations.find((l) => l.id === (connection.from === locationId ? connection.to : connection.from))!,
+    }))
+    .filter((exit) => !!exit.location);
+}
+
+/**
+ * Quickest route between two places (Dijkstra over every route, discovered or not)
+ */
+export function findRoute(graph: LocationGraph, fromId: string, toId: string): TravelRoute | null {
+  const distance = new Map<string, number>([[fromId, 0]]);
+  const previous = new Map<string, string>();
+  const visited = new Set<string>();
+
+  while (true) {
+    let current: string | undefined;
+    for (const [id, minutes] of distance) {
+      if (!visited.has(id) && (current === undefined || minutes < distance.get(current)!)) current = id;
+    }
+    if (current === undefined) return null;
+    if (current === toId) break;
+    visited.add(current);
+
+    for (const { connection, location } of getExits(graph, current, false)) {
+      const minutes = distance.get(current)! + connection.travelMinutes;
+      if (minutes < (distance.get(location.id) ?? Infinity)) {
+        distance.set(location.id, minutes);
+        previous.set(location.id, current);
+      }
+    }
+  }
+
+  const ids = [toId];
+  while (ids[0] !== fromId) ids.unshift(previous.get(ids[0])!);
+  return {
+    path: ids.map((id) => graph.locations.find((l) => l.id === id)!),
+    travelMinutes: distance.get(toId)!,
+  };
+}
+
+/**
+ * Travel along a route: every place and road on the way becomes discovered.
+ * Returns the in-game minutes spent at the given pace.
+ */
+export function travelRoute(graph: LocationGraph, route: TravelRoute, pace: TravelPace = 'normal'): number {
+  route.path.forEach((location, i) => {
+    location.discovered = true;
+    const next = route.path[i + 1];
+    if (next) {
+      graph.connections
+        .filter((c) => connects(c, location.id, next.id))
+        .forEach((c) => { c.discovered = true; });
+    }
+  });
+  return Math.round(route.travelMinutes * TRAVEL_PACE_MULTIPLIERS[pace]);
+}
+
+/**
+ * "2h 30m", "3d 4h"
+ */
+export function formatDuration(minutes: number): string {
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  const parts = [days && `${days}d`, hours && `${hours}h`, mins && `${mins}m`].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : '0m';
+}
@@ -0,0 +1,100 @@
+// Domain layer: Loot, currency and party treasury types
+// NO external dependencies - pure TypeScript
+
+import type { InventoryItem } from '@/domain/character/types.js';
+
+/**
+ * Holder id of the room's shared treasury (everything else is a character id)
+ */
+export const PARTY_TREASURY = 'party';
+
+export type CoinDenomination = 'cp' | 'sp' | 'ep' | 'gp' | 'pp';
+
+/**
+ * Value of each coin in gold pieces
+ */
+export const COIN_VALUES: Record<CoinDenomination, number> = {
+  cp: 0.01,
+  sp: 0.1,
+  ep: 0.5,
+  gp: 1,
+  pp: 10,
+};
+
+export type Coins = Partial<Record<CoinDenomination, number>>;
+
+/**
+ * Round to whole copper pieces
+ */
+export function roundGold(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Total value of a coin purse in gold pieces
+ */
+export function coinsToGold(coins: Coins): number {
+  return roundGold(
+    (Object.keys(COIN_VALUES) as CoinDenomination[]).reduce(
+      (sum, denomination) => sum + (coins[denomination] ?? 0) * COIN_VALUES[denomination],
+      0
+    )
+  );
+}
+
+/**
+ * Coins and items held by the whole party rather than one character
+ */
+export interface PartyTreasury {
+  gold: number;
+  items: InventoryItem[];
+}
+
+/**
+ * One movement of coins or items.
+ * Awards come from the world (no `from`); transfers and splits move between holders.
+ */
+export interface LootLedgerEntry {
+  id: string;
+  action: 'award' | 'transfer' | 'split';
+  from?: string; // character id or PARTY_TREASURY
+  to: string; // character id or PARTY_TREASURY
+  gold?: number;
+  item?: { name: string; itemId?: string; quantity: number };
+  reason?: string;
+  actor: string; // 'narrator' or the player's username
+  timestamp: number;
+}
+
+export interface LootAward {
+  gold?: number;
+  items?: Array<{ name: string; quantity?: number }>;
+}
+
+/**
+ * Move gold and/or one item stack between two holders
+ */
+export interface LootTransferRequest {
+  from: string;
+  to: string;
+  gold?: number;
+  item?: string;
+  quantity?: number;
+  reason?: string;
+}
+
+/**
+ * Split gold evenly between characters; the remainder stays with the source
+ */
+export interface GoldSplitRequest {
+  from: string;
+  characterIds: string[];
+  gold?: number; // defaults to everything the source holds
+}
+
+/**
+ * Port the narrator's loot tools use to hand out coins and items
+ */
+export interface ILootService {
+  award(to: string, award: LootAward, reason: string, actor: string): Promise<LootLedgerEntry[]>;
+}
@@ -0,0 +1,138 @@
+// Domain layer: NPC registry
+// Pure functions - no dependencies
+
+import type { NpcAttitude, NpcState } from './GameState.js';
+
+export const NPC_ATTITUDES: readonly NpcAttitude[] = ['hostile', 'unfriendly', 'indifferent', 'friendly', 'helpful'];
+
+export type NpcChange = 'created' | 'updated' | 'died';
+
+export interface NewNpc {
+  name: string;
+  description?: string;
+  location?: string;
+  attitude?: NpcAttitude;
+  secrets?: string[];
+  notes?: string;
+}
+
+export interface NpcUpdate {
+  description?: string;
+  location?: string;
+  attitude?: NpcAttitude;  // toward the party; clears per-character overrides
+  characterAttitudes?: Record<string, NpcAttitude>;  // characterId -> attitude
+  addSecrets?: string[];
+  removeSecrets?: number[];  // 1-based secret numbers
+  status?: 'alive' | 'dead';
+  notes?: string;
+}
+
+export function isNpcAttitude(value: unknown): value is NpcAttitude {
+  return typeof value === 'string' && (NPC_ATTITUDES as readonly string[]).includes(value);
+}
+
+/**
+ * Find an NPC by id, or by name (case-insensitive)
+ */
+export function findNpc(npcs: NpcState[], idOrName: string): NpcState | undefined {
+  const key = idOrName.trim().toLowerCase();
+  return (
+    npcs.find((npc) => npc.id.toLowerCase() === key) ||
+    npcs.find((npc) => npc.name.toLowerCase() === key)
+  );
+}
+
+/**
+ * Attitude of an NPC toward one character, falling back to the party attitude
+ */
+export function getNpcAttitude(npc: NpcState, characterId: string): NpcAttitude {
+  return npc.attitudes[characterId] ?? npc.attitude;
+}
+
+function checkAttitude(attitude: unknown): void {
+  if (attitude !== undefined && !isNpcAttitude(attitude)) {
+    throw new Error(`Unknown attitude: ${attitude} (expected ${NPC_ATTITUDES.join(', ')})`);
+  }
+}
+
+function toSecrets(secrets: string[]): string[] {
+  return secrets.map((secret) => secret.trim()).filter(Boolean);
+}
+
+/**
+ * Add an NPC to the registry. Ids are sequential (npc-1, npc-2, ...) since NPCs are never removed.
+ */
+export function createNpc(npcs: NpcState[], npc: NewNpc, now = Date.now()): NpcState {
+  const name = npc.name?.trim();
+  if (!name) {
+    throw new Error('NPC name is required');
+  }
+  if (findNpc(npcs, name)) {
+    throw new Error(`An NPC named "${name}" already exists`);
+  }
+  checkAttitude(npc.attitude);
+
+  const created: NpcState = {
+    id: `npc-${npcs.length + 1}`,
+    name,
+    status: 'alive',
+    description: npc.description?.trim() || undefined,
+    location: npc.location?.trim() || undefined,
+    attitude: npc.attitude ?? 'indifferent',
+    attitudes: {},
+    secrets: toSecrets(npc.secrets ?? []),
+    notes: npc.notes?.trim() || undefined,
+    createdAt: now,
+    updatedAt: now,
+  };
+  npcs.push(created);
+  return created;
+}
+
+/**
+ * Change an NPC's details. Returns 'died' when the update killed the NPC.
+ */
+export function updateNpc(npc: NpcState, update: NpcUpdate, now = Date.now()): NpcChange {
+  checkAttitude(update.attitude);
+  for (const attitude of Object.values(update.characterAttitudes ?? {})) {
+    checkAttitude(attitude);
+  }
+  for (const n of update.removeSecrets ?? []) {
+    if (!Number.isInteger(n) || n < 1 || n > npc.secrets.length) {
+      throw new Error(`${npc.name} has no secret ${n}`);
+    }
+  }
+  if (update.status !== undefined && update.status !== 'alive' && update.status !== 'dead') {
+    throw new Error(`Unknown NPC status: ${update.status}`);
+  }
+
+  const changed = Object.values(update).some((value) =>
+    Array.isArray(value) ? value.length > 0 : value !== undefined && (typeof value !== 'object' || Object.keys(value).length > 0)
+  );
+  if (!changed) {
+    throw new Error('Nothing to update');
+  }
+
+  if (update.description !== undefined) npc.description = update.description.trim() || undefined;
+  if (update.location !== undefined) npc.location = update.location.trim() || undefined;
+  if (update.notes !== undefined) npc.notes = update.notes.trim() || undefined;
+  if (update.attitude) {
+    npc.attitude = update.attitude;
+    npc.attitudes = {};
+  }
+  for (const [characterId, attitude] of Object.entries(update.characterAttitudes ?? {})) {
+    if (attitude === npc.attitude) {
+      delete npc.attitudes[characterId];
+    } else {
+      npc.attitudes[characterId] = attitude;
+    }
+  }
+
+  const removed = new Set(update.removeSecrets ?? []);
+  npc.secrets = [...npc.secrets.filter((_, i) => !removed.has(i + 1)), ...toSecrets(update.addSecrets ?? [])];
+
+  const died = update.status === 'dead' && npc.status === 'alive';
+  if (update.status) npc.status = update.status;
+  npc.updatedAt = now;
+  return died ? 'died' : 'updated';
+}
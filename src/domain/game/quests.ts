@@ -0,0 +1,120 @@
+// Domain layer: Quest log
+// Pure functions - no dependencies
+
+import type { QuestObjective, QuestState } from './GameState.js';
+
+export type QuestChange = 'created' | 'updated' | 'completed' | 'failed';
+
+export interface NewQuest {
+  name: string;
+  description?: string;
+  giver?: string;
+  objectives?: string[];
+}
+
+export interface QuestObjectiveUpdate {
+  complete?: number[];  // 1-based objective numbers
+  reopen?: number[];
+  add?: string[];
+}
+
+/**
+ * Quests still being pursued
+ */
+export function isQuestOpen(quest: QuestState): boolean {
+  return quest.status === 'not-started' || quest.status === 'in-progress';
+}
+
+/**
+ * Find a quest by id, or by name (case-insensitive)
+ */
+export function findQuest(quests: QuestState[], idOrName: string): QuestState | undefined {
+  const key = idOrName.trim().toLowerCase();
+  return (
+    quests.find((q) => q.id.toLowerCase() === key) ||
+    quests.find((q) => q.name.toLowerCase() === key)
+  );
+}
+
+function toObjectives(descriptions: string[]): QuestObjective[] {
+  return descriptions
+    .map((description) => description.trim())
+    .filter(Boolean)
+    .map((description) => ({ description, completed: false }));
+}
+
+/**
+ * Add a quest to the log. Ids are sequential (quest-1, quest-2, ...) since quests are never removed.
+ */
+export function createQuest(quests: QuestState[], quest: NewQuest, now = Date.now()): QuestState {
+  const name = quest.name?.trim();
+  if (!name) {
+    throw new Error('Quest name is required');
+  }
+  if (quests.some((q) => isQuestOpen(q) && q.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`An open quest named "${name}" already exists`);
+  }
+
+  const created: QuestState = {
+    id: `quest-${quests.length + 1}`,
+    name,
+    status: 'in-progress',
+    objectives: toObjectives(quest.objectives ?? []),
+    description: quest.description?.trim() || undefined,
+    giver: quest.giver?.trim() || undefined,
+    createdAt: now,
+    updatedAt: now,
+  };
+  quests.push(created);
+  return created;
+}
+
+/**
+ * Tick off, reopen or add objectives of an open quest
+ */
+export function updateQuestObjectives(quest: QuestState, update: QuestObjectiveUpdate, now = Date.now()): QuestState {
+  if (!isQuestOpen(quest)) {
+    throw new Error(`Quest "${quest.name}" is already ${quest.status}`);
+  }
+
+  const check = (numbers: number[]) => {
+    for (const n of numbers) {
+      if (!Number.isInteger(n) || n < 1 || n > quest.objectives.length) {
+        throw new Error(`Quest "${quest.name}" has no objective ${n}`);
+      }
+    }
+  };
+  check(update.complete ?? []);
+  check(update.reopen ?? []);
+
+  const added = toObjectives(update.add ?? []);
+  if (!update.complete?.length && !update.reopen?.length && added.length === 0) {
+    throw new Error('Nothing to update');
+  }
+
+  for (const n of update.complete ?? []) quest.objectives[n - 1].completed = true;
+  for (const n of update.reopen ?? []) quest.objectives[n - 1].completed = false;
+  quest.objectives.push(...added);
+  quest.status = 'in-progress';
+  quest.updatedAt = now;
+  return quest;
+}
+
+/**
+ * Close a quest as completed or failed
+ */
+export function resolveQuest(
+  quest: QuestState,
+  status: 'completed' | 'failed',
+  outcome?: string,
+  now = Date.now()
+): QuestState {
+  if (!isQuestOpen(quest)) {
+    throw new Error(`Quest "${quest.name}" is already ${quest.status}`);
+  }
+
+  quest.status = status;
+  quest.outcome = outcome?.trim() || undefined;
+  quest.updatedAt = now;
+  return quest;
+}
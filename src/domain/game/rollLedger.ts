@@ -0,0 +1,91 @@
+// Domain layer: Roll ledger types
+// NO external dependencies - pure TypeScript
+
+import type { DiceRollEvent, RollVisibility } from './session.js';
+
+/**
+ * One audited roll in a room's ledger
+ * seed + rngPosition let the room owner and admins replay the room's dice sequence and verify the result
+ */
+export interface RollLedgerEntry {
+  id: string;
+  roomId: string;
+  turn: number; // turn the roll belongs to (1-based)
+  timestamp: number;
+  source: 'dm' | 'player';
+  actorId: string;
+  actorName: string;
+  rolledBy?: string; // username, for player-initiated rolls
+  visibility?: RollVisibility; // undefined = public
+  checkType: DiceRollEvent['data']['checkType'];
+  reason: string;
+  formula: string;
+  rolls: number[];
+  modifier: number;
+  total: number;
+  dc?: number;
+  success?: boolean; // only when there was a target number
+  damage?: {
+    formula: string;
+    rolls: number[];
+    total: number;
+    damageType: string;
+  };
+  seed: number;
+  rngPosition: number; // dice drawn from the room's RNG after this roll
+  draws?: RngDraw[]; // every die drawn since the previous entry, including ones no roll lists (target picks, opponents)
+}
+
+/**
+ * One die drawn from a room's RNG
+ */
+export interface RngDraw {
+  sides: number;
+  value: number;
+}
+
+/**
+ * Who is reading the ledger. The room owner and admins see every roll;
+ * players see public rolls and the private rolls of their own characters.
+ */
+export interface RollLedgerViewer {
+  seesAll: boolean;
+  characterIds: string[];
+}
+
+export function canViewRoll(entry: RollLedgerEntry, viewer: RollLedgerViewer): boolean {
+  if (viewer.seesAll || !entry.visibility || entry.visibility === 'public') {
+    return true;
+  }
+  return entry.visibility === 'player' && viewer.characterIds.includes(entry.actorId);
+}
+
+/**
+ * A ledger entry without the RNG audit fields
+ */
+export type RedactedRollLedgerEntry = Omit<RollLedgerEntry, 'seed' | 'rngPosition'>;
+
+/**
+ * The seed and draw positions predict every upcoming roll,
+ * so only viewers who see all rolls get them
+ */
+export function redactRoll(entry: RollLedgerEntry, viewer: RollLedgerViewer): RollLedgerEntry | RedactedRollLedgerEntry {
+  if (viewer.seesAll) return entry;
+  const { seed: _seed, rngPosition: _rngPosition, ...redacted } = entry;
+  return redacted;
+}
+
+export interface RollLedgerPage {
+  entries: RollLedgerEntry[];
+  total: number;
+}
+
+/**
+ * Persistence port for the roll ledger
+ */
+export interface IRollLedgerRepository {
+  append(entry: RollLedgerEntry): Promise<void>;
+  appendMany(entries: RollLedgerEntry[]): Promise<void>;
+  listByRoom(roomId: string, limit?: number, offset?: number, viewer?: RollLedgerViewer): RollLedgerPage;
+  getLatest(roomId: string): RollLedgerEntry | null;
+}
@@ -1,11 +1,15 @@
 // Domain layer: Game session types and interfaces
 // NO external dependencies - pure TypeScript
 
-import type { PlayerAction } from '@/domain/room/types.js';
+import type { PlayerAction, PlayerRoll, PlayerRollRequest, RollPrompt } from '@/domain/room/types.js';
 import type { RoomMember } from '@/domain/room/types.js';
-import type { GameState } from '@/domain/game/GameState.js';
-import type { GameEngine } from '@/domain/game/types.js';
+import type { ExpiredCondition, GameClock, GameState, MapLocation, QuestState } from '@/domain/game/GameState.js';
+import type { DiceRoll, DiceTermBreakdown, GameEngine } from '@/domain/game/types.js';
 import type { ILLMClient } from '@/domain/llm/types.js';
+import type { ILootService, LootLedgerEntry } from '@/domain/game/loot.js';
+import type { ExperienceAward, IExperienceService } from '@/domain/game/experience.js';
+import type { QuestChange } from '@/domain/game/quests.js';
+import type { TravelPace } from '@/domain/game/locations.js';
 import type { IConversationHistory } from '@/domain/room/types.js';
 import type { ContextBuilder } from '@/domain/llm/context.js';
 
@@ -16,8 +20,18 @@ import type { ContextBuilder } from '@/domain/llm/context.js';
 export type SessionEvent =
   | NarrativeChunkEvent
   | DiceRollEvent
+  | GroupCheckEvent
+  | RollPromptEvent
+  | RollPromptClosedEvent
   | StateTransitionEvent
   | ActionRestrictionEvent
+  | CombatTurnEvent
+  | ConditionExpiredEvent
+  | LootEvent
+  | ExperienceEvent
+  | QuestEvent
+  | TravelEvent
+  | TimeEvent
   | TurnEndEvent;
 
 export interface NarrativeChunkEvent {
@@ -25,25 +39,149 @@ export interface NarrativeChunkEvent {
   content: string;
 }
 
+/**
+ * Who sees a narrator check: the whole room, only the rolling character's player,
+ * or nobody (the roll is still recorded in the ledger for the room owner and admins)
+ */
+export type RollVisibility = 'public' | 'player' | 'hidden';
+
 export interface DiceRollEvent {
   type: 'dice_roll';
   data: {
-    checkType: 'ability_check' | 'saving_throw' | 'attack_roll' | 'group_check';
+    checkType:
+      | 'ability_check'
+      | 'skill_check'
+      | 'saving_throw'
+      | 'attack_roll'
+      | 'group_check'
+      | 'contested_check'
+      | 'initiative'
+      | 'death_save'
+      | 'healing'
+      | 'spell'
+      | 'roll';
     characterId: string;
     characterName?: string;
     ability: string;
-    dc: number;
+    skill?: string; // skill checks only
+    dc?: number; // undefined for rolls without a target number (initiative)
     roll: {
       formula: string;
       rolls: number[];
       modifier: number;
       total: number;
+      terms?: DiceTermBreakdown[];
     };
     success: boolean;
     reason: string;
+    rolledBy?: string; // username, for rolls a player made themselves
+    visibility?: RollVisibility; // undefined = public
+    playerId?: string; // user id of the player who sees a 'player' roll
+    // Attack rolls only
+    targetId?: string;
+    targetName?: string;
+    isCritical?: boolean;
+    damage?: {
+      formula: string;
+      rolls: number[];
+      modifier: number;
+      total: number;
+      damageType: string;
+      // After resistance/immunity/vulnerability
+      applied?: number;
+      resisted?: boolean;
+      immune?: boolean;
+      vulnerable?: boolean;
+      // Target was concentrating and had to save
+      concentration?: {
+        spellName: string;
+        maintained: boolean;
+      };
+    };
+    // Spells only
+    spell?: {
+      name: string;
+      level: number;
+      slotLevel: number | null;
+      concentration: boolean;
+      targets: Array<{
+        targetName: string;
+        hit?: boolean;
+        saved?: boolean;
+        damage?: number;
+        healed?: number;
+        condition?: string;
+      }>;
+    };
+    // Healing only
+    healing?: {
+      healed: number;
+      currentHp: number;
+      revived: boolean;
+    };
+    // Contested checks only: the opponent's side. characterId and roll are the initiator's,
+    // success means the initiator won
+    contest?: {
+      opponentId: string;
+      opponentName: string;
+      opponentAbility: string;
+      opponentSkill?: string;
+      opponentRoll: {
+        formula: string;
+        rolls: number[];
+        modifier: number;
+        total: number;
+      };
+      winner: 'initiator' | 'opponent' | null;
+      tie: boolean;
+    };
+    // Death saves only
+    deathSaves?: {
+      successes: number;
+      failures: number;
+      outcome: 'success' | 'failure' | 'stabilized' | 'dead' | 'revived';
+    };
   };
 }
 
+/**
+ * Several characters make the same check; the group succeeds when at least half of them do
+ */
+export interface GroupCheckEvent {
+  type: 'group_check';
+  ability: string;
+  skill?: string;
+  dc: number;
+  reason: string;
+  results: GroupCheckMemberResult[];
+  successCount: number;
+  success: boolean;
+  visibility?: RollVisibility; // undefined = public
+  playerId?: string; // the player who may see a private check
+}
+
+export interface GroupCheckMemberResult {
+  characterId: string;
+  characterName: string;
+  roll: DiceRoll;
+  success: boolean;
+}
+
+/**
+ * The narrator is waiting for a player to roll a check (player-rolls rooms)
+ */
+export interface RollPromptEvent {
+  type: 'roll_prompt';
+  prompt: RollPrompt;
+}
+
+export interface RollPromptClosedEvent {
+  type: 'roll_prompt_closed';
+  promptId: string;
+  characterId: string;
+  timedOut: boolean; // the server rolled instead
+}
+
 export interface StateTransitionEvent {
   type: 'state_transition';
   to: 'exploration' | 'combat';
@@ -56,6 +194,51 @@ export interface ActionRestrictionEvent {
   reason: string;
 }
 
+export interface CombatTurnEvent {
+  type: 'combat_turn';
+  round: number;
+  current: CombatParticipant | null;
+  order: CombatParticipant[];
+}
+
+export interface ConditionExpiredEvent {
+  type: 'condition_expired';
+  expired: ExpiredCondition[];
+}
+
+export interface LootEvent {
+  type: 'loot';
+  entries: LootLedgerEntry[];
+}
+
+export interface ExperienceEvent {
+  type: 'experience';
+  awards: ExperienceAward[];
+  reason: string;
+}
+
+export interface QuestEvent {
+  type: 'quest';
+  change: QuestChange;
+  quest: QuestState;
+}
+
+export interface TravelEvent {
+  type: 'travel';
+  characterIds: string[];  // empty when the whole party moved
+  from?: string;  // location name
+  to: MapLocation;
+  travelMinutes: number;
+  pace: TravelPace;
+}
+
+export interface TimeEvent {
+  type: 'time';
+  clock: GameClock;
+  advancedSeconds: number;
+  reason: string;
+}
+
 export interface TurnEndEvent {
   type: 'turn_end';
 }
@@ -72,6 +255,20 @@ export interface GameSessionContext {
   gameState: GameState;
   turnGate: TurnGate;
   roomMembers: RoomMember[];
+  loot?: ILootService;
+  experience?: IExperienceService;
+  rollPrompts?: IRollPromptService;
+}
+
+/**
+ * Hands checks to the players who own the characters (player-rolls rooms)
+ */
+export interface IRollPromptService {
+  /** Ask a member to roll; null when the server should roll (mode off) */
+  open(member: RoomMember, request: PlayerRollRequest): RollPrompt | null;
+
+  /** The member's roll, or null once the prompt times out */
+  wait(promptId: string): Promise<PlayerRoll | null>;
 }
 
 /**
@@ -98,6 +295,18 @@ export interface IGameState {
 
   /** Called when leaving this state */
   onExit?(context: GameSessionContext): Promise<void>;
+
+  /**
+   * Events produced while entering this state (e.g. initiative rolls).
+   * GameSession yields them right after the transition event.
+   */
+  takeEntryEvents?(): SessionEvent[];
+
+  /**
+   * Events produced while leaving this state (e.g. encounter XP).
+   * GameSession yields them right after the transition event, before entry events.
+   */
+  takeExitEvents?(): SessionEvent[];
 }
 
 /**
@@ -121,12 +330,11 @@ export interface TurnGateStatus {
 }
 
 /**
- * Combat state interface (reserved for future implementation)
+ * Combat state interface
  */
 export interface ICombatState extends IGameState {
   readonly name: 'combat';
 
-  // Combat-specific methods (to be designed)
   getInitiativeOrder(): CombatParticipant[];
   getCurrentTurn(): CombatParticipant | null;
 }
@@ -137,6 +345,7 @@ export interface CombatParticipant {
   initiative: number;
   isPlayer: boolean;
   characterId?: string;
+  enemyId?: string;
 }
 
 /**
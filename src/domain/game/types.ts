@@ -1,6 +1,9 @@
 // Domain layer: Game engine types
 // NO external dependencies - pure TypeScript
 
+import type { CharacterOverlay, ConditionExpiry, Encounter, Enemy } from './GameState.js';
+import type { MonsterStatBlock } from './bestiary.js';
+
 /**
  * Core game engine interface - handles all D&D 5e mechanics
  */
@@ -12,15 +15,53 @@ export interface GameEngine {
   // Ability checks
   abilityCheck(characterId: string, ability: Ability, advantage?: RollType): AbilityCheckResult;
   savingThrow(characterId: string, ability: Ability, advantage?: RollType): SavingThrowResult;
+  skillCheck(
+    characterId: string,
+    skill: Skill,
+    advantage?: RollType,
+    abilityOverride?: Ability
+  ): SkillCheckResult;
+  getPassiveScore(characterId: string, skill: Skill): number;
+  contestedCheck(initiator: ContestSide, opponent: ContestSide, tieRule?: ContestTieRule): ContestedCheckResult;
 
   // Combat
-  attackRoll(attackerId: string, weapon: Weapon, advantage?: RollType): AttackResult;
-  applyDamage(targetId: string, damage: number, damageType: DamageType): DamageResult;
+  attackRoll(attackerId: string, weapon: Weapon, advantage?: RollType, targetId?: string): AttackResult;
+  resolveWeapon(characterId: string, weaponName?: string): Weapon | null;
+  applyDamage(
+    targetId: string,
+    damage: number,
+    damageType: DamageType,
+    options?: { critical?: boolean }
+  ): DamageResult;
+  heal(targetId: string, amount: number): HealResult;
+
+  // Resting
+  spendHitDice(characterId: string, count: number): HitDiceResult;
+  shortRest(characterId: string, hitDice?: number): RestResult;
+  longRest(characterId: string): RestResult;
+
+  // Spellcasting
+  getSpellcasting(characterId: string): SpellcastingStats;
+  castSpell(casterId: string, spellId: string, options?: CastSpellOptions): SpellCastResult;
+  endConcentration(characterId: string): ConcentrationState | null;
+
+  // Dying
+  rollDeathSave(characterId: string): DeathSaveResult;
+  stabilize(characterId: string): void;
+  isDying(characterId: string): boolean;
 
   // State management
   getCharacterState(characterId: string): CharacterState | null;
+  getArmorClass(characterId: string): number;
+  getSpeed(characterId: string): number;
   updateCharacterState(characterId: string, updates: Partial<CharacterState>): void;
   syncCharacterStates(characterStates: Map<string, CharacterState>): void;
+  syncCharacterOverlays(overlays: Map<string, CharacterOverlay>): void;
+
+  // Creatures (bestiary-backed enemies)
+  findStatBlock(nameOrId: string): MonsterStatBlock | null;
+  spawnCreature(statBlock: MonsterStatBlock, encounter: Encounter, name?: string): Enemy;
+  syncEncounters(encounters: Encounter[]): void;
 
   // Conditions & effects
   applyCondition(targetId: string, condition: Condition): void;
@@ -60,6 +101,7 @@ export type RollType = 'normal' | 'advantage' | 'disadvantage';
 
 export type DamageType =
   | 'acid'
+  | 'bludgeoning'
   | 'cold'
   | 'fire'
   | 'force'
@@ -75,11 +117,23 @@ export type DamageType =
 // Result types
 export interface DiceRoll {
   formula: string;
-  rolls: number[];
-  modifier: number;
+  rolls: number[]; // kept dice values
+  modifier: number; // sum of constant terms
   total: number;
   reason?: string;
   dc?: number;
+  terms?: DiceTermBreakdown[]; // per-term breakdown for multi-term / keep / exploding formulas
+  rollType?: RollType; // effective advantage state of a d20 test, after conditions
+  advantageSources?: string[]; // why advantage applied ('requested' or a condition name)
+  disadvantageSources?: string[];
+  autoFail?: string; // condition that fails the test regardless of the total
+}
+
+export interface DiceTermBreakdown {
+  notation: string;
+  sign: 1 | -1;
+  dice?: Array<{ value: number; kept: boolean; exploded: boolean }>; // undefined for constants
+  subtotal: number;
 }
 
 export interface AbilityCheckResult {
@@ -91,6 +145,48 @@ export interface AbilityCheckResult {
   rollType: RollType;
 }
 
+export interface SkillCheckResult extends AbilityCheckResult {
+  type: 'skill-check';
+  skill: Skill;
+  proficiency: number;
+  expertise: boolean;
+  jackOfAllTrades: boolean;
+}
+
+/**
+ * One side of a contest: a character or creature rolling a skill or raw ability check.
+ * Anyone without stats in the engine (a narrative NPC) rolls d20 + a flat modifier.
+ */
+export interface ContestSide {
+  subjectId: string;
+  skill?: Skill;
+  ability?: Ability; // raw ability check, or the ability used for the skill
+  rollType?: RollType;
+  modifier?: number; // subjects without stats only
+}
+
+/**
+ * Who wins a tie. D&D 5e: "the situation remains the same as it was before the contest",
+ * so by default nobody wins and the status quo holds.
+ */
+export type ContestTieRule = 'status-quo' | 'initiator' | 'opponent';
+
+export interface ContestRoll {
+  subjectId: string;
+  ability: Ability;
+  skill?: Skill;
+  roll: DiceRoll;
+  modifier: number;
+}
+
+export interface ContestedCheckResult {
+  initiator: ContestRoll;
+  opponent: ContestRoll;
+  winner: 'initiator' | 'opponent' | null; // null: tie under the status-quo rule
+  tie: boolean;
+  tieRule: ContestTieRule;
+}
+
 export interface SavingThrowResult extends AbilityCheckResult {
   type: 'saving-throw';
   proficiency?: number;
@@ -124,8 +220,118 @@ export interface DamageResult {
   finalDamage: number;
   resisted: boolean;
   immune: boolean;
+  vulnerable: boolean;
   remainingHp: number;
   status: 'conscious' | 'unconscious' | 'dead';
+  instantDeath?: boolean; // massive damage
+  deathSaveFailures?: number; // failures added by damage taken while at 0 HP
+  concentration?: ConcentrationCheck; // target was concentrating on a spell
+}
+
+export interface ConcentrationCheck {
+  spellName: string;
+  dc: number;
+  roll?: DiceRoll; // undefined when dropped to 0 HP (no save)
+  maintained: boolean;
+}
+
+/**
+ * The spell a character is currently concentrating on
+ */
+export interface ConcentrationState {
+  spellId: string;
+  spellName: string;
+  targetIds: string[];
+  startedAt: number;
+  expiresAtTime?: number; // game clock seconds at which the spell's duration runs out
+}
+
+export interface SpellcastingStats {
+  ability: Ability;
+  modifier: number;
+  saveDc: number;
+  attackBonus: number;
+}
+
+export interface CastSpellOptions {
+  slotLevel?: number; // defaults to the spell's level
+  targetIds?: string[];
+  rollType?: RollType; // spell attack rolls only
+  clockSeconds?: number; // current game time; times the spell's duration when given
+}
+
+export interface SpellTargetResult {
+  targetId: string;
+  attackRoll?: DiceRoll;
+  hit?: boolean;
+  isCritical?: boolean;
+  saveRoll?: DiceRoll;
+  saved?: boolean;
+  damage?: DamageResult;
+  healing?: HealResult;
+  condition?: string; // condition applied by the spell
+}
+
+export interface SpellCastResult {
+  casterId: string;
+  spellId: string;
+  spellName: string;
+  spellLevel: number;
+  slotLevel: number | null; // null for cantrips
+  slotsRemaining: number | null;
+  spellcasting: SpellcastingStats;
+  damageRoll?: DiceRoll; // shared roll for save and auto-hit spells
+  healingRoll?: DiceRoll;
+  targets: SpellTargetResult[];
+  concentration: boolean;
+  droppedConcentration?: string; // spell ended by casting this one
+}
+
+export interface HealResult {
+  targetId: string;
+  amount: number;
+  healed: number;
+  currentHp: number;
+  revived: boolean; // was at 0 HP
+}
+
+export interface HitDiceResult {
+  characterId: string;
+  hitDie: number; // die size, e.g. 8 for d8
+  rolls: DiceRoll[]; // one per die spent, each with the Constitution modifier
+  healed: number;
+  currentHp: number;
+  hitDiceRemaining: number;
+}
+
+export interface RestResult {
+  characterId: string;
+  type: 'short' | 'long';
+  healed: number;
+  currentHp: number;
+  hitDiceSpent: number;
+  hitDiceRecovered: number;
+  hitDiceRemaining: number;
+  spellSlotsRecovered: number;
+  exhaustionLevel: number;
+}
+
+export interface DeathSaveResult {
+  characterId: string;
+  roll: DiceRoll;
+  successes: number;
+  failures: number;
+  outcome: 'success' | 'failure' | 'stabilized' | 'dead' | 'revived';
+}
+
+/**
+ * Death save tracking for a character at 0 HP
+ */
+export interface DeathSaveState {
+  successes: number;
+  failures: number;
+  isStable: boolean;
+  isDead: boolean;
 }
 
 // Character state (per-instance, not template)
@@ -139,6 +345,10 @@ export interface CharacterState {
   currentThoughts: string;
   knownSpells: SpellSlot[];
   equipmentState: EquipmentState;
+  deathSaves?: DeathSaveState;
+  hitDiceRemaining?: number; // defaults to character level
+  exhaustionLevel?: number; // 0-6, defaults to the template value
+  concentration?: ConcentrationState;
 }
 
 export interface Condition {
@@ -146,6 +356,9 @@ export interface Condition {
   source: string;
   appliedAt: number;
   expiresAt?: number;
+  expires?: ConditionExpiry; // undefined = managed by the engine (e.g. unconscious at 0 HP)
+  expiresAtRound?: number;
+  expiresAtTime?: number; // game clock seconds
 }
 
 export interface Buff {
@@ -154,6 +367,9 @@ export interface Buff {
   duration?: number; // in rounds
   statAdjustments?: Record<string, number>;
   grantedBy?: string;
+  resistances?: DamageType[];
+  immunities?: DamageType[];
+  vulnerabilities?: DamageType[];
 }
 
 export interface SpellSlot {
@@ -30,6 +30,8 @@ export interface LLMResponse {
 export interface LLMStreamChunk {
   content: string;
   done: boolean;
+  // A tool call whose arguments finished streaming
+  toolCall?: ToolCall;
 }
 
 // Tool calling types
@@ -51,6 +53,12 @@ export interface ToolCall {
   };
 }
 
+/**
+ * Agents that call the LLM; each can run on its own provider chain
+ * narrator = DM narration and tool calls, world = world-state extraction after each turn
+ */
+export type LLMAgentRole = 'narrator' | 'world';
+
 export interface ChatOptions {
   tools?: ToolDefinition[];
   toolChoice?: 'auto' | 'none' | 'required';
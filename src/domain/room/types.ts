@@ -1,14 +1,20 @@
 // Domain layer: Room aggregate root types
 // NO external dependencies
 
-import type { LLMMessage } from '@/domain/llm/types.js';
+import type { LLMAgentRole, LLMMessage } from '@/domain/llm/types.js';
 import type { IRoomChat } from '@/domain/room/chat.js';
 import type { GameState } from '@/domain/game/GameState.js';
+import type { Ability, RollType, Skill } from '@/domain/game/types.js';
+import type { DiceRollEvent } from '@/domain/game/session.js';
+import type { GoldSplitRequest, LootLedgerEntry, LootTransferRequest, PartyTreasury } from '@/domain/game/loot.js';
 
 export interface RoomConfig {
   maxPlayers: number;
   moduleName?: string;
   maxHistoryTurns: number;
+  playerRolls?: boolean;       // checks prompt the player to roll instead of rolling server-side
+  rollPromptSeconds?: number;  // how long the narrator waits before rolling for them
+  llm?: Partial<Record<LLMAgentRole, string>>; // provider chain per agent role, e.g. "openai:gpt-4o,local"
 }
 
 export interface RoomState {
@@ -28,6 +34,42 @@ export interface PlayerAction {
   timestamp: number;
 }
 
+// Player-initiated roll (from the /roll command or the room roll API)
+export type PlayerRollKind = 'ability' | 'skill' | 'save' | 'attack' | 'initiative' | 'formula';
+
+export interface PlayerRollRequest {
+  kind: PlayerRollKind;
+  ability?: Ability;      // ability checks and saves
+  skill?: Skill;          // skill checks
+  formula?: string;       // free rolls, or weapon damage dice for attacks
+  weaponName?: string;    // attacks only
+  finesse?: boolean;
+  ranged?: boolean;
+  rollType?: RollType;
+  dc?: number;            // target number (AC for attacks), if the player knows it
+  reason?: string;
+}
+
+export interface PlayerRoll {
+  id: string;
+  userId: string;
+  username: string;
+  request: PlayerRollRequest;
+  result: DiceRollEvent['data'];
+  timestamp: number;
+}
+
+// A check the narrator is waiting for a player to roll (player-rolls rooms)
+export interface RollPrompt {
+  id: string;
+  userId: string;
+  username: string;
+  characterId: string;
+  characterName: string;
+  request: PlayerRollRequest;
+  expiresAt: number;
+}
+
 // Player note with stable ID
 export interface PlayerNote {
   id: string;           // UUID for stable identification
@@ -89,6 +131,7 @@ export interface IRoom {
   load(): Promise<void>;
   getGameState(): GameState;
   setGameState(state: GameState): void;
+  getSpeed(characterId: string): number;
 
   // Member management
   getMembers(): Promise<RoomMember[]>;
@@ -101,6 +144,21 @@ export interface IRoom {
   addPlayerNote(userId: string, note: string): Promise<PlayerNote>;
   deletePlayerNote(userId: string, noteId: string): Promise<void>;
 
+  // Player rolls
+  rollForPlayer(userId: string, request: PlayerRollRequest): Promise<PlayerRoll>;
+  answerRollPrompt(userId: string, promptId: string): Promise<PlayerRoll>;
+  getRollPrompts(): RollPrompt[];
+
+  // Loot and party treasury
+  getTreasury(): PartyTreasury;
+  getLootLedger(limit?: number): LootLedgerEntry[];
+  transferLoot(userId: string, request: LootTransferRequest): Promise<LootLedgerEntry[]>;
+  splitGold(userId: string, request: Partial<GoldSplitRequest>): Promise<LootLedgerEntry[]>;
+
+  // Level up of a character playing in the room
+  rollLevelUpHitPoints(characterId: string, hitDie: number): number;
+  applyLevelUp(characterId: string, hitPointsGained: number): void;
+
   // Access to internal components (for advanced use)
   getConversationHistory(): IConversationHistory;
   getRoomChat(): IRoomChat | undefined;
@@ -7,6 +7,7 @@ import type {
   AbilityScores,
 } from '@/domain/character/types.js';
 import { CharacterClassLabels } from '@/domain/character/types.js';
+import { getSkillBonus, normalizeSkill } from '@/domain/game/dnd5e/abilities.js';
 
 export class Character implements ICharacter {
   readonly data: CharacterData;
@@ -22,6 +23,7 @@ export class Character implements ICharacter {
       race: 'human',
       characterClass: 'FIGHTER',
       level: 1,
+      experience: 0,
       background: 'commoner',
       alignment: 'neutral',
 
@@ -99,11 +101,11 @@ export class Character implements ICharacter {
   }
 
   getSkillBonus(skill: string, ability: keyof AbilityScores): number {
-    const modifier = this.getModifier(ability);
-    const isProficient = this.data.skillProficiencies.includes(skill);
-    return isProficient
-      ? modifier + this.getProficiencyBonus()
-      : modifier;
+    const key = normalizeSkill(skill);
+    if (!key) {
+      return this.getModifier(ability);
+    }
+    return getSkillBonus({ ...this.data, proficiencyBonus: this.getProficiencyBonus() }, key, ability).total;
   }
 
   getSavingThrowBonus(ability: keyof AbilityScores): number {
@@ -12,6 +12,8 @@ import {
   UserSessionRepository,
   RoomMembershipRepository,
   GameStateRepository,
+  BestiaryRepository,
+  RollLedgerRepository,
 } from './lowdb/index.js';
 
 export class DatabaseService {
@@ -23,6 +25,8 @@ export class DatabaseService {
   public readonly userSessions: UserSessionRepository;
   public readonly roomMemberships: RoomMembershipRepository;
   public readonly gameStates: GameStateRepository;
+  public readonly bestiary: BestiaryRepository;
+  public readonly rollLedger: RollLedgerRepository;
 
   private constructor(db: Awaited<ReturnType<typeof getDatabase>>) {
     // Initialize repositories with LowDB connection
@@ -33,6 +37,8 @@ export class DatabaseService {
     this.userSessions = new UserSessionRepository(db);
     this.roomMemberships = new RoomMembershipRepository(db);
     this.gameStates = new GameStateRepository(db);
+    this.bestiary = new BestiaryRepository(db);
+    this.rollLedger = new RollLedgerRepository(db);
   }
 
   /**
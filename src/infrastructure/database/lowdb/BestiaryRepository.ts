@@ -0,0 +1,209 @@
+// Bestiary Repository - LowDB implementation
+// Handles monster / NPC stat block CRUD operations with JSON storage
+
+import type { MonsterStatBlock, CreatureSize } from '@/domain/game/bestiary.js';
+import type { DatabaseConnection, MonsterRecord } from './connection.js';
+
+export interface MonsterFilter {
+  name?: string;
+  creatureType?: string;
+  minChallengeRating?: number;
+  maxChallengeRating?: number;
+  limit?: number;
+  offset?: number;
+}
+
+export interface MonsterListResult {
+  monsters: MonsterStatBlock[];
+  total: number;
+  page: number;
+  pageSize: number;
+}
+
+export class BestiaryRepository {
+  constructor(private db: DatabaseConnection) {}
+
+  /**
+   * Monsters collection, created on demand for databases written before the bestiary existed
+   */
+  private get records(): MonsterRecord[] {
+    const data = this.db.getData();
+    if (!data.monsters) {
+      data.monsters = [];
+    }
+    return data.monsters;
+  }
+
+  /**
+   * Create a new stat block
+   */
+  async create(monster: MonsterStatBlock): Promise<string> {
+    const id = monster.id || `monster_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const now = new Date().toISOString();
+
+    this.records.push({
+      ...this.toRecord(monster),
+      id,
+      created_at: now,
+      updated_at: now,
+    });
+    await this.db.write();
+
+    return id;
+  }
+
+  /**
+   * Get stat block by ID
+   */
+  findById(id: string): MonsterStatBlock | null {
+    const record = this.records.find((m) => m.id === id);
+    return record ? this.rowToMonster(record) : null;
+  }
+
+  /**
+   * Get stat block by exact name (case-insensitive)
+   */
+  findByName(name: string): MonsterStatBlock | null {
+    const query = name.trim().toLowerCase();
+    const record = this.records.find((m) => m.name.toLowerCase() === query);
+    return record ? this.rowToMonster(record) : null;
+  }
+
+  /**
+   * List stat blocks with optional filtering
+   */
+  list(filter: MonsterFilter = {}): MonsterListResult {
+    let monsters = this.records;
+
+    if (filter.name) {
+      const query = filter.name.toLowerCase();
+      monsters = monsters.filter((m) => m.name.toLowerCase().includes(query));
+    }
+
+    if (filter.creatureType) {
+      const query = filter.creatureType.toLowerCase();
+      monsters = monsters.filter((m) => m.creature_type.toLowerCase().includes(query));
+    }
+
+    if (filter.minChallengeRating !== undefined) {
+      monsters = monsters.filter((m) => m.challenge_rating >= filter.minChallengeRating!);
+    }
+
+    if (filter.maxChallengeRating !== undefined) {
+      monsters = monsters.filter((m) => m.challenge_rating <= filter.maxChallengeRating!);
+    }
+
+    const total = monsters.length;
+    const limit = filter.limit ?? 50;
+    const offset = filter.offset ?? 0;
+
+    monsters = [...monsters]
+      .sort((a, b) => a.challenge_rating - b.challenge_rating || a.name.localeCompare(b.name))
+      .slice(offset, offset + limit);
+
+    return {
+      monsters: monsters.map((m) => this.rowToMonster(m)),
+      total,
+      page: Math.floor(offset / limit) + 1,
+      pageSize: limit,
+    };
+  }
+
+  /**
+   * Update stat block
+   */
+  async update(id: string, monster: Partial<MonsterStatBlock>): Promise<boolean> {
+    const records = this.records;
+    const idx = records.findIndex((m) => m.id === id);
+    if (idx === -1) return false;
+
+    const merged: MonsterStatBlock = { ...this.rowToMonster(records[idx]), ...monster };
+    records[idx] = {
+      ...this.toRecord(merged),
+      id,
+      created_at: records[idx].created_at,
+      updated_at: new Date().toISOString(),
+    };
+
+    await this.db.write();
+    return true;
+  }
+
+  /**
+   * Delete stat block
+   */
+  async delete(id: string): Promise<boolean> {
+    const records = this.records;
+    const idx = records.findIndex((m) => m.id === id);
+    if (idx === -1) return false;
+
+    records.splice(idx, 1);
+    await this.db.write();
+    return true;
+  }
+
+  /**
+   * Convert MonsterStatBlock to a database row (without id/timestamps)
+   */
+  private toRecord(monster: MonsterStatBlock): Omit<MonsterRecord, 'id' | 'created_at' | 'updated_at'> {
+    return {
+      name: monster.name,
+      size: monster.size,
+      creature_type: monster.creatureType,
+      alignment: monster.alignment,
+      armor_class: monster.armorClass,
+      max_hp: monster.maxHp,
+      hit_dice: monster.hitDice ?? null,
+      speed: monster.speed,
+      ability_scores: JSON.stringify(monster.abilityScores),
+      proficiency_bonus: monster.proficiencyBonus,
+      saving_throw_proficiencies: JSON.stringify(monster.savingThrowProficiencies),
+      skill_proficiencies: JSON.stringify(monster.skillProficiencies),
+      attacks: JSON.stringify(monster.attacks),
+      resistances: JSON.stringify(monster.resistances),
+      immunities: JSON.stringify(monster.immunities),
+      vulnerabilities: JSON.stringify(monster.vulnerabilities),
+      condition_immunities: JSON.stringify(monster.conditionImmunities),
+      challenge_rating: monster.challengeRating,
+      xp: monster.xp,
+      senses: monster.senses ?? null,
+      languages: monster.languages ?? null,
+      traits: JSON.stringify(monster.traits ?? []),
+      description: monster.description ?? null,
+    };
+  }
+
+  /**
+   * Convert database row to MonsterStatBlock
+   */
+  private rowToMonster(row: MonsterRecord): MonsterStatBlock {
+    return {
+      id: row.id,
+      name: row.name,
+      size: row.size as CreatureSize,
+      creatureType: row.creature_type,
+      alignment: row.alignment,
+      armorClass: row.armor_class,
+      maxHp: row.max_hp,
+      hitDice: row.hit_dice ?? undefined,
+      speed: row.speed,
+      abilityScores: JSON.parse(row.ability_scores),
+      proficiencyBonus: row.proficiency_bonus,
+      savingThrowProficiencies: JSON.parse(row.saving_throw_proficiencies),
+      skillProficiencies: JSON.parse(row.skill_proficiencies),
+      attacks: JSON.parse(row.attacks),
+      resistances: JSON.parse(row.resistances),
+      immunities: JSON.parse(row.immunities),
+      vulnerabilities: JSON.parse(row.vulnerabilities),
+      conditionImmunities: JSON.parse(row.condition_immunities),
+      challengeRating: row.challenge_rating,
+      xp: row.xp,
+      senses: row.senses ?? undefined,
+      languages: row.languages ?? undefined,
+      traits: JSON.parse(row.traits || '[]'),
+      description: row.description ?? undefined,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
@@ -2,7 +2,9 @@
 // Handles character CRUD operations with JSON storage
 
 import type { CharacterData, AbilityScores, CharacterClass } from '@/domain/character/types.js';
-import type { DatabaseConnection } from './connection.js';
+import type { CharacterRecord, DatabaseConnection } from './connection.js';
+import { normalizeInventory } from '@/domain/game/dnd5e/inventory.js';
+import { getClassFeaturesUpTo, getExperienceForLevel } from '@/domain/game/dnd5e/progression.js';
 import { fuzzyMatch } from '@/utils/string.js';
 
 export interface CharacterFilter {
@@ -39,6 +41,8 @@ export class CharacterRepository {
       race: character.race,
       character_class: character.characterClass,
       level: character.level,
+      experience: character.experience ?? getExperienceForLevel(character.level),
+      features: JSON.stringify(character.features ?? getClassFeaturesUpTo(character.characterClass, character.level)),
       background: character.background ?? null,
       alignment: character.alignment ?? null,
       ability_scores: JSON.stringify(character.abilityScores),
@@ -53,6 +57,7 @@ export class CharacterRepository {
       is_dead: character.isDead ? 1 : 0,
       is_stable: character.isStable ? 1 : 0,
       skill_proficiencies: JSON.stringify(character.skillProficiencies),
+      skill_expertise: JSON.stringify(character.skillExpertise ?? []),
       saving_throw_proficiencies: JSON.stringify(character.savingThrowProficiencies),
       tool_proficiencies: JSON.stringify(character.toolProficiencies),
       language_proficiencies: JSON.stringify(character.languageProficiencies),
@@ -148,7 +153,28 @@ export class CharacterRepository {
     const idx = data.characters.findIndex((c) => c.id === id);
     if (idx === -1) return false;
 
-    const existing = data.characters[idx];
+    data.characters[idx] = this.applyUpdate(data.characters[idx], character);
+    await this.db.write();
+    return true;
+  }
+
+  /**
+   * Update several characters with a single write.
+   * Nothing changes when any of them is missing.
+   */
+  async updateMany(updates: Array<{ id: string; changes: Partial<CharacterData> }>): Promise<boolean> {
+    const data = this.db.getData();
+    const indexes = updates.map(({ id }) => data.characters.findIndex((c) => c.id === id));
+    if (indexes.includes(-1)) return false;
+
+    updates.forEach(({ changes }, i) => {
+      data.characters[indexes[i]] = this.applyUpdate(data.characters[indexes[i]], changes);
+    });
+    await this.db.write();
+    return true;
+  }
+
+  private applyUpdate(existing: CharacterRecord, character: Partial<CharacterData>): CharacterRecord {
     const updated = { ...existing };
 
     // Update fields if provided
@@ -157,6 +183,9 @@ export class CharacterRepository {
     if (character.characterClass !== undefined)
       updated.character_class = character.characterClass;
     if (character.level !== undefined) updated.level = character.level;
+    if (character.experience !== undefined) updated.experience = character.experience;
+    if (character.features !== undefined)
+      updated.features = JSON.stringify(character.features);
     if (character.background !== undefined)
       updated.background = character.background ?? null;
     if (character.alignment !== undefined)
@@ -180,6 +209,8 @@ export class CharacterRepository {
       updated.is_stable = character.isStable ? 1 : 0;
     if (character.skillProficiencies !== undefined)
       updated.skill_proficiencies = JSON.stringify(character.skillProficiencies);
+    if (character.skillExpertise !== undefined)
+      updated.skill_expertise = JSON.stringify(character.skillExpertise);
     if (character.savingThrowProficiencies !== undefined)
       updated.saving_throw_proficiencies = JSON.stringify(
         character.savingThrowProficiencies
@@ -223,10 +254,7 @@ export class CharacterRepository {
       updated.thoughts = character.thoughts ?? null;
 
     updated.updated_at = new Date().toISOString();
-
-    data.characters[idx] = updated;
-    await this.db.write();
-    return true;
+    return updated;
   }
 
   /**
@@ -265,6 +293,11 @@ export class CharacterRepository {
       race: row.race,
       characterClass: row.character_class as CharacterClass,
       level: row.level,
+      // Characters created before XP tracking start at their level's threshold
+      experience: row.experience ?? getExperienceForLevel(row.level),
+      features: row.features
+        ? JSON.parse(row.features)
+        : getClassFeaturesUpTo(row.character_class, row.level),
       background: row.background ?? undefined,
       alignment: row.alignment ?? undefined,
       abilityScores: JSON.parse(row.ability_scores) as AbilityScores,
@@ -279,10 +312,14 @@ export class CharacterRepository {
       isDead: row.is_dead === 1,
       isStable: row.is_stable === 1,
       skillProficiencies: JSON.parse(row.skill_proficiencies),
+      skillExpertise: JSON.parse(row.skill_expertise || '[]'),
       savingThrowProficiencies: JSON.parse(row.saving_throw_proficiencies),
       toolProficiencies: JSON.parse(row.tool_proficiencies),
       languageProficiencies: JSON.parse(row.language_proficiencies),
-      inventory: JSON.parse(row.inventory),
+      inventory: normalizeInventory(JSON.parse(row.inventory || '[]'), {
+        equippedWeapon: row.equipped_weapon ?? '',
+        equippedArmor: row.equipped_armor ?? '',
+      }),
       equippedWeapon: row.equipped_weapon ?? undefined,
       equippedArmor: row.equipped_armor ?? undefined,
       gold: row.gold,
@@ -32,6 +32,10 @@ export class GameStateRepository {
       known_spells: JSON.stringify(charState.knownSpells || []),
       equipment_worn: JSON.stringify(charState.equipmentState?.worn || []),
       equipment_wielded: JSON.stringify(charState.equipmentState?.wielded || []),
+      death_saves: charState.deathSaves ? JSON.stringify(charState.deathSaves) : undefined,
+      hit_dice_remaining: charState.hitDiceRemaining,
+      exhaustion_level: charState.exhaustionLevel,
+      concentration: charState.concentration ? JSON.stringify(charState.concentration) : undefined,
     }));
 
     const characterOverlaysArray = Array.from(state.characterOverlays.entries()).map(
@@ -47,10 +51,20 @@ export class GameStateRepository {
       module_name: state.moduleName,
       location_name: state.location.name,
       location_description: state.location.description,
+      location_id: state.location.id,
+      location_region: state.location.region,
       character_states: JSON.stringify(characterStatesArray),
       world_context: JSON.stringify(state.worldContext || { recentEvents: [], worldFacts: [], flags: {} }),
       character_overlays: JSON.stringify(characterOverlaysArray),
       active_encounters: JSON.stringify(state.activeEncounters || []),
+      treasury: state.treasury ? JSON.stringify(state.treasury) : undefined,
+      loot_ledger: JSON.stringify(state.lootLedger || []),
+      quests: JSON.stringify(state.quests || []),
+      npcs: JSON.stringify(state.npcs || []),
+      location_graph: state.locationGraph ? JSON.stringify(state.locationGraph) : undefined,
+      character_locations: JSON.stringify(state.characterLocations || {}),
+      clock: state.clock ? JSON.stringify(state.clock) : undefined,
+      scheduled_events: JSON.stringify(state.scheduledEvents || []),
       last_updated: state.lastUpdated || Date.now(),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
@@ -106,6 +120,10 @@ export class GameStateRepository {
             worn: JSON.parse(cs.equipment_worn || '[]'),
             wielded: JSON.parse(cs.equipment_wielded || '[]'),
           },
+          deathSaves: cs.death_saves ? JSON.parse(cs.death_saves) : undefined,
+          hitDiceRemaining: cs.hit_dice_remaining,
+          exhaustionLevel: cs.exhaustion_level,
+          concentration: cs.concentration ? JSON.parse(cs.concentration) : undefined,
         },
       ])
     );
@@ -133,6 +151,8 @@ export class GameStateRepository {
       location: {
         name: record.location_name,
         description: record.location_description,
+        id: record.location_id,
+        region: record.location_region,
       },
       characterStates,
       characterOverlays,
@@ -142,6 +162,14 @@ export class GameStateRepository {
         flags: worldContext.flags || {},
       },
       activeEncounters: JSON.parse(record.active_encounters || '[]'),
+      treasury: record.treasury ? JSON.parse(record.treasury) : undefined,
+      lootLedger: JSON.parse(record.loot_ledger || '[]'),
+      quests: JSON.parse(record.quests || '[]'),
+      npcs: JSON.parse(record.npcs || '[]'),
+      locationGraph: record.location_graph ? JSON.parse(record.location_graph) : undefined,
+      characterLocations: JSON.parse(record.character_locations || '{}'),
+      clock: record.clock ? JSON.parse(record.clock) : undefined,
+      scheduledEvents: JSON.parse(record.scheduled_events || '[]'),
       lastUpdated: record.last_updated,
     };
   }
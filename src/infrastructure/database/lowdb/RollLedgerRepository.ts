@@ -0,0 +1,127 @@
+// Roll Ledger Repository - LowDB implementation
+// Append-only audit log of every dice roll made in a room
+
+import {
+  canViewRoll,
+  type IRollLedgerRepository,
+  type RollLedgerEntry,
+  type RollLedgerPage,
+  type RollLedgerViewer,
+} from '@/domain/game/rollLedger.js';
+import type { DatabaseConnection, RollLedgerRecord } from './connection.js';
+
+export class RollLedgerRepository implements IRollLedgerRepository {
+  constructor(private db: DatabaseConnection) {}
+
+  /**
+   * Ledger collection, created on demand for databases written before the ledger existed
+   */
+  private get records(): RollLedgerRecord[] {
+    const data = this.db.getData();
+    if (!data.rollLedger) {
+      data.rollLedger = [];
+    }
+    return data.rollLedger;
+  }
+
+  /**
+   * Append an entry
+   */
+  async append(entry: RollLedgerEntry): Promise<void> {
+    await this.appendMany([entry]);
+  }
+
+  /**
+   * Append entries with a single write
+   */
+  async appendMany(entries: RollLedgerEntry[]): Promise<void> {
+    if (entries.length === 0) return;
+    this.records.push(...entries.map((entry) => this.toRecord(entry)));
+    await this.db.write();
+  }
+
+  /**
+   * List a room's entries, newest first. With a viewer, only the rolls they may see.
+   */
+  listByRoom(roomId: string, limit = 50, offset = 0, viewer?: RollLedgerViewer): RollLedgerPage {
+    const visible = this.records
+      .filter((r) => r.room_id === roomId)
+      .map((r) => this.rowToEntry(r))
+      .filter((entry) => !viewer || canViewRoll(entry, viewer));
+    const entries = visible
+      .sort((a, b) => b.timestamp - a.timestamp || b.rngPosition - a.rngPosition)
+      .slice(offset, offset + limit);
+
+    return { entries, total: visible.length };
+  }
+
+  /**
+   * Most recent entry for a room (used to resume the room's RNG after a restart)
+   */
+  getLatest(roomId: string): RollLedgerEntry | null {
+    let latest: RollLedgerRecord | null = null;
+    for (const record of this.records) {
+      if (record.room_id !== roomId) continue;
+      if (
+        !latest ||
+        record.timestamp > latest.timestamp ||
+        (record.timestamp === latest.timestamp && record.rng_position > latest.rng_position)
+      ) {
+        latest = record;
+      }
+    }
+    return latest ? this.rowToEntry(latest) : null;
+  }
+
+  private toRecord(entry: RollLedgerEntry): RollLedgerRecord {
+    return {
+      id: entry.id,
+      room_id: entry.roomId,
+      turn: entry.turn,
+      timestamp: entry.timestamp,
+      source: entry.source,
+      actor_id: entry.actorId,
+      actor_name: entry.actorName,
+      rolled_by: entry.rolledBy ?? null,
+      visibility: entry.visibility ?? null,
+      check_type: entry.checkType,
+      reason: entry.reason,
+      formula: entry.formula,
+      rolls: JSON.stringify(entry.rolls),
+      modifier: entry.modifier,
+      total: entry.total,
+      dc: entry.dc ?? null,
+      success: entry.success === undefined ? null : entry.success ? 1 : 0,
+      damage: entry.damage ? JSON.stringify(entry.damage) : null,
+      seed: entry.seed,
+      rng_position: entry.rngPosition,
+      draws: entry.draws ? JSON.stringify(entry.draws) : null,
+    };
+  }
+
+  private rowToEntry(row: RollLedgerRecord): RollLedgerEntry {
+    return {
+      id: row.id,
+      roomId: row.room_id,
+      turn: row.turn,
+      timestamp: row.timestamp,
+      source: row.source,
+      actorId: row.actor_id,
+      actorName: row.actor_name,
+      rolledBy: row.rolled_by ?? undefined,
+      visibility: (row.visibility ?? undefined) as RollLedgerEntry['visibility'],
+      checkType: row.check_type as RollLedgerEntry['checkType'],
+      reason: row.reason,
+      formula: row.formula,
+      rolls: JSON.parse(row.rolls),
+      modifier: row.modifier,
+      total: row.total,
+      dc: row.dc ?? undefined,
+      success: row.success === null || row.success === undefined ? undefined : row.success === 1,
+      damage: row.damage ? JSON.parse(row.damage) : undefined,
+      seed: row.seed,
+      rngPosition: row.rng_position,
+      draws: row.draws ? JSON.parse(row.draws) : undefined,
+    };
+  }
+}
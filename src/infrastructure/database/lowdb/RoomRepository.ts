@@ -1,7 +1,7 @@
 // Room Repository - LowDB implementation
 // Handles room persistence and save slots with JSON storage
 
-import type { IRoom } from '@/domain/index.js';
+import type { IRoom, RoomConfig } from '@/domain/index.js';
 import type { DatabaseConnection } from './connection.js';
 
 export interface RoomData {
@@ -23,6 +23,10 @@ export interface RoomData {
   initializedAt: string | null;
   suspendedAt: string | null;
   boundMemberIds: string[];
+  // Roll prompt settings; undefined for rooms saved before they existed
+  playerRolls?: boolean;
+  rollPromptSeconds?: number;
+  llm?: RoomConfig['llm'];
 }
 
 export interface SaveSlot {
@@ -76,6 +80,12 @@ export class RoomRepository {
       initialized_at: existingIndex >= 0 ? (data.rooms[existingIndex] as any).initialized_at ?? null : null,
       suspended_at: existingIndex >= 0 ? (data.rooms[existingIndex] as any).suspended_at ?? null : null,
       bound_member_ids: existingIndex >= 0 ? (data.rooms[existingIndex] as any).bound_member_ids ?? [] : [],
+      player_rolls: room.state.config.playerRolls === undefined ? undefined : room.state.config.playerRolls ? 1 : 0,
+      roll_prompt_seconds: room.state.config.rollPromptSeconds,
+      llm: room.state.config.llm,
+      // The dice RNG position is written separately on every draw
+      dice_seed: existingIndex >= 0 ? data.rooms[existingIndex].dice_seed : undefined,
+      rng_position: existingIndex >= 0 ? data.rooms[existingIndex].rng_position : undefined,
     };
 
     if (existingIndex >= 0) {
@@ -246,6 +256,7 @@ export class RoomRepository {
     data.rooms.splice(idx, 1);
     // Also clean up related data
     data.saveSlots = data.saveSlots.filter((s) => s.room_id !== id);
+    data.rollLedger = (data.rollLedger ?? []).filter((r) => r.room_id !== id);
     await this.db.write();
     return true;
   }
@@ -304,6 +315,9 @@ export class RoomRepository {
       initializedAt: row.initialized_at ?? null,
       suspendedAt: row.suspended_at ?? null,
       boundMemberIds: Array.isArray(row.bound_member_ids) ? row.bound_member_ids : [],
+      playerRolls: row.player_rolls === undefined ? undefined : row.player_rolls === 1,
+      rollPromptSeconds: row.roll_prompt_seconds,
+      llm: row.llm,
     };
   }
 
@@ -318,6 +332,27 @@ export class RoomRepository {
     return true;
   }
 
+  /**
+   * Dice RNG seed and the number of dice drawn so far, if any were recorded.
+   */
+  getRngPosition(roomId: string): { seed: number; position: number } | null {
+    const room = this.db.getData().rooms.find((r) => r.id === roomId);
+    if (room?.dice_seed === undefined || room.rng_position === undefined) return null;
+    return { seed: room.dice_seed, position: room.rng_position };
+  }
+
+  /**
+   * Record how far the room's dice RNG has drawn.
+   */
+  async setRngPosition(roomId: string, seed: number, position: number): Promise<boolean> {
+    const room = this.db.getData().rooms.find((r) => r.id === roomId);
+    if (!room) return false;
+    room.dice_seed = seed;
+    room.rng_position = position;
+    await this.db.write();
+    return true;
+  }
+
   /**
    * Persist the bound team roster.
    */
@@ -19,6 +19,8 @@ export interface DatabaseSchema {
   saveSlots: SaveSlotRecord[];
   userSessions: UserSessionRecord[];
   gameStates: GameStateRecord[];
+  monsters: MonsterRecord[];
+  rollLedger: RollLedgerRecord[];
 }
 
 // Type definitions matching the SQL schema
@@ -52,6 +54,13 @@ export interface RoomRecord {
   suspended_at?: string | null;     // When owner suspended the room
   // Bound team (fixed roster after first initialization)
   bound_member_ids?: string[];
+  // Roll prompts (restored when the room is rebuilt)
+  player_rolls?: number;           // 1 = checks prompt the player to roll
+  roll_prompt_seconds?: number;
+  llm?: Record<string, string>;   // provider chain per agent role
+  // Dice RNG, written on every draw so a restart resumes where it left off
+  dice_seed?: number;
+  rng_position?: number;
 }
 
 export interface CharacterRecord {
@@ -61,6 +70,8 @@ export interface CharacterRecord {
   race: string;
   character_class: string;
   level: number;
+  experience?: number;
+  features?: string;
   background?: string;
   alignment?: string;
   ability_scores: string;
@@ -75,6 +86,7 @@ export interface CharacterRecord {
   is_dead: number;
   is_stable: number;
   skill_proficiencies: string;
+  skill_expertise?: string;
   saving_throw_proficiencies: string;
   tool_proficiencies: string;
   language_proficiencies: string;
@@ -141,15 +153,80 @@ export interface GameStateRecord {
   module_name?: string;
   location_name: string;
   location_description?: string;
+  location_id?: string;
+  location_region?: string;
   character_states: string;
   world_context: string;
   character_overlays: string;
   active_encounters: string;
+  treasury?: string;
+  loot_ledger?: string;
+  quests?: string;
+  npcs?: string;
+  location_graph?: string;
+  character_locations?: string;
+  clock?: string;
+  scheduled_events?: string;
   last_updated: number;
   created_at: string;
   updated_at: string;
 }
 
+// Bestiary stat block
+export interface MonsterRecord {
+  id: string;
+  name: string;
+  size: string;
+  creature_type: string;
+  alignment: string;
+  armor_class: number;
+  max_hp: number;
+  hit_dice?: string | null;
+  speed: number;
+  ability_scores: string;
+  proficiency_bonus: number;
+  saving_throw_proficiencies: string;
+  skill_proficiencies: string;
+  attacks: string;
+  resistances: string;
+  immunities: string;
+  vulnerabilities: string;
+  condition_immunities: string;
+  challenge_rating: number;
+  xp: number;
+  senses?: string | null;
+  languages?: string | null;
+  traits: string;
+  description?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// Audited dice roll in a room's ledger
+export interface RollLedgerRecord {
+  id: string;
+  room_id: string;
+  turn: number;
+  timestamp: number;
+  source: 'dm' | 'player';
+  actor_id: string;
+  actor_name: string;
+  rolled_by?: string | null;
+  visibility?: string | null; // 'player' | 'hidden'; null = public
+  check_type: string;
+  reason: string;
+  formula: string;
+  rolls: string;            // JSON array of die results
+  modifier: number;
+  total: number;
+  dc?: number | null;
+  success?: number | null;  // 1/0, null when there was no target number
+  damage?: string | null;   // JSON { formula, rolls, total, damageType }
+  seed: number;
+  rng_position: number;
+  draws?: string | null;           // JSON RngDraw[]
+}
+
 // Character state within a game save
 export interface CharacterStateRecord {
   instance_id: string;
@@ -162,6 +239,10 @@ export interface CharacterStateRecord {
   known_spells: string;
   equipment_worn: string;
   equipment_wielded: string;
+  death_saves?: string;
+  hit_dice_remaining?: number;
+  exhaustion_level?: number;
+  concentration?: string;
 }
 
 // User session for auth system
@@ -184,6 +265,8 @@ const defaultData: DatabaseSchema = {
   saveSlots: [],
   userSessions: [],
   gameStates: [],
+  monsters: [],
+  rollLedger: [],
 };
 
 export type { defaultData };
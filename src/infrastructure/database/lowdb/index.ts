@@ -9,9 +9,12 @@ export { CharacterRepository } from './CharacterRepository.js';
 export { ConversationHistoryRepository } from './ConversationHistoryRepository.js';
 export { RoomMembershipRepository } from './RoomMembershipRepository.js';
 export { GameStateRepository } from './GameStateRepository.js';
+export { BestiaryRepository } from './BestiaryRepository.js';
+export { RollLedgerRepository } from './RollLedgerRepository.js';
 
 // Type exports from repositories
 export type { RoomData, SaveSlot } from './RoomRepository.js';
 export type { CharacterFilter, CharacterListResult } from './CharacterRepository.js';
+export type { MonsterFilter, MonsterListResult } from './BestiaryRepository.js';
 export type { ConversationTurn } from './ConversationHistoryRepository.js';
 export type { DatabaseConfig, DatabaseSchema } from './connection.js';
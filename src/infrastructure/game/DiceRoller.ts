@@ -1,6 +1,9 @@
 // Infrastructure layer: Dice rolling RNG implementation
 // Implements testable dice rolling with injectable random number generator
 
+import { randomInt } from 'crypto';
+import type { RngDraw } from '@/domain/game/rollLedger.js';
+
 export interface DiceRoller {
   roll(sides: number): number;
 }
@@ -52,21 +55,93 @@ export class FixedDiceRoller implements DiceRoller {
   }
 }
 
+/**
+ * Dice roller whose sequence can be reproduced and audited
+ * seed + position identify exactly where in the sequence the next die comes from
+ */
+export interface AuditableDiceRoller extends DiceRoller {
+  readonly seed: number;
+  readonly position: number; // dice drawn so far
+
+  /**
+   * Dice drawn since the last call, oldest first
+   */
+  takeDraws(): RngDraw[];
+}
+
+// Draws kept between ledger entries; older ones are dropped (their positions still count)
+const MAX_KEPT_DRAWS = 1000;
+
+/**
+ * Generate a fresh 32-bit seed
+ */
+export function generateDiceSeed(): number {
+  return randomInt(0, 0x100000000);
+}
+
 /**
  * Seeded dice roller for reproducible rolls
- * Uses a simple Linear Congruential Generator
- * Use for testing when you need randomness but reproducibility
+ * Uses mulberry32, a small 32-bit PRNG with good statistical quality
+ * Use per room so rolls can be replayed and verified from the seed
  */
-export class SeededDiceRoller implements DiceRoller {
+export class SeededDiceRoller implements AuditableDiceRoller {
+  readonly seed: number;
   private state: number;
+  private drawn = 0;
+  private draws: RngDraw[] = [];
+
+  /**
+   * @param seed - 32-bit seed
+   * @param position - Number of dice already drawn (resumes a sequence after restart)
+   * @param onDraw - Called with the new position after every die, so it can be persisted
+   */
+  constructor(
+    seed: number = generateDiceSeed(),
+    position: number = 0,
+    private onDraw?: (position: number) => void
+  ) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+    for (let i = 0; i < position; i++) {
+      this.next();
+    }
+  }
 
-  constructor(seed: number = Date.now()) {
-    this.state = seed;
+  get position(): number {
+    return this.drawn;
   }
 
   roll(sides: number): number {
-    // LCG parameters from glibc
-    this.state = (this.state * 1103515245 + 12345) & 0x7fffffff;
-    return (this.state % sides) + 1;
+    if (sides < 2) {
+      throw new Error(`Dice must have at least 2 sides, got: ${sides}`);
+    }
+    if (sides > 1000) {
+      throw new Error(`Dice cannot have more than 1000 sides, got: ${sides}`);
+    }
+    const value = Math.floor(this.next() * sides) + 1;
+    this.draws.push({ sides, value });
+    if (this.draws.length > MAX_KEPT_DRAWS) {
+      this.draws.shift();
+    }
+    this.onDraw?.(this.drawn);
+    return value;
+  }
+
+  takeDraws(): RngDraw[] {
+    const draws = this.draws;
+    this.draws = [];
+    return draws;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  private next(): number {
+    this.drawn++;
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   }
 }
@@ -0,0 +1,74 @@
+// Infrastructure layer: Fallback chain of LLM clients
+// Tries each provider in order until one answers
+
+import type {
+  ILLMClient,
+  LLMConfig,
+  LLMMessage,
+  LLMResponse,
+  LLMStreamChunk,
+  ChatOptions,
+} from '@/domain/llm/types.js';
+
+export interface FallbackLLMEntry {
+  name: string; // chain entry, for logs
+  client: ILLMClient;
+}
+
+export class FallbackLLMClient implements ILLMClient {
+  constructor(private entries: FallbackLLMEntry[]) {
+    if (entries.length === 0) {
+      throw new Error('A fallback chain needs at least one provider');
+    }
+  }
+
+  async chat(messages: LLMMessage[], options?: ChatOptions): Promise<LLMResponse> {
+    let lastError: unknown;
+    for (const [index, entry] of this.entries.entries()) {
+      try {
+        return await entry.client.chat(messages, options);
+      } catch (error) {
+        lastError = error;
+        this.warn(index, error);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Falls back only while nothing has been streamed yet:
+   * once players have seen part of the narration, a retry would repeat it
+   */
+  async *streamChat(messages: LLMMessage[], options?: ChatOptions): AsyncGenerator<LLMStreamChunk> {
+    for (const [index, entry] of this.entries.entries()) {
+      let started = false;
+      try {
+        for await (const chunk of entry.client.streamChat(messages, options)) {
+          started = true;
+          yield chunk;
+        }
+        return;
+      } catch (error) {
+        if (started || index === this.entries.length - 1) {
+          throw error;
+        }
+        this.warn(index, error);
+      }
+    }
+  }
+
+  /**
+   * Settings of the primary provider
+   */
+  getConfig(): Readonly<LLMConfig> {
+    return this.entries[0].client.getConfig();
+  }
+
+  private warn(index: number, error: unknown): void {
+    const next = this.entries[index + 1];
+    console.warn(
+      `[LLM] ${this.entries[index].name} failed: ${error instanceof Error ? error.message : error}` +
+        (next ? `; falling back to ${next.name}` : '')
+    );
+  }
+}
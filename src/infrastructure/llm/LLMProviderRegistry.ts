@@ -0,0 +1,93 @@
+// Infrastructure layer: LLM provider registry
+// Builds ILLMClient instances for configured providers and fallback chains
+
+import type { ILLMClient, LLMAgentRole } from '@/domain/llm/types.js';
+import {
+  getChainProvider,
+  parseLLMChain,
+  type LLMProviderConfig,
+  type LLMProvidersConfig,
+} from '@/utils/config.js';
+import { OpenAIClient } from '@/infrastructure/llm/OpenAIClient.js';
+import { OllamaClient } from '@/infrastructure/llm/OllamaClient.js';
+import { FallbackLLMClient } from '@/infrastructure/llm/FallbackLLMClient.js';
+
+export type LLMAdapterFactory = (config: LLMProviderConfig) => ILLMClient;
+
+// Local OpenAI-compatible servers ignore the key, but the SDK requires one
+const LOCAL_API_KEY = 'not-needed';
+
+export class LLMProviderRegistry {
+  private adapters = new Map<string, LLMAdapterFactory>([
+    [
+      'openai',
+      (config) => new OpenAIClient({
+        ...config,
+        // Never hand the OpenAI key from the environment to another server
+        apiKey: config.apiKey || (config.name === 'openai' ? undefined : LOCAL_API_KEY),
+      }),
+    ],
+    ['ollama', (config) => new OllamaClient(config)],
+  ]);
+  private providers: Map<string, LLMProviderConfig>;
+
+  constructor(private config: LLMProvidersConfig) {
+    this.providers = new Map(config.providers.map((provider) => [provider.name, provider]));
+  }
+
+  /**
+   * Add a backend type; providers with this type use the factory
+   */
+  registerAdapter(type: string, factory: LLMAdapterFactory): void {
+    this.adapters.set(type, factory);
+  }
+
+  getProviderNames(): string[] {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Chain entries that name no configured provider
+   */
+  findUnknownProviders(chain: string[]): string[] {
+    return chain.map(getChainProvider).filter((name) => !this.providers.has(name));
+  }
+
+  /**
+   * Chain for an agent role: the room's choice, then the role's configured chain, then the default
+   */
+  chainFor(role: LLMAgentRole, override?: string): string[] {
+    const chosen = override ? parseLLMChain(override) : [];
+    if (chosen.length > 0) return chosen;
+    return this.config.roles[role] ?? this.config.chain;
+  }
+
+  /**
+   * Client for one chain entry: "name" or "name:model"
+   */
+  create(entry: string): ILLMClient {
+    const name = getChainProvider(entry);
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    const factory = this.adapters.get(provider.type);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider type: ${provider.type} (${name})`);
+    }
+
+    const model = entry.length > name.length ? entry.slice(name.length + 1) : provider.model;
+    return factory({ ...provider, model });
+  }
+
+  /**
+   * One client for the whole chain: later entries are tried when earlier ones error or time out
+   */
+  createChain(chain: string[]): ILLMClient {
+    if (chain.length === 1) {
+      return this.create(chain[0]);
+    }
+    return new FallbackLLMClient(chain.map((entry) => ({ name: entry, client: this.create(entry) })));
+  }
+}
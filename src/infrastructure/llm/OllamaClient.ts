@@ -0,0 +1,240 @@
+// Infrastructure layer: Ollama-style HTTP implementation
+// Implements ILLMClient port from domain against a local /api/chat endpoint
+
+import { v4 as uuidv4 } from 'uuid';
+import type {
+  ILLMClient,
+  LLMConfig,
+  LLMMessage,
+  LLMResponse,
+  LLMStreamChunk,
+  ChatOptions,
+  ToolCall,
+} from '@/domain/llm/types.js';
+import { logLLMCall } from '@/utils/logger.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+interface OllamaToolCall {
+  function: {
+    name: string;
+    arguments: Record<string, unknown>;
+  };
+}
+
+interface OllamaChatResponse {
+  model: string;
+  message?: {
+    role: string;
+    content: string;
+    tool_calls?: OllamaToolCall[];
+  };
+  done: boolean;
+  prompt_eval_count?: number;
+  eval_count?: number;
+  error?: string;
+}
+
+export class OllamaClient implements ILLMClient {
+  private config: Required<
+    Pick<LLMConfig, 'model' | 'temperature' | 'maxTokens' | 'timeoutSeconds' | 'baseUrl'>
+  > &
+    Pick<LLMConfig, 'apiKey'>;
+
+  constructor(config: LLMConfig) {
+    this.config = {
+      model: config.model,
+      baseUrl: (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+      apiKey: config.apiKey,
+      temperature: config.temperature ?? 0.7,
+      maxTokens: config.maxTokens ?? 800,
+      timeoutSeconds: config.timeoutSeconds ?? 60,
+    };
+  }
+
+  async chat(messages: LLMMessage[], options?: ChatOptions): Promise<LLMResponse> {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.post(messages, options, false);
+      const data = (await response.json()) as OllamaChatResponse;
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      const content = data.message?.content?.trim() ?? '';
+      const toolCalls = data.message?.tool_calls?.map((call) => this.toToolCall(call));
+      const usage = this.toUsage(data);
+
+      this.log(messages, content, startTime, usage);
+
+      return {
+        content,
+        toolCalls: toolCalls?.length ? toolCalls : undefined,
+        usage,
+        model: data.model,
+      };
+    } catch (error) {
+      this.log(messages, '', startTime, undefined, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream a completion. The endpoint answers with one JSON object per line;
+   * tool calls arrive whole, so each one is yielded as soon as its line is read.
+   */
+  async *streamChat(messages: LLMMessage[], options?: ChatOptions): AsyncGenerator<LLMStreamChunk> {
+    const startTime = Date.now();
+    let fullResponse = '';
+
+    try {
+      const response = await this.post(messages, options, true);
+      if (!response.body) {
+        throw new Error('Empty response stream');
+      }
+
+      let usage: LLMResponse['usage'];
+      for await (const data of this.readLines(response.body)) {
+        if (data.error) {
+          throw new Error(data.error);
+        }
+
+        const content = data.message?.content ?? '';
+        if (content) {
+          fullResponse += content;
+          yield { content, done: false };
+        }
+        for (const call of data.message?.tool_calls ?? []) {
+          yield { content: '', done: false, toolCall: this.toToolCall(call) };
+        }
+        if (data.done) {
+          usage = this.toUsage(data);
+        }
+      }
+
+      this.log(messages, fullResponse, startTime, usage);
+      yield { content: '', done: true };
+    } catch (error) {
+      this.log(messages, fullResponse, startTime, undefined, error);
+      throw error;
+    }
+  }
+
+  getConfig(): Readonly<LLMConfig> {
+    return { ...this.config };
+  }
+
+  private async post(messages: LLMMessage[], options: ChatOptions | undefined, stream: boolean): Promise<Response> {
+    const response = await fetch(`${this.config.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.config.apiKey && { Authorization: `Bearer ${this.config.apiKey}` }),
+      },
+      body: JSON.stringify({
+        model: this.config.model,
+        messages: messages.map((message) => this.toOllamaMessage(message)),
+        stream,
+        ...(options?.tools && options.toolChoice !== 'none' && { tools: options.tools }),
+        options: {
+          temperature: this.config.temperature,
+          num_predict: this.config.maxTokens,
+        },
+      }),
+      signal: AbortSignal.timeout(this.config.timeoutSeconds * 1000),
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`LLM request failed (${response.status}): ${detail || response.statusText}`);
+    }
+    return response;
+  }
+
+  /**
+   * Parse newline-delimited JSON from the response body
+   */
+  private async *readLines(body: ReadableStream<Uint8Array>): AsyncGenerator<OllamaChatResponse> {
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    for await (const bytes of body as unknown as AsyncIterable<Uint8Array>) {
+      buffered += decoder.decode(bytes, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop() ?? '';
+      for (const line of lines) {
+        if (line.trim()) yield JSON.parse(line) as OllamaChatResponse;
+      }
+    }
+
+    buffered += decoder.decode();
+    if (buffered.trim()) {
+      yield JSON.parse(buffered) as OllamaChatResponse;
+    }
+  }
+
+  /**
+   * Tool calls carry their arguments as objects here, not JSON strings
+   */
+  private toOllamaMessage(message: LLMMessage): Record<string, unknown> {
+    const { role, content, tool_calls } = message;
+    if (!tool_calls?.length) {
+      return { role, content };
+    }
+
+    return {
+      role,
+      content,
+      tool_calls: tool_calls.map((call) => {
+        let args: Record<string, unknown> = {};
+        try {
+          args = JSON.parse(call.function.arguments || '{}');
+        } catch {
+          // Keep the call without arguments; the tool result reports the error
+        }
+        return { function: { name: call.function.name, arguments: args } };
+      }),
+    };
+  }
+
+  private toToolCall(call: OllamaToolCall): ToolCall {
+    return {
+      id: `call_${uuidv4()}`,
+      type: 'function',
+      function: {
+        name: call.function.name,
+        arguments: JSON.stringify(call.function.arguments ?? {}),
+      },
+    };
+  }
+
+  private toUsage(data: OllamaChatResponse): LLMResponse['usage'] {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) {
+      return undefined;
+    }
+    const promptTokens = data.prompt_eval_count ?? 0;
+    const completionTokens = data.eval_count ?? 0;
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  private log(
+    messages: LLMMessage[],
+    response: string,
+    startTime: number,
+    usage?: LLMResponse['usage'],
+    error?: unknown
+  ): void {
+    logLLMCall({
+      timestamp: new Date().toISOString(),
+      model: this.config.model,
+      prompt: JSON.stringify(messages),
+      response,
+      responseTimeMs: Date.now() - startTime,
+      promptTokens: usage?.promptTokens ?? 0,
+      completionTokens: usage?.completionTokens ?? 0,
+      totalTokens: usage?.totalTokens ?? 0,
+      ...(error !== undefined && { error: error instanceof Error ? error.message : 'Unknown error' }),
+    });
+  }
+}
@@ -169,11 +169,17 @@ export class OpenAIClient implements ILLMClient {
     }
   }
 
+  /**
+   * Stream a completion. Text arrives as it is generated; tool calls are assembled from
+   * their deltas and yielded one by one as soon as each call's arguments are complete,
+   * so callers can run a call while the rest of the response is still streaming.
+   */
   async *streamChat(messages: LLMMessage[], options?: ChatOptions): AsyncGenerator<LLMStreamChunk> {
     const startTime = Date.now();
     let fullResponse = '';
     let chunkCount = 0;
     const callId = uuidv4();
+    const toolCalls: ToolCall[] = [];
 
     logLLMDebug({
       timestamp: new Date().toISOString(),
@@ -201,23 +207,62 @@ export class OpenAIClient implements ILLMClient {
         max_tokens: this.config.maxTokens,
         stream: true,
         stream_options: { include_usage: true }, // Include usage information
-        // Note: tool calling in streaming mode is complex and deferred
-        // For now, tools are only supported in non-streaming chat()
+        ...(options?.tools && {
+          tools: options.tools as OpenAI.Chat.ChatCompletionTool[],
+          tool_choice: options.toolChoice || 'auto',
+        }),
       });
 
       let usage = null;
+      // Tool calls stream one after another, so a new index means the previous call is complete
+      let building: { index?: number; call: ToolCall } | null = null;
+      const finishToolCall = (): LLMStreamChunk | null => {
+        if (!building) return null;
+        const call = building.call;
+        call.id ||= `call_${uuidv4()}`;
+        building = null;
+        toolCalls.push(call);
+        return { content: '', done: false, toolCall: call };
+      };
+
       for await (const chunk of stream) {
-        const content = chunk.choices[0]?.delta?.content ?? '';
+        const choice = chunk.choices[0];
+        const content = choice?.delta?.content ?? '';
         if (content) {
           fullResponse += content;
           chunkCount++;
           yield { content, done: false };
         }
+
+        for (const delta of choice?.delta?.tool_calls ?? []) {
+          // Deltas belong to a call by index; servers that omit it are matched by id,
+          // and deltas with neither continue the call being built
+          const index: number | undefined = delta.index ?? undefined;
+          if (building && !this.continuesToolCall(building, index, delta.id)) {
+            yield finishToolCall()!;
+          }
+          if (!building) {
+            building = { index, call: { id: '', type: 'function', function: { name: '', arguments: '' } } };
+          }
+          building.index ??= index;
+          // Some compatible servers repeat the id and name on every delta; only the arguments are split
+          building.call.id ||= delta.id ?? '';
+          building.call.function.name ||= delta.function?.name ?? '';
+          building.call.function.arguments += delta.function?.arguments ?? '';
+        }
+
+        if (choice?.finish_reason) {
+          const finished = finishToolCall();
+          if (finished) yield finished;
+        }
         if (chunk.usage) {
           usage = chunk.usage;
         }
       }
 
+      const finished = finishToolCall();
+      if (finished) yield finished;
+
       const endTime = Date.now();
       const responseTimeMs = endTime - startTime;
 
@@ -251,6 +296,7 @@ export class OpenAIClient implements ILLMClient {
         model: this.config.model,
         baseUrl: this.config.baseUrl,
         response: fullResponse,
+        toolCalls: toolCalls.length ? toolCalls : undefined,
         responseTimeMs,
         promptTokens,
         completionTokens,
@@ -297,4 +343,17 @@ export class OpenAIClient implements ILLMClient {
   getConfig(): Readonly<LLMConfig> {
     return { ...this.config };
   }
+
+  /**
+   * Whether a streamed tool call delta belongs to the call being built
+   */
+  private continuesToolCall(building: { index?: number; call: ToolCall }, index?: number, id?: string): boolean {
+    if (index !== undefined && building.index !== undefined) {
+      return index === building.index;
+    }
+    if (id && building.call.id) {
+      return id === building.call.id;
+    }
+    return true;
+  }
 }
@@ -2,9 +2,10 @@
 // Centralizes room dependency creation to eliminate duplication across routes
 
 import { DatabaseService } from '@/infrastructure/database/DatabaseService.js';
-import { buildLLMConfig, buildRoomDefaults } from '@/utils/config.js';
+import { buildLLMConfig, buildLLMProvidersConfig, buildRoomDefaults } from '@/utils/config.js';
 import type { RoomDependencies } from '@/application/room/Room.js';
-import { OpenAIClient } from '@/infrastructure/llm/OpenAIClient.js';
+import type { RoomConfig } from '@/domain/room/types.js';
+import { LLMProviderRegistry } from '@/infrastructure/llm/LLMProviderRegistry.js';
 import { ConversationHistory } from '@/infrastructure/room/ConversationHistory.js';
 import { RoomChat } from '@/infrastructure/room/RoomChat.js';
 import { ContextBuilder } from '@/application/context/ContextBuilder.js';
@@ -12,6 +13,13 @@ import { SystemPromptProvider } from '@/application/context/providers/SystemProm
 import { ModuleContextProvider } from '@/application/context/providers/ModuleContextProvider.js';
 import { CharacterProfileProvider } from '@/application/context/providers/CharacterProfileProvider.js';
 import { PlayerNotesProvider } from '@/application/context/providers/PlayerNotesProvider.js';
+import { PlayerRollsProvider } from '@/application/context/providers/PlayerRollsProvider.js';
+import { ExpiredConditionsProvider } from '@/application/context/providers/ExpiredConditionsProvider.js';
+import { PartyTreasuryProvider } from '@/application/context/providers/PartyTreasuryProvider.js';
+import { QuestLogProvider } from '@/application/context/providers/QuestLogProvider.js';
+import { LocationMapProvider } from '@/application/context/providers/LocationMapProvider.js';
+import { GameClockProvider } from '@/application/context/providers/GameClockProvider.js';
+import { NpcRegistryProvider } from '@/application/context/providers/NpcRegistryProvider.js';
 import { GameRulesProvider } from '@/application/context/providers/GameRulesProvider.js';
 import { ConversationHistoryProvider } from '@/application/context/providers/ConversationHistoryProvider.js';
 import { WorldContextProvider } from '@/application/context/providers/WorldContextProvider.js';
@@ -19,7 +27,7 @@ import { CharacterStatusProvider } from '@/application/context/providers/Charact
 import { D20GameEngine } from '@/application/game/GameEngine.js';
 import { GameStateManager } from '@/application/game/GameStateManager.js';
 import { MessageRenderer } from '@/application/messages/MessageRenderer.js';
-import { RandomDiceRoller } from '@/infrastructure/game/DiceRoller.js';
+import { SeededDiceRoller, generateDiceSeed } from '@/infrastructure/game/DiceRoller.js';
 import { WorldContextUpdater } from '@/application/game/agents/WorldContextUpdater.js';
 
 /**
@@ -27,42 +35,49 @@ import { WorldContextUpdater } from '@/application/game/agents/WorldContextUpdat
  * Eliminates duplicate code between web.ts and rooms.ts
  */
 export class RoomFactory {
+  private static llmRegistry?: LLMProviderRegistry;
+
   /**
    * Create all dependencies needed for a Room instance
-   * @param roomId - Optional room ID for RoomChat creation
+   * @param roomId - Optional room ID for RoomChat creation and resuming the room's dice sequence
+   * @param options.diceSeed - Start a fresh dice sequence from this seed
+   * @param options.llm - Provider chain per agent role, overriding the configured chains
    * @returns Room dependencies object conforming to RoomDependencies
    */
-  static createDependencies(roomId?: string): RoomDependencies {
-    const llmConfig = buildLLMConfig();
-
+  static createDependencies(
+    roomId?: string,
+    options: { diceSeed?: number; llm?: RoomConfig['llm'] } = {}
+  ): RoomDependencies {
     // Get database service instance (must be initialized first via DatabaseService.initialize())
     const dbService = DatabaseService.getInstance();
 
-    // LLM Client
-    const llmClient = new OpenAIClient({
-      apiKey: llmConfig.apiKey,
-      baseUrl: llmConfig.baseUrl,
-      model: llmConfig.model,
-      temperature: llmConfig.temperature,
-      maxTokens: llmConfig.maxTokens,
-      timeoutSeconds: llmConfig.timeoutSeconds,
-    });
+    // LLM clients, one fallback chain per agent role
+    const llmRegistry = RoomFactory.getLLMRegistry();
+    const llmClient = llmRegistry.createChain(llmRegistry.chainFor('narrator', options.llm?.narrator));
+    const worldLLMClient = llmRegistry.createChain(llmRegistry.chainFor('world', options.llm?.world));
 
     // Infrastructure components
     const conversationHistory = new ConversationHistory();
 
-    // Game engine
-    const diceRoller = new RandomDiceRoller();
-    const gameEngine = new D20GameEngine(diceRoller, dbService.characters);
+    // Game engine with a per-room seeded RNG
+    const diceRoller = RoomFactory.createDiceRoller(roomId, options.diceSeed);
+    const gameEngine = new D20GameEngine(diceRoller, dbService.characters, dbService.bestiary);
 
     // Context builder with all providers
     const contextBuilder = new ContextBuilder()
       .add(new SystemPromptProvider())
       .add(new WorldContextProvider())
+      .add(new GameClockProvider())
+      .add(new LocationMapProvider(dbService.characters))
+      .add(new QuestLogProvider())
+      .add(new NpcRegistryProvider(conversationHistory, dbService.characters))
       .add(new CharacterStatusProvider())
       .add(new ModuleContextProvider())
       .add(new CharacterProfileProvider(dbService.characters))
+      .add(new PartyTreasuryProvider(dbService.characters))
       .add(new PlayerNotesProvider())
+      .add(new PlayerRollsProvider())
+      .add(new ExpiredConditionsProvider(dbService.characters))
       .add(new GameRulesProvider())
       .add(new ConversationHistoryProvider(conversationHistory));
 
@@ -73,7 +88,7 @@ export class RoomFactory {
     );
 
     const messageRenderer = new MessageRenderer();
-    const worldContextUpdater = new WorldContextUpdater(llmClient);
+    const worldContextUpdater = new WorldContextUpdater(worldLLMClient);
 
     // Conversation history repository adapter
     const conversationHistoryRepo = {
@@ -94,9 +109,44 @@ export class RoomFactory {
       userRepo: dbService.users,
       characterRepo: dbService.characters,
       conversationHistoryRepo,
+      diceRoller,
+      rollLedgerRepo: dbService.rollLedger,
     };
   }
 
+  /**
+   * Create a room's dice RNG. The position is saved to the room record on every draw,
+   * so a restart resumes there even if the turn's ledger entries were never written;
+   * rooms saved before that resume from their roll ledger.
+   */
+  static createDiceRoller(roomId?: string, seed?: number): SeededDiceRoller {
+    if (!roomId) {
+      return new SeededDiceRoller(seed ?? buildRoomDefaults().diceSeed ?? generateDiceSeed());
+    }
+
+    const dbService = DatabaseService.getInstance();
+    let position = 0;
+    if (seed === undefined) {
+      const latest = dbService.rollLedger.getLatest(roomId);
+      const saved = dbService.rooms.getRngPosition(roomId) ?? (latest && { seed: latest.seed, position: latest.rngPosition });
+      if (saved) {
+        seed = saved.seed;
+        position = saved.position;
+      }
+    }
+
+    const roller: SeededDiceRoller = new SeededDiceRoller(
+      seed ?? buildRoomDefaults().diceSeed ?? generateDiceSeed(),
+      position,
+      (drawn) => {
+        dbService.rooms.setRngPosition(roomId, roller.seed, drawn).catch((err) => {
+          console.error('[RoomFactory] Failed to save dice position:', err);
+        });
+      }
+    );
+    return roller;
+  }
+
   /**
    * Get default room configuration
    */
@@ -110,4 +160,14 @@ export class RoomFactory {
   static getLLMConfig() {
     return buildLLMConfig();
   }
+
+  /**
+   * LLM providers configured in the environment (built once)
+   */
+  static getLLMRegistry(): LLMProviderRegistry {
+    if (!RoomFactory.llmRegistry) {
+      RoomFactory.llmRegistry = new LLMProviderRegistry(buildLLMProvidersConfig());
+    }
+    return RoomFactory.llmRegistry;
+  }
 }
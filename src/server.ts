@@ -65,6 +65,7 @@ async function main(): Promise<void> {
   console.log(`  Node Env: ${config.server.nodeEnv}`);
   console.log(`  Port: ${config.server.port}`);
   console.log(`  LLM Model: ${config.llm.model}`);
+  console.log(`  LLM Chain: ${config.llmProviders.chain.join(' → ')}`);
   console.log('========================================');
 
   // Create Express app
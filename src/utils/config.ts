@@ -1,6 +1,8 @@
 // Utilities: Configuration management
 // Pure functions, no external dependencies
 
+import type { LLMAgentRole } from '@/domain/llm/types.js';
+
 export interface ServerConfig {
   port: number;
   host: string;
@@ -16,16 +18,41 @@ export interface LLMConfig {
   timeoutSeconds: number;
 }
 
+/**
+ * One LLM backend. type picks the adapter: 'openai' (OpenAI and any compatible server,
+ * e.g. llama.cpp) or 'ollama' (Ollama-style /api/chat endpoint)
+ */
+export interface LLMProviderConfig extends Omit<LLMConfig, 'apiKey'> {
+  name: string;
+  type: string;
+  apiKey?: string;
+}
+
+/**
+ * A chain lists providers to try in order, each "name" or "name:model"
+ */
+export interface LLMProvidersConfig {
+  providers: LLMProviderConfig[];
+  chain: string[];
+  roles: Partial<Record<LLMAgentRole, string[]>>;
+}
+
+export const LLM_AGENT_ROLES: LLMAgentRole[] = ['narrator', 'world'];
+
 export interface RoomDefaults {
   maxPlayers: number;
   maxHistoryTurns: number;
   maxShortTermMemory: number;
   maxLongTermMemory: number;
+  diceSeed?: number; // fixed seed for new rooms' dice RNG (tests, replays)
+  playerRolls: boolean; // players roll their own checks when prompted
+  rollPromptSeconds: number;
 }
 
 export interface AppConfig {
   server: ServerConfig;
   llm: LLMConfig;
+  llmProviders: LLMProvidersConfig;
   room: RoomDefaults;
   saveDirectory: string;
 }
@@ -55,12 +82,71 @@ export function buildLLMConfig(env: NodeJS.ProcessEnv = process.env): LLMConfig
   };
 }
 
+/**
+ * Split a chain like "openai:gpt-4o, local" into its entries
+ */
+export function parseLLMChain(value: string): string[] {
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Provider name of a chain entry; model names may contain ':' themselves (llama3.1:8b)
+ */
+export function getChainProvider(entry: string): string {
+  const separator = entry.indexOf(':');
+  return separator === -1 ? entry : entry.slice(0, separator);
+}
+
+/**
+ * The built-in 'openai' provider comes from the OPENAI_* / LLM_* settings.
+ * Extra providers are listed in LLM_PROVIDERS and configured with LLM_PROVIDER_<NAME>_* variables.
+ */
+export function buildLLMProvidersConfig(env: NodeJS.ProcessEnv = process.env): LLMProvidersConfig {
+  const base = buildLLMConfig(env);
+  const providers = new Map<string, LLMProviderConfig>([
+    ['openai', { name: 'openai', type: 'openai', ...base }],
+  ]);
+
+  for (const name of parseLLMChain(env.LLM_PROVIDERS || '')) {
+    const prefix = `LLM_PROVIDER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const setting = (key: string) => env[prefix + key];
+    providers.set(name, {
+      name,
+      type: setting('TYPE') || 'openai',
+      apiKey: setting('API_KEY'),
+      baseUrl: setting('BASE_URL'),
+      model: setting('MODEL') || base.model,
+      temperature: setting('TEMPERATURE') ? parseFloat(setting('TEMPERATURE')!) : base.temperature,
+      maxTokens: setting('MAX_TOKENS') ? parseInt(setting('MAX_TOKENS')!, 10) : base.maxTokens,
+      timeoutSeconds: setting('TIMEOUT_SECONDS') ? parseInt(setting('TIMEOUT_SECONDS')!, 10) : base.timeoutSeconds,
+    });
+  }
+
+  const roles: LLMProvidersConfig['roles'] = {};
+  for (const role of LLM_AGENT_ROLES) {
+    const chain = parseLLMChain(env[`LLM_${role.toUpperCase()}_CHAIN`] || '');
+    if (chain.length > 0) {
+      roles[role] = chain;
+    }
+  }
+
+  const chain = parseLLMChain(env.LLM_CHAIN || '');
+  return {
+    providers: [...providers.values()],
+    chain: chain.length > 0 ? chain : ['openai'],
+    roles,
+  };
+}
+
 export function buildRoomDefaults(env: NodeJS.ProcessEnv = process.env): RoomDefaults {
   return {
     maxPlayers: parseInt(env.ROOM_MAX_PLAYERS || '4', 10),
     maxHistoryTurns: parseInt(env.ROOM_MAX_HISTORY_TURNS || '10', 10),
     maxShortTermMemory: parseInt(env.ROOM_MAX_SHORT_TERM || '12', 10),
     maxLongTermMemory: parseInt(env.ROOM_MAX_LONG_TERM || '50', 10),
+    diceSeed: env.ROOM_DICE_SEED ? parseInt(env.ROOM_DICE_SEED, 10) : undefined,
+    playerRolls: env.ROOM_PLAYER_ROLLS === 'true',
+    rollPromptSeconds: parseInt(env.ROOM_ROLL_PROMPT_SECONDS || '60', 10),
   };
 }
 
@@ -68,6 +154,7 @@ export function buildAppConfig(env: NodeJS.ProcessEnv = process.env): AppConfig
   return {
     server: buildServerConfig(env),
     llm: buildLLMConfig(env),
+    llmProviders: buildLLMProvidersConfig(env),
     room: buildRoomDefaults(env),
     saveDirectory: env.SAVE_DIRECTORY || './saves',
   };
@@ -77,7 +164,19 @@ export function buildAppConfig(env: NodeJS.ProcessEnv = process.env): AppConfig
 export function validateConfig(config: AppConfig): string[] {
   const errors: string[] = [];
 
-  if (!config.llm.apiKey) {
+  const { providers, chain, roles } = config.llmProviders;
+  const providerNames = new Set(providers.map((p) => p.name));
+  const chains = [chain, ...Object.values(roles)];
+  const usedProviders = new Set(chains.flat().map(getChainProvider));
+
+  for (const name of usedProviders) {
+    if (!providerNames.has(name)) {
+      errors.push(`Unknown LLM provider in chain: ${name} (add it to LLM_PROVIDERS)`);
+    }
+  }
+
+  // Only the built-in provider needs a key; local servers usually run without one
+  if (usedProviders.has('openai') && !providers.find((p) => p.name === 'openai')?.apiKey) {
     errors.push('LLM API key is required (OPENAI_API_KEY)');
   }
 
@@ -85,8 +184,10 @@ export function validateConfig(config: AppConfig): string[] {
     errors.push('Invalid port number');
   }
 
-  if (config.llm.temperature < 0 || config.llm.temperature > 2) {
-    errors.push('Temperature must be between 0 and 2');
+  for (const provider of providers) {
+    if (provider.temperature < 0 || provider.temperature > 2) {
+      errors.push(`Temperature must be between 0 and 2 (${provider.name})`);
+    }
   }
 
   return errors;
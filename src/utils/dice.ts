@@ -1,5 +1,8 @@
 // Utilities: Dice formula parsing
 // Pure functions for parsing dice notation like "2d6+3", "d8", "4d10-1"
+// Full table notation (keep/drop, exploding, multi-term) lives in diceExpression.ts
+
+import { formatDiceExpression, parseDiceExpression, rollDiceExpression } from './diceExpression.js';
 
 export interface ParsedDiceFormula {
   count: number;
@@ -51,6 +54,41 @@ export function parseDiceFormula(formula: string): ParsedDiceFormula {
   };
 }
 
+/**
+ * Multiply the dice count of every dice term, keeping constants
+ * Used for critical hits: "1d8+3" x2 -> "2d8+3", "1d8+1d6+2" x2 -> "2d8+2d6+2"
+ */
+export function multiplyDice(formula: string, multiplier: number): string {
+  const expression = parseDiceExpression(formula);
+  const terms = expression.terms.map((term) =>
+    term.type === 'dice'
+      ? {
+          ...term,
+          count: term.count * multiplier,
+          keep: term.keep ? { ...term.keep, count: term.keep.count * multiplier } : undefined,
+        }
+      : term
+  );
+  return formatDiceExpression(terms);
+}
+
+/**
+ * Add extra dice to a formula a number of times, combining like dice
+ * Used for upcast spells: "8d6" + "1d6" x2 -> "10d6"
+ */
+export function addDice(formula: string, extra: string, times: number): string {
+  const base = parseDiceFormula(formula);
+  const added = parseDiceFormula(extra);
+  if (times <= 0) return formula;
+  if (added.sides !== base.sides) {
+    throw new Error(`Cannot combine d${base.sides} with d${added.sides}`);
+  }
+
+  const modifier = base.modifier + added.modifier * times;
+  const modStr = modifier === 0 ? '' : modifier > 0 ? `+${modifier}` : `${modifier}`;
+  return `${base.count + added.count * times}d${base.sides}${modStr}`;
+}
+
 /**
  * Format a dice roll result as human-readable string
  */
@@ -84,13 +122,15 @@ export function rollDice(
   formula: string,
   rng: () => number = Math.random
 ): { rolls: number[]; modifier: number; total: number } {
-  const parsed = parseDiceFormula(formula);
-  const rolls = Array.from({ length: parsed.count }, () => rollDie(parsed.sides, rng));
-  const total = rolls.reduce((a, b) => a + b, 0) + parsed.modifier;
+  const result = rollDiceExpression(formula, (sides) => rollDie(sides, rng));
+  const rolls = result.terms.flatMap((t) => (t.dice ?? []).filter((d) => d.kept).map((d) => d.value));
+  const modifier = result.terms
+    .filter((t) => t.type === 'constant')
+    .reduce((sum, t) => sum + t.subtotal, 0);
 
   return {
     rolls,
-    modifier: parsed.modifier,
-    total,
+    modifier,
+    total: result.total,
   };
 }
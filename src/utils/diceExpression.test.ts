@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import {
+  evaluateDiceExpression,
+  isDiceExpression,
+  parseDiceExpression,
+  rollDiceExpression,
+} from './diceExpression.js';
+
+// Returns the given faces in order, whatever the die
+function faces(...values: number[]) {
+  return () => {
+    const value = values.shift();
+    if (value === undefined) throw new Error('Ran out of faces');
+    return value;
+  };
+}
+
+describe('parseDiceExpression', () => {
+  it('parses signed dice and constant terms', () => {
+    const { terms, notation } = parseDiceExpression('2d8 + 1d6 - 3');
+
+    expect(notation).toBe('2d8+1d6-3');
+    expect(terms).toEqual([
+      { type: 'dice', sign: 1, count: 2, sides: 8, keep: undefined, explode: false, notation: '2d8' },
+      { type: 'dice', sign: 1, count: 1, sides: 6, keep: undefined, explode: false, notation: '1d6' },
+      { type: 'constant', sign: -1, value: 3, notation: '3' },
+    ]);
+  });
+
+  it('reads d% as a hundred-sided die and defaults the count to one', () => {
+    const [term] = parseDiceExpression('d%').terms;
+    expect(term).toMatchObject({ type: 'dice', count: 1, sides: 100 });
+  });
+
+  it('normalizes drop modifiers to keep modifiers', () => {
+    expect(parseDiceExpression('4d6kh3').terms[0]).toMatchObject({ keep: { mode: 'highest', count: 3 } });
+    expect(parseDiceExpression('4d6dl1').terms[0]).toMatchObject({ keep: { mode: 'highest', count: 3 } });
+    expect(parseDiceExpression('2d20kl1').terms[0]).toMatchObject({ keep: { mode: 'lowest', count: 1 } });
+    expect(parseDiceExpression('2d20dh1').terms[0]).toMatchObject({ keep: { mode: 'lowest', count: 1 } });
+  });
+
+  it('marks exploding dice', () => {
+    expect(parseDiceExpression('1d6!').terms[0]).toMatchObject({ explode: true });
+  });
+
+  it.each([
+    ['', 'Empty dice expression'],
+    ['3', 'no dice'],
+    ['2x6', 'Invalid dice expression'],
+    ['1d1', 'sides must be between'],
+    ['101d6', 'count must be between'],
+    ['2d6kh3', 'Cannot keep 3 of 2 dice'],
+    ['1d6+1001', 'Constant must be at most'],
+  ])('rejects %j', (formula, message) => {
+    expect(() => parseDiceExpression(formula)).toThrow(message);
+  });
+});
+
+describe('evaluateDiceExpression', () => {
+  it('sums kept dice and signed constants', () => {
+    const result = rollDiceExpression('2d8+1d6-3', faces(5, 7, 2));
+
+    expect(result.formula).toBe('2d8+1d6-3');
+    expect(result.terms.map((t) => t.subtotal)).toEqual([12, 2, -3]);
+    expect(result.total).toBe(11);
+  });
+
+  it('drops the lowest dice when keeping the highest', () => {
+    const result = rollDiceExpression('4d6kh3', faces(1, 6, 4, 3));
+
+    expect(result.terms[0].dice!.map((d) => d.kept)).toEqual([false, true, true, true]);
+    expect(result.total).toBe(13);
+  });
+
+  it('keeps the lowest die for disadvantage', () => {
+    expect(rollDiceExpression('2d20kl1', faces(17, 4)).total).toBe(4);
+  });
+
+  it('rolls again on the maximum face of an exploding die', () => {
+    const result = rollDiceExpression('1d6!', faces(6, 6, 2));
+
+    expect(result.terms[0].dice).toEqual([
+      { value: 6, kept: true, exploded: false },
+      { value: 6, kept: true, exploded: true },
+      { value: 2, kept: true, exploded: true },
+    ]);
+    expect(result.total).toBe(14);
+  });
+
+  it('subtracts negative dice terms', () => {
+    const expression = parseDiceExpression('1d20-1d4');
+    expect(evaluateDiceExpression(expression, faces(10, 3)).total).toBe(7);
+  });
+});
+
+describe('isDiceExpression', () => {
+  it('accepts table notation and rejects anything else', () => {
+    expect(isDiceExpression('2d8+1d6+3')).toBe(true);
+    expect(isDiceExpression('1d6!')).toBe(true);
+    expect(isDiceExpression('fireball')).toBe(false);
+    expect(isDiceExpression('5')).toBe(false);
+  });
+});
@@ -0,0 +1,250 @@
+// Utilities: Dice expression parsing and evaluation
+// Pure functions for table notation like "4d6kh3", "2d20kl1", "1d6!", "2d8+1d6+3", "d%"
+
+export interface DiceKeep {
+  mode: 'highest' | 'lowest';
+  count: number;
+}
+
+export interface DiceTerm {
+  type: 'dice';
+  sign: 1 | -1;
+  count: number;
+  sides: number;
+  keep?: DiceKeep; // drop-lowest/highest is normalized to keep-highest/lowest
+  explode: boolean;
+  notation: string;
+}
+
+export interface ConstantTerm {
+  type: 'constant';
+  sign: 1 | -1;
+  value: number;
+  notation: string;
+}
+
+export type DiceExpressionTerm = DiceTerm | ConstantTerm;
+
+export interface DiceExpression {
+  terms: DiceExpressionTerm[];
+  notation: string;
+}
+
+export interface RolledDie {
+  value: number;
+  kept: boolean;
+  exploded: boolean; // this die was rolled because the previous one exploded
+}
+
+export interface DiceTermResult {
+  type: 'dice' | 'constant';
+  notation: string;
+  sign: 1 | -1;
+  dice?: RolledDie[];
+  subtotal: number; // signed contribution to the total
+}
+
+export interface DiceExpressionResult {
+  formula: string;
+  terms: DiceTermResult[];
+  total: number;
+}
+
+const MAX_TERMS = 20;
+const MAX_DICE_PER_TERM = 100;
+const MAX_EXPLOSIONS_PER_TERM = 100;
+const MAX_SIDES = 1000;
+const MAX_CONSTANT = 1000;
+
+const TERM_PATTERN = /^(\d*)d(\d+|%)((?:kh|kl|dh|dl|k|d)\d+)?(!)?$/;
+
+/**
+ * Parse a dice expression into signed terms
+ * @param formula - Expression like "4d6kh3", "2d8+1d6+3", "d%", "1d6!-1"
+ * @throws Error if the expression is invalid or exceeds limits
+ */
+export function parseDiceExpression(formula: string): DiceExpression {
+  const compact = formula.replace(/\s+/g, '').toLowerCase();
+  if (!compact) {
+    throw new Error('Empty dice expression');
+  }
+
+  const parts = compact.match(/[+-]?[^+-]+/g);
+  if (!parts || parts.join('') !== compact) {
+    throw new Error(`Invalid dice expression: "${formula}"`);
+  }
+  if (parts.length > MAX_TERMS) {
+    throw new Error(`Dice expression cannot have more than ${MAX_TERMS} terms`);
+  }
+
+  const terms = parts.map((part) => parseTerm(part, formula));
+  if (!terms.some((t) => t.type === 'dice')) {
+    throw new Error(`Dice expression has no dice: "${formula}"`);
+  }
+
+  return { terms, notation: formatDiceExpression(terms) };
+}
+
+function parseTerm(part: string, formula: string): DiceExpressionTerm {
+  const sign: 1 | -1 = part.startsWith('-') ? -1 : 1;
+  const body = part.replace(/^[+-]/, '');
+
+  if (/^\d+$/.test(body)) {
+    const value = parseInt(body, 10);
+    if (value > MAX_CONSTANT) {
+      throw new Error(`Constant must be at most ${MAX_CONSTANT}, got: ${value}`);
+    }
+    return { type: 'constant', sign, value, notation: body };
+  }
+
+  const match = body.match(TERM_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid dice expression: "${formula}"`);
+  }
+
+  const count = match[1] ? parseInt(match[1], 10) : 1;
+  const sides = match[2] === '%' ? 100 : parseInt(match[2], 10);
+
+  if (count < 1 || count > MAX_DICE_PER_TERM) {
+    throw new Error(`Dice count must be between 1 and ${MAX_DICE_PER_TERM}, got: ${count}`);
+  }
+  if (sides < 2 || sides > MAX_SIDES) {
+    throw new Error(`Dice sides must be between 2 and ${MAX_SIDES}, got: ${sides}`);
+  }
+
+  const keep = match[3] ? parseKeep(match[3], count, formula) : undefined;
+  const explode = !!match[4];
+
+  return { type: 'dice', sign, count, sides, keep, explode, notation: body };
+}
+
+function parseKeep(modifier: string, count: number, formula: string): DiceKeep {
+  const [, op, rawN] = modifier.match(/^(kh|kl|dh|dl|k|d)(\d+)$/)!;
+  const n = parseInt(rawN, 10);
+
+  const dropping = op.startsWith('d');
+  if (n < (dropping ? 0 : 1) || n > (dropping ? count - 1 : count)) {
+    throw new Error(`Cannot ${dropping ? 'drop' : 'keep'} ${n} of ${count} dice in "${formula}"`);
+  }
+
+  switch (op) {
+    case 'kl':
+      return { mode: 'lowest', count: n };
+    case 'dh':
+      return { mode: 'lowest', count: count - n };
+    case 'dl':
+    case 'd':
+      return { mode: 'highest', count: count - n };
+    default:
+      return { mode: 'highest', count: n };
+  }
+}
+
+/**
+ * Format parsed terms back into canonical notation ("+" between terms, no spaces)
+ */
+export function formatDiceExpression(terms: DiceExpressionTerm[]): string {
+  return terms
+    .map((term, i) => {
+      const notation = term.type === 'constant' ? String(term.value) : formatDiceTerm(term);
+      if (term.sign < 0) return `-${notation}`;
+      return i === 0 ? notation : `+${notation}`;
+    })
+    .join('');
+}
+
+function formatDiceTerm(term: DiceTerm): string {
+  const keep = term.keep
+    ? term.keep.count === term.count ? '' : `k${term.keep.mode === 'highest' ? 'h' : 'l'}${term.keep.count}`
+    : '';
+  return `${term.count}d${term.sides}${keep}${term.explode ? '!' : ''}`;
+}
+
+/**
+ * Roll a parsed expression
+ * @param expression - Parsed dice expression
+ * @param rollDie - Returns a single die result for the given number of sides
+ */
+export function evaluateDiceExpression(
+  expression: DiceExpression,
+  rollDie: (sides: number) => number
+): DiceExpressionResult {
+  const terms = expression.terms.map((term): DiceTermResult => {
+    if (term.type === 'constant') {
+      return {
+        type: 'constant',
+        notation: term.notation,
+        sign: term.sign,
+        subtotal: term.sign * term.value,
+      };
+    }
+
+    const dice = rollTerm(term, rollDie);
+    const kept = dice.filter((d) => d.kept).reduce((sum, d) => sum + d.value, 0);
+    return {
+      type: 'dice',
+      notation: term.notation,
+      sign: term.sign,
+      dice,
+      subtotal: term.sign * kept,
+    };
+  });
+
+  return {
+    formula: expression.notation,
+    terms,
+    total: terms.reduce((sum, t) => sum + t.subtotal, 0),
+  };
+}
+
+/**
+ * Parse and roll an expression in one step
+ */
+export function rollDiceExpression(
+  formula: string,
+  rollDie: (sides: number) => number
+): DiceExpressionResult {
+  return evaluateDiceExpression(parseDiceExpression(formula), rollDie);
+}
+
+/**
+ * Check whether a string is a valid dice expression
+ */
+export function isDiceExpression(formula: string): boolean {
+  try {
+    parseDiceExpression(formula);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rollTerm(term: DiceTerm, rollDie: (sides: number) => number): RolledDie[] {
+  const dice: RolledDie[] = [];
+  let explosions = 0;
+
+  for (let i = 0; i < term.count; i++) {
+    let value = rollDie(term.sides);
+    dice.push({ value, kept: true, exploded: false });
+
+    // Exploding dice: roll again on the maximum face
+    while (term.explode && value === term.sides && explosions < MAX_EXPLOSIONS_PER_TERM) {
+      explosions++;
+      value = rollDie(term.sides);
+      dice.push({ value, kept: true, exploded: true });
+    }
+  }
+
+  if (term.keep) {
+    const ranked = dice
+      .map((die, index) => ({ die, index }))
+      .sort((a, b) =>
+        term.keep!.mode === 'highest' ? b.die.value - a.die.value : a.die.value - b.die.value
+      );
+    ranked.slice(term.keep.count).forEach(({ die }) => {
+      die.kept = false;
+    });
+  }
+
+  return dice;
+}
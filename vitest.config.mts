@@ -0,0 +1,27 @@
+// Vitest config: unit tests live next to the sources as *.test.ts
+
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  plugins: [
+    {
+      // Sources import with .js suffixes, and stale compiled .js files can sit next to
+      // the .ts files; resolve to the TypeScript source whenever there is one
+      name: 'prefer-ts-sources',
+      enforce: 'pre',
+      resolveId(source, importer, options) {
+        if (!importer || importer.includes('/node_modules/') || !source.endsWith('.js')) return null;
+        return this.resolve(source.replace(/\.js$/, '.ts'), importer, { ...options, skipSelf: true });
+      },
+    },
+  ],
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url)),
+    },
+  },
+  test: {
+    include: ['src/**/*.test.ts'],
+  },
+});